@@ -7,7 +7,24 @@ var pack = require('./package.json'),
 var sources = [
     'libs/index.js',
     'libs/profile.js',
-    'libs/cache.js'
+    'libs/profile-changes.js',
+    'libs/meta.js',
+    'libs/cache.js',
+    'libs/cache-adapters/lru.js',
+    'libs/cache-adapters/key-value.js',
+    'libs/transport/request.js',
+    'libs/mock-server.js',
+    'libs/errors.js',
+    'libs/segment.js',
+    'libs/task.js',
+    'libs/recurring-task.js',
+    'libs/task-handler.js',
+    'libs/cron.js',
+    'libs/iql/parser.js',
+    'libs/iql/evaluator.js',
+    'libs/iql/printer.js',
+    'libs/iql/builder.js',
+    'libs/iql/errors.js'
 ];
 
 gulp.task('generate-docs', function () {
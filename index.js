@@ -1,9 +1,43 @@
 var InnoHelper = require('./libs/index');
 var Profile = require('./libs/profile');
+var ProfileChanges = require('./libs/profile-changes');
+var Meta = require('./libs/meta');
+var Task = require('./libs/task');
+var RecurringTask = require('./libs/recurring-task');
+var TaskHandler = require('./libs/task-handler');
+var CronExpression = require('./libs/cron');
 var Cache = require('./libs/cache');
+var LruCache = require('./libs/cache-adapters/lru');
+var KeyValueCache = require('./libs/cache-adapters/key-value');
+var RequestTransport = require('./libs/transport/request');
+var MockServer = require('./libs/mock-server');
+var errors = require('./libs/errors');
+var iql = require('./libs/iql/index');
 
 module.exports = {
     InnoHelper: InnoHelper,
     Profile: Profile,
-    Cache: Cache
+    ProfileChanges: ProfileChanges,
+    Meta: Meta,
+    Task: Task,
+    RecurringTask: RecurringTask,
+    TaskHandler: TaskHandler,
+    CronExpression: CronExpression,
+    Cache: Cache,
+    LruCache: LruCache,
+    KeyValueCache: KeyValueCache,
+    RequestTransport: RequestTransport,
+    MockServer: MockServer,
+    InnoApiError: errors.InnoApiError,
+    NotFoundError: errors.NotFoundError,
+    AuthError: errors.AuthError,
+    ValidationError: errors.ValidationError,
+    RateLimitError: errors.RateLimitError,
+    ConflictError: errors.ConflictError,
+    NetworkError: errors.NetworkError,
+    TimeoutError: errors.TimeoutError,
+    AbortError: errors.AbortError,
+    IqlSyntaxError: iql.IqlSyntaxError,
+    IqlUnsupportedError: iql.IqlUnsupportedError,
+    iql: iql
 };
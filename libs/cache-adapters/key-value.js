@@ -0,0 +1,259 @@
+'use strict';
+
+/**
+ * Cache which stores records in external key-value storage (for example Redis),
+ * so the same records can be shared between several processes.
+ *
+ * Client of storage should have callback-style methods:
+ *
+ *  - get(key, callback(error, value))
+ *  - set(key, value, callback(error))
+ *  - del(key|keys, callback(error))
+ *  - expire(key, seconds, callback(error)) - optional, lets storage drop expired records itself
+ *  - keys(pattern, callback(error, keys)) - optional, required by "clear" method
+ *  - setnx(key, value, callback(error, added)) - optional, sets value only if key is absent,
+ *    required by "add" method together with "expire"
+ *
+ * Values are stored as JSON strings.
+ *
+ * @param {Object} config
+ *
+ *     @example
+ *     {
+ *         "client": redisClient, // required
+ *         "prefix": "inno-helper:",
+ *         "cachedTime": 60 // TTL in seconds
+ *     }
+ *
+ * @constructor
+ */
+var KeyValueCache = function (config) {
+    if (!config || typeof config !== 'object') {
+        throw new Error('Config should be an object');
+    }
+
+    var client = config.client;
+
+    if (!client || ['get', 'set', 'del'].some(function (method) {
+        return typeof client[method] !== 'function';
+    })) {
+        throw new Error('Property "client" in config should have "get", "set" and "del" methods');
+    }
+
+    this.client = client;
+
+    if (config.prefix !== undefined) {
+        this.prefix = String(config.prefix);
+    }
+
+    if (config.cachedTime !== undefined) {
+        this.cachedTime = +config.cachedTime > 0 ? +config.cachedTime : 60;
+    }
+};
+
+KeyValueCache.prototype = {
+
+    /**
+     * Client of key-value storage
+     * @type {Object}
+     * @private
+     */
+    client: null,
+
+    /**
+     * Prefix of keys in storage
+     * @type {String}
+     */
+    prefix: 'inno-helper:',
+
+    /**
+     * Cache TTL
+     * @type {Number}
+     * @private
+     */
+    cachedTime: 60,
+
+    /**
+     * Get data from cache by name if it's not expired
+     * @param {String} name
+     * @param {Function} callback Receives error and value
+     */
+    get: function (name, callback) {
+        var self = this;
+
+        this.client.get(this.getKey(name), function (error, raw) {
+            var record;
+
+            if (error) {
+                return callback(error);
+            }
+
+            if (raw === null || raw === undefined) {
+                return callback(null, undefined);
+            }
+
+            try {
+                record = JSON.parse(raw);
+            } catch (e) {
+                return callback(e);
+            }
+
+            if (!record || record.expired <= Date.now()) {
+                return self.del(name, function () {
+                    callback(null, undefined);
+                });
+            }
+
+            callback(null, record.value);
+        });
+    },
+
+    /**
+     * Set data to cache
+     * @param {String} name
+     * @param {*} value
+     * @param {Number} [ttl] TTL of record in seconds, cache TTL is used by default
+     * @param {Function} [callback]
+     */
+    set: function (name, value, ttl, callback) {
+        var self = this;
+        var key = this.getKey(name);
+        var raw;
+
+        if (typeof ttl === 'function') {
+            callback = ttl;
+            ttl = null;
+        }
+
+        callback = callback || function () {};
+        ttl = +ttl > 0 ? +ttl : this.cachedTime;
+
+        try {
+            raw = JSON.stringify({
+                expired: Date.now() + ttl * 1000,
+                value: value
+            });
+        } catch (e) {
+            return callback(e);
+        }
+
+        this.client.set(key, raw, function (error) {
+            if (error || typeof self.client.expire !== 'function') {
+                return callback(error || null);
+            }
+
+            self.client.expire(key, Math.ceil(ttl), function (error) {
+                callback(error || null);
+            });
+        });
+    },
+
+    /**
+     * Can records be added atomically by "add" method? Client of storage should have "setnx" and "expire" methods
+     * @returns {Boolean}
+     */
+    canAdd: function () {
+        return typeof this.client.setnx === 'function' && typeof this.client.expire === 'function';
+    },
+
+    /**
+     * Set data to cache only if there is no record with the same name in storage. Record is added atomically
+     * by "setnx" method of client, expired records are dropped by storage
+     * @param {String} name
+     * @param {*} value
+     * @param {Number} [ttl] TTL of record in seconds, cache TTL is used by default
+     * @param {Function} [callback] Receives error and flag that record is added
+     */
+    add: function (name, value, ttl, callback) {
+        var client = this.client;
+        var key = this.getKey(name);
+        var raw;
+
+        if (typeof ttl === 'function') {
+            callback = ttl;
+            ttl = null;
+        }
+
+        callback = callback || function () {};
+        ttl = +ttl > 0 ? +ttl : this.cachedTime;
+
+        if (!this.canAdd()) {
+            return callback(new Error('Client of storage should have "setnx" and "expire" methods to add records'));
+        }
+
+        try {
+            raw = JSON.stringify({
+                expired: Date.now() + ttl * 1000,
+                value: value
+            });
+        } catch (e) {
+            return callback(e);
+        }
+
+        client.setnx(key, raw, function (error, added) {
+            if (error || !added) {
+                return callback(error || null, false);
+            }
+
+            client.expire(key, Math.ceil(ttl), function (error) {
+                if (!error) {
+                    return callback(null, true);
+                }
+
+                // record without TTL would never be dropped
+                client.del(key, function () {
+                    callback(error, false);
+                });
+            });
+        });
+    },
+
+    /**
+     * Remove record from cache by name
+     * @param {String} name
+     * @param {Function} [callback]
+     */
+    del: function (name, callback) {
+        this.client.del(this.getKey(name), function (error) {
+            if (callback) {
+                return callback(error || null);
+            }
+        });
+    },
+
+    /**
+     * Remove all records with cache prefix from storage
+     * @param {Function} [callback]
+     */
+    clear: function (callback) {
+        var client = this.client;
+
+        callback = callback || function () {};
+
+        if (typeof client.keys !== 'function') {
+            return callback(new Error('Client of storage should have "keys" method to clear cache'));
+        }
+
+        client.keys(this.prefix + '*', function (error, keys) {
+            if (error || !keys || !keys.length) {
+                return callback(error || null);
+            }
+
+            client.del(keys, function (error) {
+                callback(error || null);
+            });
+        });
+    },
+
+    /**
+     * Get key of record in storage
+     * @param {String} name
+     * @returns {String}
+     * @private
+     */
+    getKey: function (name) {
+        return this.prefix + name;
+    }
+};
+
+module.exports = KeyValueCache;
@@ -0,0 +1,36 @@
+'use strict';
+
+var Cache = require('../cache');
+var util = require('util');
+
+/**
+ * In-memory cache with TTL which always keeps limited number of records.
+ * Least recently used records are evicted when limit is reached.
+ * @param {Object} [config]
+ *
+ *     @example
+ *     {
+ *         "maxEntries": 1000,
+ *         "cachedTime": 60, // TTL in seconds
+ *         "sweepInterval": 0 // interval in seconds to remove expired records, 0 - disabled
+ *     }
+ *
+ * @constructor
+ */
+var LruCache = function (config) {
+    if (config && typeof config === 'object' && config.maxEntries !== undefined && !(+config.maxEntries > 0)) {
+        throw new Error('Property "maxEntries" in config should be a positive number');
+    }
+
+    Cache.call(this, config);
+};
+
+util.inherits(LruCache, Cache);
+
+/**
+ * Max number of records in cache
+ * @type {Number}
+ */
+LruCache.prototype.maxEntries = 1000;
+
+module.exports = LruCache;
@@ -1,4 +1,19 @@
 /**
+ * In-memory cache with TTL.
+ * Number of records can be limited, least recently used records are evicted when limit is reached.
+ *
+ * Any object which implements methods "get", "set", "del" and "clear" with the same
+ * signatures can be used by InnoHelper as cache (see option "cache" of InnoHelper config).
+ * Methods of such object should either call passed callback or return a Promise.
+ * @param {Object} [config]
+ *
+ *     @example
+ *     {
+ *         "cachedTime": 60, // TTL in seconds
+ *         "maxEntries": 0, // max number of records, 0 - unlimited
+ *         "sweepInterval": 0 // interval in seconds to remove expired records, 0 - disabled
+ *     }
+ *
  * @constructor
  */
 var Cache = function (config) {
@@ -10,6 +25,20 @@ var Cache = function (config) {
     if (config.cachedTime !== undefined) {
         this.cachedTime = +config.cachedTime > 0 ? +config.cachedTime : 60;
     }
+
+    if (config.maxEntries !== undefined) {
+        if (!(+config.maxEntries >= 0)) {
+            throw new Error('Property "maxEntries" in config should be a non-negative number');
+        }
+        this.maxEntries = +config.maxEntries;
+    }
+
+    this.clearCache();
+    this.resetStats();
+
+    if (+config.sweepInterval > 0) {
+        this.startSweeping(+config.sweepInterval);
+    }
 };
 
 Cache.prototype = {
@@ -18,7 +47,7 @@ Cache.prototype = {
      * @private
      * @type {Object}
      */
-    cache: {},
+    cache: null,
 
     /**
      * Cache TTL
@@ -27,20 +56,73 @@ Cache.prototype = {
      */
     cachedTime: 60,
 
+    /**
+     * Max number of records in cache, 0 - unlimited
+     * @type {Number}
+     */
+    maxEntries: 0,
+
+    /**
+     * Number of records in cache
+     * @type {Number}
+     * @private
+     */
+    size: 0,
+
+    /**
+     * Most recently used record
+     * @type {Object}
+     * @private
+     */
+    head: null,
+
+    /**
+     * Least recently used record
+     * @type {Object}
+     * @private
+     */
+    tail: null,
+
+    /**
+     * Counters of cache usage
+     * @type {Object}
+     * @private
+     */
+    stats: null,
+
+    /**
+     * Timer of expired records sweeping
+     * @type {Object}
+     * @private
+     */
+    sweepTimer: null,
+
     /**
      * Get data from cache by name if it's not expired
      * @param {String} name
+     * @param {Function} [callback] Receives error and value, makes Cache compatible with async cache adapters
      * @returns {*|undefined}
      */
-    get: function (name) {
+    get: function (name, callback) {
+        var entry = this.getEntry(name);
         var value;
-        if (this.cachedTime && this.cache.hasOwnProperty(name)) {
-            if (this.cache[name].expired <= Date.now()) {
-                delete this.cache[name];
+
+        if (entry && this.cachedTime) {
+            if (entry.expired <= Date.now()) {
+                this.removeEntry(entry);
             } else {
-                value = this.cache[name].value;
+                this.moveToHead(entry);
+                value = entry.value;
             }
         }
+
+        if (value === undefined) {
+            this.stats.misses++;
+        } else {
+            this.stats.hits++;
+        }
+
+        this.invokeCallback(callback, value);
         return value;
     },
 
@@ -48,15 +130,96 @@ Cache.prototype = {
      * Set data to cache
      * @param {String} name
      * @param {*} value
+     * @param {Number} [ttl] TTL of record in seconds, cache TTL is used by default
+     * @param {Function} [callback]
+     * @returns {undefined}
+     */
+    set: function (name, value, ttl, callback) {
+        var entry;
+
+        if (typeof ttl === 'function') {
+            callback = ttl;
+            ttl = null;
+        }
+
+        ttl = +ttl > 0 ? +ttl : this.cachedTime;
+
+        if (this.cachedTime && ttl) {
+            entry = this.getEntry(name);
+
+            if (!entry) {
+                entry = {
+                    name: name,
+                    prev: null,
+                    next: null
+                };
+                this.cache[name] = entry;
+                this.size++;
+            }
+
+            entry.value = value;
+            entry.expired = Date.now() + ttl * 1000;
+            this.moveToHead(entry);
+
+            if (this.maxEntries && this.size > this.maxEntries) {
+                this.removeEntry(this.tail);
+                this.stats.evictions++;
+            }
+        }
+
+        this.invokeCallback(callback);
+    },
+
+    /**
+     * Set data to cache only if there is no actual record with the same name
+     * @param {String} name
+     * @param {*} value
+     * @param {Number} [ttl] TTL of record in seconds, cache TTL is used by default
+     * @param {Function} [callback] Receives error and flag that record is added
+     * @returns {Boolean} true if record is added
+     */
+    add: function (name, value, ttl, callback) {
+        var entry = this.getEntry(name);
+        var added;
+
+        if (typeof ttl === 'function') {
+            callback = ttl;
+            ttl = null;
+        }
+
+        added = !(entry && this.cachedTime && entry.expired > Date.now());
+        if (added) {
+            this.set(name, value, ttl);
+        }
+
+        this.invokeCallback(callback, added);
+        return added;
+    },
+
+    /**
+     * Remove record from cache by name
+     * @param {String} name
+     * @param {Function} [callback]
      * @returns {undefined}
      */
-    set: function (name, value) {
-        if (this.cachedTime) {
-            this.cache[name] = {
-                expired: Date.now() + this.cachedTime * 1000,
-                value: value
-            };
+    del: function (name, callback) {
+        var entry = this.getEntry(name);
+
+        if (entry) {
+            this.removeEntry(entry);
         }
+
+        this.invokeCallback(callback);
+    },
+
+    /**
+     * Remove all records from cache
+     * @param {Function} [callback]
+     * @returns {undefined}
+     */
+    clear: function (callback) {
+        this.clearCache();
+        this.invokeCallback(callback);
     },
 
     /**
@@ -65,8 +228,10 @@ Cache.prototype = {
      * @returns {undefined}
      */
     expire: function (name) {
-        if (this.cache.hasOwnProperty(name)) {
-            this.cache[name].expired = 0;
+        var entry = this.getEntry(name);
+
+        if (entry) {
+            entry.expired = 0;
         }
     },
 
@@ -76,6 +241,117 @@ Cache.prototype = {
      */
     clearCache: function () {
         this.cache = {};
+        this.size = 0;
+        this.head = null;
+        this.tail = null;
+    },
+
+    /**
+     * Remove all expired records
+     * @returns {Number} Number of removed records
+     */
+    sweep: function () {
+        var now = Date.now();
+        var removed = 0;
+
+        Object.keys(this.cache).forEach(function (name) {
+            var entry = this.cache[name];
+            if (entry.expired <= now) {
+                this.removeEntry(entry);
+                removed++;
+            }
+        }, this);
+
+        this.stats.expirations += removed;
+        return removed;
+    },
+
+    /**
+     * Start periodic removing of expired records.
+     * Timer does not keep process running
+     * @param {Number} interval Interval in seconds
+     * @returns {undefined}
+     */
+    startSweeping: function (interval) {
+        var self = this;
+
+        this.stopSweeping();
+        this.sweepTimer = setInterval(function () {
+            self.sweep();
+        }, interval * 1000);
+
+        if (this.sweepTimer.unref) {
+            this.sweepTimer.unref();
+        }
+    },
+
+    /**
+     * Stop periodic removing of expired records
+     * @returns {undefined}
+     */
+    stopSweeping: function () {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+    },
+
+    /**
+     * Get number of records in cache
+     * @returns {Number}
+     */
+    getSize: function () {
+        return this.size;
+    },
+
+    /**
+     * Get counters of cache usage
+     *
+     *     @example
+     *     {
+     *         "hits": 10,
+     *         "misses": 2,
+     *         "evictions": 0, // records removed because of "maxEntries" limit
+     *         "expirations": 1, // expired records removed by sweeping
+     *         "size": 5
+     *     }
+     *
+     * @returns {Object}
+     */
+    getStats: function () {
+        return {
+            hits: this.stats.hits,
+            misses: this.stats.misses,
+            evictions: this.stats.evictions,
+            expirations: this.stats.expirations,
+            size: this.size
+        };
+    },
+
+    /**
+     * Reset counters of cache usage
+     * @returns {undefined}
+     */
+    resetStats: function () {
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            evictions: 0,
+            expirations: 0
+        };
+    },
+
+    /**
+     * Call callback of cache method if it's passed
+     * @param {Function} [callback]
+     * @param {*} [value]
+     * @returns {undefined}
+     * @protected
+     */
+    invokeCallback: function (callback, value) {
+        if (typeof callback === 'function') {
+            return callback(null, value);
+        }
     },
 
     /**
@@ -85,6 +361,72 @@ Cache.prototype = {
      */
     setCachedTime: function (time) {
         this.cachedTime = time;
+    },
+
+    /**
+     * Get record of cache by name
+     * @param {String} name
+     * @returns {Object|null}
+     * @private
+     */
+    getEntry: function (name) {
+        return this.cache.hasOwnProperty(name) ? this.cache[name] : null;
+    },
+
+    /**
+     * Mark record as most recently used
+     * @param {Object} entry
+     * @private
+     */
+    moveToHead: function (entry) {
+        if (this.head === entry) {
+            return;
+        }
+
+        this.unlink(entry);
+
+        entry.next = this.head;
+        if (this.head) {
+            this.head.prev = entry;
+        }
+        this.head = entry;
+
+        if (!this.tail) {
+            this.tail = entry;
+        }
+    },
+
+    /**
+     * Remove record from cache
+     * @param {Object} entry
+     * @private
+     */
+    removeEntry: function (entry) {
+        this.unlink(entry);
+        delete this.cache[entry.name];
+        this.size--;
+    },
+
+    /**
+     * Remove record from list of recently used records
+     * @param {Object} entry
+     * @private
+     */
+    unlink: function (entry) {
+        if (entry.prev) {
+            entry.prev.next = entry.next;
+        }
+        if (entry.next) {
+            entry.next.prev = entry.prev;
+        }
+        if (this.head === entry) {
+            this.head = entry.next;
+        }
+        if (this.tail === entry) {
+            this.tail = entry.prev;
+        }
+        entry.prev = null;
+        entry.next = null;
     }
 };
 
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Call function which either calls passed callback or returns a Promise. Callback is called only once,
+ * thrown errors and rejections are passed to it, other results of function are ignored
+ * @param {Function} fn
+ * @param {Object} context
+ * @param {Array} args Arguments of function, callback is added to them
+ * @param {Function} callback Receives error and value
+ * @private
+ */
+function callAsync (fn, context, args, callback) {
+    var called = false;
+    var result;
+
+    function done (error, value) {
+        if (!called) {
+            called = true;
+            return callback(error || null, value);
+        }
+    }
+
+    try {
+        result = fn.apply(context, args.concat(done));
+    } catch (e) {
+        return done(e);
+    }
+
+    if (result && typeof result.then === 'function') {
+        result.then(function (value) {
+            done(null, value);
+        }, function (error) {
+            done(error || new Error('Promise was rejected without reason'));
+        });
+    }
+}
+
+module.exports = callAsync;
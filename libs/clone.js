@@ -0,0 +1,13 @@
+'use strict';
+
+/**
+ * Deep copy of JSON data
+ * @param {*} data
+ * @returns {*}
+ * @private
+ */
+function clone (data) {
+    return data === undefined ? undefined : JSON.parse(JSON.stringify(data));
+}
+
+module.exports = clone;
@@ -0,0 +1,323 @@
+'use strict';
+
+/**
+ * Ranges and names of cron fields
+ * @type {Array}
+ * @private
+ */
+var fields = [
+    {
+        name: 'minute',
+        min: 0,
+        max: 59
+    },
+    {
+        name: 'hour',
+        min: 0,
+        max: 23
+    },
+    {
+        name: 'dayOfMonth',
+        min: 1,
+        max: 31
+    },
+    {
+        name: 'month',
+        min: 1,
+        max: 12,
+        names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+    },
+    {
+        name: 'dayOfWeek',
+        min: 0,
+        max: 7,
+        names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+    }
+];
+
+/**
+ * Shortcuts of often used expressions
+ * @type {Object}
+ * @private
+ */
+var aliases = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+/**
+ * Max number of years to search for the next run
+ * @type {Number}
+ * @private
+ */
+var SEARCH_YEARS = 8;
+
+/**
+ * Minute in ms
+ * @type {Number}
+ * @private
+ */
+var MINUTE = 60 * 1000;
+
+/**
+ * Cron expression with five fields: minute, hour, day of month, month and day of week.
+ * Fields support lists ("1,15"), ranges ("1-5"), steps ("0-30/10", "5/15") and names of months and days
+ * ("jan", "mon"). Aliases "@yearly", "@monthly", "@weekly", "@daily" and "@hourly" are supported too.
+ * Time is calculated in UTC.
+ *
+ *     @example
+ *     new CronExpression('30 6 * * mon-fri').next(Date.UTC(2016, 0, 1)); // 2016-01-01T06:30:00Z
+ *
+ * @param {String} expression
+ * @constructor
+ */
+var CronExpression = function (expression) {
+    var parts;
+
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('Cron expression should be a non-empty string');
+    }
+
+    this.expression = expression.trim();
+    parts = (aliases[this.expression.toLowerCase()] || this.expression).split(/\s+/);
+
+    if (parts.length !== fields.length) {
+        throw new Error('Cron expression "' + expression + '" should have ' + fields.length + ' fields');
+    }
+
+    fields.forEach(function (field, index) {
+        this[field.name] = this.parseField(parts[index], field);
+    }, this);
+
+    // day of week can be set as 0 or 7 for Sunday
+    if (this.dayOfWeek[7]) {
+        this.dayOfWeek[0] = true;
+    }
+
+    // like in cron, fields which start with "*" are not treated as restrictions of day
+    this.anyDayOfMonth = parts[2].charAt(0) === '*';
+    this.anyDayOfWeek = parts[4].charAt(0) === '*';
+};
+
+CronExpression.prototype = {
+
+    /**
+     * Source expression
+     * @type {String}
+     */
+    expression: null,
+
+    /**
+     * Allowed minutes
+     * @type {Array}
+     * @private
+     */
+    minute: null,
+
+    /**
+     * Allowed hours
+     * @type {Array}
+     * @private
+     */
+    hour: null,
+
+    /**
+     * Allowed days of month
+     * @type {Array}
+     * @private
+     */
+    dayOfMonth: null,
+
+    /**
+     * Allowed months
+     * @type {Array}
+     * @private
+     */
+    month: null,
+
+    /**
+     * Allowed days of week
+     * @type {Array}
+     * @private
+     */
+    dayOfWeek: null,
+
+    /**
+     * Day of month is not restricted
+     * @type {Boolean}
+     * @private
+     */
+    anyDayOfMonth: true,
+
+    /**
+     * Day of week is not restricted
+     * @type {Boolean}
+     * @private
+     */
+    anyDayOfWeek: true,
+
+    /**
+     * Get source expression
+     * @returns {String}
+     */
+    getExpression: function () {
+        return this.expression;
+    },
+
+    /**
+     * Get time of the next run after passed time
+     * @param {Date|Number} [from] Current time by default
+     * @returns {Number} Timestamp in ms
+     * @throws {Error} If expression does not match any date
+     */
+    next: function (from) {
+        var start = from === undefined ? Date.now() : +from;
+        var date;
+        var lastYear;
+
+        if (isNaN(start)) {
+            throw new Error('Time to calculate the next run should be a valid date');
+        }
+
+        date = new Date(Math.floor(start / MINUTE) * MINUTE + MINUTE);
+        lastYear = date.getUTCFullYear() + SEARCH_YEARS;
+
+        while (date.getUTCFullYear() <= lastYear) {
+            if (!this.month[date.getUTCMonth() + 1]) {
+                date = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+            } else if (!this.matchDay(date)) {
+                date = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+            } else if (!this.hour[date.getUTCHours()]) {
+                date = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours() + 1));
+            } else if (!this.minute[date.getUTCMinutes()]) {
+                date = new Date(date.getTime() + MINUTE);
+            } else {
+                return date.getTime();
+            }
+        }
+
+        throw new Error('Cron expression "' + this.expression + '" does not match any date');
+    },
+
+    /**
+     * Check if day matches expression. Like in cron, if both day of month and day of week are restricted
+     * then day should match any of them
+     * @param {Date} date
+     * @returns {Boolean}
+     * @private
+     */
+    matchDay: function (date) {
+        var dayOfMonth = !!this.dayOfMonth[date.getUTCDate()];
+        var dayOfWeek = !!this.dayOfWeek[date.getUTCDay()];
+
+        if (!this.anyDayOfMonth && !this.anyDayOfWeek) {
+            return dayOfMonth || dayOfWeek;
+        }
+
+        return dayOfMonth && dayOfWeek;
+    },
+
+    /**
+     * Parse field of expression to list of flags of allowed values
+     * @param {String} text
+     * @param {Object} field
+     * @returns {Array}
+     * @private
+     */
+    parseField: function (text, field) {
+        var allowed = [];
+        var self = this;
+
+        text.split(',').forEach(function (part) {
+            var match = (/^([^\/]+)(?:\/(\d+))?$/).exec(part);
+            var step;
+            var range;
+            var from;
+            var to;
+            var value;
+
+            if (!match) {
+                throw self.createFieldError(part, field);
+            }
+
+            step = match[2] === undefined ? 1 : parseInt(match[2], 10);
+            if (!step) {
+                throw self.createFieldError(part, field);
+            }
+
+            if (match[1] === '*') {
+                from = field.min;
+                to = field.max;
+            } else {
+                range = match[1].split('-');
+                if (range.length > 2) {
+                    throw self.createFieldError(part, field);
+                }
+                from = self.parseValue(range[0], field);
+                // "5/10" means every 10th value starting from 5
+                if (range.length === 2) {
+                    to = self.parseValue(range[1], field);
+                } else if (match[2] === undefined) {
+                    to = from;
+                } else {
+                    to = field.max;
+                }
+            }
+
+            if (from > to) {
+                throw self.createFieldError(part, field);
+            }
+
+            for (value = from; value <= to; value += step) {
+                allowed[value] = true;
+            }
+        });
+
+        return allowed;
+    },
+
+    /**
+     * Parse single value of field
+     * @param {String} text Number or name
+     * @param {Object} field
+     * @returns {Number}
+     * @private
+     */
+    parseValue: function (text, field) {
+        var value;
+        var index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+
+        if (index !== -1) {
+            return field.name === 'month' ? index + 1 : index;
+        }
+
+        if (!(/^\d+$/).test(text)) {
+            throw this.createFieldError(text, field);
+        }
+
+        value = parseInt(text, 10);
+        if (value < field.min || value > field.max) {
+            throw this.createFieldError(text, field);
+        }
+
+        return value;
+    },
+
+    /**
+     * Create error of wrong field
+     * @param {String} text
+     * @param {Object} field
+     * @returns {Error}
+     * @private
+     */
+    createFieldError: function (text, field) {
+        return new Error('Cron expression "' + this.expression + '" has wrong ' + field.name + ' "' + text + '"');
+    }
+};
+
+module.exports = CronExpression;
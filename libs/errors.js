@@ -0,0 +1,205 @@
+'use strict';
+
+var util = require('util');
+
+/**
+ * Hide secrets (application key, scheduler token) in url
+ * @param {String} url
+ * @returns {String|null}
+ * @private
+ */
+function redactUrl (url) {
+    if (typeof url !== 'string') {
+        return null;
+    }
+    return url.replace(/([?&](?:app_key|token)=)[^&]*/g, '$1[REDACTED]');
+}
+
+/**
+ * Error of failed API request
+ * @param {String} message
+ * @param {Object} [details]
+ *
+ *     @example
+ *     {
+ *         "statusCode": 404,
+ *         "method": "GET",
+ *         "url": "string",
+ *         "body": {},
+ *         "requestId": "string"
+ *     }
+ *
+ * @constructor
+ */
+var InnoApiError = function (message, details) {
+    details = details || {};
+
+    Error.call(this);
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    }
+
+    this.message = message;
+    this.statusCode = details.statusCode || null;
+    this.method = details.method || null;
+    this.url = redactUrl(details.url);
+    this.body = details.body === undefined ? null : details.body;
+    this.requestId = details.requestId || null;
+};
+
+util.inherits(InnoApiError, Error);
+
+InnoApiError.prototype.name = 'InnoApiError';
+
+/**
+ * Create error class inherited from parent one
+ * @param {String} name
+ * @param {Function} Parent
+ * @returns {Function}
+ * @private
+ */
+function createErrorClass (name, Parent) {
+    var ErrorClass = function () {
+        Parent.apply(this, arguments);
+    };
+
+    util.inherits(ErrorClass, Parent);
+    ErrorClass.prototype.name = name;
+
+    return ErrorClass;
+}
+
+/**
+ * Requested entity does not exist (status code 404)
+ * @constructor
+ */
+var NotFoundError = createErrorClass('NotFoundError', InnoApiError);
+
+/**
+ * Application key is wrong or has no access (status codes 401 and 403)
+ * @constructor
+ */
+var AuthError = createErrorClass('AuthError', InnoApiError);
+
+/**
+ * Request was rejected as invalid (status codes 400 and 422)
+ * @constructor
+ */
+var ValidationError = createErrorClass('ValidationError', InnoApiError);
+
+/**
+ * Too many requests (status code 429)
+ * @param {String} message
+ * @param {Object} [details] Also can contain "retryAfter" (value of Retry-After header)
+ * @constructor
+ */
+var RateLimitError = function (message, details) {
+    InnoApiError.apply(this, arguments);
+    this.retryAfter = details && details.retryAfter !== undefined ? details.retryAfter : null;
+};
+
+util.inherits(RateLimitError, InnoApiError);
+
+RateLimitError.prototype.name = 'RateLimitError';
+
+/**
+ * Request was not completed because of network failure
+ * @param {String} message
+ * @param {Object} [details] Also can contain "cause" (original error)
+ * @constructor
+ */
+var NetworkError = function (message, details) {
+    InnoApiError.apply(this, arguments);
+    this.cause = details && details.cause || null;
+    this.code = this.cause && this.cause.code || null;
+};
+
+util.inherits(NetworkError, InnoApiError);
+
+NetworkError.prototype.name = 'NetworkError';
+
+/**
+ * Profile was changed by someone else since it was loaded (status codes 409 and 412)
+ * @param {String} message
+ * @param {Object} [details] Also can contain "expected" and "actual" versions and "remoteProfile"
+ * @constructor
+ */
+var ConflictError = function (message, details) {
+    InnoApiError.apply(this, arguments);
+    details = details || {};
+    this.expected = details.expected || null;
+    this.actual = details.actual || null;
+    this.remoteProfile = details.remoteProfile || null;
+};
+
+util.inherits(ConflictError, InnoApiError);
+
+ConflictError.prototype.name = 'ConflictError';
+
+/**
+ * Response was not received in time
+ * @constructor
+ */
+var TimeoutError = createErrorClass('TimeoutError', NetworkError);
+
+/**
+ * Request was cancelled by AbortSignal
+ * @constructor
+ */
+var AbortError = createErrorClass('AbortError', InnoApiError);
+
+/**
+ * Map of status codes to error classes
+ * @type {Object}
+ * @private
+ */
+var classesByStatusCode = {
+    400: ValidationError,
+    401: AuthError,
+    403: AuthError,
+    404: NotFoundError,
+    409: ConflictError,
+    412: ConflictError,
+    422: ValidationError,
+    429: RateLimitError
+};
+
+/**
+ * Create error which corresponds to status code of response.
+ * ConflictError receives actual ETag of profile from response headers or version of profile from body
+ * @param {Object} response
+ * @param {Object} [request] Contains "method" and "url" of request
+ * @returns {InnoApiError}
+ */
+InnoApiError.fromResponse = function (response, request) {
+    var ErrorClass = classesByStatusCode[response.statusCode] || InnoApiError;
+    var headers = response.headers || {};
+    var body = response.body;
+    var message = body && body.message || 'Server failed with status code ' + response.statusCode;
+    var profile = body && typeof body.profile === 'object' ? body.profile : null;
+
+    request = request || {};
+
+    return new ErrorClass(message, {
+        statusCode: response.statusCode,
+        method: request.method,
+        url: request.url,
+        body: body,
+        requestId: headers['x-request-id'],
+        retryAfter: headers['retry-after'],
+        // actual ETag (or version) of conflicting profile
+        actual: headers.etag || profile && profile.version
+    });
+};
+
+module.exports = {
+    InnoApiError: InnoApiError,
+    NotFoundError: NotFoundError,
+    AuthError: AuthError,
+    ValidationError: ValidationError,
+    RateLimitError: RateLimitError,
+    ConflictError: ConflictError,
+    NetworkError: NetworkError,
+    TimeoutError: TimeoutError,
+    AbortError: AbortError
+};
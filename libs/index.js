@@ -1,12 +1,71 @@
 'use strict';
 
-var request = require('request');
+var RequestTransport = require('./transport/request');
 var Profile = require('./profile');
 var Segment = require('./segment');
+var Meta = require('./meta');
+var Task = require('./task');
+var TaskHandler = require('./task-handler');
+var readBody = require('./request-body');
+var callAsync = require('./call-async');
+var clone = require('./clone');
 var Cache = require('./cache');
 var util = require('util');
 var querystring = require('querystring');
 var validator = require('./validator/index');
+var errors = require('./errors');
+var iql = require('./iql/index');
+
+var slice = Array.prototype.slice;
+
+/**
+ * Run async iterator for every item, but not more than "limit" at once
+ * @param {Array} items
+ * @param {Number} limit
+ * @param {Function} iterator Receives item, its index and "done" function which should be called with result
+ * @param {Function} callback Receives array of results in the same order as items
+ * @private
+ */
+function mapLimit (items, limit, iterator, callback) {
+    var results = [];
+    var next = 0;
+    var running = 0;
+    var completed = 0;
+    var filling = false;
+
+    function fill () {
+        // prevents deep recursion if iterator calls "done" synchronously
+        if (filling) {
+            return;
+        }
+        filling = true;
+        while (running < limit && next < items.length) {
+            start(next++);
+        }
+        filling = false;
+    }
+
+    function start (index) {
+        running++;
+        iterator(items[index], index, function (result) {
+            results[index] = result;
+            running--;
+            completed++;
+
+            if (completed === items.length) {
+                return callback(results);
+            }
+            fill();
+        });
+    }
+
+    if (!items.length) {
+        callback(results);
+        return;
+    }
+
+    fill();
+}
 
 /**
  *
@@ -22,15 +81,42 @@ var InnoHelper = function (config) {
     this.appName = config.appName;
     this.appKey = config.appKey;
     this.schedulerApiHost = config.schedulerApiHost;
+    this.taskSecret = config.taskSecret || null;
+    this.transport = config.transport || new RequestTransport();
+
+    this.conflictCheck = !!config.conflictCheck;
+
+    if (config.timeout !== undefined) {
+        this.timeout = config.timeout;
+    }
+
+    if (config.profileCacheTime !== undefined) {
+        this.profileCacheTime = config.profileCacheTime;
+    }
+
+    if (config.staleWhileRevalidate !== undefined) {
+        this.staleWhileRevalidate = config.staleWhileRevalidate;
+    }
+
+    if (config.coalesceRequests !== undefined) {
+        this.coalesceRequests = !!config.coalesceRequests;
+    }
+
+    this.pendingRequests = {};
+    this.pendingLoads = {};
+
+    if (config.retry) {
+        this.retry = util._extend(util._extend({}, this.defaultRetryPolicy), config.retry);
+    }
 
     if (config.noCache !== undefined) {
         this.noCache = !!config.noCache;
     }
 
     if (this.isCacheAllowed()) {
-        this.cache = new Cache({
-            cachedTime: 600
-        });
+        this.cache = config.cache || new Cache(util._extend({
+            cachedTime: this.settingsCacheTime
+        }, this.defaultCacheConfig));
     }
 };
 
@@ -79,17 +165,120 @@ InnoHelper.prototype = {
     noCache: false,
 
     /**
-     * Cache object
+     * TTL of cached profiles in seconds, 0 - profiles are not cached
+     * @type {Number}
+     */
+    profileCacheTime: 0,
+
+    /**
+     * TTL of cached application settings and list of segments in seconds
+     * @type {Number}
+     */
+    settingsCacheTime: 600,
+
+    /**
+     * Time in seconds during which expired cached value is still returned while it's refreshed in background,
+     * 0 - expired values are not returned
+     * @type {Number}
+     */
+    staleWhileRevalidate: 0,
+
+    /**
+     * Join identical GET requests which are sent at the same time.
+     * Requests with own timeout, retry policy or AbortSignal (see {@link InnoHelper#sendRequest}) are not joined
+     * @type {Boolean}
+     */
+    coalesceRequests: true,
+
+    /**
+     * Callbacks of GET requests which are in progress, by urls
+     * @type {Object}
+     * @private
+     */
+    pendingRequests: null,
+
+    /**
+     * Loads of cached values which are in progress, by keys of cache records
+     * @type {Object}
+     * @private
+     */
+    pendingLoads: null,
+
+    /**
+     * Cache object, should have methods "get", "set", "del" and "clear" (see {@link Cache})
      * @type {Object}
      */
     cache: null,
 
+    /**
+     * Limits of cache which is created if cache is not passed in config.
+     * Periodic sweeping is off: expired records are removed on access or evicted by "maxEntries" limit,
+     * so helpers which are created per request don't leave timers behind
+     * @type {Object}
+     * @private
+     */
+    defaultCacheConfig: {
+        maxEntries: 1000
+    },
+
     /**
      * Scheduler API host
      * @type {String}
      */
     schedulerApiHost: null,
 
+    /**
+     * Secret which is added to calls of tasks and is checked by task handler (see {@link TaskHandler})
+     * @type {String}
+     */
+    taskSecret: null,
+
+    /**
+     * HTTP transport
+     * @type {Object}
+     */
+    transport: null,
+
+    /**
+     * Timeout (in ms) of single request attempt, 0 means no timeout
+     * @type {Number}
+     */
+    timeout: 0,
+
+    /**
+     * Check conflicts while profile is saved
+     * @type {Boolean}
+     */
+    conflictCheck: false,
+
+    /**
+     * Default max number of parallel requests in batch operations
+     * @type {Number}
+     * @private
+     */
+    defaultConcurrency: 5,
+
+    /**
+     * Retry policy, requests are not repeated if it is not set
+     * @type {Object}
+     */
+    retry: null,
+
+    /**
+     * Default values of retry policy
+     * @type {Object}
+     * @private
+     */
+    defaultRetryPolicy: {
+        maxAttempts: 3,
+        baseDelay: 100,
+        maxDelay: 10000,
+        jitter: 0.2,
+        statusCodes: [429, 500, 502, 503, 504],
+        methods: ['GET', 'PUT', 'DELETE'],
+        onRetry: null
+    },
+
     /**
      * Get Scheduler Api url
      * @returns {String}
@@ -100,23 +289,37 @@ InnoHelper.prototype = {
 
     /**
      * Build Url for API request to scheduler
+     * @param {Object} [params]
+     *
+     *     @example
+     *     {
+     *         "taskId": "string", // url of certain task, id is encoded
+     *         "getTasksAsString": false, // url of list of tasks
+     *         "query": {} // additional query parameters
+     *     }
+     *
      * @returns {String}
      * @protected
      */
     getSchedulerApiUrl: function (params) {
         var optional = '';
+        var query = '';
         if (params) {
             if (params.taskId) {
-                optional = '/' + params.taskId;
+                optional = '/' + encodeURIComponent(params.taskId);
             } else if (params.getTasksAsString) {
                 optional = '/tasks';
             }
+            if (params.query && Object.keys(params.query).length) {
+                query = '&' + querystring.stringify(params.query);
+            }
         }
-        return util.format('%s/scheduler/%s%s?token=%s',
+        return util.format('%s/scheduler/%s%s?token=%s%s',
             this.getSchedulerApiHost(),
             this.getSchedulerId(),
             optional,
-            this.getSchedulerToken());
+            this.getSchedulerToken(),
+            query);
     },
 
     /**
@@ -137,55 +340,69 @@ InnoHelper.prototype = {
 
     /**
      * Get application tasks
-     * @param {Function} callback
+     * @param {Object} [options] Request options
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
      */
-    getTasks: function (callback) {
+    getTasks: function (options, callback) {
         var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
         var opts = {
-            url: this.getSchedulerApiUrl(),
-            json: true
+            method: 'GET',
+            url: this.getSchedulerApiUrl()
         };
 
-        request.get(opts, function (error, response) {
-            error = self.checkErrors(error, response, 200);
-
-            if (typeof callback === 'function') {
+        return this.callbackOrPromise(callback, function (done) {
+            self.sendRequest(opts, options, function (error, response) {
                 if (error) {
-                    return callback(error);
+                    return done(error);
                 }
-                return callback(null, response.body);
-            }
+                return done(null, response.body);
+            });
         });
     },
 
     /**
      * Get list of application tasks
-     * @param {Function} callback
+     * @param {Object} [options] Request options
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
      */
-    getListTasks: function (callback) {
+    getListTasks: function (options, callback) {
         var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
         var opts = {
+            method: 'GET',
             url: this.getSchedulerApiUrl({
                 getTasksAsString: true
-            }),
-            json: true
+            })
         };
 
-        request.get(opts, function (error, response) {
-            error = self.checkErrors(error, response, 200);
-
-            if (typeof callback === 'function') {
+        return this.callbackOrPromise(callback, function (done) {
+            self.sendRequest(opts, options, function (error, response) {
                 if (error) {
-                    return callback(error);
+                    return done(error);
                 }
-                return callback(null, response.body);
-            }
+                return done(null, response.body);
+            });
         });
     },
 
     /**
      * Add application task
-     * @param {Object} params
+     * @param {Task|Object} params Task or its data
      *
      *     @example
      *     {
@@ -198,39 +415,47 @@ InnoHelper.prototype = {
      *         "delay": 0
      *     }
      *
-     * @param {Function} callback
+     * @param {Object} [options] Request options
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
      */
-    addTask: function (params, callback) {
+    addTask: function (params, options, callback) {
         var self = this;
-        var timestampExists = params.hasOwnProperty('timestamp'),
-            delayExists = params.hasOwnProperty('delay');
 
-        if (!timestampExists && !delayExists) {
-            return callback(new Error('Either use timestamp or delay'));
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
         }
+        options = options || {};
 
-        if (timestampExists && delayExists) {
-            return callback(new Error('You should use only one field: timestamp or delay'));
-        }
+        return this.callbackOrPromise(callback, function (done) {
+            if (!params || typeof params !== 'object') {
+                return done(new Error('Task data should be an object'));
+            }
 
-        var opts = {
-            url: this.getSchedulerApiUrl(),
-            body: params,
-            json: true
-        };
+            var data = self.serializeTask(params);
+            var timestampExists = data.hasOwnProperty('timestamp'),
+                delayExists = data.hasOwnProperty('delay');
 
-        request.post(opts, function (error, response) {
-            if (response) {
-                response.body = response.body || 'no body';
+            if (!timestampExists && !delayExists) {
+                return done(new Error('Either use timestamp or delay'));
             }
-            error = self.checkErrors(error, response, 201);
 
-            if (typeof callback === 'function') {
-                if (error) {
-                    return callback(error);
-                }
-                return callback(null);
+            if (timestampExists && delayExists) {
+                return done(new Error('You should use only one field: timestamp or delay'));
             }
+
+            var opts = {
+                method: 'POST',
+                url: self.getSchedulerApiUrl(),
+                body: data,
+                successCode: 201,
+                allowEmptyBody: true
+            };
+
+            self.sendRequest(opts, options, function (error) {
+                done(error);
+            });
         });
     },
 
@@ -243,744 +468,2841 @@ InnoHelper.prototype = {
      *         "taskId": "string", // required
      *     }
      *
-     * @param {Function} callback
+     * @param {Object} [options] Request options
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
      */
-    deleteTask: function (params, callback) {
+    deleteTask: function (params, options, callback) {
         var self = this;
-        if (!params.hasOwnProperty('taskId')) {
-            return callback(new Error('Parameter "taskId" required'));
-        }
 
-        var opts = {
-            url: this.getSchedulerApiUrl(params),
-            json: true
-        };
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
 
-        request.del(opts, function (error, response) {
-            if (response) {
-                response.body = response.body || 'no body';
+        return this.callbackOrPromise(callback, function (done) {
+            if (!params.hasOwnProperty('taskId')) {
+                return done(new Error('Parameter "taskId" required'));
             }
-            error = self.checkErrors(error, response, 204);
 
-            if (typeof callback === 'function') {
-                if (error) {
-                    return callback(error);
-                }
-                return callback(null);
-            }
+            var opts = {
+                method: 'DELETE',
+                url: self.getSchedulerApiUrl(params),
+                successCode: 204,
+                allowEmptyBody: true
+            };
+
+            self.sendRequest(opts, options, function (error) {
+                done(error);
+            });
         });
     },
 
     /**
-     * Build Url for API request to work with certain Profile
-     * @param {String} profileId
-     * @returns {String}
-     * @protected
+     * Get application task
+     * @param {String} taskId
+     * @param {Object} [options] Request options
+     * @param {Function} [callback] Receives {@link Task}
+     * @returns {Promise|undefined} Promise if callback is not passed
      */
-    getProfileUrl: function (profileId) {
-        return util.format('%s/v1/companies/%s/buckets/%s/profiles/%s?app_key=%s',
-            this.getApiHost(),
-            this.getCompany(),
-            this.getBucket(),
-            profileId,
-            this.getAppKey());
-    },
+    getTask: function (taskId, options, callback) {
+        var self = this;
 
-    /**
-     * Build Url for API request to work with application settings
-     * @returns {String}
-     * @protected
-     */
-    getAppSettingsUrl: function () {
-        return util.format('%s/v1/companies/%s/buckets/%s/apps/%s/custom?app_key=%s',
-            this.getApiHost(),
-            this.getCompany(),
-            this.getBucket(),
-            this.getCollectApp(),
-            this.getAppKey());
-    },
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
 
-    /**
-     * Build Url for API request to work with segments
-     * @returns {String}
-     * @protected
-     */
-    getSegmentsUrl: function () {
-        return util.format('%s/v1/companies/%s/buckets/%s/segments?app_key=%s',
-            this.getApiHost(),
-            this.getCompany(),
-            this.getBucket(),
-            this.getAppKey());
-    },
+        return this.callbackOrPromise(callback, function (done) {
+            if (!taskId) {
+                return done(new Error('Parameter "taskId" required'), null);
+            }
 
-    /**
-     * Build Url for API request to work with segments
-     * @param {Object} params
-     * @returns {String}
-     */
-    getSegmentEvaluationUrl: function (params) {
-        var typeSegmentEvaluation = params.typeSegmentEvaluation;
-        delete params.typeSegmentEvaluation;
+            var opts = {
+                method: 'GET',
+                url: self.getSchedulerApiUrl({
+                    taskId: taskId
+                })
+            };
 
-        return util.format('%s/companies/%s/buckets/%s/%s?app_key=%s&%s',
-            this.getEvaluationApiHost(),
-            this.getCompany(),
-            this.getBucket(),
-            typeSegmentEvaluation,
-            this.getAppKey(),
-            querystring.stringify(params));
-    },
+            self.sendCoalescedRequest(opts, options, function (error, response) {
+                var task = null;
 
-    /**
-     * Get application name
-     * @returns {String}
-     */
-    getCollectApp: function () {
-        return this.appName;
-    },
+                if (!error) {
+                    try {
+                        task = self.createTaskFromData(response.body);
+                    } catch (e) {
+                        error = e;
+                    }
+                }
 
-    /**
-     * Get bucket name
-     * @returns {String}
-     */
-    getBucket: function () {
-        return this.bucketName;
+                done(error, task);
+            });
+        });
     },
 
     /**
-     * Get company id
-     * @returns {Number|String}
+     * Get application tasks as {@link Task} objects. Tasks can be filtered and paginated:
+     *
+     *     @example
+     *     {
+     *         "endpoint": "string", // or RegExp, tasks which call certain endpoint
+     *         "from": 1449742185000, // tasks which run not earlier than this time (ms or Date)
+     *         "to": 1449742185000, // tasks which run not later than this time (ms or Date)
+     *         "offset": 0,
+     *         "limit": 0 // 0 - all tasks
+     *     }
+     *
+     * Tasks which are scheduled by delay are not matched by time range.
+     * Result contains found tasks, total number of tasks which match filter and data of tasks
+     * which can not be parsed to {@link Task} with error of parsing:
+     *
+     *     @example
+     *     {
+     *         "tasks": [],
+     *         "total": 0,
+     *         "offset": 0,
+     *         "limit": 0,
+     *         "invalid": [{"data": {}, "error": Error}]
+     *     }
+     *
+     * @param {Object} [query]
+     * @param {Object} [options] Request options
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
      */
-    getCompany: function () {
-        return this.groupId;
-    },
+    findTasks: function (query, options, callback) {
+        var self = this;
 
-    /**
-     * Get application key
-     * @returns {String}
-     */
-    getAppKey: function () {
-        return this.appKey;
+        if (typeof query === 'function') {
+            callback = query;
+            query = null;
+            options = null;
+        }
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        query = query || {};
+        options = options || {};
+
+        return this.callbackOrPromise(callback, function (done) {
+            var offset = +query.offset || 0;
+            var limit = +query.limit || 0;
+
+            if (offset < 0 || limit < 0) {
+                return done(new Error('Parameters "offset" and "limit" should be non-negative numbers'), null);
+            }
+
+            self.getListTasks(options, function (error, data) {
+                var invalid = [];
+                var tasks;
+
+                if (error) {
+                    return done(error, null);
+                }
+
+                tasks = (util.isArray(data) ? data : []).reduce(function (result, taskData) {
+                    try {
+                        result.push(self.createTaskFromData(taskData));
+                    } catch (e) {
+                        invalid.push({
+                            data: taskData,
+                            error: e
+                        });
+                    }
+                    return result;
+                }, []).filter(function (task) {
+                    return self.matchTask(task, query);
+                });
+
+                done(null, {
+                    tasks: tasks.slice(offset, limit ? offset + limit : tasks.length),
+                    total: tasks.length,
+                    offset: offset,
+                    limit: limit,
+                    invalid: invalid
+                });
+            });
+        });
     },
 
     /**
-     * Get Api url
-     * @returns {String}
+     * Check if task matches filter of {@link InnoHelper#findTasks}
+     * @param {Task} task
+     * @param {Object} query
+     * @returns {Boolean}
+     * @private
      */
-    getApiHost: function () {
-        return this.apiUrl;
+    matchTask: function (task, query) {
+        var endpoint = query.endpoint;
+        var timestamp = task.getTimestamp();
+
+        if (endpoint instanceof RegExp && !endpoint.test(task.getEndpoint())) {
+            return false;
+        }
+        if (typeof endpoint === 'string' && endpoint !== task.getEndpoint()) {
+            return false;
+        }
+
+        if (query.from === undefined && query.to === undefined) {
+            return true;
+        }
+
+        return timestamp !== null &&
+            (query.from === undefined || timestamp >= +query.from) &&
+            (query.to === undefined || timestamp <= +query.to);
     },
 
     /**
-     * Get evaluation Api url
-     * @returns {String}
+     * Update application task
+     * @param {Task} task
+     * @param {Object} [options] Request options
+     * @param {Function} [callback] Receives updated {@link Task}
+     * @returns {Promise|undefined} Promise if callback is not passed
      */
-    getEvaluationApiHost: function () {
-        return this.evaluationApiUrl;
-    },
+    updateTask: function (task, options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return this.callbackOrPromise(callback, function (done) {
+            if (!(task instanceof Task)) {
+                return done(new Error('Argument "task" should be a Task instance'), null);
+            }
+
+            var opts = {
+                method: 'PUT',
+                url: self.getSchedulerApiUrl({
+                    taskId: task.getId()
+                }),
+                body: self.serializeTask(task),
+                successCode: [200, 204],
+                allowEmptyBody: true
+            };
+
+            self.sendRequest(opts, options, function (error, response) {
+                var updated = task;
+
+                if (!error && response.body && typeof response.body === 'object' && response.body.endpoint) {
+                    try {
+                        updated = self.createTaskFromData(response.body);
+                    } catch (e) {
+                        error = e;
+                    }
+                }
+
+                done(error, error ? null : updated);
+            });
+        });
+    },
+
+    /**
+     * Change time of application task
+     * @param {Task|String} task Task or its id, task is loaded if id is passed. Passed task is changed
+     * @param {Object} time
+     *
+     *     @example
+     *     {
+     *         "timestamp": 1449742185000, // or Date
+     *         "delay": 0 // can not be used with timestamp
+     *     }
+     *
+     * @param {Object} [options] Request options
+     * @param {Function} [callback] Receives updated {@link Task}
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    rescheduleTask: function (task, time, options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        function reschedule (task, done) {
+            try {
+                if (time.timestamp !== undefined) {
+                    task.setTimestamp(time.timestamp);
+                } else {
+                    task.setDelay(time.delay);
+                }
+            } catch (e) {
+                return done(e, null);
+            }
+
+            self.updateTask(task, options, done);
+        }
+
+        return this.callbackOrPromise(callback, function (done) {
+            if (!time || typeof time !== 'object' || time.timestamp === undefined && time.delay === undefined) {
+                return done(new Error('Either use timestamp or delay'), null);
+            }
+
+            if (time.timestamp !== undefined && time.delay !== undefined) {
+                return done(new Error('You should use only one field: timestamp or delay'), null);
+            }
+
+            if (task instanceof Task) {
+                return reschedule(task, done);
+            }
+
+            self.getTask(task, options, function (error, loadedTask) {
+                if (error) {
+                    return done(error, null);
+                }
+                reschedule(loadedTask, done);
+            });
+        });
+    },
+
+    /**
+     * Delete several application tasks, not more than "concurrency" requests at once.
+     * Result contains item for every task in the same order:
+     *
+     *     @example
+     *     {
+     *         "id": "string",
+     *         "error": null // or Error if task was not deleted
+     *     }
+     *
+     * @param {Array} taskIds
+     * @param {Object} [options] Request options
+     * @param {Number} [options.concurrency=5] Max number of parallel requests
+     * @param {Function} [options.onProgress] Called after every deleted task with object {completed, total, result}
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    deleteTasks: function (taskIds, options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return this.callbackOrPromise(callback, function (done) {
+            if (!Array.isArray(taskIds)) {
+                return done(new Error('Argument "taskIds" should be an array'), null);
+            }
+
+            self.processBatch(taskIds, options, function (taskId, next) {
+                self.deleteTask({
+                    taskId: taskId
+                }, options, function (error) {
+                    next({
+                        id: taskId,
+                        error: error || null
+                    });
+                });
+            }, done);
+        });
+    },
+
+    /**
+     * Delete all application tasks
+     * @param {Object} [options] Request options
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    deleteAllTasks: function (options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        var opts = {
+            method: 'DELETE',
+            url: this.getSchedulerApiUrl(),
+            successCode: [200, 204],
+            allowEmptyBody: true
+        };
+
+        return this.callbackOrPromise(callback, function (done) {
+            self.sendRequest(opts, options, function (error) {
+                done(error);
+            });
+        });
+    },
+
+    /**
+     * Create handler of calls which are made by scheduler when task is run (see {@link TaskHandler}).
+     * Cache of helper is used as idempotency store if other store is not passed and cache has "add" method,
+     * recurring tasks are re-scheduled by helper, calls are checked by secret of tasks
+     * @param {Object} [config] Config of {@link TaskHandler}
+     * @returns {TaskHandler}
+     * @throws {Error} If cache of helper has "add" method but can not add records (see {@link KeyValueCache#canAdd})
+     */
+    createTaskHandler: function (config) {
+        config = util._extend({}, config);
+
+        if (config.helper === undefined) {
+            config.helper = this;
+        }
+
+        if (config.secret === undefined && this.taskSecret) {
+            config.secret = this.taskSecret;
+        }
+
+        if (config.store === undefined && this.isCacheAllowed() && typeof this.cache.add === 'function') {
+            if (typeof this.cache.canAdd === 'function' && !this.cache.canAdd()) {
+                throw new Error('Cache of helper can not add records atomically, pass "store" in config of task handler');
+            }
+            config.store = this.cache;
+            if (config.keyPrefix === undefined) {
+                config.keyPrefix = this.getCacheKey('task') + ':';
+            }
+        }
+
+        return new TaskHandler(config);
+    },
+
+    /**
+     * Get data of task for Scheduler API with secret of tasks in headers
+     * @param {Task|Object} task
+     * @returns {Object}
+     * @private
+     */
+    serializeTask: function (task) {
+        var data = task instanceof Task ? task.serialize() : task;
+
+        if (!this.taskSecret || !data || typeof data !== 'object') {
+            return data;
+        }
+
+        data = util._extend({}, data);
+        data.headers = util._extend({}, data.headers);
+        data.headers[Task.headers.secret] = this.taskSecret;
+        return data;
+    },
+
+    /**
+     * Create task from data of Scheduler API
+     * @param {Object} data
+     * @returns {Task}
+     * @private
+     */
+    createTaskFromData: function (data) {
+        var config = {};
+        var strippedNames = [Task.headers.id, Task.headers.timestamp, Task.headers.secret].map(function (name) {
+            return name.toLowerCase();
+        });
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('Task data should be an object');
+        }
+
+        if (data.task && typeof data.task === 'object') {
+            data = data.task;
+        }
+
+        // Scheduler API can return empty fields as null
+        Object.keys(data).forEach(function (key) {
+            if (data[key] !== null) {
+                config[key] = data[key];
+            }
+        });
+
+        // time of delayed task is already calculated by scheduler
+        if (config.timestamp !== undefined) {
+            delete config.delay;
+        }
+
+        // secret of tasks is not exposed, id and time are kept in fields of task;
+        // type, run id and cron expression are restored from headers
+        if (config.headers && typeof config.headers === 'object') {
+            config.headers = util._extend({}, config.headers);
+            Object.keys(config.headers).forEach(function (name) {
+                if (strippedNames.indexOf(name.toLowerCase()) !== -1) {
+                    delete config.headers[name];
+                }
+            });
+        }
+
+        return new Task(config);
+    },
+
+    /**
+     * Build Url for API request to work with certain Profile
+     * @param {String} profileId
+     * @returns {String}
+     * @protected
+     */
+    getProfileUrl: function (profileId) {
+        return util.format('%s/v1/companies/%s/buckets/%s/profiles/%s?app_key=%s',
+            this.getApiHost(),
+            this.getCompany(),
+            this.getBucket(),
+            profileId,
+            this.getAppKey());
+    },
+
+    /**
+     * Build Url for API request to work with application settings
+     * @returns {String}
+     * @protected
+     */
+    getAppSettingsUrl: function () {
+        return util.format('%s/v1/companies/%s/buckets/%s/apps/%s/custom?app_key=%s',
+            this.getApiHost(),
+            this.getCompany(),
+            this.getBucket(),
+            this.getCollectApp(),
+            this.getAppKey());
+    },
+
+    /**
+     * Build Url for API request to work with segments
+     * @param {String} [segmentId] Id of certain segment
+     * @returns {String}
+     * @protected
+     */
+    getSegmentsUrl: function (segmentId) {
+        return util.format('%s/v1/companies/%s/buckets/%s/segments%s?app_key=%s',
+            this.getApiHost(),
+            this.getCompany(),
+            this.getBucket(),
+            segmentId ? '/' + encodeURIComponent(segmentId) : '',
+            this.getAppKey());
+    },
+
+    /**
+     * Build Url for API request to work with segments
+     * @param {Object} params
+     * @returns {String}
+     */
+    getSegmentEvaluationUrl: function (params) {
+        var typeSegmentEvaluation = params.typeSegmentEvaluation;
+        delete params.typeSegmentEvaluation;
+
+        return util.format('%s/companies/%s/buckets/%s/%s?app_key=%s&%s',
+            this.getEvaluationApiHost(),
+            this.getCompany(),
+            this.getBucket(),
+            typeSegmentEvaluation,
+            this.getAppKey(),
+            querystring.stringify(params));
+    },
+
+    /**
+     * Get application name
+     * @returns {String}
+     */
+    getCollectApp: function () {
+        return this.appName;
+    },
+
+    /**
+     * Get bucket name
+     * @returns {String}
+     */
+    getBucket: function () {
+        return this.bucketName;
+    },
+
+    /**
+     * Get company id
+     * @returns {Number|String}
+     */
+    getCompany: function () {
+        return this.groupId;
+    },
+
+    /**
+     * Get application key
+     * @returns {String}
+     */
+    getAppKey: function () {
+        return this.appKey;
+    },
+
+    /**
+     * Get Api url
+     * @returns {String}
+     */
+    getApiHost: function () {
+        return this.apiUrl;
+    },
+
+    /**
+     * Get evaluation Api url
+     * @returns {String}
+     */
+    getEvaluationApiHost: function () {
+        return this.evaluationApiUrl;
+    },
+
+    /**
+     * Is cache allowed?
+     * @returns {boolean}
+     */
+    isCacheAllowed: function () {
+        return !this.noCache;
+    },
+
+    /**
+     * Set cache admission
+     * @returns {boolean}
+     */
+    setCacheAllowed: function (value) {
+        this.noCache = !value;
+    },
+
+    /**
+     * Update application settings
+     * @param {Object} settings
+     * @param {Object} [options] Request options
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    setAppSettings: function (settings, options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        var cacheAllowed = this.isCacheAllowed();
+        var opts = {
+            method: 'PUT',
+            url: this.getAppSettingsUrl(),
+            body: settings
+        };
+
+        return this.callbackOrPromise(callback, function (done) {
+            if (!settings) {
+                return done(new Error('Settings not found'), null);
+            }
+
+            self.sendRequest(opts, options, function (error, response) {
+                var settings = null;
+
+                if (!error) {
+                    error = self.validateObject(response.body, 'custom');
+                }
+
+                if (error) {
+                    return done(error, null);
+                }
+
+                settings = response.body.custom;
+                self.dropPendingRequest(opts.url);
+
+                if (!cacheAllowed) {
+                    return done(null, settings);
+                }
+
+                self.invalidateLoading(self.getCacheKey('settings'));
+                self.storeCachedValue(self.getCacheKey('settings'), settings, self.settingsCacheTime, function () {
+                    done(null, settings);
+                });
+            });
+        });
+    },
+
+    /**
+     * Get application settings
+     * @param {Object} [options] Request options
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    getAppSettings: function (options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        var opts = {
+            method: 'GET',
+            url: this.getAppSettingsUrl()
+        };
+        var params = {
+            key: this.isCacheAllowed() ? this.getCacheKey('settings') : null,
+            ttl: this.settingsCacheTime
+        };
+
+        return this.callbackOrPromise(callback, function (done) {
+            self.loadCachedValue(params, function (loaded) {
+                self.sendCoalescedRequest(opts, options, function (error, response) {
+                    if (!error) {
+                        error = self.validateObject(response.body, 'custom');
+                    }
+
+                    loaded(error, error ? null : response.body.custom);
+                });
+            }, function (error, settings) {
+                done(error, error ? null : settings);
+            });
+        });
+    },
+
+    /**
+     * Get segments. List of segments is cached like application settings
+     * @param {Object} [options] Request options
+     * @param {Boolean} [options.forceRefresh] Do not use cached list
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    getSegments: function (options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        var opts = {
+            method: 'GET',
+            url: this.getSegmentsUrl()
+        };
+        var params = {
+            key: this.isCacheAllowed() ? this.getCacheKey('segments') : null,
+            ttl: this.settingsCacheTime,
+            forceRefresh: options.forceRefresh
+        };
+
+        return this.callbackOrPromise(callback, function (done) {
+            self.loadCachedValue(params, function (loaded) {
+                self.sendCoalescedRequest(opts, options, function (error, response) {
+                    var data;
+
+                    if (error) {
+                        return loaded(error, null);
+                    }
+
+                    data = response.body;
+                    loaded(null, util.isArray(data) ? data : []);
+                });
+            }, function (error, data) {
+                var segments = [];
+
+                if (!error) {
+                    data.forEach(function (sgmData) {
+                        var sgmInstance = null;
+                        if (sgmData.hasOwnProperty('segment') && typeof sgmData.segment === 'object') {
+                            try {
+                                sgmInstance = self.createSegmentFromData(sgmData.segment);
+                                segments.push(sgmInstance);
+                            } catch (e) {
+                                console.error(e);
+                            }
+                        }
+                    });
+                }
+
+                done(error, segments);
+            });
+        });
+    },
+
+    /**
+     * Get segment by id
+     * @param {String} segmentId
+     * @param {Object} [options] Request options
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    getSegment: function (segmentId, options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return this.callbackOrPromise(callback, function (done) {
+            if (!segmentId || typeof segmentId !== 'string') {
+                return done(new Error('Parameter "segmentId" should be a non-empty string'), null);
+            }
+
+            var opts = {
+                method: 'GET',
+                url: self.getSegmentsUrl(segmentId)
+            };
+
+            self.sendCoalescedRequest(opts, options, function (error, response) {
+                self.handleSegmentResponse(error, response, done);
+            });
+        });
+    },
+
+    /**
+     * Create segment
+     * @param {Segment|Object} segment Segment or its data, id can be omitted if it's generated by server
+     *
+     *     @example
+     *     {
+     *         "iql": "string", // required
+     *         "name": "string",
+     *         "description": "string",
+     *         "enabled": true
+     *     }
+     *
+     * @param {Object} [options] Request options
+     * @param {Boolean} [options.validateIql] Check syntax of IQL by local parser before request, see {@link Segment#getIqlError}
+     * @param {Function} [callback] Receives created segment
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    createSegment: function (segment, options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return this.callbackOrPromise(callback, function (done) {
+            var data = segment instanceof Segment ? segment.serialize() : segment;
+            var error = self.validateSegmentData(data, options);
+
+            if (error) {
+                return done(error, null);
+            }
+
+            var opts = {
+                method: 'POST',
+                url: self.getSegmentsUrl(),
+                body: data,
+                successCode: [200, 201]
+            };
+
+            self.sendRequest(opts, options, function (error, response) {
+                self.expireCachedSegments(data.id, function () {
+                    self.handleSegmentResponse(error, response, done);
+                });
+            });
+        });
+    },
+
+    /**
+     * Update segment
+     * @param {Segment} segment
+     * @param {Object} [options] Request options
+     * @param {Boolean} [options.validateIql] Check syntax of IQL by local parser before request, see {@link Segment#getIqlError}
+     * @param {Function} [callback] Receives updated segment
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    updateSegment: function (segment, options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return this.callbackOrPromise(callback, function (done) {
+            if (!(segment instanceof Segment)) {
+                return done(new Error('Argument "segment" should be a Segment instance'), null);
+            }
+
+            var error = self.validateSegmentData(segment.serialize(), options);
+
+            if (error) {
+                return done(error, null);
+            }
+
+            var opts = {
+                method: 'PUT',
+                url: self.getSegmentsUrl(segment.getId()),
+                body: segment.serialize()
+            };
+
+            self.sendRequest(opts, options, function (error, response) {
+                self.expireCachedSegments(segment.getId(), function () {
+                    self.handleSegmentResponse(error, response, done);
+                });
+            });
+        });
+    },
+
+    /**
+     * Delete segment
+     * @param {Segment|String} segment Segment or its id
+     * @param {Object} [options] Request options
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    deleteSegment: function (segment, options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return this.callbackOrPromise(callback, function (done) {
+            var segmentId = segment instanceof Segment ? segment.getId() : segment;
+
+            if (!segmentId || typeof segmentId !== 'string') {
+                return done(new Error('Parameter "segmentId" should be a non-empty string'));
+            }
+
+            var opts = {
+                method: 'DELETE',
+                url: self.getSegmentsUrl(segmentId),
+                successCode: 204,
+                allowEmptyBody: true
+            };
+
+            self.sendRequest(opts, options, function (error) {
+                self.expireCachedSegments(segmentId, function () {
+                    done(error);
+                });
+            });
+        });
+    },
+
+    /**
+     * Check data of segment before it's sent to API.
+     * IQL is checked only on request, because local parser does not know all valid expressions
+     * @param {Object} data
+     * @param {Object} options Request options
+     * @returns {Error|null}
+     * @private
+     */
+    validateSegmentData: function (data, options) {
+        if (!data || typeof data !== 'object') {
+            return new Error('Argument "segment" should be a Segment instance or an object');
+        }
+
+        return options.validateIql ? iql.validate(data.iql) : null;
+    },
+
+    /**
+     * Create segment from response of segments API
+     * @param {Error|null} error
+     * @param {Object} response
+     * @param {Function} callback Receives error and segment
+     * @private
+     */
+    handleSegmentResponse: function (error, response, callback) {
+        var segment = null;
+
+        if (!error) {
+            error = this.validateObject(response.body, 'segment');
+        }
+
+        if (!error) {
+            try {
+                segment = this.createSegmentFromData(response.body.segment);
+            } catch (e) {
+                error = e;
+            }
+        }
+
+        callback(error, segment);
+    },
+
+    /**
+     * Create segment which is not linked with raw (possibly cached) data
+     * @param {Object} data
+     * @returns {Segment}
+     * @private
+     */
+    createSegmentFromData: function (data) {
+        return new Segment(clone(data));
+    },
+
+    /**
+     * Remove cached list of segments
+     * @param {String|null} segmentId Id of changed segment
+     * @param {Function} callback
+     * @private
+     */
+    expireCachedSegments: function (segmentId, callback) {
+        var self = this;
+        var key;
+
+        this.dropPendingRequest(this.getSegmentsUrl());
+        if (segmentId) {
+            this.dropPendingRequest(this.getSegmentsUrl(segmentId));
+        }
+
+        if (!this.isCacheAllowed()) {
+            return callback();
+        }
+
+        key = this.getCacheKey('segments');
+        this.invalidateLoading(key);
+        this.callCache('del', [key], function () {
+            self.callCache('del', [self.getFreshnessKey(key)], function () {
+                callback();
+            });
+        });
+    },
+
+    /**
+     * Evaluate profile by segment
+     * @param {Profile} profile
+     * @param {Segment} segment
+     * @param {Object} [options] Request options
+     * @param {Boolean} [options.local] Evaluate segment locally if it's possible, see {@link Segment#evaluate}
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    evaluateProfileBySegment: function (profile, segment, options, callback) {
+        var local;
+
+        if (!(segment instanceof Segment)) {
+            if (typeof options === 'function') {
+                callback = options;
+            }
+            return this.callbackOrPromise(callback, function (done) {
+                done(new Error('Argument "segment" should be a Segment instance'), null);
+            });
+        }
+
+        local = this.evaluateProfileLocally(profile, segment.getIql(), options);
+        if (local) {
+            return this.callbackOrPromise(callback, function (done) {
+                done(local.error, local.results);
+            });
+        }
+
+        return this.evaluateProfileBySegmentId.apply(this, [profile, segment.getId()].concat(slice.call(arguments, 2)));
+    },
+
+    /**
+     * Evaluate profile by segment's id
+     * @param {Profile} profile
+     * @param {String|Array} segmentIds
+     * @param {Object} [options] Request options
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    evaluateProfileBySegmentId: function (profile, segmentIds) {
+        segmentIds = Array.isArray(segmentIds) ? segmentIds : [segmentIds];
+        return this._evaluateProfileByParams.apply(this, [profile, {
+            segment_id: segmentIds,
+            typeSegmentEvaluation: 'segment-id-evaluation'
+        }].concat(slice.call(arguments, 2)));
+    },
+
+    /**
+     * Evaluate profile by IQL expression
+     * @param {Profile} profile
+     * @param {String|Array} iqls
+     * @param {Object} [options] Request options
+     * @param {Boolean} [options.local] Evaluate expressions locally if it's possible, see {@link Segment#evaluate}
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    evaluateProfileByIql: function (profile, iqls, options, callback) {
+        var local = this.evaluateProfileLocally(profile, iqls, options);
+
+        if (local) {
+            return this.callbackOrPromise(callback, function (done) {
+                done(local.error, local.results);
+            });
+        }
+
+        iqls = Array.isArray(iqls) ? iqls : [iqls];
+        return this._evaluateProfileByParams.apply(this, [profile, {
+            iql: iqls,
+            typeSegmentEvaluation: 'iql-evaluation'
+        }].concat(slice.call(arguments, 2)));
+    },
+
+    /**
+     * Evaluate every profile by every segment. Every profile is evaluated by all its segments in one request,
+     * not more than "concurrency" requests are sent at once.
+     * Result is a matrix keyed by profile id and segment id, it has the same shape for any number of
+     * profiles and segments. Every pair has own result or error:
+     *
+     *     @example
+     *     {
+     *         "profileId": {
+     *             "segmentId": {
+     *                 "result": true, // or null if evaluation failed
+     *                 "error": null // or Error
+     *             }
+     *         }
+     *     }
+     *
+     * @param {Profile|Array} profiles
+     * @param {Segment|String|Array} segments Segments or their ids
+     * @param {Object} [options] Request options
+     * @param {Number} [options.concurrency=5] Max number of parallel requests
+     * @param {Boolean} [options.local] Evaluate segments locally if it's possible, see {@link Segment#evaluate}
+     * @param {Function} [options.onProgress] Called after every evaluated pair with object {completed, total, result}
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    evaluateProfilesBySegments: function (profiles, segments, options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        profiles = Array.isArray(profiles) ? profiles : [profiles];
+        segments = Array.isArray(segments) ? segments : [segments];
+
+        return this.callbackOrPromise(callback, function (done) {
+            var matrix = {};
+            var rows = [];
+            var completed = 0;
+            var total = 0;
+
+            var wrongProfile = profiles.some(function (profile) {
+                return !(profile instanceof Profile);
+            });
+            if (wrongProfile) {
+                return done(new Error('Argument "profiles" should contain only Profile instances'), null);
+            }
+
+            var wrongSegment = segments.some(function (segment) {
+                return !(segment instanceof Segment || segment && typeof segment === 'string');
+            });
+            if (wrongSegment) {
+                return done(new Error('Argument "segments" should contain only Segment instances or segment ids'), null);
+            }
+
+            profiles.forEach(function (profile) {
+                var profileId = profile.getId();
+                var row;
+
+                if (matrix.hasOwnProperty(profileId)) {
+                    return;
+                }
+                matrix[profileId] = {};
+                row = {
+                    profile: profile,
+                    segments: []
+                };
+
+                segments.forEach(function (segment) {
+                    var segmentId = segment instanceof Segment ? segment.getId() : segment;
+
+                    if (matrix[profileId].hasOwnProperty(segmentId)) {
+                        return;
+                    }
+                    matrix[profileId][segmentId] = {
+                        result: null,
+                        error: null
+                    };
+                    row.segments.push(segment);
+                });
+
+                total += row.segments.length;
+                rows.push(row);
+            });
+
+            self.processBatch(rows, {
+                concurrency: options.concurrency
+            }, function (row, next) {
+                self.evaluateProfileBySegmentList(row.profile, row.segments, options, function (results) {
+                    results.forEach(function (item) {
+                        var cell = matrix[row.profile.getId()][item.id];
+
+                        cell.error = item.error;
+                        cell.result = item.result;
+                        completed++;
+                        if (typeof options.onProgress === 'function') {
+                            options.onProgress({
+                                completed: completed,
+                                total: total,
+                                result: cell
+                            });
+                        }
+                    });
+                    next(null);
+                });
+            }, function () {
+                done(null, matrix);
+            });
+        });
+    },
+
+    /**
+     * Evaluate profile by list of segments. Segments which can not be evaluated locally
+     * are evaluated by one request to evaluation API
+     * @param {Profile} profile
+     * @param {Array} segments Segments or their ids
+     * @param {Object} options
+     * @param {Function} callback Receives array of objects {id, result, error} in the same order as segments
+     * @private
+     */
+    evaluateProfileBySegmentList: function (profile, segments, options, callback) {
+        var results = [];
+        var remote = [];
+
+        segments.forEach(function (segment) {
+            var isSegment = segment instanceof Segment;
+            var local = isSegment ? this.evaluateProfileLocally(profile, segment.getIql(), options) : null;
+            var item = {
+                id: isSegment ? segment.getId() : segment,
+                result: null,
+                error: null
+            };
+
+            results.push(item);
+            if (!local) {
+                remote.push(item);
+            } else {
+                item.error = local.error;
+                item.result = local.error ? null : local.results;
+            }
+        }, this);
+
+        if (!remote.length) {
+            return callback(results);
+        }
+
+        this.evaluateProfileBySegmentId(profile, remote.map(function (item) {
+            return item.id;
+        }), options, function (error, values) {
+            // result of single segment is not wrapped to array by evaluation API
+            if (remote.length === 1 && !Array.isArray(values)) {
+                values = [values];
+            }
+
+            remote.forEach(function (item, index) {
+                var value = !error && Array.isArray(values) ? values[index] : null;
+
+                item.error = error || null;
+                item.result = value === undefined ? null : value;
+            });
+            callback(results);
+        });
+    },
+
+    /**
+     * Evaluate IQL expressions locally if it's requested by "local" option.
+     * Returns null if expressions can not be parsed or evaluated locally, so remote evaluation API should be used
+     * @param {Profile} profile
+     * @param {String|Array} iqls
+     * @param {Object|Function} [options]
+     * @returns {Object|null} Contains error or results
+     * @private
+     */
+    evaluateProfileLocally: function (profile, iqls, options) {
+        var results;
+
+        if (!options || typeof options !== 'object' || !options.local) {
+            return null;
+        }
+
+        if (!(profile instanceof Profile)) {
+            return {
+                error: new Error('Argument "profile" should be a Profile instance'),
+                results: null
+            };
+        }
+
+        try {
+            results = (Array.isArray(iqls) ? iqls : [iqls]).map(function (expression) {
+                return iql.evaluate(expression, profile, options);
+            });
+        } catch (e) {
+            // validity of IQL is decided by evaluation API, local parser knows only a part of it
+            if (e instanceof iql.IqlUnsupportedError || e instanceof iql.IqlSyntaxError) {
+                return null;
+            }
+            return {
+                error: e,
+                results: null
+            };
+        }
+
+        return {
+            error: null,
+            results: results.length === 1 ? results[0] : results
+        };
+    },
+
+    /**
+     * Make Api request to load profile.
+     * If profile cache is enabled (option "profileCacheTime" in config) then cached copy of profile can be returned
+     * @param {String} profileId
+     * @param {Object} [options] Request options
+     * @param {Boolean} [options.forceRefresh] Load profile from server even if it is cached
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    loadProfile: function (profileId, options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        var opts = {
+            method: 'GET',
+            url: this.getProfileUrl(profileId)
+        };
+        var params = {
+            key: this.isProfileCacheAllowed() ? this.getProfileCacheKey(profileId) : null,
+            ttl: this.profileCacheTime,
+            forceRefresh: options.forceRefresh
+        };
+
+        return this.callbackOrPromise(callback, function (done) {
+            self.loadCachedValue(params, function (loaded) {
+                self.sendCoalescedRequest(opts, options, function (error, response) {
+                    var data;
+
+                    if (error) {
+                        return loaded(error, null);
+                    }
+
+                    data = response.body;
+
+                    // ETag is cached together with profile, so it always matches cached data
+                    if (data.hasOwnProperty('profile') && typeof data.profile === 'object') {
+                        return loaded(null, {
+                            profile: data.profile,
+                            etag: self.getResponseEtag(response)
+                        });
+                    }
+
+                    loaded(null, null);
+                });
+            }, function (error, data) {
+                var profile = null;
+
+                if (!error && data) {
+                    try {
+                        profile = self.createProfileFromData(data.profile);
+                        profile.setEtag(data.etag);
+                    } catch (e) {
+                        error = e;
+                    }
+                }
+
+                done(error, profile);
+            });
+        });
+    },
+
+    /**
+     * Make Api request to delete profile
+     * @param {String} profileId
+     * @param {Object} [options] Request options
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    deleteProfile: function (profileId, options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        var opts = {
+            method: 'DELETE',
+            url: this.getProfileUrl(profileId),
+            successCode: 204,
+            allowEmptyBody: true
+        };
+
+        return this.callbackOrPromise(callback, function (done) {
+            self.sendRequest(opts, options, function (error) {
+                self.expireCachedProfiles([profileId], function () {
+                    done(error);
+                });
+            });
+        });
+    },
+
+    /**
+     * Make Api request to save profile in DH. Changes of attributes and sessions are sent together
+     * with profiles which were merged to this one since it was loaded (see {@link Profile#addMergedProfile})
+     * @param {Profile} profile
+     * @param {Object} [options] Request options
+     * @param {Boolean} [options.conflictCheck] Fail with ConflictError if profile was changed by someone else since it was loaded
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    saveProfile: function (profile, options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return this.callbackOrPromise(callback, function (done) {
+            if (!(profile instanceof Profile)) {
+                return done(new Error('Argument "profile" should be a Profile instance'), null);
+            }
+
+            var bodyProfile = profile.serialize(true);
+            var conflictCheck = options.conflictCheck !== undefined ? !!options.conflictCheck : self.conflictCheck;
+
+            if (!validator.profileIsValid(bodyProfile)) {
+                return done(new Error('Profile is not valid'), null);
+            }
+
+            if (!conflictCheck) {
+                return self.postProfile(profile, bodyProfile, null, options, done);
+            }
+
+            self.checkProfileConflict(profile, options, function (error, headers) {
+                if (error) {
+                    return done(error, null);
+                }
+                self.postProfile(profile, bodyProfile, headers, options, done);
+            });
+        });
+    },
+
+    /**
+     * Save profile with check of conflicts. If profile was changed by someone else
+     * then local changes are applied to fresh version of profile and saving is repeated.
+     * @param {Profile} profile
+     * @param {Object} [options] Request options
+     * @param {Number} [options.maxConflictAttempts=3] Max number of attempts to save profile
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    saveProfileResolvingConflicts: function (profile, options, callback) {
+        var self = this;
+        var attempt = 0;
+        var maxAttempts;
+        var saveOptions;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        maxAttempts = +options.maxConflictAttempts > 0 ? +options.maxConflictAttempts : 3;
+        saveOptions = util._extend(util._extend({}, options), {
+            conflictCheck: true,
+            forceRefresh: true
+        });
+
+        return this.callbackOrPromise(callback, function (done) {
+            function trySave (localProfile) {
+                attempt++;
+                self.saveProfile(localProfile, saveOptions, function (error, savedProfile) {
+                    if (!(error instanceof errors.ConflictError) || attempt >= maxAttempts) {
+                        return done(error, savedProfile);
+                    }
+
+                    self.loadProfile(localProfile.getId(), saveOptions, function (error, remoteProfile) {
+                        if (error) {
+                            return done(error, null);
+                        }
+                        trySave(self.applyLocalChanges(localProfile, remoteProfile));
+                    });
+                });
+            }
+
+            if (!(profile instanceof Profile)) {
+                return done(new Error('Argument "profile" should be a Profile instance'), null);
+            }
+
+            trySave(profile);
+        });
+    },
+
+    /**
+     * Apply not saved changes of local profile to the remote one
+     * @param {Profile} localProfile
+     * @param {Profile} remoteProfile
+     * @returns {Profile} Remote profile with local changes
+     * @protected
+     */
+    applyLocalChanges: function (localProfile, remoteProfile) {
+        var changes = new Profile(localProfile.serialize(true));
+        return remoteProfile.merge(changes);
+    },
+
+    /**
+     * Check that profile was not changed by someone else since it was loaded.
+     * If ETag of profile is known (see {@link Profile#getEtag}) then it's passed to callback as precondition header,
+     * otherwise version of profile is compared with version of fresh one.
+     * @param {Profile} profile
+     * @param {Object} options Request options
+     * @param {Function} callback Receives error and headers for save request
+     * @private
+     */
+    checkProfileConflict: function (profile, options, callback) {
+        var profileId = profile.getId();
+        var etag = profile.getEtag();
+        var version = profile.getVersion();
+
+        if (etag) {
+            return callback(null, {
+                'If-Match': etag
+            });
+        }
+
+        if (!version) {
+            return callback(null, null);
+        }
+
+        this.loadProfile(profileId, util._extend(util._extend({}, options), {forceRefresh: true}), function (error, remoteProfile) {
+            if (error instanceof errors.NotFoundError) {
+                return callback(null, null);
+            }
+
+            if (error) {
+                return callback(error);
+            }
+
+            if (remoteProfile && remoteProfile.getVersion() !== version) {
+                return callback(new errors.ConflictError('Profile "' + profileId + '" was changed since it was loaded', {
+                    expected: version,
+                    actual: remoteProfile.getVersion(),
+                    remoteProfile: remoteProfile
+                }));
+            }
+
+            callback(null, null);
+        });
+    },
+
+    /**
+     * Send serialized profile to DH
+     * @param {Profile} profile
+     * @param {Object} bodyProfile
+     * @param {Object|null} headers
+     * @param {Object} options Request options
+     * @param {Function} callback
+     * @private
+     */
+    postProfile: function (profile, bodyProfile, headers, options, callback) {
+        var self = this;
+        var profileId = profile.getId();
+        var opts = {
+            method: 'POST',
+            url: this.getProfileUrl(profileId),
+            body: bodyProfile,
+            successCode: [200, 201]
+        };
+
+        if (headers) {
+            opts.headers = headers;
+        }
+
+        this.sendRequest(opts, options, function (error, response) {
+            var data;
+
+            if (error instanceof errors.ConflictError && headers) {
+                error.expected = headers['If-Match'];
+            }
+
+            if (!error) {
+                data = response.body;
+                if (data.hasOwnProperty('profile') && typeof data.profile === 'object') {
+                    try {
+                        profile = new Profile(data.profile);
+                        profile.setEtag(self.getResponseEtag(response));
+                        profile.resetDirty();
+                    } catch (e) {
+                        error = e;
+                    }
+                }
+            }
+
+            // merged profiles do not exist anymore
+            self.expireCachedProfiles([profileId].concat(bodyProfile.mergedProfiles || []), function () {
+                callback(error, profile);
+            });
+        });
+    },
+
+    /**
+     * Get ETag of profile from response
+     * @param {Object} response
+     * @returns {String|null}
+     * @private
+     */
+    getResponseEtag: function (response) {
+        return response.headers && response.headers.etag || null;
+    },
+
+    /**
+     * Make Api request to merge two profiles
+     * @param {Profile} profile1 Profile-recipient which will receive data from the profile-donor.
+     * @param {Profile} profile2 Profile-donor which will be merged in profile-recipient. ID of this profile will appear in mergedProfiles list
+     * @param {Object} [options] Request options
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    mergeProfiles: function (profile1, profile2, options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return this.callbackOrPromise(callback, function (done) {
+            if (!(profile1 instanceof Profile)) {
+                return done(new Error('Argument "profile1" should be a Profile instance'), null);
+            }
+
+            if (!(profile2 instanceof Profile)) {
+                return done(new Error('Argument "profile2" should be a Profile instance'), null);
+            }
+
+            var profileId = profile1.getId();
+            var changes = new Profile({
+                id: profileId
+            });
+
+            try {
+                changes.addMergedProfile(profile2.getId());
+            } catch (e) {
+                return done(e, null);
+            }
+
+            var opts = {
+                method: 'POST',
+                url: self.getProfileUrl(profileId),
+                body: {
+                    id: profileId,
+                    mergedProfiles: changes.serializeMergedProfiles(true)
+                },
+                successCode: [200, 201]
+            };
+
+            self.sendRequest(opts, options, function (error, response) {
+                var data;
+                var profile = null;
+
+                if (!error) {
+                    data = response.body;
+                    if (data.hasOwnProperty('profile') && typeof data.profile === 'object') {
+                        try {
+                            profile = new Profile(data.profile);
+                            profile.setEtag(self.getResponseEtag(response));
+                            profile.resetDirty();
+                        } catch (e) {
+                            error = e;
+                        }
+                    }
+                }
+
+                self.expireCachedProfiles([profileId, profile2.getId()], function () {
+                    done(error, profile);
+                });
+            });
+        });
+    },
+
+    /**
+     * Load several profiles, not more than "concurrency" requests at once.
+     * Result contains item for every id in the same order:
+     *
+     *     @example
+     *     {
+     *         "id": "string",
+     *         "error": null, // or Error if profile was not loaded
+     *         "profile": Profile // or null
+     *     }
+     *
+     * @param {Array} profileIds
+     * @param {Object} [options] Request options
+     * @param {Number} [options.concurrency=5] Max number of parallel requests
+     * @param {Function} [options.onProgress] Called after every loaded profile with object {completed, total, result}
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    loadProfiles: function (profileIds, options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return this.callbackOrPromise(callback, function (done) {
+            if (!Array.isArray(profileIds)) {
+                return done(new Error('Argument "profileIds" should be an array'), null);
+            }
+
+            self.processBatch(profileIds, options, function (profileId, next) {
+                self.loadProfile(profileId, options, function (error, profile) {
+                    next({
+                        id: profileId,
+                        error: error || null,
+                        profile: error ? null : profile
+                    });
+                });
+            }, done);
+        });
+    },
+
+    /**
+     * Save several profiles, not more than "concurrency" requests at once.
+     * Profiles without changes are skipped without request.
+     * Result contains item for every profile in the same order:
+     *
+     *     @example
+     *     {
+     *         "id": "string",
+     *         "error": null, // or Error if profile was not saved
+     *         "profile": Profile, // or null
+     *         "skipped": false // true if profile has no changes
+     *     }
+     *
+     * @param {Array} profiles
+     * @param {Object} [options] Request options
+     * @param {Number} [options.concurrency=5] Max number of parallel requests
+     * @param {Function} [options.onProgress] Called after every saved profile with object {completed, total, result}
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    saveProfiles: function (profiles, options, callback) {
+        var self = this;
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        return this.callbackOrPromise(callback, function (done) {
+            if (!Array.isArray(profiles)) {
+                return done(new Error('Argument "profiles" should be an array'), null);
+            }
+
+            self.processBatch(profiles, options, function (profile, next) {
+                var isProfile = profile instanceof Profile;
+                var result = {
+                    id: isProfile ? profile.getId() : null,
+                    error: null,
+                    profile: null,
+                    skipped: false
+                };
+
+                if (isProfile && !profile.hasChanges()) {
+                    result.profile = profile;
+                    result.skipped = true;
+                    return next(result);
+                }
+
+                self.saveProfile(profile, options, function (error, savedProfile) {
+                    result.error = error || null;
+                    result.profile = error ? null : savedProfile;
+                    next(result);
+                });
+            }, done);
+        });
+    },
+
+    /**
+     * Process items with limited concurrency and report progress
+     * @param {Array} items
+     * @param {Object} options Contains "concurrency" and "onProgress"
+     * @param {Function} iterator Receives item and "next" function which should be called with result
+     * @param {Function} callback Receives null and array of results
+     * @private
+     */
+    processBatch: function (items, options, iterator, callback) {
+        var concurrency = +options.concurrency > 0 ? +options.concurrency : this.defaultConcurrency;
+        var completed = 0;
+
+        mapLimit(items, concurrency, function (item, index, next) {
+            iterator(item, function (result) {
+                completed++;
+                if (typeof options.onProgress === 'function') {
+                    options.onProgress({
+                        completed: completed,
+                        total: items.length,
+                        result: result
+                    });
+                }
+                next(result);
+            });
+        }, function (results) {
+            callback(null, results);
+        });
+    },
+
+    /**
+     * Refresh  local profile with data from DH, cached copy of profile is not used
+     * @param {Profile} profile
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     */
+    refreshLocalProfile: function (profile, callback) {
+        var self = this;
+
+        return this.callbackOrPromise(callback, function (done) {
+            if (!(profile instanceof Profile)) {
+                return done(new Error('Argument "profile" should be a Profile instance'), null);
+            }
+
+            self.loadProfile(profile.getId(), {forceRefresh: true}, function (error, loadedProfile) {
+                if (!error) {
+                    profile.merge(loadedProfile);
+                }
+
+                done(error, profile);
+            });
+        });
+    },
+
+    /**
+     * Try to parse profile data from request made by DH
+     * @param {String} requestBody
+     * @returns {Profile}
+     */
+    getProfileFromRequest: function (requestBody) {
+        try {
+            if (typeof requestBody !== 'object') {
+                requestBody = JSON.parse(requestBody);
+            }
+        } catch (e) {
+            throw new Error('Wrong stream data');
+        }
+        var profile = requestBody.profile;
+        if (!profile) {
+            throw new Error('Profile not found');
+        }
+        var profileInstance = new Profile(profile);
+        profileInstance.resetDirty();
+        return profileInstance;
+    },
+
+    /**
+     * Get raw meta data from DH stream request, see {@link InnoHelper#createMetaFromRequest} for typed meta
+     * @param {String} requestBody
+     * @returns {Object}
+     */
+    getMetaFromRequest: function (requestBody) {
+        try {
+            if (typeof requestBody !== 'object') {
+                requestBody = JSON.parse(requestBody);
+            }
+        } catch (e) {
+            throw new Error('Wrong stream data');
+        }
+        var meta = requestBody.meta;
+        if (!meta) {
+            throw new Error('Meta not found');
+        }
+        return meta;
+    },
+
+    /**
+     * Create {@link Meta} from DH stream request. Meta allows to find session and event of request in profile:
+     *
+     *     @example
+     *     var profile = helper.getProfileFromRequest(req.body);
+     *     var meta = helper.createMetaFromRequest(req.body);
+     *     var event = meta.getEvent(profile);
+     *
+     * @param {String|Object} requestBody
+     * @returns {Meta}
+     * @throws {Error} If request has no meta or it's not valid
+     */
+    createMetaFromRequest: function (requestBody) {
+        return new Meta(this.getMetaFromRequest(requestBody));
+    },
+
+    /**
+     * Create empty local profile with certain id
+     * @param {String} profileId
+     * @returns {Profile}
+     */
+    createProfile: function (profileId) {
+        return new Profile({
+            id: profileId,
+            version: '1.0',
+            sessions: [],
+            attributes: [],
+            mergedProfiles: []
+        });
+    },
+
+    /**
+     * Create middleware for requests of DH stream, it can be used by Express, Connect or http server.
+     * Middleware reads profile and meta from request and puts them to "req.inno":
+     *
+     *     @example
+     *     {
+     *         "profile": Profile,
+     *         "meta": {}, // or null if request has no meta
+     *         "helper": InnoHelper
+     *     }
+     *
+     * Requests with wrong data or without profile get response with status 400.
+     * If handler is passed, it's called with req, res and callback, it should either call callback or return a Promise.
+     * When handler is finished, profile is saved if it has changes and response with status 200 is sent
+     * if handler did not send it. Without handler middleware calls "next" and saves changed profile
+     * when response is finished, errors of such saving are passed to "onError" which is required in this mode.
+     *
+     *     @example
+     *     app.post('/', helper.createMiddleware(function (req, res, callback) {
+     *         req.inno.profile.setAttribute(...);
+     *         callback();
+     *     }));
+     *
+     * @param {Function} [handler]
+     * @param {Object} [options]
+     * @param {Boolean} [options.autoSave=true] Save profile if it has changes
+     * @param {Function} [options.onError] Receives errors of saving which can not be passed to "next",
+     * required if handler is not passed and profile is saved
+     * @returns {Function}
+     * @throws {Error} If "onError" is required but not passed
+     */
+    createMiddleware: function (handler, options) {
+        var self = this;
+
+        if (typeof handler !== 'function') {
+            options = handler;
+            handler = null;
+        }
+        options = options || {};
+
+        var autoSave = options.autoSave !== false;
+        var onError = typeof options.onError === 'function' ? options.onError : function () {};
+
+        // errors of saving after response can not be passed anywhere else
+        if (!handler && autoSave && typeof options.onError !== 'function') {
+            throw new Error('Option "onError" should be a function if middleware has no handler');
+        }
+
+        function respond (res, statusCode, body) {
+            res.writeHead(statusCode, {
+                'Content-Type': 'application/json'
+            });
+            res.end(JSON.stringify(body));
+        }
+
+        function fail (error, res, next) {
+            if (typeof next === 'function') {
+                return next(error);
+            }
+            if (res.headersSent) {
+                return onError(error);
+            }
+            respond(res, 500, {
+                error: error.message
+            });
+        }
+
+        function save (req, callback) {
+            var profile = req.inno.profile;
+
+            if (!autoSave || !profile.hasChanges()) {
+                return callback(null);
+            }
+
+            self.saveProfile(profile, function (error, savedProfile) {
+                if (!error) {
+                    req.inno.profile = savedProfile;
+                }
+                callback(error);
+            });
+        }
+
+        return function (req, res, next) {
+            readBody(req, function (error, body) {
+                var profile;
+                var meta = null;
+
+                try {
+                    if (error) {
+                        throw new Error('Wrong stream data');
+                    }
+                    profile = self.getProfileFromRequest(body);
+                } catch (e) {
+                    return respond(res, 400, {
+                        error: e.message
+                    });
+                }
+
+                try {
+                    meta = self.getMetaFromRequest(body);
+                } catch (e) {
+                    meta = null;
+                }
+
+                req.inno = {
+                    profile: profile,
+                    meta: meta,
+                    helper: self
+                };
+
+                if (!handler) {
+                    res.on('finish', function () {
+                        save(req, function (error) {
+                            if (error) {
+                                onError(error);
+                            }
+                        });
+                    });
+                    return next();
+                }
+
+                callAsync(handler, null, [req, res], function (error) {
+                    if (error) {
+                        return fail(error, res, next);
+                    }
+
+                    save(req, function (error) {
+                        if (error) {
+                            return fail(error, res, next);
+                        }
+                        if (!res.headersSent) {
+                            respond(res, 200, {});
+                        }
+                    });
+                });
+            });
+        };
+    },
+
+    /**
+     * Checks if config is valid
+     * @param {Object} config
+     * @private
+     */
+    validateConfig: function (config) {
+        if (!config) {
+            throw new Error('Config should be defined');
+        }
+
+        if (typeof config !== 'object') {
+            throw new Error('Config should be an object');
+        }
+
+        this.validateConfigRequiredProps(config);
+        this.validateConfigGroupId(config);
+        this.validateConfigTransport(config);
+        this.validateConfigRetry(config);
+        this.validateConfigTimeout(config);
+        this.validateConfigCache(config);
+        this.validateConfigProfileCacheTime(config);
+        this.validateConfigStaleWhileRevalidate(config);
+        this.validateConfigTaskSecret(config);
+    },
+
+    /**
+     *
+     * @param {Object} config
+     * @private
+     */
+    validateConfigRequiredProps: function (config) {
+        ['bucketName', 'appName', 'appKey', 'apiUrl'].forEach(function (field) {
+            if (!(field in config)) {
+                throw new Error('Property "' + field + '" in config should be defined');
+            }
+            if (typeof config[field] !== 'string') {
+                throw new Error('Property "' + field + '" in config should be a string');
+            }
+            if (!config[field].trim()) {
+                throw new Error('Property "' + field + '" in config can not be empty');
+            }
+        });
+    },
+
+    /**
+     *
+     * @param {Object} config
+     * @private
+     */
+    validateConfigGroupId: function (config) {
+        if (!('groupId' in config)) {
+            throw new Error('Property "groupId" in config should be defined');
+        }
+        if (['string', 'number'].indexOf(typeof config.groupId) === -1) {
+            throw new Error('Property "groupId" in config should be a string or a number');
+        }
+        if (!String(config.groupId).trim()) {
+            throw new Error('Property "groupId" in config can not be empty');
+        }
+    },
+
+    /**
+     *
+     * @param {Object} config
+     * @private
+     */
+    validateConfigTransport: function (config) {
+        if (config.transport === undefined) {
+            return;
+        }
+        if (!config.transport || typeof config.transport.send !== 'function') {
+            throw new Error('Property "transport" in config should have "send" method');
+        }
+    },
 
     /**
-     * Is cache allowed?
-     * @returns {boolean}
+     *
+     * @param {Object} config
+     * @private
      */
-    isCacheAllowed: function () {
-        return !this.noCache;
+    validateConfigRetry: function (config) {
+        if (config.retry === undefined) {
+            return;
+        }
+        if (!config.retry || typeof config.retry !== 'object') {
+            throw new Error('Property "retry" in config should be an object');
+        }
     },
 
     /**
-     * Set cache admission
-     * @returns {boolean}
+     *
+     * @param {Object} config
+     * @private
      */
-    setCacheAllowed: function (value) {
-        this.noCache = !value;
+    validateConfigTimeout: function (config) {
+        if (config.timeout === undefined) {
+            return;
+        }
+        if (typeof config.timeout !== 'number' || !(config.timeout >= 0)) {
+            throw new Error('Property "timeout" in config should be a non-negative number');
+        }
     },
 
     /**
-     * Update application settings
-     * @param {Object} settings
-     * @param {Function} callback
+     *
+     * @param {Object} config
+     * @private
      */
-    setAppSettings: function (settings, callback) {
-        var self = this,
-            error = null;
-
-        if (!settings) {
-            error = new Error('Settings not found');
-            callback(error, null);
+    validateConfigCache: function (config) {
+        if (config.cache === undefined) {
             return;
         }
+        if (!config.cache || ['get', 'set', 'del', 'clear'].some(function (method) {
+            return typeof config.cache[method] !== 'function';
+        })) {
+            throw new Error('Property "cache" in config should have "get", "set", "del" and "clear" methods');
+        }
+    },
 
-        var cacheAllowed = this.isCacheAllowed();
-        var opts = {
-            url: this.getAppSettingsUrl(),
-            body: settings,
-            json: true
-        };
-
-        request.put(opts, function (error, response) {
-            var settings = null;
-            error = self.checkErrors(error, response);
-
-            if (!error) {
-                error = self.validateObject(response.body, 'custom');
-            }
+    /**
+     *
+     * @param {Object} config
+     * @private
+     */
+    validateConfigProfileCacheTime: function (config) {
+        if (config.profileCacheTime === undefined) {
+            return;
+        }
+        if (typeof config.profileCacheTime !== 'number' || !(config.profileCacheTime >= 0)) {
+            throw new Error('Property "profileCacheTime" in config should be a non-negative number');
+        }
+    },
 
-            if (!error) {
-                settings = response.body.custom;
+    /**
+     *
+     * @param {Object} config
+     * @private
+     */
+    validateConfigStaleWhileRevalidate: function (config) {
+        if (config.staleWhileRevalidate === undefined) {
+            return;
+        }
+        if (typeof config.staleWhileRevalidate !== 'number' || !(config.staleWhileRevalidate >= 0)) {
+            throw new Error('Property "staleWhileRevalidate" in config should be a non-negative number');
+        }
+    },
 
-                if (cacheAllowed) {
-                    self.cache.set(self.getCacheKey('settings'), settings);
-                }
-            }
+    /**
+     *
+     * @param {Object} config
+     * @private
+     */
+    validateConfigTaskSecret: function (config) {
+        if (config.taskSecret === undefined) {
+            return;
+        }
+        if (typeof config.taskSecret !== 'string' || !config.taskSecret) {
+            throw new Error('Property "taskSecret" in config should be a non-empty string');
+        }
+    },
 
-            if (typeof callback === 'function') {
-                return callback(error, settings);
+    /**
+     * Check that certain object has all fields from list
+     * @param {Object} obj
+     * @param {Array} fields
+     * @returns {Error|null}
+     * @private
+     */
+    validateObject: function (obj, fields) {
+        var error = null;
+        if (typeof obj !== 'object') {
+            error = new Error('Object is not defined');
+        } else {
+            try {
+                fields = Array.isArray(fields) ? fields : [fields];
+                fields.forEach(function (key) {
+                    if (!(key in obj)) {
+                        throw new Error(key.toUpperCase() + ' not found');
+                    }
+                });
+            } catch (e) {
+                error = e;
             }
-        });
+        }
+        return error;
     },
 
     /**
-     * Get application settings
-     * @param {Function} callback
+     * Send request to API through transport and check received response.
+     * Failed request is repeated according to retry policy.
+     * @param {Object} params
+     *
+     *     @example
+     *     {
+     *         "method": "string", // required
+     *         "url": "string", // required
+     *         "body": {},
+     *         "headers": {},
+     *         "successCode": 200, // or array of allowed codes
+     *         "allowEmptyBody": false
+     *     }
+     *
+     * @param {Object} [options] Request options
+     * @param {Boolean|Object} [options.retry] Enable (also for POST requests), disable or override retry policy
+     * @param {Number} [options.timeout] Timeout (in ms) of single attempt, overrides timeout from config
+     * @param {AbortSignal} [options.signal] Signal to cancel request
+     * @param {Function} callback Receives error and response object
+     * @protected
      */
-    getAppSettings: function (callback) {
+    sendRequest: function (params, options, callback) {
         var self = this;
+        var attempt = 0;
+        var finished = false;
+        var retryTimer = null;
+        var current = null;
+        var policy, timeout, signal;
         var opts = {
-            url: this.getAppSettingsUrl(),
-            json: true
+            method: params.method,
+            url: params.url
         };
-        var cache = this.cache;
-        var cacheAllowed = this.isCacheAllowed();
-        var cachedValue;
+        // details of errors, body of request is not passed to them
+        var request = {
+            method: params.method,
+            url: params.url
+        };
+
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+
+        if (params.hasOwnProperty('body')) {
+            opts.body = params.body;
+        }
+
+        if (params.headers) {
+            opts.headers = params.headers;
+        }
 
-        if (cacheAllowed) {
-            cachedValue = cache.get(this.getCacheKey('settings'));
-            if (typeof cachedValue !== 'undefined') {
-                callback(null, cachedValue);
+        policy = this.getRetryPolicy(params.method, options.retry);
+        timeout = options.timeout !== undefined ? options.timeout : this.timeout;
+        signal = options.signal;
+
+        function finish (error, response) {
+            finished = true;
+            clearTimeout(retryTimer);
+            if (signal && typeof signal.removeEventListener === 'function') {
+                signal.removeEventListener('abort', onAbort);
+            }
+            callback(error, error ? null : response);
+        }
+
+        function stopAttempt () {
+            var handle = current && current.handle;
+
+            if (current) {
+                current.stopped = true;
+                clearTimeout(current.timer);
+            }
+            if (handle && typeof handle.abort === 'function') {
+                handle.abort();
+            }
+        }
+
+        function onAbort () {
+            if (finished) {
                 return;
             }
+            stopAttempt();
+            finish(new errors.AbortError('Request was aborted', request));
         }
 
-        request.get(opts, function (error, response) {
-            var settings = null;
-            error = self.checkErrors(error, response);
+        function complete (transportError, response) {
+            var error, delay;
 
-            if (!error) {
-                error = self.validateObject(response.body, 'custom');
+            if (transportError && !(transportError instanceof errors.InnoApiError)) {
+                transportError = new errors.NetworkError(transportError.message, {
+                    method: opts.method,
+                    url: opts.url,
+                    cause: transportError
+                });
             }
 
-            if (!error) {
-                settings = response.body.custom;
-                if (cacheAllowed) {
-                    cache.set(self.getCacheKey('settings'), settings);
-                }
+            if (response && params.allowEmptyBody) {
+                response.body = response.body || 'no body';
             }
 
-            callback(error, settings);
-        });
-    },
+            error = self.checkErrors(transportError, response, params.successCode, request);
+
+            if (error && self.isRetryAllowed(policy, attempt, transportError, response)) {
+                delay = self.getRetryDelay(policy, attempt, response);
+                if (typeof policy.onRetry === 'function') {
+                    policy.onRetry({
+                        method: opts.method,
+                        url: opts.url,
+                        attempt: attempt,
+                        maxAttempts: policy.maxAttempts,
+                        delay: delay,
+                        error: error
+                    });
+                }
+                retryTimer = setTimeout(send, delay);
+                return;
+            }
 
-    /**
-     * Get segments
-     * @param {Function} callback
-     */
-    getSegments: function (callback) {
-        var self = this;
-        var opts = {
-            url: this.getSegmentsUrl(),
-            json: true
-        };
+            finish(error, response);
+        }
 
-        request.get(opts, function (error, response) {
-            var data = null;
-            var segments = [];
+        function send () {
+            var state = {
+                stopped: false,
+                timer: null,
+                handle: null
+            };
+
+            current = state;
+            attempt++;
+
+            if (timeout) {
+                state.timer = setTimeout(function () {
+                    stopAttempt();
+                    complete(new errors.TimeoutError('Response was not received in ' + timeout + 'ms', request));
+                }, timeout);
+            }
 
-            error = self.checkErrors(error, response);
+            state.handle = self.transport.send(opts, function (transportError, response) {
+                if (state.stopped || finished) {
+                    return;
+                }
+                state.stopped = true;
+                clearTimeout(state.timer);
+                complete(transportError, response);
+            });
+        }
 
-            if (!error) {
-                data = response.body;
-                data = util.isArray(data) ? data : [];
-                data.forEach(function (sgmData) {
-                    var sgmInstance = null;
-                    if (sgmData.hasOwnProperty('segment') && typeof sgmData.segment === 'object') {
-                        try {
-                            sgmInstance = new Segment(sgmData.segment);
-                            segments.push(sgmInstance);
-                        } catch (e) {
-                            console.error(e);
-                        }
-                    }
-                });
+        if (signal) {
+            if (signal.aborted) {
+                finish(new errors.AbortError('Request was aborted', request));
+                return;
             }
+            signal.addEventListener('abort', onAbort);
+        }
 
-            callback(error, segments);
-        });
+        send();
     },
 
     /**
-     * Evaluate profile by segment
-     * @param {Profile} profile
-     * @param {Segment} segment
-     * @param {Function} callback
+     * Get retry policy which should be used for request
+     * @param {String} method HTTP method of request
+     * @param {Boolean|Object} [retry] Retry option of certain call
+     * @returns {Object|null} null if request should not be repeated
+     * @private
      */
-    evaluateProfileBySegment: function (profile, segment, callback) {
-        var error = null;
-        var result = null;
-        if (!(segment instanceof Segment)) {
-            error = new Error('Argument "segment" should be a Segment instance');
-            return callback(error, result);
+    getRetryPolicy: function (method, retry) {
+        var policy = this.retry;
+
+        if (retry === false) {
+            return null;
         }
 
-        this.evaluateProfileBySegmentId(profile, segment.getId(), callback);
+        if (retry === true || (retry && typeof retry === 'object')) {
+            // explicitly enabled for this call, so method is not checked
+            policy = util._extend({}, policy || this.defaultRetryPolicy);
+            return util._extend(policy, retry === true ? {} : retry);
+        }
+
+        if (policy && policy.methods.indexOf(method) !== -1) {
+            return policy;
+        }
+
+        return null;
     },
 
     /**
-     * Evaluate profile by segment's id
-     * @param {Profile} profile
-     * @param {String|Array} segmentIds
-     * @param {Function} callback
+     * Check if failed request can be repeated
+     * @param {Object|null} policy
+     * @param {Number} attempt Number of already made attempts
+     * @param {Error} [transportError] Network error
+     * @param {Object} [response]
+     * @returns {Boolean}
+     * @private
      */
-    evaluateProfileBySegmentId: function (profile, segmentIds, callback) {
-        segmentIds = Array.isArray(segmentIds) ? segmentIds : [segmentIds];
-        this._evaluateProfileByParams(profile, {
-            segment_id: segmentIds,
-            typeSegmentEvaluation: 'segment-id-evaluation'
-        }, callback);
+    isRetryAllowed: function (policy, attempt, transportError, response) {
+        if (!policy || attempt >= policy.maxAttempts) {
+            return false;
+        }
+
+        if (transportError) {
+            return true;
+        }
+
+        return !!response && policy.statusCodes.indexOf(response.statusCode) !== -1;
     },
 
     /**
-     * Evaluate profile by IQL expression
-     * @param {Profile} profile
-     * @param {String|Array} iqls
-     * @param {Function} callback
+     * Get delay (in ms) before next attempt.
+     * Value of "Retry-After" header is used if response has it.
+     * @param {Object} policy
+     * @param {Number} attempt Number of already made attempts
+     * @param {Object} [response]
+     * @returns {Number}
+     * @private
      */
-    evaluateProfileByIql: function (profile, iqls, callback) {
-        iqls = Array.isArray(iqls) ? iqls : [iqls];
-        this._evaluateProfileByParams(profile, {
-            iql: iqls,
-            typeSegmentEvaluation: 'iql-evaluation'
-        }, callback);
+    getRetryDelay: function (policy, attempt, response) {
+        var retryAfter = response && response.headers && response.headers['retry-after'];
+        var delay;
+
+        if (retryAfter !== undefined && retryAfter !== null) {
+            delay = (/^\d+$/).test(String(retryAfter)) ? retryAfter * 1000 : Date.parse(retryAfter) - Date.now();
+            if (!isNaN(delay)) {
+                return Math.max(delay, 0);
+            }
+        }
+
+        delay = Math.min(policy.baseDelay * Math.pow(2, attempt - 1), policy.maxDelay);
+        return Math.round(delay + delay * policy.jitter * Math.random());
     },
 
     /**
-     *
-     * @param {String} profileId
-     * @param {Function} callback
+     * Check for error and that response has allowed statusCode and required field(s)
+     * @param {Error} error
+     * @param {Object} response
+     * @param {Number|Array} successCode
+     * @param {Object} [request] Contains "method" and "url" of request
+     * @returns {Error|null}
+     * @private
      */
-    loadProfile: function (profileId, callback) {
-        var self = this;
-        var opts = {
-            url: this.getProfileUrl(profileId),
-            json: true
-        };
+    checkErrors: function (error, response, successCode, request) {
+        successCode = successCode || 200;
+        if (!(successCode instanceof Array)) {
+            successCode = [successCode];
+        }
 
-        request.get(opts, function (error, response) {
-            var data = null;
-            var profile = null;
+        if (error) {
+            return error;
+        }
 
-            error = self.checkErrors(error, response);
+        if (!response || !response.body && !response.statusCode) {
+            return new errors.InnoApiError('Response does not contain data', request);
+        }
 
-            if (!error) {
-                data = response.body;
-                if (data.hasOwnProperty('profile') && typeof data.profile === 'object') {
-                    try {
-                        profile = new Profile(data.profile);
-                        profile.resetDirty();
-                    } catch (e) {
-                        error = e;
-                    }
-                }
-            }
+        if (successCode.indexOf(response.statusCode) === -1) {
+            return errors.InnoApiError.fromResponse(response, request);
+        }
 
-            callback(error, profile);
-        });
+        if (!response.body) {
+            request = request || {};
+            return new errors.InnoApiError('Response does not contain data', {
+                statusCode: response.statusCode,
+                method: request.method,
+                url: request.url
+            });
+        }
+
+        return null;
     },
 
     /**
-     * Make Api request to delete profile
-     * @param {String} profileId
-     * @param {Function} callback
+     *
+     * @param {Profile} profile
+     * @param {Object} params
+     * @param {Object} [options] Request options
+     * @param {Function} [callback]
+     * @returns {Promise|undefined} Promise if callback is not passed
+     * @private
      */
-    deleteProfile: function (profileId, callback) {
+    _evaluateProfileByParams: function (profile, params, options, callback) {
         var self = this;
-        var opts = {
-            url: this.getProfileUrl(profileId),
-            json: true
-        };
 
-        request.del(opts, function (error, response) {
-            error = self.checkErrors(error, response, 204);
+        if (typeof options === 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
 
-            if (typeof callback === 'function') {
-                return callback(error);
+        return this.callbackOrPromise(callback, function (done) {
+            if (!(profile instanceof Profile)) {
+                return done(new Error('Argument "profile" should be a Profile instance'), null);
             }
+
+            var defParams = {
+                profile_id: profile.getId()
+            };
+
+            params = util._extend(params, defParams);
+
+            var opts = {
+                method: 'GET',
+                url: self.getSegmentEvaluationUrl(params)
+            };
+
+            self.sendRequest(opts, options, function (error, response) {
+                var data;
+                var results = null;
+
+                if (!error) {
+                    data = response.body;
+                    if (data.hasOwnProperty('segmentEvaluation') && data.segmentEvaluation.hasOwnProperty('results')) {
+                        results = data.segmentEvaluation.results;
+                        if (results.length === 1) {
+                            results = results[0];
+                        }
+                    }
+                }
+
+                done(error, results);
+            });
         });
     },
 
-    /**
-     * Make Api request to save profile in DH
-     * @param {Profile} profile
-     * @param {Function} callback
-     */
-    saveProfile: function (profile, callback) {
-        var self = this;
-        var error = null;
-        var result = null;
-
-        if (!(profile instanceof Profile)) {
-            error = new Error('Argument "profile" should be a Profile instance');
-            if (typeof callback === 'function') {
-                return callback(error, result);
-            }
+    /**
+     * Pass result of async operation to callback or, if callback is not a function,
+     * return Promise which is settled with the same result. If Promise is not available
+     * (node < 0.12) and callback is not passed, operation is run and its result is ignored
+     * @param {Function} [callback]
+     * @param {Function} executor Receives node-style "done" function
+     * @returns {Promise|undefined}
+     * @private
+     */
+    callbackOrPromise: function (callback, executor) {
+        if (typeof callback === 'function') {
+            executor(callback);
             return;
         }
 
-        var profileId = profile.getId();
-        var bodyProfile = profile.serialize(true);
-
-        if (!validator.profileIsValid(bodyProfile)) {
-            error = new Error('Profile is not valid');
-            if (typeof callback === 'function') {
-                return callback(error, result);
-            }
+        // Environments without native Promise support only callback style
+        if (typeof Promise === 'undefined') {
+            executor(function () {});
             return;
         }
 
-        var opts = {
-            url: this.getProfileUrl(profileId),
-            body: bodyProfile,
-            json: true
-        };
-
-        request.post(opts, function (error, response) {
-            var data;
-            error = self.checkErrors(error, response, [200, 201]);
-
-            if (!error) {
-                data = response.body;
-                if (data.hasOwnProperty('profile') && typeof data.profile === 'object') {
-                    try {
-                        profile = new Profile(data.profile);
-                        profile.resetDirty();
-                    } catch (e) {
-                        error = e;
-                    }
+        return new Promise(function (resolve, reject) {
+            executor(function (error, result) {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
                 }
-            }
-
-            if (typeof callback === 'function') {
-                return callback(error, profile);
-            }
+            });
         });
     },
 
     /**
-     * Make Api request to merge two profiles
-     * @param {Profile} profile1 Profile-recipient which will receive data from the profile-donor.
-     * @param {Profile} profile2 Profile-donor which will be merged in profile-recipient. ID of this profile will appear in mergedProfiles list
+     * Get value from cache or load it if it's not cached.
+     * If "staleWhileRevalidate" is enabled then expired value is returned and refreshed in background
+     * @param {Object} params
+     *
+     *     @example
+     *     {
+     *         "key": "string", // key of cache record, value is not cached if it's empty
+     *         "ttl": 60, // TTL of value in seconds
+     *         "forceRefresh": false // do not use cached value
+     *     }
+     *
+     * @param {Function} loader Receives callback which should be called with error and loaded value
      * @param {Function} callback
+     * @private
      */
-    mergeProfiles: function (profile1, profile2, callback) {
+    loadCachedValue: function (params, loader, callback) {
         var self = this;
-        var error = null;
-        var result = null;
+        var key = params.key;
+
+        function load (done) {
+            var loading = self.startLoading(key);
+
+            loader(function (error, value) {
+                self.finishLoading(key, loading);
+
+                // value which was invalidated while it was loaded can be outdated, so it's not cached
+                if (error || value === null || value === undefined || loading.invalidated) {
+                    return done(error, value);
+                }
 
-        if (!(profile1 instanceof Profile)) {
-            error = new Error('Argument "profile1" should be a Profile instance');
-        } else if (!(profile2 instanceof Profile)) {
-            error = new Error('Argument "profile2" should be a Profile instance');
+                self.storeCachedValue(key, value, params.ttl, function () {
+                    done(null, value);
+                });
+            });
         }
 
-        if (error) {
-            if (typeof callback === 'function') {
-                return callback(error, result);
-            }
-            return;
+        if (!key) {
+            return loader(callback);
         }
 
-        var profileId = profile1.getId();
-        var opts = {
-            url: this.getProfileUrl(profileId),
-            body: {
-                id: profileId,
-                mergedProfiles: [
-                    profile2.getId()
-                ]
-            },
-            json: true
-        };
+        if (params.forceRefresh) {
+            return load(callback);
+        }
 
-        request.post(opts, function (error, response) {
-            var data;
-            var profile = null;
+        this.callCache('get', [key], function (error, value) {
+            if (error || value === undefined) {
+                return load(callback);
+            }
 
-            error = self.checkErrors(error, response, [200, 201]);
+            if (!self.staleWhileRevalidate) {
+                return callback(null, value);
+            }
 
-            if (!error) {
-                data = response.body;
-                if (data.hasOwnProperty('profile') && typeof data.profile === 'object') {
-                    try {
-                        profile = new Profile(data.profile);
-                        profile.resetDirty();
-                    } catch (e) {
-                        error = e;
-                    }
+            self.callCache('get', [self.getFreshnessKey(key)], function (error, fresh) {
+                if (error || !fresh) {
+                    load(function () {});
                 }
-            }
 
-            if (typeof callback === 'function') {
-                return callback(error, profile);
-            }
+                return callback(null, value);
+            });
         });
     },
 
     /**
-     * Refresh  local profile with data from DH
-     * @param {Profile} profile
+     * Put value to cache. If "staleWhileRevalidate" is enabled then value is kept in cache
+     * longer than its TTL and freshness of value is tracked by separate record
+     * @param {String} key
+     * @param {*} value
+     * @param {Number} ttl TTL of value in seconds
      * @param {Function} callback
+     * @private
      */
-    refreshLocalProfile: function (profile, callback) {
-        var error = null;
-        var result = null;
-
-        if (!(profile instanceof Profile)) {
-            error = new Error('Argument "profile" should be a Profile instance');
-            if (typeof callback === 'function') {
-                return callback(error, result);
-            }
-            return;
-        }
-
-        var profileId = profile.getId();
+    storeCachedValue: function (key, value, ttl, callback) {
+        var self = this;
+        var stale = this.staleWhileRevalidate;
 
-        this.loadProfile(profileId, function (error, loadedProfile) {
-            if (!error) {
-                profile.merge(loadedProfile);
+        this.callCache('set', [key, value, ttl + stale], function () {
+            if (!stale) {
+                return callback();
             }
 
-            if (typeof callback === 'function') {
-                return callback(error, profile);
-            }
+            self.callCache('set', [self.getFreshnessKey(key), 1, ttl], function () {
+                callback();
+            });
         });
     },
 
     /**
-     * Try to parse profile data from request made by DH
-     * @param {String} requestBody
-     * @returns {Profile}
+     * Register load of cached value
+     * @param {String} key
+     * @returns {Object} State of load
+     * @private
      */
-    getProfileFromRequest: function (requestBody) {
-        try {
-            if (typeof requestBody !== 'object') {
-                requestBody = JSON.parse(requestBody);
-            }
-        } catch (e) {
-            throw new Error('Wrong stream data');
-        }
-        var profile = requestBody.profile;
-        if (!profile) {
-            throw new Error('Profile not found');
-        }
-        var profileInstance = new Profile(profile);
-        profileInstance.resetDirty();
-        return profileInstance;
+    startLoading: function (key) {
+        var loading = {
+            invalidated: false
+        };
+
+        this.pendingLoads[key] = (this.pendingLoads[key] || []).concat(loading);
+        return loading;
     },
 
     /**
-     *
-     * @param {String} requestBody
-     * @returns {Object}
+     * Unregister finished load of cached value
+     * @param {String} key
+     * @param {Object} loading State of load
+     * @private
      */
-    getMetaFromRequest: function (requestBody) {
-        try {
-            if (typeof requestBody !== 'object') {
-                requestBody = JSON.parse(requestBody);
-            }
-        } catch (e) {
-            throw new Error('Wrong stream data');
-        }
-        var meta = requestBody.meta;
-        if (!meta) {
-            throw new Error('Meta not found');
+    finishLoading: function (key, loading) {
+        var loads = (this.pendingLoads[key] || []).filter(function (item) {
+            return item !== loading;
+        });
+
+        if (loads.length) {
+            this.pendingLoads[key] = loads;
+        } else {
+            delete this.pendingLoads[key];
         }
-        return meta;
     },
 
     /**
-     * Create empty local profile with certain id
-     * @param {String} profileId
-     * @returns {Profile}
+     * Mark loads of cached value which are in progress as outdated, so their results are not cached
+     * @param {String} key
+     * @private
      */
-    createProfile: function (profileId) {
-        return new Profile({
-            id: profileId,
-            version: '1.0',
-            sessions: [],
-            attributes: [],
-            mergedProfiles: []
+    invalidateLoading: function (key) {
+        (this.pendingLoads[key] || []).forEach(function (loading) {
+            loading.invalidated = true;
         });
     },
 
     /**
-     * Checks if config is valid
-     * @param {Object} config
+     * Get key of cache record which marks value as fresh
+     * @param {String} key
+     * @returns {String}
      * @private
      */
-    validateConfig: function (config) {
-        if (!config) {
-            throw new Error('Config should be defined');
-        }
-
-        if (typeof config !== 'object') {
-            throw new Error('Config should be an object');
-        }
-
-        this.validateConfigRequiredProps(config);
-        this.validateConfigGroupId(config);
+    getFreshnessKey: function (key) {
+        return key + ':fresh';
     },
 
     /**
-     *
-     * @param {Object} config
+     * Send request or join identical request which is in progress.
+     * Only GET requests without own timeout, retry policy and AbortSignal are joined, so joined requests
+     * don't depend on options of each other. Every caller receives own copy of response body
+     * @param {Object} params See {@link InnoHelper#sendRequest}
+     * @param {Object} options Request options
+     * @param {Function} callback
      * @private
      */
-    validateConfigRequiredProps: function (config) {
-        ['bucketName', 'appName', 'appKey', 'apiUrl'].forEach(function (field) {
-            if (!(field in config)) {
-                throw new Error('Property "' + field + '" in config should be defined');
-            }
-            if (typeof config[field] !== 'string') {
-                throw new Error('Property "' + field + '" in config should be a string');
-            }
-            if (!config[field].trim()) {
-                throw new Error('Property "' + field + '" in config can not be empty');
+    sendCoalescedRequest: function (params, options, callback) {
+        var key = params.url;
+        var pending = this.pendingRequests;
+        var callbacks;
+
+        if (!this.coalesceRequests || params.method !== 'GET' ||
+            options.signal || options.timeout !== undefined || options.retry !== undefined) {
+            return this.sendRequest(params, options, callback);
+        }
+
+        if (pending.hasOwnProperty(key)) {
+            pending[key].push(callback);
+            return;
+        }
+
+        callbacks = [callback];
+        pending[key] = callbacks;
+
+        this.sendRequest(params, options, function (error, response) {
+            // request could be dropped and replaced by newer one
+            if (pending[key] === callbacks) {
+                delete pending[key];
             }
+
+            callbacks.forEach(function (waiter, index) {
+                if (index > 0 && response) {
+                    response = util._extend({}, response);
+                    response.body = clone(response.body);
+                }
+                waiter(error, response);
+            });
         });
     },
 
     /**
-     *
-     * @param {Object} config
+     * Do not join new requests to GET request which is in progress, because data was changed since it was sent.
+     * Callbacks which are already waiting for request still receive its response
+     * @param {String} url
      * @private
      */
-    validateConfigGroupId: function (config) {
-        if (!('groupId' in config)) {
-            throw new Error('Property "groupId" in config should be defined');
-        }
-        if (['string', 'number'].indexOf(typeof config.groupId) === -1) {
-            throw new Error('Property "groupId" in config should be a string or a number');
-        }
-        if (!String(config.groupId).trim()) {
-            throw new Error('Property "groupId" in config can not be empty');
-        }
+    dropPendingRequest: function (url) {
+        delete this.pendingRequests[url];
     },
 
     /**
-     * Check that certain object has all fields from list
-     * @param {Object} obj
-     * @param {Array} fields
-     * @returns {Error|null}
-     * @private
+     * Is cache of profiles allowed?
+     * @returns {Boolean}
      */
-    validateObject: function (obj, fields) {
-        var error = null;
-        if (typeof obj !== 'object') {
-            error = new Error('Object is not defined');
-        } else {
-            try {
-                fields = Array.isArray(fields) ? fields : [fields];
-                fields.forEach(function (key) {
-                    if (!(key in obj)) {
-                        throw new Error(key.toUpperCase() + ' not found');
-                    }
-                });
-            } catch (e) {
-                error = e;
-            }
-        }
-        return error;
+    isProfileCacheAllowed: function () {
+        return this.isCacheAllowed() && !!this.cache && this.profileCacheTime > 0;
     },
 
     /**
-     * Check for error and that response has allowed statusCode and required field(s)
-     * @param {Error} error
-     * @param {Object} response
-     * @param {Number|Array} successCode
-     * @returns {Error|null}
+     * Get key of cached profile
+     * @param {String} profileId
+     * @returns {String}
      * @private
      */
-    checkErrors: function (error, response, successCode) {
-        successCode = successCode || 200;
-        if (!(successCode instanceof Array)) {
-            successCode = [successCode];
-        }
-
-        if (error) {
-            return error;
-        }
-
-        if (!response || !response.body) {
-            return new Error('Response does not contain data');
-        }
-
-        if (successCode.indexOf(response.statusCode) === -1) {
-            error = new Error(response.body.message);
-            error.name = 'Server failed with status code ' + response.statusCode;
-            return error;
-        }
-
-        return null;
+    getProfileCacheKey: function (profileId) {
+        return this.getCacheKey('profile:' + profileId);
     },
 
     /**
-     *
-     * @param {Profile} profile
-     * @param {Object} params
+     * Remove profiles from cache
+     * @param {Array} profileIds
      * @param {Function} callback
      * @private
      */
-    _evaluateProfileByParams: function (profile, params, callback) {
+    expireCachedProfiles: function (profileIds, callback) {
         var self = this;
-        var error = null;
-        var results = null;
 
-        if (!(profile instanceof Profile)) {
-            error = new Error('Argument "profile" should be a Profile instance');
-            return callback(error, results);
-        }
-
-        var defParams = {
-            profile_id: profile.getId()
-        };
-
-        params = util._extend(params, defParams);
+        profileIds.forEach(function (profileId) {
+            self.dropPendingRequest(self.getProfileUrl(profileId));
+        });
 
-        var opts = {
-            url: this.getSegmentEvaluationUrl(params),
-            json: true
-        };
+        if (!this.isProfileCacheAllowed()) {
+            return callback();
+        }
 
-        request.get(opts, function (error, response) {
-            var data;
+        mapLimit(profileIds, profileIds.length, function (profileId, index, done) {
+            var key = self.getProfileCacheKey(profileId);
 
-            error = self.checkErrors(error, response);
+            self.invalidateLoading(key);
+            self.callCache('del', [key], function () {
+                done();
+            });
+        }, function () {
+            callback();
+        });
+    },
 
-            if (!error) {
-                data = response.body;
-                if (data.hasOwnProperty('segmentEvaluation') && data.segmentEvaluation.hasOwnProperty('results')) {
-                    results = data.segmentEvaluation.results;
-                    if (results.length === 1) {
-                        results = results[0];
-                    }
-                }
-            }
+    /**
+     * Create profile which is not linked with raw data
+     * @param {Object} data
+     * @returns {Profile}
+     * @private
+     */
+    createProfileFromData: function (data) {
+        var profile = new Profile(clone(data));
+        profile.resetDirty();
+        return profile;
+    },
 
-            callback(error, results);
-        });
+    /**
+     * Call method of cache. Cache can either call passed callback or return a Promise.
+     * Cache is not critical so its errors are only passed to callback
+     * @param {String} method
+     * @param {Array} args
+     * @param {Function} callback
+     * @private
+     */
+    callCache: function (method, args, callback) {
+        callAsync(this.cache[method], this.cache, args, callback);
     },
 
+    /**
+     * Get key of cache record, it's unique for company, bucket and application
+     * @param {String} [name]
+     * @returns {String}
+     */
     getCacheKey: function (name) {
-        return (name || 'default') + '-' + this.getCollectApp();
+        return [
+            name || 'default',
+            this.getCompany(),
+            this.getBucket(),
+            this.getCollectApp()
+        ].join('-');
     }
 };
 
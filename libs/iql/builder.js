@@ -0,0 +1,364 @@
+'use strict';
+
+var IqlParser = require('./parser');
+var IqlPrinter = require('./printer');
+var errors = require('./errors');
+
+/**
+ * Fluent builder of IQL expressions. Every step is validated at once, so malformed
+ * expression can not be built. Values are quoted and escaped automatically.
+ *
+ *     @example
+ *     var where = IqlBuilder.where;
+ *
+ *     where().collectApp('web').section('shop').event('purchase').within('30d')
+ *         .and(where().attribute('country')['in']('NL', 'BE').not())
+ *         .toString();
+ *     // collectApp("web").section("shop").event("purchase").within("30d") and not attribute("country").in("NL", "BE")
+ *
+ * @param {Object} [tree] Syntax tree of expression, builder of condition is created if it's not passed
+ * @constructor
+ */
+var IqlBuilder = function (tree) {
+    this.tree = tree || null;
+    this.calls = [];
+};
+
+/**
+ * Create builder of condition
+ * @returns {IqlBuilder}
+ * @static
+ */
+IqlBuilder.where = function () {
+    return new IqlBuilder();
+};
+
+/**
+ * Create builder of expression which is true if all passed expressions are true
+ * @param {...IqlBuilder|String|Object} expressions Builders, IQL strings or syntax trees
+ * @returns {IqlBuilder}
+ * @static
+ */
+IqlBuilder.and = function () {
+    return IqlBuilder.group('and', Array.prototype.slice.call(arguments));
+};
+
+/**
+ * Create builder of expression which is true if any of passed expressions is true
+ * @param {...IqlBuilder|String|Object} expressions Builders, IQL strings or syntax trees
+ * @returns {IqlBuilder}
+ * @static
+ */
+IqlBuilder.or = function () {
+    return IqlBuilder.group('or', Array.prototype.slice.call(arguments));
+};
+
+/**
+ * Create builder of negated expression
+ * @param {IqlBuilder|String|Object} expression Builder, IQL string or syntax tree
+ * @returns {IqlBuilder}
+ * @static
+ */
+IqlBuilder.not = function (expression) {
+    return new IqlBuilder({
+        type: 'not',
+        condition: IqlBuilder.toTree(expression)
+    });
+};
+
+/**
+ * Create builder of logical group
+ * @param {String} type
+ * @param {Array} expressions
+ * @returns {IqlBuilder}
+ * @private
+ * @static
+ */
+IqlBuilder.group = function (type, expressions) {
+    if (!expressions.length) {
+        throw new errors.IqlSyntaxError('At least one expression should be passed to "' + type + '"');
+    }
+
+    return new IqlBuilder(expressions.length === 1 ? IqlBuilder.toTree(expressions[0]) : {
+        type: type,
+        conditions: expressions.map(IqlBuilder.toTree)
+    });
+};
+
+/**
+ * Convert expression to syntax tree
+ * @param {IqlBuilder|String|Object} expression
+ * @returns {Object}
+ * @private
+ * @static
+ */
+IqlBuilder.toTree = function (expression) {
+    if (expression instanceof IqlBuilder) {
+        return expression.toTree();
+    }
+
+    if (typeof expression === 'string') {
+        return new IqlParser().parse(expression);
+    }
+
+    if (expression && typeof expression === 'object' && typeof expression.type === 'string') {
+        return expression;
+    }
+
+    throw new errors.IqlSyntaxError('Expression should be an IqlBuilder, IQL string or syntax tree');
+};
+
+IqlBuilder.prototype = {
+
+    /**
+     * Syntax tree of logical group
+     * @type {Object}
+     * @private
+     */
+    tree: null,
+
+    /**
+     * Calls of condition
+     * @type {Array}
+     * @private
+     */
+    calls: null,
+
+    /**
+     * Filter by application
+     * @param {String} collectApp
+     * @returns {IqlBuilder}
+     */
+    collectApp: function (collectApp) {
+        return this.addCall('collectApp', [collectApp]);
+    },
+
+    /**
+     * Filter by section
+     * @param {String} section
+     * @returns {IqlBuilder}
+     */
+    section: function (section) {
+        return this.addCall('section', [section]);
+    },
+
+    /**
+     * Check attribute
+     * @param {String} name
+     * @returns {IqlBuilder}
+     */
+    attribute: function (name) {
+        return this.addCall('attribute', [name]);
+    },
+
+    /**
+     * Check value of session data
+     * @param {String} name
+     * @returns {IqlBuilder}
+     */
+    sessionData: function (name) {
+        return this.addCall('sessionData', [name]);
+    },
+
+    /**
+     * Check events by definition
+     * @param {String} definitionId
+     * @returns {IqlBuilder}
+     */
+    event: function (definitionId) {
+        return this.addCall('event', [definitionId]);
+    },
+
+    /**
+     * Check value of event data
+     * @param {String} name
+     * @returns {IqlBuilder}
+     */
+    data: function (name) {
+        return this.addCall('data', [name]);
+    },
+
+    /**
+     * Check only events and sessions in time window
+     * @param {String|Number} duration Duration like "30m", "12h", "7d" or number of milliseconds
+     * @returns {IqlBuilder}
+     */
+    within: function (duration) {
+        return this.addCall('within', [duration]);
+    },
+
+    /**
+     * Value exists
+     * @returns {IqlBuilder}
+     */
+    exists: function () {
+        return this.addCall('exists', []);
+    },
+
+    /**
+     * Value is equal to passed one
+     * @param {String|Number|Boolean|null} value
+     * @returns {IqlBuilder}
+     */
+    eq: function (value) {
+        return this.addCall('eq', [value]);
+    },
+
+    /**
+     * Value is not equal to passed one
+     * @param {String|Number|Boolean|null} value
+     * @returns {IqlBuilder}
+     */
+    ne: function (value) {
+        return this.addCall('ne', [value]);
+    },
+
+    /**
+     * Value is greater than passed one
+     * @param {String|Number} value
+     * @returns {IqlBuilder}
+     */
+    gt: function (value) {
+        return this.addCall('gt', [value]);
+    },
+
+    /**
+     * Value is greater than or equal to passed one
+     * @param {String|Number} value
+     * @returns {IqlBuilder}
+     */
+    gte: function (value) {
+        return this.addCall('gte', [value]);
+    },
+
+    /**
+     * Value is less than passed one
+     * @param {String|Number} value
+     * @returns {IqlBuilder}
+     */
+    lt: function (value) {
+        return this.addCall('lt', [value]);
+    },
+
+    /**
+     * Value is less than or equal to passed one
+     * @param {String|Number} value
+     * @returns {IqlBuilder}
+     */
+    lte: function (value) {
+        return this.addCall('lte', [value]);
+    },
+
+    /**
+     * Value (string or array) contains passed one
+     * @param {String|Number|Boolean|null} value
+     * @returns {IqlBuilder}
+     */
+    contains: function (value) {
+        return this.addCall('contains', [value]);
+    },
+
+    /**
+     * Value is equal to one of passed values
+     * @param {...String|Number|Boolean|null} values
+     * @returns {IqlBuilder}
+     */
+    'in': function () {
+        return this.addCall('in', Array.prototype.slice.call(arguments));
+    },
+
+    /**
+     * Combine expression with others by "and"
+     * @param {...IqlBuilder|String|Object} expressions
+     * @returns {IqlBuilder} New builder
+     */
+    and: function () {
+        return IqlBuilder.and.apply(null, [this].concat(Array.prototype.slice.call(arguments)));
+    },
+
+    /**
+     * Combine expression with others by "or"
+     * @param {...IqlBuilder|String|Object} expressions
+     * @returns {IqlBuilder} New builder
+     */
+    or: function () {
+        return IqlBuilder.or.apply(null, [this].concat(Array.prototype.slice.call(arguments)));
+    },
+
+    /**
+     * Negate expression
+     * @returns {IqlBuilder} New builder
+     */
+    not: function () {
+        return IqlBuilder.not(this);
+    },
+
+    /**
+     * Get syntax tree of expression
+     * @returns {Object}
+     */
+    toTree: function () {
+        if (this.tree) {
+            return this.tree;
+        }
+
+        if (!this.calls.length) {
+            throw new errors.IqlSyntaxError('Condition is empty');
+        }
+
+        return new IqlParser().createCondition(this.calls);
+    },
+
+    /**
+     * Get IQL expression
+     * @param {Object} [options] Options of {@link IqlPrinter}
+     * @returns {String}
+     */
+    print: function (options) {
+        return new IqlPrinter(options).print(this.toTree());
+    },
+
+    /**
+     * Get IQL expression
+     * @returns {String}
+     */
+    toString: function () {
+        return this.print();
+    },
+
+    /**
+     * Add call to condition and check that condition is still valid
+     * @param {String} name
+     * @param {Array} args
+     * @returns {IqlBuilder}
+     * @private
+     */
+    addCall: function (name, args) {
+        if (this.tree) {
+            throw new errors.IqlSyntaxError('Function "' + name + '" can not be added to logical group');
+        }
+
+        args.forEach(function (arg) {
+            var type = typeof arg;
+            if (!(arg === null || type === 'string' || type === 'boolean' || type === 'number' && isFinite(arg))) {
+                throw new errors.IqlSyntaxError('Arguments of "' + name + '" should be strings, finite numbers, booleans or null');
+            }
+        });
+
+        this.calls.push({
+            name: name,
+            args: args
+        });
+
+        try {
+            new IqlParser().createCondition(this.calls);
+        } catch (e) {
+            this.calls.pop();
+            throw e;
+        }
+
+        return this;
+    }
+};
+
+module.exports = IqlBuilder;
@@ -0,0 +1,49 @@
+'use strict';
+
+var util = require('util');
+
+/**
+ * IQL expression can not be parsed
+ * @param {String} message
+ * @param {Number} [position] Position in expression where error was found
+ * @constructor
+ */
+var IqlSyntaxError = function (message, position) {
+    Error.call(this);
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    }
+
+    this.position = typeof position === 'number' ? position : null;
+    this.message = this.position === null ? message : message + ' at position ' + this.position;
+};
+
+util.inherits(IqlSyntaxError, Error);
+
+IqlSyntaxError.prototype.name = 'IqlSyntaxError';
+
+/**
+ * IQL expression is valid but uses constructs which can not be evaluated locally,
+ * remote evaluation API should be used for it
+ * @param {String} message
+ * @param {String} [construct] Name of unsupported construct
+ * @constructor
+ */
+var IqlUnsupportedError = function (message, construct) {
+    Error.call(this);
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    }
+
+    this.message = message;
+    this.construct = construct || null;
+};
+
+util.inherits(IqlUnsupportedError, Error);
+
+IqlUnsupportedError.prototype.name = 'IqlUnsupportedError';
+
+module.exports = {
+    IqlSyntaxError: IqlSyntaxError,
+    IqlUnsupportedError: IqlUnsupportedError
+};
@@ -0,0 +1,190 @@
+'use strict';
+
+var errors = require('./errors');
+
+/**
+ * Compare two values by operator
+ * @param {String} operator
+ * @param {*} value Value from profile
+ * @param {Array} args Arguments of operator
+ * @returns {Boolean}
+ * @private
+ */
+function compare (operator, value, args) {
+    var arg = args[0];
+    var comparable = typeof value === typeof arg && (typeof value === 'number' || typeof value === 'string');
+
+    switch (operator) {
+        case 'eq':
+            return value === arg;
+        case 'ne':
+            return value !== arg;
+        case 'gt':
+            return comparable && value > arg;
+        case 'gte':
+            return comparable && value >= arg;
+        case 'lt':
+            return comparable && value < arg;
+        case 'lte':
+            return comparable && value <= arg;
+        case 'contains':
+            if (typeof value === 'string') {
+                return typeof arg === 'string' && value.indexOf(arg) !== -1;
+            }
+            return Array.isArray(value) && value.indexOf(arg) !== -1;
+        case 'in':
+            return args.indexOf(value) !== -1;
+        default:
+            return value !== null && value !== undefined;
+    }
+}
+
+/**
+ * Evaluator of parsed IQL expressions against profile (see {@link IqlParser})
+ * @param {Object} [options]
+ *
+ *     @example
+ *     {
+ *         "now": 1449742185000 // time which is used for time windows, current time by default
+ *     }
+ *
+ * @constructor
+ */
+var IqlEvaluator = function (options) {
+    options = options || {};
+    this.now = options.now || null;
+};
+
+IqlEvaluator.prototype = {
+
+    /**
+     * Time which is used for time windows
+     * @type {Number}
+     * @private
+     */
+    now: null,
+
+    /**
+     * Check if profile matches parsed expression
+     * @param {Object} node Syntax tree
+     * @param {Profile} profile
+     * @returns {Boolean}
+     */
+    evaluate: function (node, profile) {
+        switch (node.type) {
+            case 'or':
+                return node.conditions.some(function (condition) {
+                    return this.evaluate(condition, profile);
+                }, this);
+            case 'and':
+                return node.conditions.every(function (condition) {
+                    return this.evaluate(condition, profile);
+                }, this);
+            case 'not':
+                return !this.evaluate(node.condition, profile);
+            case 'calls':
+                throw new errors.IqlUnsupportedError('Function "' + node.unsupported + '" is not supported', node.unsupported);
+            default:
+                return this.evaluateCondition(node, profile);
+        }
+    },
+
+    /**
+     * Check if any value of profile matches condition
+     * @param {Object} condition
+     * @param {Profile} profile
+     * @returns {Boolean}
+     * @private
+     */
+    evaluateCondition: function (condition, profile) {
+        var values = this.getValues(condition, profile);
+
+        if (condition.operator === 'ne') {
+            // all values should differ, missing value differs from everything
+            return values.every(function (value) {
+                return compare('ne', value, condition.values);
+            });
+        }
+
+        return values.some(function (value) {
+            return compare(condition.operator, value, condition.values);
+        });
+    },
+
+    /**
+     * Get values of profile which are checked by condition
+     * @param {Object} condition
+     * @param {Profile} profile
+     * @returns {Array}
+     * @private
+     */
+    getValues: function (condition, profile) {
+        var sessions;
+        var events;
+
+        if (condition.target === 'attribute') {
+            return profile.getAttributes(condition.collectApp, condition.section).filter(function (attribute) {
+                return attribute.getName() === condition.name;
+            }).map(function (attribute) {
+                return attribute.getValue();
+            });
+        }
+
+        sessions = this.getSessions(condition, profile);
+
+        if (condition.target === 'sessionData') {
+            return sessions.map(function (session) {
+                return session.getDataValue(condition.name);
+            });
+        }
+
+        if (condition.target === 'event') {
+            events = [];
+            sessions.forEach(function (session) {
+                events = events.concat(session.getEvents(condition.name));
+            });
+
+            if (condition.within) {
+                events = events.filter(function (event) {
+                    return event.getCreatedAt() >= this.getNow() - condition.within;
+                }, this);
+            }
+
+            return events.map(function (event) {
+                return condition.field === null ? true : event.getDataValue(condition.field);
+            });
+        }
+
+        return sessions.map(function () {
+            return true;
+        });
+    },
+
+    /**
+     * Get sessions of profile which match application, section and time window of condition
+     * @param {Object} condition
+     * @param {Profile} profile
+     * @returns {Array}
+     * @private
+     */
+    getSessions: function (condition, profile) {
+        var from = condition.within && condition.target !== 'event' ? this.getNow() - condition.within : null;
+
+        return profile.getSessions().filter(function (session) {
+            return (!condition.collectApp || session.getCollectApp() === condition.collectApp) &&
+                (!condition.section || session.getSection() === condition.section) &&
+                (from === null || session.getModifiedAt() >= from);
+        });
+    },
+
+    /**
+     * Get time which is used for time windows
+     * @returns {Number}
+     * @private
+     */
+    getNow: function () {
+        return this.now || Date.now();
+    }
+};
+
+module.exports = IqlEvaluator;
@@ -0,0 +1,80 @@
+'use strict';
+
+var IqlParser = require('./parser');
+var IqlEvaluator = require('./evaluator');
+var IqlPrinter = require('./printer');
+var IqlBuilder = require('./builder');
+var errors = require('./errors');
+
+/**
+ * Parse IQL expression to syntax tree
+ * @param {String} iql
+ * @param {Object} [options] Options of {@link IqlParser}
+ * @returns {Object}
+ * @throws {IqlSyntaxError|IqlUnsupportedError}
+ */
+function parse (iql, options) {
+    return new IqlParser(options).parse(iql);
+}
+
+/**
+ * Check if profile matches IQL expression
+ * @param {String|Object} iql Expression or its syntax tree
+ * @param {Profile} profile
+ * @param {Object} [options] Options of {@link IqlEvaluator}
+ * @returns {Boolean}
+ * @throws {IqlSyntaxError|IqlUnsupportedError}
+ */
+function evaluate (iql, profile, options) {
+    var tree = typeof iql === 'string' ? parse(iql) : iql;
+    return new IqlEvaluator(options).evaluate(tree, profile);
+}
+
+/**
+ * Check syntax of IQL expression. Unknown functions are not treated as errors,
+ * they can be supported by evaluation API
+ * @param {String} iql
+ * @returns {IqlSyntaxError|null} Error if expression is malformed
+ */
+function validate (iql) {
+    try {
+        parse(iql, {
+            allowUnsupported: true
+        });
+    } catch (e) {
+        if (e instanceof errors.IqlSyntaxError) {
+            return e;
+        }
+        throw e;
+    }
+    return null;
+}
+
+/**
+ * Format IQL expression
+ * @param {String|Object} iql Expression or its syntax tree
+ * @param {Object} [options] Options of {@link IqlPrinter}
+ * @returns {String}
+ * @throws {IqlSyntaxError}
+ */
+function format (iql, options) {
+    var tree = typeof iql === 'string' ? parse(iql, {allowUnsupported: true}) : iql;
+    return new IqlPrinter(options).print(tree);
+}
+
+module.exports = {
+    IqlParser: IqlParser,
+    IqlEvaluator: IqlEvaluator,
+    IqlPrinter: IqlPrinter,
+    IqlBuilder: IqlBuilder,
+    IqlSyntaxError: errors.IqlSyntaxError,
+    IqlUnsupportedError: errors.IqlUnsupportedError,
+    parse: parse,
+    evaluate: evaluate,
+    validate: validate,
+    format: format,
+    where: IqlBuilder.where,
+    and: IqlBuilder.and,
+    or: IqlBuilder.or,
+    not: IqlBuilder.not
+};
@@ -0,0 +1,642 @@
+'use strict';
+
+var errors = require('./errors');
+
+/**
+ * Units of time windows in milliseconds
+ * @type {Object}
+ * @private
+ */
+var durationUnits = {
+    ms: 1,
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Operators which can finish condition and number of their arguments (-1 - one or more)
+ * @type {Object}
+ * @private
+ */
+var operators = {
+    exists: 0,
+    eq: 1,
+    ne: 1,
+    gt: 1,
+    gte: 1,
+    lt: 1,
+    lte: 1,
+    contains: 1,
+    'in': -1
+};
+
+/**
+ * Parser of IQL expressions.
+ *
+ * Supported grammar:
+ *
+ *     expression := and-expression (("or" | "||") and-expression)*
+ *     and-expression := unary (("and" | "&&") unary)*
+ *     unary := ("not" | "!") unary | "(" expression ")" | condition
+ *     condition := call ("." call)*
+ *     call := name "(" [literal ("," literal)*] ")"
+ *     literal := string | number | true | false | null
+ *
+ * Condition is a chain of calls:
+ *
+ *     [collectApp(app)] [section(section)] [target] [within(duration)] [operator]
+ *
+ * where target is one of `attribute(name)`, `sessionData(name)`, `event(definitionId)` or
+ * `event(definitionId).data(name)`, and operator is one of `exists()`, `eq(v)`, `ne(v)`, `gt(v)`,
+ * `gte(v)`, `lt(v)`, `lte(v)`, `contains(v)`, `in(v1, v2, ...)`. Condition without target checks that
+ * profile has session in application and section, condition without operator is the same as `exists()`.
+ *
+ *     @example
+ *     collectApp("web").section("shop").event("purchase").within("7d") and
+ *     not collectApp("web").section("shop").attribute("country").in("NL", "BE")
+ *
+ * @param {Object} [options]
+ *
+ *     @example
+ *     {
+ *         // do not throw IqlUnsupportedError for unknown functions, such chains are returned
+ *         // as nodes with type "calls" which contain list of calls and name of unknown function
+ *         "allowUnsupported": false
+ *     }
+ *
+ * @constructor
+ */
+var IqlParser = function (options) {
+    options = options || {};
+    this.allowUnsupported = !!options.allowUnsupported;
+};
+
+IqlParser.durationUnits = durationUnits;
+IqlParser.operators = operators;
+
+IqlParser.prototype = {
+
+    /**
+     * Return unknown functions as is instead of throwing IqlUnsupportedError
+     * @type {Boolean}
+     * @private
+     */
+    allowUnsupported: false,
+
+    /**
+     * Expression which is parsed
+     * @type {String}
+     * @private
+     */
+    source: null,
+
+    /**
+     * Tokens of expression
+     * @type {Array}
+     * @private
+     */
+    tokens: null,
+
+    /**
+     * Index of current token
+     * @type {Number}
+     * @private
+     */
+    index: 0,
+
+    /**
+     * Parse IQL expression to syntax tree
+     * @param {String} source
+     * @returns {Object}
+     * @throws {IqlSyntaxError} If expression is malformed
+     * @throws {IqlUnsupportedError} If expression uses unknown functions
+     */
+    parse: function (source) {
+        var node;
+
+        if (typeof source !== 'string' || !source.trim()) {
+            throw new errors.IqlSyntaxError('IQL expression should be a non-empty string');
+        }
+
+        this.source = source;
+        this.tokens = this.tokenize(source);
+        this.index = 0;
+
+        node = this.parseOr();
+
+        if (this.peek().type !== 'eof') {
+            this.unexpected(this.peek());
+        }
+
+        return node;
+    },
+
+    /**
+     * Split expression to tokens
+     * @param {String} source
+     * @returns {Array}
+     * @private
+     */
+    tokenize: function (source) {
+        var tokens = [];
+        var position = 0;
+        var length = source.length;
+        var match;
+        var rest;
+        var ch;
+
+        while (position < length) {
+            ch = source.charAt(position);
+            rest = source.slice(position);
+
+            if ((/\s/).test(ch)) {
+                position++;
+            } else if (ch === '"' || ch === '\'') {
+                position = this.readString(source, position, tokens);
+            } else if ((match = (/^-?\d+(\.\d+)?([eE][+-]?\d+)?/).exec(rest))) {
+                tokens.push({
+                    type: 'number',
+                    value: parseFloat(match[0]),
+                    position: position
+                });
+                position += match[0].length;
+            } else if ((match = (/^[A-Za-z_][A-Za-z0-9_]*/).exec(rest))) {
+                tokens.push({
+                    type: 'name',
+                    value: match[0],
+                    position: position
+                });
+                position += match[0].length;
+            } else if ((match = (/^(&&|\|\||[().,!])/).exec(rest))) {
+                tokens.push({
+                    type: 'punctuator',
+                    value: match[0],
+                    position: position
+                });
+                position += match[0].length;
+            } else {
+                throw new errors.IqlSyntaxError('Unexpected character "' + ch + '"', position);
+            }
+        }
+
+        tokens.push({
+            type: 'eof',
+            value: null,
+            position: length
+        });
+
+        return tokens;
+    },
+
+    /**
+     * Read quoted string with escape sequences
+     * @param {String} source
+     * @param {Number} start Position of opening quote
+     * @param {Array} tokens
+     * @returns {Number} Position after closing quote
+     * @private
+     */
+    readString: function (source, start, tokens) {
+        var quote = source.charAt(start);
+        var escapes = {
+            n: '\n',
+            r: '\r',
+            t: '\t',
+            b: '\b',
+            f: '\f'
+        };
+        var value = '';
+        var position = start + 1;
+        var ch;
+        var code;
+
+        while (position < source.length) {
+            ch = source.charAt(position);
+
+            if (ch === quote) {
+                tokens.push({
+                    type: 'string',
+                    value: value,
+                    position: start
+                });
+                return position + 1;
+            }
+
+            if (ch === '\\') {
+                ch = source.charAt(position + 1);
+                if (ch === 'u') {
+                    code = source.substr(position + 2, 4);
+                    if (!(/^[0-9a-fA-F]{4}$/).test(code)) {
+                        throw new errors.IqlSyntaxError('Invalid unicode escape sequence', position);
+                    }
+                    value += String.fromCharCode(parseInt(code, 16));
+                    position += 6;
+                } else {
+                    value += escapes.hasOwnProperty(ch) ? escapes[ch] : ch;
+                    position += 2;
+                }
+            } else {
+                value += ch;
+                position++;
+            }
+        }
+
+        throw new errors.IqlSyntaxError('Unterminated string', start);
+    },
+
+    /**
+     * Parse "or" expression
+     * @returns {Object}
+     * @private
+     */
+    parseOr: function () {
+        var conditions = [this.parseAnd()];
+
+        while (this.matchOperator('or', '||')) {
+            conditions.push(this.parseAnd());
+        }
+
+        return conditions.length === 1 ? conditions[0] : {
+            type: 'or',
+            conditions: conditions
+        };
+    },
+
+    /**
+     * Parse "and" expression
+     * @returns {Object}
+     * @private
+     */
+    parseAnd: function () {
+        var conditions = [this.parseUnary()];
+
+        while (this.matchOperator('and', '&&')) {
+            conditions.push(this.parseUnary());
+        }
+
+        return conditions.length === 1 ? conditions[0] : {
+            type: 'and',
+            conditions: conditions
+        };
+    },
+
+    /**
+     * Parse negation, group or condition
+     * @returns {Object}
+     * @private
+     */
+    parseUnary: function () {
+        var token = this.peek();
+        var node;
+
+        if (this.matchOperator('not', '!')) {
+            return {
+                type: 'not',
+                condition: this.parseUnary()
+            };
+        }
+
+        if (token.type === 'punctuator' && token.value === '(') {
+            this.next();
+            node = this.parseOr();
+            this.expect(')');
+            return node;
+        }
+
+        return this.parseCondition();
+    },
+
+    /**
+     * Parse chain of calls and convert it to condition
+     * @returns {Object}
+     * @private
+     */
+    parseCondition: function () {
+        var calls = [this.parseCall()];
+        var unsupported;
+
+        while (this.peek().type === 'punctuator' && this.peek().value === '.') {
+            this.next();
+            calls.push(this.parseCall());
+        }
+
+        unsupported = this.allowUnsupported ? this.findUnsupportedCall(calls) : null;
+
+        if (unsupported) {
+            return {
+                type: 'calls',
+                calls: calls,
+                unsupported: unsupported.name
+            };
+        }
+
+        return this.createCondition(calls);
+    },
+
+    /**
+     * Parse single call
+     * @returns {Object}
+     * @private
+     */
+    parseCall: function () {
+        var token = this.next();
+        var args = [];
+
+        if (token.type !== 'name' || this.isKeyword(token.value)) {
+            this.unexpected(token);
+        }
+
+        this.expect('(');
+
+        if (!(this.peek().type === 'punctuator' && this.peek().value === ')')) {
+            args.push(this.parseLiteral());
+            while (this.peek().type === 'punctuator' && this.peek().value === ',') {
+                this.next();
+                args.push(this.parseLiteral());
+            }
+        }
+
+        this.expect(')');
+
+        return {
+            name: token.value,
+            args: args,
+            position: token.position
+        };
+    },
+
+    /**
+     * Parse literal value
+     * @returns {*}
+     * @private
+     */
+    parseLiteral: function () {
+        var token = this.next();
+        var literals = {
+            'true': true,
+            'false': false,
+            'null': null
+        };
+
+        if (token.type === 'string' || token.type === 'number') {
+            return token.value;
+        }
+
+        if (token.type === 'name' && literals.hasOwnProperty(token.value)) {
+            return literals[token.value];
+        }
+
+        return this.unexpected(token);
+    },
+
+    /**
+     * Find first call of unknown function
+     * @param {Array} calls
+     * @returns {Object|null}
+     * @private
+     */
+    findUnsupportedCall: function (calls) {
+        var unsupported = calls.filter(function (call) {
+            try {
+                this.getCallStage(call);
+            } catch (e) {
+                return true;
+            }
+            return false;
+        }, this);
+
+        return unsupported[0] || null;
+    },
+
+    /**
+     * Convert chain of calls to condition
+     * @param {Array} calls List of calls, every call contains "name", "args" and optional "position"
+     * @returns {Object}
+     * @throws {IqlSyntaxError|IqlUnsupportedError}
+     */
+    createCondition: function (calls) {
+        var condition = {
+            type: 'condition',
+            collectApp: null,
+            section: null,
+            target: 'session',
+            name: null,
+            field: null,
+            within: null,
+            operator: 'exists',
+            values: []
+        };
+        // order in which calls can follow each other
+        var stages = ['collectApp', 'section', 'target', 'data', 'within', 'operator'];
+        var stage = -1;
+
+        calls.forEach(function (call) {
+            var callStage = this.getCallStage(call);
+            var index = stages.indexOf(callStage);
+
+            if (index <= stage) {
+                throw new errors.IqlSyntaxError('Function "' + call.name + '" can not be used here', call.position);
+            }
+            stage = index;
+
+            switch (callStage) {
+                case 'collectApp':
+                case 'section':
+                    condition[callStage] = this.getStringArgument(call);
+                    break;
+                case 'target':
+                    condition.target = call.name;
+                    condition.name = this.getStringArgument(call);
+                    break;
+                case 'data':
+                    if (condition.target !== 'event') {
+                        throw new errors.IqlSyntaxError('Function "data" can be used only after "event"', call.position);
+                    }
+                    condition.field = this.getStringArgument(call);
+                    break;
+                case 'within':
+                    if (condition.target === 'attribute') {
+                        throw new errors.IqlSyntaxError('Function "within" can not be used with attributes', call.position);
+                    }
+                    condition.within = this.getDuration(call);
+                    break;
+                default:
+                    this.checkOperator(condition, call);
+                    condition.operator = call.name;
+                    condition.values = call.args;
+            }
+        }, this);
+
+        return condition;
+    },
+
+    /**
+     * Get stage of condition which call belongs to
+     * @param {Object} call
+     * @returns {String}
+     * @private
+     */
+    getCallStage: function (call) {
+        var name = call.name;
+
+        if (name === 'collectApp' || name === 'section' || name === 'data' || name === 'within') {
+            return name;
+        }
+
+        if (name === 'attribute' || name === 'sessionData' || name === 'event') {
+            return 'target';
+        }
+
+        if (operators.hasOwnProperty(name)) {
+            return 'operator';
+        }
+
+        throw new errors.IqlUnsupportedError('Function "' + name + '" is not supported', name);
+    },
+
+    /**
+     * Check that operator can be applied to condition
+     * @param {Object} condition
+     * @param {Object} call
+     * @private
+     */
+    checkOperator: function (condition, call) {
+        var argsCount = operators[call.name];
+        var hasValue = condition.target === 'attribute' || condition.target === 'sessionData' || condition.field !== null;
+
+        if (call.name !== 'exists' && !hasValue) {
+            throw new errors.IqlSyntaxError('Function "' + call.name + '" can be used only with value', call.position);
+        }
+
+        if (argsCount === -1 ? !call.args.length : call.args.length !== argsCount) {
+            throw new errors.IqlSyntaxError('Function "' + call.name + '" has wrong number of arguments', call.position);
+        }
+    },
+
+    /**
+     * Get the only string argument of call
+     * @param {Object} call
+     * @returns {String}
+     * @private
+     */
+    getStringArgument: function (call) {
+        if (call.args.length !== 1 || typeof call.args[0] !== 'string' || !call.args[0]) {
+            throw new errors.IqlSyntaxError('Function "' + call.name + '" expects one non-empty string argument', call.position);
+        }
+        return call.args[0];
+    },
+
+    /**
+     * Get duration of time window in milliseconds
+     * @param {Object} call
+     * @returns {Number}
+     * @private
+     */
+    getDuration: function (call) {
+        var value = call.args[0];
+        var match;
+
+        if (call.args.length === 1) {
+            if (typeof value === 'number' && value > 0) {
+                return value;
+            }
+
+            match = typeof value === 'string' && (/^(\d+)(ms|s|m|h|d|w)$/).exec(value);
+            if (match && +match[1] > 0) {
+                return match[1] * durationUnits[match[2]];
+            }
+        }
+
+        throw new errors.IqlSyntaxError('Function "within" expects duration like "30m", "12h" or "7d"', call.position);
+    },
+
+    /**
+     * Check if name is reserved word
+     * @param {String} name
+     * @returns {Boolean}
+     * @private
+     */
+    isKeyword: function (name) {
+        return ['and', 'or', 'not', 'true', 'false', 'null'].indexOf(name.toLowerCase()) !== -1;
+    },
+
+    /**
+     * Move to next token if it's one of passed logical operators
+     * @param {String} word
+     * @param {String} symbol
+     * @returns {Boolean}
+     * @private
+     */
+    matchOperator: function (word, symbol) {
+        var token = this.peek();
+        var matched = token.type === 'punctuator' && token.value === symbol ||
+            token.type === 'name' && token.value.toLowerCase() === word;
+
+        if (matched) {
+            this.next();
+        }
+
+        return matched;
+    },
+
+    /**
+     * Move to next token which should be passed punctuator
+     * @param {String} value
+     * @private
+     */
+    expect: function (value) {
+        var token = this.next();
+        if (token.type !== 'punctuator' || token.value !== value) {
+            this.unexpected(token, value);
+        }
+    },
+
+    /**
+     * Get current token
+     * @returns {Object}
+     * @private
+     */
+    peek: function () {
+        return this.tokens[this.index];
+    },
+
+    /**
+     * Get current token and move to next one
+     * @returns {Object}
+     * @private
+     */
+    next: function () {
+        var token = this.tokens[this.index];
+        if (token.type !== 'eof') {
+            this.index++;
+        }
+        return token;
+    },
+
+    /**
+     * Throw error about unexpected token
+     * @param {Object} token
+     * @param {String} [expected]
+     * @private
+     */
+    unexpected: function (token, expected) {
+        var message = 'Unexpected end of expression';
+
+        if (token.type === 'string') {
+            message = 'Unexpected string ' + JSON.stringify(token.value);
+        } else if (token.type !== 'eof') {
+            message = 'Unexpected "' + token.value + '"';
+        }
+
+        if (expected) {
+            message += ', expected "' + expected + '"';
+        }
+
+        throw new errors.IqlSyntaxError(message, token.position);
+    }
+};
+
+module.exports = IqlParser;
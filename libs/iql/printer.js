@@ -0,0 +1,190 @@
+'use strict';
+
+var IqlParser = require('./parser');
+
+/**
+ * Precedence of logical operators, bigger binds tighter
+ * @type {Object}
+ * @private
+ */
+var precedence = {
+    or: 1,
+    and: 2,
+    not: 3
+};
+
+/**
+ * Printer of parsed IQL expressions (see {@link IqlParser})
+ * @param {Object} [options]
+ *
+ *     @example
+ *     {
+ *         "pretty": false, // print every condition on separate line
+ *         "indent": "    " // indent of nested groups in pretty mode
+ *     }
+ *
+ * @constructor
+ */
+var IqlPrinter = function (options) {
+    options = options || {};
+    this.pretty = !!options.pretty;
+
+    if (typeof options.indent === 'string') {
+        this.indent = options.indent;
+    }
+};
+
+IqlPrinter.prototype = {
+
+    /**
+     * Print every condition on separate line
+     * @type {Boolean}
+     */
+    pretty: false,
+
+    /**
+     * Indent of nested groups in pretty mode
+     * @type {String}
+     */
+    indent: '    ',
+
+    /**
+     * Convert syntax tree to IQL expression
+     * @param {Object} node
+     * @returns {String}
+     */
+    print: function (node) {
+        switch (node.type) {
+            case 'or':
+            case 'and':
+                return node.conditions.map(function (condition) {
+                    return this.printOperand(condition, node.type);
+                }, this).join(this.pretty ? '\n' + node.type + ' ' : ' ' + node.type + ' ');
+            case 'not':
+                return 'not ' + this.printOperand(node.condition, 'not');
+            case 'calls':
+                return this.printCalls(node.calls);
+            default:
+                return this.printCondition(node);
+        }
+    },
+
+    /**
+     * Print operand of logical operator, wrap it in parentheses if it's needed
+     * @param {Object} node
+     * @param {String} operator
+     * @returns {String}
+     * @private
+     */
+    printOperand: function (node, operator) {
+        var result = this.print(node);
+        var indent = this.indent;
+        var isGroup = node.type === 'and' || node.type === 'or';
+        // in pretty mode nested groups are always wrapped to make them readable
+        var wrap = isGroup && (this.pretty || precedence[node.type] <= precedence[operator]);
+
+        if (!wrap) {
+            return result;
+        }
+
+        if (!this.pretty) {
+            return '(' + result + ')';
+        }
+
+        return '(\n' + result.split('\n').map(function (line) {
+            return indent + line;
+        }).join('\n') + '\n)';
+    },
+
+    /**
+     * Print condition as chain of calls
+     * @param {Object} condition
+     * @returns {String}
+     * @private
+     */
+    printCondition: function (condition) {
+        var calls = [];
+
+        if (condition.collectApp) {
+            calls.push(this.createCall('collectApp', [condition.collectApp]));
+        }
+        if (condition.section) {
+            calls.push(this.createCall('section', [condition.section]));
+        }
+        if (condition.target !== 'session') {
+            calls.push(this.createCall(condition.target, [condition.name]));
+        }
+        if (condition.field !== null) {
+            calls.push(this.createCall('data', [condition.field]));
+        }
+        if (condition.within) {
+            calls.push(this.createCall('within', [this.formatDuration(condition.within)]));
+        }
+        if (condition.operator !== 'exists' || !calls.length) {
+            calls.push(this.createCall(condition.operator, condition.values));
+        }
+
+        return this.printCalls(calls);
+    },
+
+    /**
+     * Print chain of calls
+     * @param {Array} calls
+     * @returns {String}
+     * @private
+     */
+    printCalls: function (calls) {
+        return calls.map(function (call) {
+            return call.name + '(' + call.args.map(this.printLiteral, this).join(', ') + ')';
+        }, this).join('.');
+    },
+
+    /**
+     * Print literal value
+     * @param {*} value
+     * @returns {String}
+     * @private
+     */
+    printLiteral: function (value) {
+        // JSON escaping of strings is understood by parser
+        return value === null ? 'null' : JSON.stringify(value);
+    },
+
+    /**
+     * Create call
+     * @param {String} name
+     * @param {Array} args
+     * @returns {Object}
+     * @private
+     */
+    createCall: function (name, args) {
+        return {
+            name: name,
+            args: args
+        };
+    },
+
+    /**
+     * Convert milliseconds to duration with the biggest possible unit
+     * @param {Number} ms
+     * @returns {String}
+     * @private
+     */
+    formatDuration: function (ms) {
+        var units = IqlParser.durationUnits;
+        var names = Object.keys(units).sort(function (a, b) {
+            return units[b] - units[a];
+        });
+        var i;
+
+        for (i = 0; i < names.length; i++) {
+            if (ms % units[names[i]] === 0) {
+                return ms / units[names[i]] + names[i];
+            }
+        }
+
+        return ms;
+    }
+};
+
+module.exports = IqlPrinter;
@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Check if two JSON values are equal, order of object keys does not matter
+ * @param {*} a
+ * @param {*} b
+ * @returns {Boolean}
+ * @private
+ */
+function isEqual (a, b) {
+    var keys;
+
+    if (a === b) {
+        return true;
+    }
+
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+
+    keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) {
+        return false;
+    }
+
+    return keys.every(function (key) {
+        return b.hasOwnProperty(key) && isEqual(a[key], b[key]);
+    });
+}
+
+module.exports = isEqual;
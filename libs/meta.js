@@ -0,0 +1,216 @@
+'use strict';
+
+var validator = require('./validator/index');
+var clone = require('./clone');
+
+/**
+ * Meta data of DH stream request. It describes event which triggered request
+ * and allows to find session and event of this request in profile.
+ * @param {Object} config
+ *
+ *     @example
+ *     {
+ *         "companyId": 4, // required
+ *         "bucketName": "bucket", // required
+ *         "collectApp": "web", // required
+ *         "section": "shop", // required
+ *         "eventDefinitionId": "purchase",
+ *         "sessionId": "string",
+ *         "eventId": "string",
+ *         "createdAt": 1449742185000, // time of event in ms
+ *         "timestamp": 1449742186000 // time of request in ms
+ *     }
+ *
+ * @constructor
+ */
+var Meta = function (config) {
+    this.validateConfig(config);
+    this.data = config;
+};
+
+Meta.prototype = {
+
+    /**
+     * Source data of meta
+     * @type {Object}
+     * @private
+     */
+    data: null,
+
+    /**
+     * Get company id
+     * @returns {Number}
+     */
+    getCompany: function () {
+        return this.data.companyId;
+    },
+
+    /**
+     * Get bucket name
+     * @returns {String}
+     */
+    getBucket: function () {
+        return this.data.bucketName;
+    },
+
+    /**
+     * Get application of event
+     * @returns {String}
+     */
+    getCollectApp: function () {
+        return this.data.collectApp;
+    },
+
+    /**
+     * Get section of event
+     * @returns {String}
+     */
+    getSection: function () {
+        return this.data.section;
+    },
+
+    /**
+     * Get definition id of event
+     * @returns {String|null}
+     */
+    getEventDefinitionId: function () {
+        return this.getField('eventDefinitionId');
+    },
+
+    /**
+     * Get id of session
+     * @returns {String|null}
+     */
+    getSessionId: function () {
+        return this.getField('sessionId');
+    },
+
+    /**
+     * Get id of event
+     * @returns {String|null}
+     */
+    getEventId: function () {
+        return this.getField('eventId');
+    },
+
+    /**
+     * Get time of event
+     * @returns {Number|null}
+     */
+    getCreatedAt: function () {
+        return this.getField('createdAt');
+    },
+
+    /**
+     * Get time of request
+     * @returns {Number|null}
+     */
+    getTimestamp: function () {
+        return this.getField('timestamp');
+    },
+
+    /**
+     * Find session which triggered request. Session is found by id if meta has it,
+     * otherwise the last modified session of application and section which has event of meta
+     * @param {Profile} profile
+     * @returns {Session|null}
+     */
+    getSession: function (profile) {
+        var self = this;
+        var sessionId = this.getSessionId();
+        var eventId = this.getEventId();
+        var sessions;
+
+        if (sessionId) {
+            return profile.getSession(sessionId);
+        }
+
+        sessions = profile.getSessions(function (session) {
+            return session.getCollectApp() === self.getCollectApp() &&
+                session.getSection() === self.getSection() &&
+                self.findEvent(session) !== null;
+        });
+
+        if (eventId) {
+            return sessions[0] || null;
+        }
+
+        return sessions.sort(function (a, b) {
+            return b.getModifiedAt() - a.getModifiedAt();
+        })[0] || null;
+    },
+
+    /**
+     * Find event which triggered request in session of request (see {@link Meta#getSession}).
+     * Event is found by id if meta has it, otherwise the last event with definition id of meta
+     * @param {Profile} profile
+     * @returns {Event|null}
+     */
+    getEvent: function (profile) {
+        var session = this.getSession(profile);
+        return session ? this.findEvent(session) : null;
+    },
+
+    /**
+     * Find event of meta in session
+     * @param {Session} session
+     * @returns {Event|null}
+     * @private
+     */
+    findEvent: function (session) {
+        var eventId = this.getEventId();
+        var events;
+
+        if (eventId) {
+            return session.getEvent(eventId);
+        }
+
+        events = session.getEvents(this.getEventDefinitionId());
+        return events.sort(function (a, b) {
+            return b.getCreatedAt() - a.getCreatedAt();
+        })[0] || null;
+    },
+
+    /**
+     * Get optional field of meta
+     * @param {String} field
+     * @returns {*}
+     * @private
+     */
+    getField: function (field) {
+        var value = this.data[field];
+        return value === undefined ? null : value;
+    },
+
+    /**
+     * Serialize meta to JSON
+     * @returns {Object}
+     */
+    serialize: function () {
+        return clone(this.data);
+    },
+
+    /**
+     * Checks if config is valid
+     * @param {Object} config
+     * @private
+     */
+    validateConfig: function (config) {
+        var error;
+
+        if (!config) {
+            throw new Error('Config should be defined');
+        }
+
+        if (typeof config !== 'object') {
+            throw new Error('Config should be an object');
+        }
+
+        if (!validator.metaIsValid(config)) {
+            error = (validator.getErrors() || [])[0];
+            throw new Error('Meta is not valid' + (error ? ': ' + error.message : ''));
+        }
+    }
+};
+
+module.exports = Meta;
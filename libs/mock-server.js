@@ -0,0 +1,970 @@
+'use strict';
+
+var http = require('http');
+var url = require('url');
+var Profile = require('./profile');
+var Segment = require('./segment');
+var IdGenerator = require('./id-generator');
+var readBody = require('./request-body');
+var clone = require('./clone');
+var iql = require('./iql/index');
+
+/**
+ * Routes of APIs which are used by {@link InnoHelper}
+ * @type {Array}
+ * @private
+ */
+var routes = [
+    {
+        pattern: /^\/v1\/companies\/([^\/]+)\/buckets\/([^\/]+)\/profiles\/([^\/]+)$/,
+        params: ['companyId', 'bucketName', 'profileId'],
+        handler: 'handleProfile'
+    },
+    {
+        pattern: /^\/v1\/companies\/([^\/]+)\/buckets\/([^\/]+)\/apps\/([^\/]+)\/custom$/,
+        params: ['companyId', 'bucketName', 'appName'],
+        handler: 'handleAppSettings'
+    },
+    {
+        pattern: /^\/v1\/companies\/([^\/]+)\/buckets\/([^\/]+)\/segments(?:\/([^\/]+))?$/,
+        params: ['companyId', 'bucketName', 'segmentId'],
+        handler: 'handleSegments'
+    },
+    {
+        pattern: /^\/companies\/([^\/]+)\/buckets\/([^\/]+)\/(segment-id-evaluation|iql-evaluation)$/,
+        params: ['companyId', 'bucketName', 'type'],
+        handler: 'handleEvaluation'
+    },
+    {
+        pattern: /^\/scheduler\/([^\/]+)(?:\/([^\/]+))?$/,
+        params: ['schedulerId', 'taskId'],
+        handler: 'handleScheduler'
+    }
+];
+
+/**
+ * Create response of route
+ * @param {Number} statusCode
+ * @param {*} [body]
+ * @param {Object} [headers]
+ * @returns {Object}
+ * @private
+ */
+function createResponse (statusCode, body, headers) {
+    return {
+        statusCode: statusCode,
+        body: body === undefined ? null : body,
+        headers: headers || {}
+    };
+}
+
+/**
+ * Create error response in format of API
+ * @param {Number} statusCode
+ * @param {String} message
+ * @returns {Object}
+ * @private
+ */
+function createErrorResponse (statusCode, message) {
+    return createResponse(statusCode, {
+        message: message
+    });
+}
+
+/**
+ * Convert value of query parameter to array
+ * @param {String|Array} [value]
+ * @returns {Array}
+ * @private
+ */
+function toArray (value) {
+    if (value === undefined) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * In-process server which simulates Profile Cloud, segment evaluation and scheduler APIs for tests
+ * without network. State is kept in memory: saved profiles are merged with stored ones like DH does,
+ * merged profiles are moved to recipient. Faults (latency, error status codes, malformed bodies)
+ * can be injected by {@link MockServer#addFault}.
+ *
+ *     @example
+ *     var server = new MockServer({appKey: 'appKey'});
+ *     server.listen(function (error) {
+ *         var helper = new InnoHelper(server.getHelperConfig({groupId: 4, bucketName: 'bucket', appName: 'app'}));
+ *         helper.loadProfile('pid', function (error, profile) {
+ *             server.close();
+ *         });
+ *     });
+ *
+ * @param {Object} [config]
+ *
+ *     @example
+ *     {
+ *         "appKey": "string", // requests with other key get response with status 401, any key is accepted by default
+ *         "latency": 0 // delay (in ms) of every response
+ *     }
+ *
+ * @constructor
+ */
+var MockServer = function (config) {
+    config = config || {};
+
+    if (config.appKey !== undefined && (typeof config.appKey !== 'string' || !config.appKey)) {
+        throw new Error('Property "appKey" in config should be a non-empty string');
+    }
+
+    if (config.latency !== undefined && !(typeof config.latency === 'number' && config.latency >= 0)) {
+        throw new Error('Property "latency" in config should be a non-negative number');
+    }
+
+    this.appKey = config.appKey || null;
+    this.latency = config.latency || 0;
+    this.server = null;
+    this.sockets = [];
+    this.reset();
+};
+
+MockServer.prototype = {
+
+    /**
+     * Key which is required in requests
+     * @type {String}
+     */
+    appKey: null,
+
+    /**
+     * Delay (in ms) of every response
+     * @type {Number}
+     */
+    latency: 0,
+
+    /**
+     * Stored profiles by id
+     * @type {Object}
+     * @private
+     */
+    profiles: null,
+
+    /**
+     * Settings by application
+     * @type {Object}
+     * @private
+     */
+    appSettings: null,
+
+    /**
+     * Stored segments by id
+     * @type {Object}
+     * @private
+     */
+    segments: null,
+
+    /**
+     * Scheduled tasks by id
+     * @type {Object}
+     * @private
+     */
+    tasks: null,
+
+    /**
+     * Injected faults
+     * @type {Array}
+     * @private
+     */
+    faults: null,
+
+    /**
+     * Received requests
+     * @type {Array}
+     * @private
+     */
+    requests: null,
+
+    /**
+     * HTTP server
+     * @type {http.Server}
+     * @private
+     */
+    server: null,
+
+    /**
+     * Open connections, they are closed when server is closed
+     * @type {Array}
+     * @private
+     */
+    sockets: null,
+
+    /**
+     * Start server on local interface
+     * @param {Number} [port] Random free port by default
+     * @param {Function} [callback] Receives error and url of server
+     */
+    listen: function (port, callback) {
+        var self = this;
+        var server;
+
+        if (typeof port === 'function') {
+            callback = port;
+            port = 0;
+        }
+        callback = callback || function () {};
+
+        if (this.server) {
+            return callback(new Error('Server is already started'), null);
+        }
+
+        server = http.createServer(function (req, res) {
+            self.handleRequest(req, res);
+        });
+
+        server.on('connection', function (socket) {
+            self.sockets.push(socket);
+            socket.on('close', function () {
+                self.sockets.splice(self.sockets.indexOf(socket), 1);
+            });
+        });
+
+        server.once('error', function (error) {
+            self.server = null;
+            callback(error, null);
+        });
+
+        this.server = server;
+        server.listen(port || 0, '127.0.0.1', function () {
+            callback(null, self.getUrl());
+        });
+    },
+
+    /**
+     * Stop server, open connections are closed
+     * @param {Function} [callback]
+     */
+    close: function (callback) {
+        var server = this.server;
+
+        callback = callback || function () {};
+
+        if (!server) {
+            return callback(null);
+        }
+
+        this.server = null;
+        this.sockets.forEach(function (socket) {
+            socket.destroy();
+        });
+
+        server.close(function () {
+            callback(null);
+        });
+    },
+
+    /**
+     * Get url of started server
+     * @returns {String|null}
+     */
+    getUrl: function () {
+        var address = this.server && this.server.address();
+        return address ? 'http://127.0.0.1:' + address.port : null;
+    },
+
+    /**
+     * Get config of {@link InnoHelper} which sends all requests to this server
+     * @param {Object} [config] Other properties of config
+     * @returns {Object}
+     */
+    getHelperConfig: function (config) {
+        var serverUrl = this.getUrl();
+        var result = {
+            groupId: 1,
+            bucketName: 'bucket',
+            appName: 'app',
+            appKey: this.appKey || 'appKey'
+        };
+
+        Object.keys(config || {}).forEach(function (key) {
+            result[key] = config[key];
+        });
+
+        result.apiUrl = serverUrl;
+        result.evaluationApiUrl = serverUrl;
+        result.schedulerApiHost = serverUrl;
+
+        return result;
+    },
+
+    /**
+     * Remove all stored data, faults and received requests
+     * @returns {MockServer}
+     */
+    reset: function () {
+        this.profiles = {};
+        this.appSettings = {};
+        this.segments = {};
+        this.tasks = {};
+        this.faults = [];
+        this.requests = [];
+        return this;
+    },
+
+    /**
+     * Store profile, existing one with the same id is replaced
+     * @param {Profile|Object} profile Profile or its data
+     * @returns {MockServer}
+     */
+    setProfile: function (profile) {
+        var data = profile instanceof Profile ? profile.serialize() : profile;
+
+        this.storeProfile(new Profile(data), data.version);
+        return this;
+    },
+
+    /**
+     * Get stored profile
+     * @param {String} profileId
+     * @returns {Profile|null}
+     */
+    getProfile: function (profileId) {
+        var data = this.profiles[profileId];
+        var profile;
+
+        if (!data) {
+            return null;
+        }
+
+        profile = new Profile(clone(data));
+        profile.resetDirty();
+        return profile;
+    },
+
+    /**
+     * Get ids of profiles which were merged to stored profile
+     * @param {String} profileId
+     * @returns {Array}
+     */
+    getMergedProfiles: function (profileId) {
+        var data = this.profiles[profileId];
+        return data && data.mergedProfiles ? data.mergedProfiles.slice() : [];
+    },
+
+    /**
+     * Set settings of application
+     * @param {String} appName
+     * @param {Object} settings
+     * @returns {MockServer}
+     */
+    setAppSettings: function (appName, settings) {
+        this.appSettings[appName] = clone(settings);
+        return this;
+    },
+
+    /**
+     * Get settings of application
+     * @param {String} appName
+     * @returns {Object|null}
+     */
+    getAppSettings: function (appName) {
+        return clone(this.appSettings[appName]) || null;
+    },
+
+    /**
+     * Store segment, existing one with the same id is replaced
+     * @param {Segment|Object} segment Segment or its data
+     * @returns {MockServer}
+     */
+    setSegment: function (segment) {
+        if (!(segment instanceof Segment)) {
+            segment = new Segment(segment);
+        }
+        this.segments[segment.getId()] = segment.serialize();
+        return this;
+    },
+
+    /**
+     * Get stored segments
+     * @returns {Array.<Segment>}
+     */
+    getSegments: function () {
+        var segments = this.segments;
+
+        return Object.keys(segments).map(function (id) {
+            return new Segment(clone(segments[id]));
+        });
+    },
+
+    /**
+     * Get scheduled tasks in format of Scheduler API
+     * @returns {Array}
+     */
+    getTasks: function () {
+        var tasks = this.tasks;
+
+        return Object.keys(tasks).map(function (id) {
+            return clone(tasks[id]);
+        });
+    },
+
+    /**
+     * Get received requests, body of request is parsed from JSON:
+     *
+     *     @example
+     *     {
+     *         "method": "POST",
+     *         "path": "/v1/companies/1/buckets/bucket/profiles/pid",
+     *         "query": {"app_key": "appKey"},
+     *         "headers": {},
+     *         "body": {}
+     *     }
+     *
+     * @returns {Array}
+     */
+    getRequests: function () {
+        return this.requests.slice();
+    },
+
+    /**
+     * Inject fault to responses of server. Fault affects requests which match its method and path,
+     * status code and body of fault replace normal response:
+     *
+     *     @example
+     *     {
+     *         "method": "GET", // all methods by default
+     *         "path": /\/profiles\//, // RegExp or beginning of path, all paths by default
+     *         "latency": 100, // additional delay of response in ms
+     *         "statusCode": 503, // status code of response
+     *         "body": "{malformed", // string is sent as is, other values are sent as JSON
+     *         "times": 1 // number of affected requests, all requests by default
+     *     }
+     *
+     * Stored data is not changed by requests which get fault status code
+     * @param {Object} fault
+     * @returns {MockServer}
+     */
+    addFault: function (fault) {
+        if (!fault || typeof fault !== 'object') {
+            throw new Error('Fault should be an object');
+        }
+
+        if (fault.statusCode !== undefined && !(fault.statusCode >= 100 && fault.statusCode < 600)) {
+            throw new Error('Property "statusCode" of fault should be a HTTP status code');
+        }
+
+        if (fault.latency !== undefined && !(typeof fault.latency === 'number' && fault.latency >= 0)) {
+            throw new Error('Property "latency" of fault should be a non-negative number');
+        }
+
+        if (fault.times !== undefined && !(typeof fault.times === 'number' && fault.times > 0)) {
+            throw new Error('Property "times" of fault should be a positive number');
+        }
+
+        this.faults.push({
+            method: fault.method ? fault.method.toUpperCase() : null,
+            path: fault.path || null,
+            latency: fault.latency || 0,
+            statusCode: fault.statusCode || null,
+            body: fault.body,
+            times: fault.times || Infinity
+        });
+
+        return this;
+    },
+
+    /**
+     * Remove all injected faults
+     * @returns {MockServer}
+     */
+    clearFaults: function () {
+        this.faults = [];
+        return this;
+    },
+
+    /**
+     * Request listener of HTTP server
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @protected
+     */
+    handleRequest: function (req, res) {
+        var self = this;
+        var parsedUrl = url.parse(req.url, true);
+        var fault = this.takeFault(req.method, parsedUrl.pathname);
+
+        readBody(req, function (error, text) {
+            var request = {
+                method: req.method,
+                path: parsedUrl.pathname,
+                query: parsedUrl.query,
+                headers: req.headers,
+                body: null
+            };
+            var response;
+
+            try {
+                request.body = text ? JSON.parse(text) : null;
+            } catch (e) {
+                response = createErrorResponse(400, 'Body of request is not a valid JSON');
+            }
+
+            if (error) {
+                response = createErrorResponse(400, error.message);
+            }
+
+            self.requests.push(request);
+
+            setTimeout(function () {
+                if (fault && fault.statusCode) {
+                    response = createErrorResponse(fault.statusCode, 'Server failed with status code ' + fault.statusCode);
+                }
+
+                response = response || self.route(request);
+
+                if (fault && fault.body !== undefined) {
+                    response.body = fault.body;
+                }
+
+                self.respond(res, response);
+            }, self.latency + (fault ? fault.latency : 0));
+        });
+    },
+
+    /**
+     * Find route of request and process it
+     * @param {Object} request
+     * @returns {Object} Response
+     * @private
+     */
+    route: function (request) {
+        var key = request.query.app_key || request.query.token;
+        var route;
+        var match;
+        var params = {};
+        var i;
+
+        for (i = 0; i < routes.length && !match; i++) {
+            route = routes[i];
+            match = route.pattern.exec(request.path);
+        }
+
+        if (!match) {
+            return createErrorResponse(404, 'Route "' + request.path + '" not found');
+        }
+
+        if (this.appKey && key !== this.appKey) {
+            return createErrorResponse(401, 'Application key is not valid');
+        }
+
+        route.params.forEach(function (name, index) {
+            var value = match[index + 1];
+            params[name] = value === undefined ? null : decodeURIComponent(value);
+        });
+
+        try {
+            return this[route.handler](request, params);
+        } catch (e) {
+            return createErrorResponse(400, e.message);
+        }
+    },
+
+    /**
+     * Route of profile: load, save (with merging of profiles) and delete
+     * @param {Object} request
+     * @param {Object} params
+     * @returns {Object} Response
+     * @private
+     */
+    handleProfile: function (request, params) {
+        var profileId = params.profileId;
+        var stored = this.profiles[profileId];
+        var body = request.body;
+        var ifMatch = request.headers['if-match'];
+        var profile;
+
+        switch (request.method) {
+            case 'GET':
+                if (!stored) {
+                    return createErrorResponse(404, 'Profile "' + profileId + '" not found');
+                }
+                return this.createProfileResponse(200, profileId);
+
+            case 'POST':
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    return createErrorResponse(400, 'Profile is not valid');
+                }
+                if (body.id && body.id !== profileId) {
+                    return createErrorResponse(400, 'Profile id does not match url');
+                }
+                if (ifMatch && (!stored || ifMatch !== this.getProfileEtag(profileId))) {
+                    return createErrorResponse(412, 'Profile "' + profileId + '" was changed');
+                }
+
+                profile = stored ? new Profile(clone(stored)) : new Profile({id: profileId});
+                profile.merge(new Profile({
+                    id: profileId,
+                    attributes: body.attributes,
+                    sessions: body.sessions
+                }));
+
+                this.storeProfile(this.mergeProfiles(profile, body.mergedProfiles));
+                return this.createProfileResponse(stored ? 200 : 201, profileId);
+
+            case 'DELETE':
+                if (!stored) {
+                    return createErrorResponse(404, 'Profile "' + profileId + '" not found');
+                }
+                delete this.profiles[profileId];
+                return createResponse(204);
+
+            default:
+                return createErrorResponse(405, 'Method ' + request.method + ' is not allowed');
+        }
+    },
+
+    /**
+     * Move data of donor profiles to recipient (see {@link Profile#previewMerge}), donors are deleted
+     * @param {Profile} recipient
+     * @param {Array} [donorIds]
+     * @returns {Profile} Merged profile
+     * @private
+     */
+    mergeProfiles: function (recipient, donorIds) {
+        var self = this;
+        var recipientId = recipient.getId();
+
+        toArray(donorIds).forEach(function (donorId) {
+            var donor = self.getProfile(donorId);
+
+            if (donorId === recipientId) {
+                return;
+            }
+
+            if (donor) {
+                recipient = recipient.previewMerge(donor).profile;
+                delete self.profiles[donorId];
+            } else {
+                recipient.addMergedProfile(donorId);
+            }
+        });
+
+        return recipient;
+    },
+
+    /**
+     * Store profile with new version
+     * @param {Profile} profile
+     * @param {String} [version] Next version by default
+     * @private
+     */
+    storeProfile: function (profile, version) {
+        var stored = this.profiles[profile.getId()];
+        var data = profile.serialize();
+
+        data.version = version || String((stored ? parseInt(stored.version, 10) || 0 : 0) + 1);
+        this.profiles[profile.getId()] = data;
+    },
+
+    /**
+     * Get ETag of stored profile
+     * @param {String} profileId
+     * @returns {String}
+     * @private
+     */
+    getProfileEtag: function (profileId) {
+        return '"' + this.profiles[profileId].version + '"';
+    },
+
+    /**
+     * Create response with stored profile
+     * @param {Number} statusCode
+     * @param {String} profileId
+     * @returns {Object}
+     * @private
+     */
+    createProfileResponse: function (statusCode, profileId) {
+        return createResponse(statusCode, {
+            profile: clone(this.profiles[profileId])
+        }, {
+            ETag: this.getProfileEtag(profileId)
+        });
+    },
+
+    /**
+     * Route of application settings
+     * @param {Object} request
+     * @param {Object} params
+     * @returns {Object} Response
+     * @private
+     */
+    handleAppSettings: function (request, params) {
+        var appName = params.appName;
+        var body = request.body;
+
+        switch (request.method) {
+            case 'GET':
+                return createResponse(200, {
+                    custom: clone(this.appSettings[appName]) || {}
+                });
+
+            case 'PUT':
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    return createErrorResponse(400, 'Settings should be an object');
+                }
+                this.appSettings[appName] = clone(body);
+                return createResponse(200, {
+                    custom: clone(body)
+                });
+
+            default:
+                return createErrorResponse(405, 'Method ' + request.method + ' is not allowed');
+        }
+    },
+
+    /**
+     * Route of segments: list and CRUD of certain segment
+     * @param {Object} request
+     * @param {Object} params
+     * @returns {Object} Response
+     * @private
+     */
+    handleSegments: function (request, params) {
+        var segments = this.segments;
+        var segmentId = params.segmentId;
+        var stored = segmentId ? segments[segmentId] : null;
+        var segment;
+
+        if (!segmentId) {
+            switch (request.method) {
+                case 'GET':
+                    return createResponse(200, Object.keys(segments).map(function (id) {
+                        return {
+                            segment: clone(segments[id])
+                        };
+                    }));
+
+                case 'POST':
+                    segment = new Segment(request.body);
+                    if (segments[segment.getId()]) {
+                        return createErrorResponse(409, 'Segment "' + segment.getId() + '" already exists');
+                    }
+                    return this.createSegmentResponse(201, segment);
+
+                default:
+                    return createErrorResponse(405, 'Method ' + request.method + ' is not allowed');
+            }
+        }
+
+        if (!stored) {
+            return createErrorResponse(404, 'Segment "' + segmentId + '" not found');
+        }
+
+        switch (request.method) {
+            case 'GET':
+                return createResponse(200, {
+                    segment: clone(stored)
+                });
+
+            case 'PUT':
+                segment = new Segment(request.body);
+                if (segment.getId() !== segmentId) {
+                    return createErrorResponse(400, 'Segment id does not match url');
+                }
+                return this.createSegmentResponse(200, segment);
+
+            case 'DELETE':
+                delete segments[segmentId];
+                return createResponse(204);
+
+            default:
+                return createErrorResponse(405, 'Method ' + request.method + ' is not allowed');
+        }
+    },
+
+    /**
+     * Store segment and create response with it
+     * @param {Number} statusCode
+     * @param {Segment} segment
+     * @returns {Object}
+     * @private
+     */
+    createSegmentResponse: function (statusCode, segment) {
+        var error = segment.getIqlError();
+
+        if (error) {
+            return createErrorResponse(400, error.message);
+        }
+
+        this.segments[segment.getId()] = segment.serialize();
+        return createResponse(statusCode, {
+            segment: segment.serialize()
+        });
+    },
+
+    /**
+     * Route of evaluation of stored profile by segments or IQL expressions.
+     * Expressions are evaluated locally, see {@link iql#evaluate}
+     * @param {Object} request
+     * @param {Object} params
+     * @returns {Object} Response
+     * @private
+     */
+    handleEvaluation: function (request, params) {
+        var segments = this.segments;
+        var profileId = request.query.profile_id;
+        var profile = this.getProfile(profileId);
+        var expressions;
+        var missing;
+
+        if (request.method !== 'GET') {
+            return createErrorResponse(405, 'Method ' + request.method + ' is not allowed');
+        }
+
+        if (!profile) {
+            return createErrorResponse(404, 'Profile "' + profileId + '" not found');
+        }
+
+        if (params.type === 'segment-id-evaluation') {
+            expressions = toArray(request.query.segment_id);
+            missing = expressions.filter(function (id) {
+                return !segments[id];
+            })[0];
+            if (missing) {
+                return createErrorResponse(404, 'Segment "' + missing + '" not found');
+            }
+            expressions = expressions.map(function (id) {
+                return segments[id].iql;
+            });
+        } else {
+            expressions = toArray(request.query.iql);
+        }
+
+        return createResponse(200, {
+            segmentEvaluation: {
+                results: expressions.map(function (expression) {
+                    return iql.evaluate(expression, profile);
+                })
+            }
+        });
+    },
+
+    /**
+     * Route of scheduler tasks
+     * @param {Object} request
+     * @param {Object} params
+     * @returns {Object} Response
+     * @private
+     */
+    handleScheduler: function (request, params) {
+        var tasks = this.tasks;
+        var taskId = params.taskId;
+        var body = request.body;
+
+        if (!taskId || (taskId === 'tasks' && request.method === 'GET')) {
+            switch (request.method) {
+                case 'GET':
+                    return createResponse(200, this.getTasks());
+
+                case 'POST':
+                    this.validateTaskData(body);
+                    body.id = body.id || (new IdGenerator(32)).getId();
+                    tasks[body.id] = clone(body);
+                    return createResponse(201, clone(body));
+
+                case 'DELETE':
+                    this.tasks = {};
+                    return createResponse(204);
+
+                default:
+                    return createErrorResponse(405, 'Method ' + request.method + ' is not allowed');
+            }
+        }
+
+        if (!tasks[taskId]) {
+            return createErrorResponse(404, 'Task "' + taskId + '" not found');
+        }
+
+        switch (request.method) {
+            case 'GET':
+                return createResponse(200, clone(tasks[taskId]));
+
+            case 'PUT':
+                this.validateTaskData(body);
+                body.id = taskId;
+                tasks[taskId] = clone(body);
+                return createResponse(200, clone(body));
+
+            case 'DELETE':
+                delete tasks[taskId];
+                return createResponse(204);
+
+            default:
+                return createErrorResponse(405, 'Method ' + request.method + ' is not allowed');
+        }
+    },
+
+    /**
+     * Check data of task in request
+     * @param {Object} data
+     * @private
+     */
+    validateTaskData: function (data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Task should be an object');
+        }
+
+        ['endpoint', 'method'].forEach(function (field) {
+            if (typeof data[field] !== 'string' || !data[field]) {
+                throw new Error('Property "' + field + '" of task should be a non-empty string');
+            }
+        });
+    },
+
+    /**
+     * Take fault which matches request, number of its uses is decreased
+     * @param {String} method
+     * @param {String} path
+     * @returns {Object|null}
+     * @private
+     */
+    takeFault: function (method, path) {
+        var fault = this.faults.filter(function (item) {
+            var pathMatched = !item.path || (item.path instanceof RegExp ? item.path.test(path) : path.indexOf(item.path) === 0);
+            return (!item.method || item.method === method) && pathMatched;
+        })[0] || null;
+
+        if (fault) {
+            fault.times--;
+            if (fault.times <= 0) {
+                this.faults.splice(this.faults.indexOf(fault), 1);
+            }
+        }
+
+        return fault;
+    },
+
+    /**
+     * Send response
+     * @param {http.ServerResponse} res
+     * @param {Object} response
+     * @private
+     */
+    respond: function (res, response) {
+        var headers = {};
+        var body = response.body;
+
+        Object.keys(response.headers).forEach(function (name) {
+            headers[name] = response.headers[name];
+        });
+
+        if (body === null || response.statusCode === 204) {
+            res.writeHead(response.statusCode, headers);
+            return res.end();
+        }
+
+        headers['Content-Type'] = 'application/json';
+        res.writeHead(response.statusCode, headers);
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    }
+};
+
+module.exports = MockServer;
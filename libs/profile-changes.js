@@ -0,0 +1,374 @@
+'use strict';
+
+var clone = require('./clone');
+var isEqual = require('./is-equal');
+
+/**
+ * Escape token of JSON Pointer (RFC 6901)
+ * @param {String} token
+ * @returns {String}
+ * @private
+ */
+function escapePointer (token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Get key of attributes group. Names are encoded as JSON array, so any characters can be used in them
+ * @param {Object} attributes
+ * @param {String} [name] Name of attribute, key of single attribute is returned if it's passed
+ * @returns {String}
+ * @private
+ */
+function getGroupKey (attributes, name) {
+    var parts = [attributes.collectApp, attributes.section];
+
+    if (name !== undefined) {
+        parts.push(name);
+    }
+
+    return JSON.stringify(parts);
+}
+
+/**
+ * Changes between two states of profile. States are serialized profiles (see {@link Profile#serialize}).
+ * Changes are grouped by type:
+ *
+ *     @example
+ *     {
+ *         "attributes": {
+ *             "added": [{"collectApp": "web", "section": "shop", "name": "age", "value": 30}],
+ *             "changed": [{"collectApp": "web", "section": "shop", "name": "name", "oldValue": "John", "value": "Jack"}],
+ *             "removed": [{"collectApp": "web", "section": "shop", "name": "email", "oldValue": "john@example.com"}]
+ *         },
+ *         "sessions": {
+ *             "added": [{"id": "sid", "collectApp": "web", "section": "shop", "createdAt": 0, "data": {}, "events": []}],
+ *             "changed": [{"id": "sid", "oldData": {}, "data": {"page": "main"}}]
+ *         },
+ *         "events": {
+ *             "added": [{"sessionId": "sid", "event": {"id": "eid", "definitionId": "view", "createdAt": 0, "data": {}}}],
+ *             "changed": [{"sessionId": "sid", "id": "eid", "oldData": {}, "data": {"price": 10}}]
+ *         }
+ *     }
+ *
+ * Events of added sessions are not listed separately.
+ * @param {Object|null} from Old state, null - empty profile
+ * @param {Object} to New state
+ * @constructor
+ */
+var ProfileChanges = function (from, to) {
+    this.from = clone(from) || {
+        id: to.id,
+        attributes: [],
+        sessions: []
+    };
+    this.to = clone(to);
+
+    this.attributes = {
+        added: [],
+        changed: [],
+        removed: []
+    };
+    this.sessions = {
+        added: [],
+        changed: []
+    };
+    this.events = {
+        added: [],
+        changed: []
+    };
+
+    this.compareAttributes();
+    this.compareSessions();
+};
+
+ProfileChanges.prototype = {
+
+    /**
+     * Old state of profile
+     * @type {Object}
+     * @private
+     */
+    from: null,
+
+    /**
+     * New state of profile
+     * @type {Object}
+     * @private
+     */
+    to: null,
+
+    /**
+     * Added, changed and removed attributes
+     * @type {Object}
+     */
+    attributes: null,
+
+    /**
+     * Added sessions and sessions with changed data
+     * @type {Object}
+     */
+    sessions: null,
+
+    /**
+     * Events which were added to existing sessions and events with changed data
+     * @type {Object}
+     */
+    events: null,
+
+    /**
+     * Check if there are no changes
+     * @returns {Boolean}
+     */
+    isEmpty: function () {
+        return !this.attributes.added.length && !this.attributes.changed.length && !this.attributes.removed.length &&
+            !this.sessions.added.length && !this.sessions.changed.length && !this.events.added.length && !this.events.changed.length;
+    },
+
+    /**
+     * Serialize changes to JSON
+     * @returns {Object}
+     */
+    serialize: function () {
+        return clone({
+            attributes: this.attributes,
+            sessions: this.sessions,
+            events: this.events
+        });
+    },
+
+    /**
+     * Get changes as JSON Patch (RFC 6902) which is applied to old state of profile (see {@link Profile#serialize}).
+     * Paths refer to indexes of attributes groups and sessions in old state, new items are appended to arrays
+     * @returns {Array}
+     */
+    toJsonPatch: function () {
+        var self = this;
+        var patch = [];
+        var attributesIndex = this.indexItems(this.from.attributes, getGroupKey);
+        var sessionsIndex = this.indexItems(this.from.sessions, function (session) {
+            return session.id;
+        });
+        var newGroups = {};
+
+        function attributePath (attribute) {
+            var key = getGroupKey(attribute);
+            return '/attributes/' + attributesIndex[key] + '/data/' + escapePointer(attribute.name);
+        }
+
+        this.attributes.added.forEach(function (attribute) {
+            var key = getGroupKey(attribute);
+
+            if (attributesIndex.hasOwnProperty(key)) {
+                return patch.push({
+                    op: 'add',
+                    path: attributePath(attribute),
+                    value: clone(attribute.value)
+                });
+            }
+
+            // attributes of new group are added together
+            if (!newGroups[key]) {
+                newGroups[key] = {
+                    collectApp: attribute.collectApp,
+                    section: attribute.section,
+                    data: {}
+                };
+                patch.push({
+                    op: 'add',
+                    path: '/attributes/-',
+                    value: newGroups[key]
+                });
+            }
+            newGroups[key].data[attribute.name] = clone(attribute.value);
+        });
+
+        this.attributes.changed.forEach(function (attribute) {
+            patch.push({
+                op: 'replace',
+                path: attributePath(attribute),
+                value: clone(attribute.value)
+            });
+        });
+
+        this.attributes.removed.forEach(function (attribute) {
+            patch.push({
+                op: 'remove',
+                path: attributePath(attribute)
+            });
+        });
+
+        this.sessions.added.forEach(function (session) {
+            patch.push({
+                op: 'add',
+                path: '/sessions/-',
+                value: clone(session)
+            });
+        });
+
+        this.sessions.changed.forEach(function (session) {
+            patch.push({
+                op: 'replace',
+                path: '/sessions/' + sessionsIndex[session.id] + '/data',
+                value: clone(session.data)
+            });
+        });
+
+        this.events.changed.forEach(function (item) {
+            var index = sessionsIndex[item.sessionId];
+            var eventsIndex = self.indexItems(self.from.sessions[index].events, function (event) {
+                return event.id;
+            });
+
+            patch.push({
+                op: 'replace',
+                path: '/sessions/' + index + '/events/' + eventsIndex[item.id] + '/data',
+                value: clone(item.data)
+            });
+        });
+
+        this.events.added.forEach(function (item) {
+            patch.push({
+                op: 'add',
+                path: '/sessions/' + sessionsIndex[item.sessionId] + '/events/-',
+                value: clone(item.event)
+            });
+        });
+
+        return patch;
+    },
+
+    /**
+     * Compare attributes of states
+     * @private
+     */
+    compareAttributes: function () {
+        var self = this;
+        var fromValues = this.flattenAttributes(this.from.attributes);
+        var toValues = this.flattenAttributes(this.to.attributes);
+
+        Object.keys(toValues).forEach(function (key) {
+            var attribute = toValues[key];
+            var old = fromValues[key];
+
+            if (!old) {
+                self.attributes.added.push(attribute);
+            } else if (!isEqual(old.value, attribute.value)) {
+                self.attributes.changed.push({
+                    collectApp: attribute.collectApp,
+                    section: attribute.section,
+                    name: attribute.name,
+                    oldValue: old.value,
+                    value: attribute.value
+                });
+            }
+        });
+
+        Object.keys(fromValues).forEach(function (key) {
+            var old = fromValues[key];
+
+            if (!toValues[key]) {
+                self.attributes.removed.push({
+                    collectApp: old.collectApp,
+                    section: old.section,
+                    name: old.name,
+                    oldValue: old.value
+                });
+            }
+        });
+    },
+
+    /**
+     * Compare sessions and their events
+     * @private
+     */
+    compareSessions: function () {
+        var self = this;
+        var fromSessions = {};
+
+        (this.from.sessions || []).forEach(function (session) {
+            fromSessions[session.id] = session;
+        });
+
+        (this.to.sessions || []).forEach(function (session) {
+            var old = fromSessions[session.id];
+            var oldEvents = {};
+
+            if (!old) {
+                return self.sessions.added.push(session);
+            }
+
+            if (!isEqual(old.data || {}, session.data || {})) {
+                self.sessions.changed.push({
+                    id: session.id,
+                    oldData: old.data || {},
+                    data: session.data || {}
+                });
+            }
+
+            (old.events || []).forEach(function (event) {
+                oldEvents[event.id] = event;
+            });
+
+            (session.events || []).forEach(function (event) {
+                var oldEvent = oldEvents[event.id];
+
+                if (!oldEvent) {
+                    self.events.added.push({
+                        sessionId: session.id,
+                        event: event
+                    });
+                } else if (!isEqual(oldEvent.data || {}, event.data || {})) {
+                    self.events.changed.push({
+                        sessionId: session.id,
+                        id: event.id,
+                        oldData: oldEvent.data || {},
+                        data: event.data || {}
+                    });
+                }
+            });
+        });
+    },
+
+    /**
+     * Convert serialized attributes to map of single attributes
+     * @param {Array} [groups]
+     * @returns {Object}
+     * @private
+     */
+    flattenAttributes: function (groups) {
+        var result = {};
+
+        (groups || []).forEach(function (group) {
+            Object.keys(group.data || {}).forEach(function (name) {
+                result[getGroupKey(group, name)] = {
+                    collectApp: group.collectApp,
+                    section: group.section,
+                    name: name,
+                    value: group.data[name]
+                };
+            });
+        });
+
+        return result;
+    },
+
+    /**
+     * Get map of keys of items to their indexes
+     * @param {Array} [items]
+     * @param {Function} getKey
+     * @returns {Object}
+     * @private
+     */
+    indexItems: function (items, getKey) {
+        var result = {};
+
+        (items || []).forEach(function (item, index) {
+            result[getKey(item)] = index;
+        });
+
+        return result;
+    }
+};
+
+module.exports = ProfileChanges;
@@ -4,7 +4,10 @@ var Attribute = require('./attribute');
 var Event = require('./event');
 var Session = require('./session');
 var Segment = require('./segment');
+var ProfileChanges = require('./profile-changes');
 var IdGenerator = require('./id-generator');
+var clone = require('./clone');
+var isEqual = require('./is-equal');
 
 /**
  *
@@ -19,14 +22,18 @@ var Profile = function (config) {
     }
 
     this.id = config.id || (new IdGenerator(32)).getId();
+    this.version = config.version || null;
     this.initAttributes(config.attributes);
     this.initSessions(config.sessions);
+    this.initMergedProfiles(config.mergedProfiles);
+    this.snapshots = [];
 };
 
 Profile.Attribute = Attribute;
 Profile.Event = Event;
 Profile.Session = Session;
 Profile.Segment = Segment;
+Profile.Changes = ProfileChanges;
 
 Profile.prototype = {
 
@@ -36,6 +43,18 @@ Profile.prototype = {
      */
     id: null,
 
+    /**
+     * Profile version received from Profile Cloud
+     * @type {String}
+     */
+    version: null,
+
+    /**
+     * ETag of profile received from Profile Cloud, it's not serialized
+     * @type {String}
+     */
+    etag: null,
+
     /**
      * Profile attributes
      * @type {Array}
@@ -48,6 +67,40 @@ Profile.prototype = {
      */
     sessions: null,
 
+    /**
+     * Ids of profiles which were merged to this one
+     * @type {Array}
+     */
+    mergedProfiles: null,
+
+    /**
+     * Ids of merged profiles which are not saved yet
+     * @type {Array}
+     * @private
+     */
+    dirtyMergedProfiles: null,
+
+    /**
+     * Serialized state of profile when it was marked as not changed last time
+     * @type {Object}
+     * @private
+     */
+    savedState: null,
+
+    /**
+     * Snapshots of profile which can be restored
+     * @type {Array}
+     * @private
+     */
+    snapshots: null,
+
+    /**
+     * Number of the last snapshot
+     * @type {Number}
+     * @private
+     */
+    lastSnapshot: 0,
+
     /**
      * Get profile id
      * @returns {String}
@@ -56,6 +109,32 @@ Profile.prototype = {
         return this.id;
     },
 
+    /**
+     * Get profile version
+     * @returns {String|null}
+     */
+    getVersion: function () {
+        return this.version;
+    },
+
+    /**
+     * Get ETag of profile which was received when profile was loaded or saved
+     * @returns {String|null}
+     */
+    getEtag: function () {
+        return this.etag;
+    },
+
+    /**
+     * Set ETag of profile, it's sent as precondition when profile is saved with check of conflicts
+     * @param {String|null} etag
+     * @returns {Profile}
+     */
+    setEtag: function (etag) {
+        this.etag = etag || null;
+        return this;
+    },
+
     /**
      * Create attributes by application, section and data object
      * @param {String} collectApp
@@ -290,16 +369,53 @@ Profile.prototype = {
     },
 
     /**
-     * Serialize profile to JSON
+     * Get ids of profiles which were merged to this one
+     * @returns {Array}
+     */
+    getMergedProfiles: function () {
+        return this.mergedProfiles.slice(0);
+    },
+
+    /**
+     * Mark profile as merged to this one. Data of merged profile is moved to this one by DH when profile is saved
+     * @param {String} profileId
+     * @returns {Profile}
+     */
+    addMergedProfile: function (profileId) {
+        if (typeof profileId !== 'string' || !profileId.trim()) {
+            throw new Error('Id of merged profile should be a non-empty string');
+        }
+
+        if (profileId === this.getId()) {
+            throw new Error('Profile can not be merged to itself');
+        }
+
+        if (this.mergedProfiles.indexOf(profileId) === -1) {
+            this.mergedProfiles.push(profileId);
+            this.dirtyMergedProfiles.push(profileId);
+        }
+
+        return this;
+    },
+
+    /**
+     * Serialize profile to JSON. Merged profiles are serialized only if there are any
      * @param {Boolean} [onlyChanges]
      * @returns {Object}
      */
     serialize: function (onlyChanges) {
-        return {
+        var data = {
             id:         this.getId(),
             attributes: this.serializeAttributes(onlyChanges),
             sessions:   this.serializeSessions(onlyChanges)
         };
+        var mergedProfiles = this.serializeMergedProfiles(onlyChanges);
+
+        if (mergedProfiles.length) {
+            data.mergedProfiles = mergedProfiles;
+        }
+
+        return data;
     },
 
     /**
@@ -354,6 +470,15 @@ Profile.prototype = {
         return sessions;
     },
 
+    /**
+     * Serialize ids of merged profiles to JSON
+     * @param {Boolean} [onlyChanges]
+     * @returns {Array}
+     */
+    serializeMergedProfiles: function (onlyChanges) {
+        return (onlyChanges ? this.dirtyMergedProfiles : this.mergedProfiles).slice(0);
+    },
+
     /**
      * Sort sessions by last event into the sessions
      * @returns {Profile}
@@ -404,9 +529,115 @@ Profile.prototype = {
         });
 
         this.sortSessions();
+
+        // merge ids of merged profiles, not saved ones stay not saved
+        profile.getMergedProfiles().forEach(function (profileId) {
+            var dirty = profile.dirtyMergedProfiles.indexOf(profileId) !== -1;
+
+            if (this.mergedProfiles.indexOf(profileId) === -1) {
+                this.mergedProfiles.push(profileId);
+            }
+            if (dirty && this.dirtyMergedProfiles.indexOf(profileId) === -1) {
+                this.dirtyMergedProfiles.push(profileId);
+            }
+        }, this);
+
         return this;
     },
 
+    /**
+     * Merge profile-donor to copy of this profile locally by the same rules as DH does (see {@link InnoHelper#mergeProfiles}),
+     * both profiles are not changed. Values of attributes of this profile take precedence over values of donor,
+     * sessions are united and events of sessions with the same id are deduplicated by id; data of sessions
+     * and events which exist in both profiles is united, values of this profile take precedence too.
+     * Result contains merged profile and list of attributes which have different values in both profiles:
+     *
+     *     @example
+     *     {
+     *         "profile": Profile,
+     *         "conflicts": [
+     *             {
+     *                 "collectApp": "web",
+     *                 "section": "shop",
+     *                 "name": "email",
+     *                 "value": "john@example.com", // value of this profile which is kept
+     *                 "donorValue": "j@example.com"
+     *             }
+     *         ]
+     *     }
+     *
+     * Merged profile has id of this profile and donor in the list of merged profiles. Only data from donor
+     * and merged profiles are marked as changed, so merged profile can be saved to apply merge in DH.
+     * @param {Profile} donor
+     * @returns {Object}
+     */
+    previewMerge: function (donor) {
+        var data = this.serialize();
+        var donorCopy;
+        var result;
+        var conflicts = [];
+
+        if (!(donor instanceof Profile)) {
+            throw new Error('Argument "donor" should be a Profile instance');
+        }
+
+        if (donor.getId() === this.getId()) {
+            throw new Error('Profile can not be merged to itself');
+        }
+
+        data.version = this.getVersion();
+        result = new Profile(data);
+        result.setEtag(this.getEtag());
+        result.resetDirty();
+        donorCopy = new Profile(donor.serialize());
+
+        donorCopy.getAttributes().forEach(function (attribute) {
+            var existing = result.getAttribute(attribute.getName(), attribute.getCollectApp(), attribute.getSection());
+
+            if (!existing) {
+                result.setAttribute(attribute);
+            } else if (!isEqual(existing.getValue(), attribute.getValue())) {
+                conflicts.push({
+                    collectApp: attribute.getCollectApp(),
+                    section: attribute.getSection(),
+                    name: attribute.getName(),
+                    value: existing.getValue(),
+                    donorValue: attribute.getValue()
+                });
+            }
+        });
+
+        donorCopy.getSessions().forEach(function (session) {
+            var existing = result.getSession(session.getId());
+
+            if (existing) {
+                // data of this profile takes precedence over data of donor like values of attributes
+                session.setData(existing.getData());
+                session.getEvents().forEach(function (event) {
+                    var existingEvent = existing.getEvent(event.getId());
+                    if (existingEvent) {
+                        event.setData(existingEvent.getData());
+                    }
+                });
+                existing.merge(session);
+            } else {
+                result.sessions.push(session);
+            }
+        });
+        result.sortSessions();
+
+        [donor.getId()].concat(donor.getMergedProfiles()).forEach(function (profileId) {
+            if (profileId !== result.getId()) {
+                result.addMergedProfile(profileId);
+            }
+        });
+
+        return {
+            profile: result,
+            conflicts: conflicts
+        };
+    },
+
     /**
      * Create attributes by initial data
      * @param {Object} rawAttributesData
@@ -452,6 +683,27 @@ Profile.prototype = {
         return this;
     },
 
+    /**
+     * Create list of merged profiles by initial data. Wrong ids and id of this profile are skipped
+     * @param {Array} rawMergedProfiles
+     * @returns {Profile}
+     * @private
+     */
+    initMergedProfiles: function (rawMergedProfiles) {
+        this.mergedProfiles = [];
+        this.dirtyMergedProfiles = [];
+
+        if (Array.isArray(rawMergedProfiles)) {
+            rawMergedProfiles.forEach(function (profileId) {
+                if (typeof profileId === 'string' && profileId.trim() && profileId !== this.getId()) {
+                    this.addMergedProfile(profileId);
+                }
+            }, this);
+        }
+
+        return this;
+    },
+
     /**
      * Replace existing session with other one
      * @param {Session} oldSession
@@ -486,17 +738,224 @@ Profile.prototype = {
      * @protected
      */
     resetDirty: function () {
+        this.dirtyMergedProfiles = [];
+        this.savedState = clone(this.serialize());
         return [].concat(this.attributes, this.sessions).forEach(function (item) {
             return item.resetDirty();
         });
     },
 
     /**
-     * Check if some of attribute or session has changes
+     * Get changes which turn this profile to passed one, see {@link ProfileChanges}
+     * @param {Profile} profile
+     * @returns {ProfileChanges}
+     */
+    diff: function (profile) {
+        if (!(profile instanceof Profile)) {
+            throw new Error('Argument "profile" should be a Profile instance');
+        }
+
+        return new ProfileChanges(this.serialize(), profile.serialize());
+    },
+
+    /**
+     * Get changes of profile since it was loaded or saved (see {@link ProfileChanges}).
+     * All data of profile which was not loaded are changes
+     * @returns {ProfileChanges}
+     */
+    getChanges: function () {
+        return new ProfileChanges(this.savedState, this.serialize());
+    },
+
+    /**
+     * Remember current state of profile (attributes, sessions, events, merged profiles and their "dirty" flags).
+     * State can be restored by {@link Profile#rollback}. Snapshot is kept until it's released
+     * by {@link Profile#releaseSnapshot} or older snapshot is restored
+     * @returns {Number} Token of snapshot
+     */
+    snapshot: function () {
+        var token = ++this.lastSnapshot;
+
+        this.snapshots.push({
+            token: token,
+            state: this.getState()
+        });
+
+        return token;
+    },
+
+    /**
+     * Restore state of profile which was remembered by {@link Profile#snapshot}.
+     * Snapshots which were made after restored one are released
+     * @param {Number} token
+     * @returns {Profile}
+     */
+    rollback: function (token) {
+        var index = this.findSnapshot(token);
+
+        if (index === -1) {
+            throw new Error('Snapshot "' + token + '" not found');
+        }
+
+        this.setState(this.snapshots[index].state);
+        this.snapshots = this.snapshots.slice(0, index + 1);
+        return this;
+    },
+
+    /**
+     * Forget snapshot which is not needed anymore
+     * @param {Number} token
+     * @returns {Profile}
+     */
+    releaseSnapshot: function (token) {
+        var index = this.findSnapshot(token);
+
+        if (index !== -1) {
+            this.snapshots.splice(index, 1);
+        }
+
+        return this;
+    },
+
+    /**
+     * Run function which changes profile. If function throws error or returns rejected Promise
+     * then all changes made by function are rolled back:
+     *
+     *     @example
+     *     profile.transaction(function (profile) {
+     *         profile.setAttribute(...);
+     *         applyRules(profile); // if it throws, attribute is not changed
+     *     });
+     *
+     * @param {Function} fn Receives profile
+     * @returns {*} Result of function
+     */
+    transaction: function (fn) {
+        var self = this;
+        var token = this.snapshot();
+        var result;
+
+        try {
+            result = fn(this);
+        } catch (e) {
+            this.rollback(token).releaseSnapshot(token);
+            throw e;
+        }
+
+        if (result && typeof result.then === 'function') {
+            return result.then(function (value) {
+                self.releaseSnapshot(token);
+                return value;
+            }, function (error) {
+                if (self.findSnapshot(token) !== -1) {
+                    self.rollback(token).releaseSnapshot(token);
+                }
+                throw error;
+            });
+        }
+
+        this.releaseSnapshot(token);
+        return result;
+    },
+
+    /**
+     * Find index of snapshot
+     * @param {Number} token
+     * @returns {Number}
+     * @private
+     */
+    findSnapshot: function (token) {
+        var snapshots = this.snapshots;
+        var i;
+
+        for (i = 0; i < snapshots.length; i++) {
+            if (snapshots[i].token === token) {
+                return i;
+            }
+        }
+
+        return -1;
+    },
+
+    /**
+     * Get copy of profile state with "dirty" flags
+     * @returns {Object}
+     * @private
+     */
+    getState: function () {
+        return {
+            version: this.version,
+            savedState: this.savedState,
+            mergedProfiles: this.mergedProfiles.slice(0),
+            dirtyMergedProfiles: this.dirtyMergedProfiles.slice(0),
+            attributes: this.attributes.map(function (attribute) {
+                return {
+                    collectApp: attribute.getCollectApp(),
+                    section: attribute.getSection(),
+                    name: attribute.getName(),
+                    value: clone(attribute.getValue()),
+                    dirty: attribute.hasChanges()
+                };
+            }),
+            sessions: this.sessions.map(function (session) {
+                return {
+                    data: clone(session.serialize()),
+                    dirty: session.dirty,
+                    dataDirty: session.hasDataChanges(),
+                    events: session.getEvents().map(function (event) {
+                        return event.hasChanges();
+                    })
+                };
+            })
+        };
+    },
+
+    /**
+     * Restore state of profile
+     * @param {Object} state See {@link Profile#getState}
+     * @private
+     */
+    setState: function (state) {
+        this.version = state.version;
+        this.savedState = state.savedState;
+        this.mergedProfiles = state.mergedProfiles.slice(0);
+        this.dirtyMergedProfiles = state.dirtyMergedProfiles.slice(0);
+
+        this.attributes = state.attributes.map(function (item) {
+            var attribute = this.createAttribute(item.collectApp, item.section, item.name, clone(item.value));
+
+            attribute.resetDirty();
+            if (item.dirty) {
+                attribute.setDirty();
+            }
+            return attribute;
+        }, this);
+
+        this.sessions = state.sessions.map(function (item) {
+            var session = this.createSession(clone(item.data));
+
+            session.resetDirty();
+            if (item.dirty) {
+                session.setDirty();
+            }
+            if (item.dataDirty) {
+                session.setDataDirty();
+            }
+            session.getEvents().forEach(function (event, index) {
+                if (item.events[index]) {
+                    event.setDirty();
+                }
+            });
+            return session;
+        }, this);
+    },
+
+    /**
+     * Check if some of attribute or session has changes or there are not saved merged profiles
      * @returns {boolean}
      */
     hasChanges: function () {
-        return [].concat(this.attributes, this.sessions).some(function (item) {
+        return !!this.dirtyMergedProfiles.length || [].concat(this.attributes, this.sessions).some(function (item) {
             return item.hasChanges();
         });
     }
@@ -0,0 +1,112 @@
+'use strict';
+
+var Task = require('./task');
+var CronExpression = require('./cron');
+var util = require('util');
+
+/**
+ * Task which is repeated by cron expression (see {@link CronExpression}). Scheduler runs task only once,
+ * so task should be re-scheduled by {@link RecurringTask#reschedule} every time when its endpoint is called.
+ * Task keeps the same id between runs. Cron expression is sent in header of call (see Task.headers),
+ * so {@link TaskHandler} restores recurring task from the call and can re-schedule it.
+ * @param {Object} config Config of {@link Task} with cron expression instead of timestamp and delay
+ *
+ *     @example
+ *     {
+ *         "cron": "0 6 * * mon-fri", // required
+ *         "id": "daily-report",
+ *         "endpoint": "http://app.example.com/tasks/daily-report", // required
+ *         "method": "POST" // required
+ *     }
+ *
+ * @constructor
+ */
+var RecurringTask = function (config) {
+    if (config && typeof config === 'object') {
+        if (config.delay !== undefined) {
+            throw new Error('Property "delay" in config can not be used with cron expression');
+        }
+        this.cron = new CronExpression(config.cron);
+    }
+
+    Task.call(this, config);
+
+    if (this.timestamp === null) {
+        this.scheduleNext();
+    }
+};
+
+util.inherits(RecurringTask, Task);
+
+/**
+ * Cron expression
+ * @type {CronExpression}
+ * @private
+ */
+RecurringTask.prototype.cron = null;
+
+/**
+ * Get cron expression
+ * @returns {String}
+ */
+RecurringTask.prototype.getCron = function () {
+    return this.cron.getExpression();
+};
+
+/**
+ * Get time of the next run by cron expression
+ * @param {Date|Number} [from] Current time by default
+ * @returns {Number}
+ */
+RecurringTask.prototype.getNextRun = function (from) {
+    return this.cron.next(from);
+};
+
+/**
+ * Set time of task to the next run by cron expression
+ * @param {Date|Number} [from] Current time by default
+ * @returns {RecurringTask}
+ */
+RecurringTask.prototype.scheduleNext = function (from) {
+    return this.setTimestamp(this.getNextRun(from));
+};
+
+/**
+ * Recurring task can not be delayed, its time is set by cron expression
+ * @throws {Error}
+ */
+RecurringTask.prototype.setDelay = function () {
+    throw new Error('Delay can not be used with cron expression');
+};
+
+/**
+ * Get headers which identify task with cron expression
+ * @returns {Object}
+ * @protected
+ */
+RecurringTask.prototype.getServiceHeaders = function () {
+    var headers = Task.prototype.getServiceHeaders.call(this);
+    headers[Task.headers.cron] = this.getCron();
+    return headers;
+};
+
+/**
+ * Add task to scheduler with time of the next run. Should be called when endpoint of task is called
+ * @param {InnoHelper} helper
+ * @param {Object} [options] Request options
+ * @param {Date|Number} [options.from] Time after which the next run is calculated, current time by default
+ * @param {Function} [callback]
+ * @returns {Promise|undefined} Promise if callback is not passed
+ */
+RecurringTask.prototype.reschedule = function (helper, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = null;
+    }
+    options = options || {};
+
+    this.scheduleNext(options.from);
+    return helper.addTask(this, options, callback);
+};
+
+module.exports = RecurringTask;
@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * Read body of incoming request. Body which is already parsed (e.g. by body parser of Express) is passed as is
+ * @param {http.IncomingMessage} req
+ * @param {Function} callback Receives error and body
+ * @private
+ */
+function readBody (req, callback) {
+    var chunks = [];
+    var text = '';
+    var finished = false;
+
+    function done (error, body) {
+        if (!finished) {
+            finished = true;
+            return callback(error, body);
+        }
+    }
+
+    if (req.body !== undefined || typeof req.on !== 'function') {
+        return done(null, req.body);
+    }
+
+    req.on('data', function (chunk) {
+        // chunks are strings if encoding of stream is set
+        if (typeof chunk === 'string') {
+            text += chunk;
+        } else {
+            chunks.push(chunk);
+        }
+    });
+    req.on('error', function (error) {
+        done(error, null);
+    });
+    req.on('end', function () {
+        done(null, text + Buffer.concat(chunks).toString('utf8'));
+    });
+}
+
+module.exports = readBody;
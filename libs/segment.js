@@ -1,7 +1,29 @@
 'use strict';
 
+var iql = require('./iql/index');
+
+/**
+ * Convert time of segment creation to ms. Numeric strings, dates and date strings are converted,
+ * other values are ignored
+ * @param {*} value
+ * @returns {Number|null}
+ * @private
+ */
+function normalizeTime (value) {
+    var time;
+
+    if (typeof value === 'string' && value.trim()) {
+        time = isNaN(+value) ? Date.parse(value) : +value;
+    } else if (typeof value === 'number' || value instanceof Date) {
+        time = +value;
+    }
+
+    return typeof time === 'number' && isFinite(time) ? time : null;
+}
+
 /**
- *
+ * Metadata of segment (name, description, time of creation and "enabled" flag) is optional,
+ * values of wrong type are ignored, so segment sent by server is not rejected because of them
  * @param {Object} config
  * @constructor
  */
@@ -9,20 +31,50 @@ var Segment = function (config) {
     this.validateConfig(config);
     this.id = config.id;
     this.iql = config.iql;
+    this.name = typeof config.name === 'string' && config.name ? config.name : null;
+    this.description = typeof config.description === 'string' && config.description ? config.description : null;
+    this.createdAt = normalizeTime(config.createdAt);
+    this.enabled = config.enabled !== false && config.enabled !== 'false';
 };
 
 Segment.prototype = {
 
     /**
      * Segment id
+     * @type {String}
      */
     id: null,
 
     /**
      * Segment IQL expression
+     * @type {String}
      */
     iql: null,
 
+    /**
+     * Segment name
+     * @type {String}
+     */
+    name: null,
+
+    /**
+     * Segment description
+     * @type {String}
+     */
+    description: null,
+
+    /**
+     * Time of segment creation (in ms)
+     * @type {Number}
+     */
+    createdAt: null,
+
+    /**
+     * Flag that segment is enabled
+     * @type {Boolean}
+     */
+    enabled: true,
+
     /**
      * Get segment id
      * @returns {String}
@@ -40,13 +92,90 @@ Segment.prototype = {
     },
 
     /**
-     * Check if segment is valid
+     * Get segment name
+     * @returns {String|null}
+     */
+    getName: function () {
+        return this.name;
+    },
+
+    /**
+     * Get segment description
+     * @returns {String|null}
+     */
+    getDescription: function () {
+        return this.description;
+    },
+
+    /**
+     * Get time of segment creation
+     * @returns {Number|null}
+     */
+    getCreatedAt: function () {
+        return this.createdAt;
+    },
+
+    /**
+     * Check if segment is enabled
+     * @returns {Boolean}
+     */
+    isEnabled: function () {
+        return this.enabled;
+    },
+
+    /**
+     * Serialize segment to JSON, empty fields are omitted
+     * @returns {Object}
+     */
+    serialize: function () {
+        var data = {
+            id: this.getId(),
+            iql: this.getIql()
+        };
+
+        if (this.name !== null) {
+            data.name = this.name;
+        }
+        if (this.description !== null) {
+            data.description = this.description;
+        }
+        if (this.createdAt !== null) {
+            data.createdAt = this.createdAt;
+        }
+        data.enabled = this.enabled;
+
+        return data;
+    },
+
+    /**
+     * Evaluate profile by segment's IQL expression locally, without request to evaluation API
+     * @param {Profile} profile
+     * @param {Object} [options] Options of evaluation, "now" - time which is used for time windows
+     * @returns {Boolean}
+     * @throws {IqlSyntaxError} If IQL expression is malformed
+     * @throws {IqlUnsupportedError} If IQL expression can not be evaluated locally
+     */
+    evaluate: function (profile, options) {
+        return iql.evaluate(this.getIql(), profile, options);
+    },
+
+    /**
+     * Check if segment is valid. IQL expression is not parsed, see {@link Segment#getIqlError}
      * @returns {boolean}
      */
     isValid: function () {
         return !!(this.id && this.iql);
     },
 
+    /**
+     * Get error of IQL expression which is found by local parser (see {@link iql#validate}).
+     * Local parser does not know all valid expressions, so error does not mean that segment is rejected by API
+     * @returns {IqlSyntaxError|null}
+     */
+    getIqlError: function () {
+        return iql.validate(this.iql);
+    },
+
     /**
      * Checks if config is valid
      * @param {Object} config
@@ -0,0 +1,506 @@
+'use strict';
+
+var Task = require('./task');
+var RecurringTask = require('./recurring-task');
+var Cache = require('./cache');
+var readBody = require('./request-body');
+var callAsync = require('./call-async');
+
+/**
+ * Create error with HTTP status which is sent in response to scheduler
+ * @param {String} message
+ * @param {Number} statusCode
+ * @returns {Error}
+ * @private
+ */
+function createError (message, statusCode) {
+    var error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Compare strings in time which does not depend on position of the first different character
+ * @param {String} value
+ * @param {String} expected
+ * @returns {Boolean}
+ * @private
+ */
+function secretEquals (value, expected) {
+    var diff = value.length === expected.length ? 0 : 1;
+    var i;
+
+    for (i = 0; i < expected.length; i++) {
+        diff += value.charAt(i) === expected.charAt(i) ? 0 : 1;
+    }
+
+    return diff === 0;
+}
+
+/**
+ * Headers of request which are set by transport of call and are not kept in re-scheduled task
+ * @type {Array}
+ * @private
+ */
+var transportHeaders = ['host', 'connection', 'content-length', 'transfer-encoding',
+    'x-forwarded-for', 'x-forwarded-host', 'x-forwarded-proto'];
+
+/**
+ * Handler of calls which are made by scheduler when task is run. Call is parsed to {@link Task}
+ * (payload which was scheduled as object is parsed from JSON) and is passed to handler registered for type of task.
+ * Repeated calls of the same task run are skipped, processed runs are remembered in idempotency store.
+ * Calls are accepted only with secret which is added to tasks by helper, if secret is set.
+ * Call of {@link RecurringTask} is parsed to recurring task which is re-scheduled to the next run
+ * if helper is passed.
+ * @param {Object} [config]
+ *
+ *     @example
+ *     {
+ *         "handlers": {
+ *             "report": function (task, callback) {}, // or function which returns a Promise
+ *             "default": function (task, callback) {} // handler of tasks without type
+ *         },
+ *         "store": new Cache(), // idempotency store, should have methods "add" (set if absent) and "del"
+ *         "storeTime": 86400, // time in seconds during which processed runs are remembered
+ *         "keyPrefix": "task:", // prefix of keys in idempotency store
+ *         "helper": new InnoHelper(config), // helper which re-schedules recurring tasks
+ *         "secret": "string" // secret which should be sent in header of call (see Task.headers)
+ *     }
+ *
+ * @constructor
+ */
+var TaskHandler = function (config) {
+    var self = this;
+
+    config = config || {};
+
+    if (config.store !== undefined) {
+        if (!config.store || ['add', 'del'].some(function (method) {
+            return typeof config.store[method] !== 'function';
+        })) {
+            throw new Error('Property "store" in config should have "add" and "del" methods');
+        }
+    }
+
+    if (config.storeTime !== undefined) {
+        if (typeof config.storeTime !== 'number' || !(config.storeTime > 0)) {
+            throw new Error('Property "storeTime" in config should be a positive number');
+        }
+        this.storeTime = config.storeTime;
+    }
+
+    if (typeof config.keyPrefix === 'string') {
+        this.keyPrefix = config.keyPrefix;
+    }
+
+    if (config.helper !== undefined) {
+        if (!config.helper || typeof config.helper.addTask !== 'function') {
+            throw new Error('Property "helper" in config should have "addTask" method');
+        }
+        this.helper = config.helper;
+    }
+
+    if (config.secret !== undefined) {
+        if (typeof config.secret !== 'string' || !config.secret) {
+            throw new Error('Property "secret" in config should be a non-empty string');
+        }
+        this.secret = config.secret;
+    }
+
+    this.store = config.store || new Cache({
+        cachedTime: this.storeTime,
+        maxEntries: 10000
+    });
+    this.handlers = {};
+
+    Object.keys(config.handlers || {}).forEach(function (type) {
+        self.register(type, config.handlers[type]);
+    });
+};
+
+TaskHandler.prototype = {
+
+    /**
+     * Handlers of tasks by type
+     * @type {Object}
+     * @private
+     */
+    handlers: null,
+
+    /**
+     * Idempotency store
+     * @type {Object}
+     */
+    store: null,
+
+    /**
+     * Time in seconds during which processed runs are remembered
+     * @type {Number}
+     */
+    storeTime: 86400,
+
+    /**
+     * Prefix of keys in idempotency store
+     * @type {String}
+     */
+    keyPrefix: 'task:',
+
+    /**
+     * Helper which re-schedules recurring tasks
+     * @type {InnoHelper}
+     */
+    helper: null,
+
+    /**
+     * Secret which should be sent in call of task
+     * @type {String}
+     * @private
+     */
+    secret: null,
+
+    /**
+     * Register handler of tasks of certain type. Handler receives {@link Task} and callback,
+     * or it can return a Promise
+     * @param {String} type Type of task, "default" - tasks without type
+     * @param {Function} handler
+     * @returns {TaskHandler}
+     */
+    register: function (type, handler) {
+        if (typeof type !== 'string' || !type) {
+            throw new Error('Type of task should be a non-empty string');
+        }
+
+        if (typeof handler !== 'function') {
+            throw new Error('Handler of task type "' + type + '" should be a function');
+        }
+
+        this.handlers[type] = handler;
+        return this;
+    },
+
+    /**
+     * Process call of scheduler. Result contains task, flag that the same run was already processed
+     * and result of handler:
+     *
+     *     @example
+     *     {
+     *         "task": Task,
+     *         "duplicate": false,
+     *         "result": null
+     *     }
+     *
+     * Recurring task is re-scheduled after its run is processed, also when the call is repeated,
+     * so failed re-scheduling is repeated with call of scheduler.
+     * Errors have property "statusCode": 400 - request is not a call of task, 403 - secret of call is wrong,
+     * 404 - handler is not registered, errors of handlers and re-scheduling do not have it
+     * @param {http.IncomingMessage} req Request, its body can be already parsed by body parser
+     * @param {Function} callback
+     */
+    handle: function (req, callback) {
+        var self = this;
+
+        this.parseRequest(req, function (error, task) {
+            var handler;
+            var key;
+
+            if (error) {
+                return callback(error, null);
+            }
+
+            handler = self.handlers[task.getType() || 'default'];
+            if (!handler) {
+                return callback(createError('Handler of task type "' + (task.getType() || 'default') + '" is not registered', 404), null);
+            }
+
+            function finish (duplicate, result) {
+                self.rescheduleTask(task, function (error) {
+                    if (error) {
+                        return callback(error, null);
+                    }
+                    callback(null, {
+                        task: task,
+                        duplicate: duplicate,
+                        result: result === undefined ? null : result
+                    });
+                });
+            }
+
+            function run () {
+                callAsync(handler, null, [task], function (error, result) {
+                    if (!error) {
+                        return finish(false, result);
+                    }
+                    if (key === null) {
+                        return callback(error, null);
+                    }
+
+                    // failed run can be repeated by scheduler
+                    self.callStore('del', [key], function () {
+                        callback(error, null);
+                    });
+                });
+            }
+
+            key = self.getRunKey(task);
+            if (key === null) {
+                return run();
+            }
+
+            // run is marked atomically, so only one of parallel calls is processed;
+            // errors of store are ignored to not lose calls, so task can be processed twice if store is not available
+            self.callStore('add', [key, true, self.storeTime], function (storeError, added) {
+                if (!storeError && !added) {
+                    return finish(true, null);
+                }
+                run();
+            });
+        });
+    },
+
+    /**
+     * Get request listener which can be used by Express, Connect or http server.
+     * It responds with status 200 and JSON {id, duplicate} if task is processed,
+     * otherwise with status of error and JSON {error}
+     * @returns {Function}
+     */
+    middleware: function () {
+        var self = this;
+
+        return function (req, res) {
+            self.handle(req, function (error, info) {
+                if (error) {
+                    return self.respond(res, error.statusCode || 500, {
+                        error: error.message
+                    });
+                }
+
+                self.respond(res, 200, {
+                    id: info.task.getId(),
+                    duplicate: info.duplicate
+                });
+            });
+        };
+    },
+
+    /**
+     * Parse request of scheduler to task
+     * @param {http.IncomingMessage} req
+     * @param {Function} callback
+     * @protected
+     */
+    parseRequest: function (req, callback) {
+        var self = this;
+        var headers = req.headers || {};
+        var taskId = headers[Task.headers.id.toLowerCase()];
+
+        if (!taskId) {
+            return callback(createError('Task id not found in request', 400), null);
+        }
+
+        if (this.secret !== null && !secretEquals(String(headers[Task.headers.secret.toLowerCase()] || ''), this.secret)) {
+            return callback(createError('Secret of task is wrong', 403), null);
+        }
+
+        this.readBody(req, function (error, body) {
+            var task;
+            var payload;
+            var timestamp = +headers[Task.headers.timestamp.toLowerCase()];
+            var cron = headers[Task.headers.cron.toLowerCase()];
+            var config;
+
+            if (error) {
+                return callback(error, null);
+            }
+
+            try {
+                payload = self.parsePayload(body, headers['content-type']);
+                config = {
+                    id: taskId,
+                    endpoint: self.getEndpoint(req),
+                    method: req.method || 'POST',
+                    headers: self.getHeaders(headers),
+                    payload: payload,
+                    timestamp: isNaN(timestamp) ? undefined : timestamp
+                };
+
+                if (cron) {
+                    config.cron = cron;
+                    task = new RecurringTask(config);
+                } else {
+                    task = new Task(config);
+                }
+            } catch (e) {
+                return callback(e.statusCode ? e : createError(e.message, 400), null);
+            }
+
+            callback(null, task);
+        });
+    },
+
+    /**
+     * Read body of request if it's not parsed yet
+     * @param {http.IncomingMessage} req
+     * @param {Function} callback
+     * @private
+     */
+    readBody: function (req, callback) {
+        readBody(req, function (error, body) {
+            if (error) {
+                return callback(createError(error.message, 400), null);
+            }
+            callback(null, body);
+        });
+    },
+
+    /**
+     * Parse payload of task. JSON is parsed if it's sent with JSON content type
+     * @param {*} body
+     * @param {String} [contentType]
+     * @returns {String|Object|null}
+     * @private
+     */
+    parsePayload: function (body, contentType) {
+        if (body === undefined || body === null || body === '') {
+            return null;
+        }
+
+        if (Buffer.isBuffer(body)) {
+            body = body.toString('utf8');
+        }
+
+        if (typeof body !== 'string') {
+            return body;
+        }
+
+        if (!(/json/i).test(contentType || '')) {
+            return body;
+        }
+
+        try {
+            return JSON.parse(body);
+        } catch (e) {
+            throw createError('Payload of task is not a valid JSON', 400);
+        }
+    },
+
+    /**
+     * Get url which was called by scheduler
+     * @param {http.IncomingMessage} req
+     * @returns {String}
+     * @private
+     */
+    getEndpoint: function (req) {
+        var headers = req.headers || {};
+        var protocol = headers['x-forwarded-proto'] || (req.connection && req.connection.encrypted ? 'https' : 'http');
+
+        return protocol.split(',')[0].trim() + '://' + (headers.host || 'localhost') + (req.originalUrl || req.url || '/');
+    },
+
+    /**
+     * Get headers of request as strings, secret of task is not kept
+     * @param {Object} headers
+     * @returns {Object}
+     * @private
+     */
+    getHeaders: function (headers) {
+        var secretName = Task.headers.secret.toLowerCase();
+        var result = {};
+
+        Object.keys(headers).forEach(function (name) {
+            var value = headers[name];
+
+            if (name.toLowerCase() === secretName) {
+                return;
+            }
+            result[name] = Array.isArray(value) ? value.join(', ') : String(value);
+        });
+
+        return result;
+    },
+
+    /**
+     * Get key of task run in idempotency store. Run is identified by time of task or by run id of delayed task,
+     * calls without them can not be told apart and are not checked
+     * @param {Task} task
+     * @returns {String|null}
+     * @private
+     */
+    getRunKey: function (task) {
+        var timestamp = task.getTimestamp();
+        var run = task.getHeader(Task.headers.run);
+
+        if (timestamp !== null) {
+            return this.keyPrefix + task.getId() + ':' + timestamp;
+        }
+
+        return run ? this.keyPrefix + task.getId() + ':' + run : null;
+    },
+
+    /**
+     * Add the next run of recurring task to scheduler. The next run is calculated from time of processed run,
+     * or from current time if call is late. Other tasks are skipped
+     * @param {Task} task
+     * @param {Function} callback
+     * @private
+     */
+    rescheduleTask: function (task, callback) {
+        var headers = {};
+        var source;
+        var next;
+
+        if (!(task instanceof RecurringTask) || !this.helper) {
+            return callback(null);
+        }
+
+        source = task.getHeaders();
+        Object.keys(source).forEach(function (name) {
+            if (transportHeaders.indexOf(name.toLowerCase()) === -1) {
+                headers[name] = source[name];
+            }
+        });
+
+        // processed task is not changed, it's passed to caller
+        next = new RecurringTask({
+            id: task.getId(),
+            cron: task.getCron(),
+            endpoint: task.getEndpoint(),
+            method: task.getMethod(),
+            headers: headers,
+            payload: task.getPayload(),
+            timestamp: task.getTimestamp()
+        });
+
+        next.reschedule(this.helper, {
+            from: Math.max(Date.now(), task.getTimestamp())
+        }, function (error) {
+            callback(error || null);
+        });
+    },
+
+    /**
+     * Call method of store. Store can either call passed callback or return a Promise
+     * @param {String} method
+     * @param {Array} args
+     * @param {Function} callback
+     * @private
+     */
+    callStore: function (method, args, callback) {
+        callAsync(this.store[method], this.store, args, callback);
+    },
+
+    /**
+     * Send JSON response
+     * @param {http.ServerResponse} res
+     * @param {Number} statusCode
+     * @param {Object} body
+     * @private
+     */
+    respond: function (res, statusCode, body) {
+        res.writeHead(statusCode, {
+            'Content-Type': 'application/json'
+        });
+        res.end(JSON.stringify(body));
+    }
+};
+
+module.exports = TaskHandler;
@@ -0,0 +1,402 @@
+'use strict';
+
+var IdGenerator = require('./id-generator');
+
+/**
+ * Task of Scheduler API. Task calls "endpoint" at certain time ("timestamp") or after "delay".
+ * @param {Object} config
+ *
+ *     @example
+ *     {
+ *         "endpoint": "http://app.example.com/tasks", // required
+ *         "method": "POST", // required
+ *         "headers": {"Content-Type": "application/json"},
+ *         "payload": "string", // or object which is sent as JSON
+ *         "id": "string", // generated if it's not passed
+ *         "type": "string", // type which is used to dispatch call of task, see {@link TaskHandler}
+ *         "timestamp": 1449742185000, // time of run in ms
+ *         "delay": 0 // delay of run in ms, can not be used with timestamp
+ *     }
+ *
+ * @constructor
+ */
+var Task = function (config) {
+    this.validateConfig(config);
+    this.id = config.id || (new IdGenerator(32)).getId();
+    this.endpoint = config.endpoint;
+    this.method = config.method.toUpperCase();
+    this.headers = config.headers || {};
+    this.type = config.type || this.getHeader(Task.headers.type);
+    this.runId = this.getHeader(Task.headers.run);
+    this.payload = config.payload === undefined ? null : config.payload;
+    this.timestamp = config.timestamp === undefined ? null : config.timestamp;
+    this.delay = config.delay === undefined ? null : config.delay;
+};
+
+/**
+ * HTTP methods which can be used by task
+ * @type {Array}
+ */
+Task.methods = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Headers which are added to call of task to identify it. Run id of delayed task is generated once
+ * and renewed when time of run is changed, secret is added by {@link InnoHelper} and checked by {@link TaskHandler}
+ * @type {Object}
+ */
+Task.headers = {
+    id: 'X-Inno-Task-Id',
+    type: 'X-Inno-Task-Type',
+    timestamp: 'X-Inno-Task-Timestamp',
+    run: 'X-Inno-Task-Run',
+    cron: 'X-Inno-Task-Cron',
+    secret: 'X-Inno-Task-Secret'
+};
+
+Task.prototype = {
+
+    /**
+     * Task id
+     * @type {String}
+     */
+    id: null,
+
+    /**
+     * Url which is called by scheduler
+     * @type {String}
+     */
+    endpoint: null,
+
+    /**
+     * HTTP method of call
+     * @type {String}
+     */
+    method: null,
+
+    /**
+     * HTTP headers of call
+     * @type {Object}
+     */
+    headers: null,
+
+    /**
+     * Body of call
+     * @type {String|Object}
+     */
+    payload: null,
+
+    /**
+     * Type of task
+     * @type {String}
+     */
+    type: null,
+
+    /**
+     * Time of run in ms
+     * @type {Number}
+     */
+    timestamp: null,
+
+    /**
+     * Id of run of delayed task
+     * @type {String}
+     * @private
+     */
+    runId: null,
+
+    /**
+     * Delay of run in ms
+     * @type {Number}
+     */
+    delay: null,
+
+    /**
+     * Get task id
+     * @returns {String}
+     */
+    getId: function () {
+        return this.id;
+    },
+
+    /**
+     * Get url which is called by scheduler
+     * @returns {String}
+     */
+    getEndpoint: function () {
+        return this.endpoint;
+    },
+
+    /**
+     * Get HTTP method of call
+     * @returns {String}
+     */
+    getMethod: function () {
+        return this.method;
+    },
+
+    /**
+     * Get HTTP headers of call
+     * @returns {Object}
+     */
+    getHeaders: function () {
+        return this.headers;
+    },
+
+    /**
+     * Get HTTP header of call, name is case-insensitive
+     * @param {String} name
+     * @returns {String|null}
+     */
+    getHeader: function (name) {
+        var headers = this.headers;
+        var found = null;
+
+        name = name.toLowerCase();
+        Object.keys(headers).forEach(function (key) {
+            if (key.toLowerCase() === name) {
+                found = headers[key];
+            }
+        });
+
+        return found;
+    },
+
+    /**
+     * Get type of task
+     * @returns {String|null}
+     */
+    getType: function () {
+        return this.type;
+    },
+
+    /**
+     * Get body of call
+     * @returns {String|Object|null}
+     */
+    getPayload: function () {
+        return this.payload;
+    },
+
+    /**
+     * Get time of run
+     * @returns {Number|null}
+     */
+    getTimestamp: function () {
+        return this.timestamp;
+    },
+
+    /**
+     * Set time of run, delay is reset
+     * @param {Number|Date} timestamp
+     * @returns {Task}
+     */
+    setTimestamp: function (timestamp) {
+        timestamp = +timestamp;
+        if (!this.isNonNegativeNumber(timestamp)) {
+            throw new Error('Timestamp should be a non-negative number');
+        }
+        this.timestamp = timestamp;
+        this.delay = null;
+        this.runId = null;
+        return this;
+    },
+
+    /**
+     * Get delay of run
+     * @returns {Number|null}
+     */
+    getDelay: function () {
+        return this.delay;
+    },
+
+    /**
+     * Set delay of run, time of run is reset
+     * @param {Number} delay
+     * @returns {Task}
+     */
+    setDelay: function (delay) {
+        if (!this.isNonNegativeNumber(delay)) {
+            throw new Error('Delay should be a non-negative number');
+        }
+        this.delay = delay;
+        this.timestamp = null;
+        this.runId = null;
+        return this;
+    },
+
+    /**
+     * Get id of run of delayed task, it's generated on first call and kept until time of run is changed
+     * @returns {String|null}
+     */
+    getRunId: function () {
+        if (this.runId === null && this.delay !== null) {
+            this.runId = (new IdGenerator(16)).getId();
+        }
+        return this.runId;
+    },
+
+    /**
+     * Serialize task to format of Scheduler API. Object payload is converted to JSON.
+     * Id, type and time (or run id of delayed task) of task are added to headers (see Task.headers)
+     * @returns {Object}
+     */
+    serialize: function () {
+        var data = {
+            id: this.getId(),
+            endpoint: this.getEndpoint(),
+            method: this.getMethod(),
+            headers: this.serializeHeaders()
+        };
+        var payload = this.getPayload();
+
+        if (payload !== null) {
+            data.payload = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        }
+
+        if (this.timestamp !== null) {
+            data.timestamp = this.timestamp;
+        } else if (this.delay !== null) {
+            data.delay = this.delay;
+        }
+
+        return data;
+    },
+
+    /**
+     * Get headers of call with headers which identify task
+     * @returns {Object}
+     * @private
+     */
+    serializeHeaders: function () {
+        var serviceHeaders = this.getServiceHeaders();
+        var headers = {};
+        var source = this.getHeaders();
+
+        var serviceNames = Object.keys(serviceHeaders).map(function (name) {
+            return name.toLowerCase();
+        });
+
+        Object.keys(source).forEach(function (name) {
+            if (serviceNames.indexOf(name.toLowerCase()) === -1) {
+                headers[name] = source[name];
+            }
+        });
+
+        Object.keys(serviceHeaders).forEach(function (name) {
+            headers[name] = serviceHeaders[name];
+        });
+
+        return headers;
+    },
+
+    /**
+     * Get headers which identify task, they replace headers with the same names
+     * @returns {Object}
+     * @protected
+     */
+    getServiceHeaders: function () {
+        var serviceHeaders = {};
+
+        serviceHeaders[Task.headers.id] = this.getId();
+        if (this.type !== null) {
+            serviceHeaders[Task.headers.type] = this.type;
+        }
+        if (this.timestamp !== null) {
+            serviceHeaders[Task.headers.timestamp] = String(this.timestamp);
+        } else if (this.delay !== null) {
+            serviceHeaders[Task.headers.run] = this.getRunId();
+        }
+        if (this.payload !== null && typeof this.payload === 'object' && !this.getHeader('Content-Type')) {
+            serviceHeaders['Content-Type'] = 'application/json';
+        }
+
+        return serviceHeaders;
+    },
+
+    /**
+     * Check if value is a finite non-negative number
+     * @param {*} value
+     * @returns {Boolean}
+     * @private
+     */
+    isNonNegativeNumber: function (value) {
+        return typeof value === 'number' && isFinite(value) && value >= 0;
+    },
+
+    /**
+     * Checks if config is valid
+     * @param {Object} config
+     * @private
+     */
+    validateConfig: function (config) {
+        var self = this;
+
+        if (!config) {
+            throw new Error('Config should be defined');
+        }
+
+        if (typeof config !== 'object') {
+            throw new Error('Config should be an object');
+        }
+
+        ['endpoint', 'method'].forEach(function (field) {
+            if (!(field in config)) {
+                throw new Error('Property "' + field + '" in config should be defined');
+            }
+            if (typeof config[field] !== 'string') {
+                throw new Error('Property "' + field + '" in config should be a string');
+            }
+            if (!config[field].trim()) {
+                throw new Error('Property "' + field + '" in config can not be empty');
+            }
+        });
+
+        if (!(/^https?:\/\/[^\s]+$/i).test(config.endpoint)) {
+            throw new Error('Property "endpoint" in config should be an absolute http(s) url');
+        }
+
+        if (Task.methods.indexOf(config.method.toUpperCase()) === -1) {
+            throw new Error('Property "method" in config should be one of ' + Task.methods.join(', '));
+        }
+
+        if (config.id !== undefined && (typeof config.id !== 'string' || !config.id.trim())) {
+            throw new Error('Property "id" in config should be a non-empty string');
+        }
+
+        if (config.type !== undefined && (typeof config.type !== 'string' || !config.type.trim())) {
+            throw new Error('Property "type" in config should be a non-empty string');
+        }
+
+        if (config.headers !== undefined) {
+            if (!config.headers || typeof config.headers !== 'object' || Array.isArray(config.headers)) {
+                throw new Error('Property "headers" in config should be an object');
+            }
+            Object.keys(config.headers).forEach(function (name) {
+                if (typeof config.headers[name] !== 'string') {
+                    throw new Error('Header "' + name + '" in config should be a string');
+                }
+            });
+        }
+
+        if (config.payload !== undefined && config.payload !== null) {
+            if (typeof config.payload !== 'string' && typeof config.payload !== 'object') {
+                throw new Error('Property "payload" in config should be a string or an object');
+            }
+            if (config.method.toUpperCase() === 'GET') {
+                throw new Error('Property "payload" in config can not be used with GET method');
+            }
+        }
+
+        ['timestamp', 'delay'].forEach(function (field) {
+            if (config[field] !== undefined && !self.isNonNegativeNumber(config[field])) {
+                throw new Error('Property "' + field + '" in config should be a non-negative number');
+            }
+        });
+
+        if (config.timestamp !== undefined && config.delay !== undefined) {
+            throw new Error('You should use only one field: timestamp or delay');
+        }
+    }
+};
+
+module.exports = Task;
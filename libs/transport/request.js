@@ -0,0 +1,77 @@
+'use strict';
+
+var request = require('request');
+
+/**
+ * Default HTTP transport which sends requests by "request" module.
+ * Any other transport can be used instead of it if it implements the same "send" method.
+ * @constructor
+ */
+var RequestTransport = function () {};
+
+RequestTransport.prototype = {
+
+    /**
+     * Map of HTTP methods to "request" functions
+     * @type {Object}
+     * @private
+     */
+    methods: {
+        GET: 'get',
+        POST: 'post',
+        PUT: 'put',
+        DELETE: 'del'
+    },
+
+    /**
+     * Send HTTP request with JSON body
+     * @param {Object} params
+     *
+     *     @example
+     *     {
+     *         "method": "GET", // required
+     *         "url": "string", // required
+     *         "headers": {},
+     *         "body": {}
+     *     }
+     *
+     * @param {Function} callback Receives error and response object with statusCode, headers and body
+     * @returns {Object|undefined} Request instance
+     */
+    send: function (params, callback) {
+        var method = this.methods[params.method];
+        var opts;
+
+        if (!method) {
+            callback(new Error('Method "' + params.method + '" is not supported'));
+            return;
+        }
+
+        opts = {
+            url: params.url,
+            json: true
+        };
+
+        if (params.hasOwnProperty('body')) {
+            opts.body = params.body;
+        }
+
+        if (params.headers) {
+            opts.headers = params.headers;
+        }
+
+        return request[method](opts, function (error, response) {
+            if (!response) {
+                return callback(error);
+            }
+
+            callback(error, {
+                statusCode: response.statusCode,
+                headers: response.headers || {},
+                body: response.body
+            });
+        });
+    }
+};
+
+module.exports = RequestTransport;
@@ -14,7 +14,8 @@ function preloadSchema () {
         schema.sessions,
         schema.attribute,
         schema.attributes,
-        schema.profile
+        schema.profile,
+        schema.meta
     ]);
 
     this.schemaIsValid = allSchemasValid;
@@ -43,6 +44,11 @@ function attributeIsValid (attribute) {
     return schemasValid && validator.validate(attribute, schema.attribute);
 }
 
+function metaIsValid (meta) {
+    var schemasValid = this.isValid() && validator.validateSchema([schema.meta]);
+    return schemasValid && validator.validate(meta, schema.meta);
+}
+
 function getErrors () {
     return validator.getLastErrors();
 }
@@ -53,6 +59,7 @@ Validator.prototype = {
     sessionIsValid: sessionIsValid,
     eventIsValid: eventIsValid,
     attributeIsValid: attributeIsValid,
+    metaIsValid: metaIsValid,
     getErrors: getErrors,
     isValid: isValid
 };
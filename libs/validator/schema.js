@@ -85,6 +85,23 @@ var profile = {
     required: ['id', 'sessions', 'attributes']
 };
 
+var meta = {
+    id: 'meta',
+    type: 'object',
+    properties: {
+        companyId: {type: 'number'},
+        bucketName: {type: 'string'},
+        collectApp: {type: 'string'},
+        section: {type: 'string'},
+        eventDefinitionId: {type: 'string'},
+        sessionId: {type: 'string'},
+        eventId: {type: 'string'},
+        createdAt: {type: 'number'},
+        timestamp: {type: 'number'}
+    },
+    required: ['companyId', 'bucketName', 'collectApp', 'section']
+};
+
 module.exports = {
     attribute: attribute,
     attributes: attributes,
@@ -92,5 +109,6 @@ module.exports = {
     sessions: sessions,
     event: event,
     events: events,
-    profile: profile
+    profile: profile,
+    meta: meta
 };
@@ -0,0 +1,223 @@
+var KeyValueCache = require('../..').KeyValueCache,
+    assert = require('assert');
+
+describe('KeyValueCache', function () {
+    var client,
+        cache;
+
+    // in-memory fake of Redis client
+    function createFakeClient () {
+        return {
+            data: {},
+            ttl: {},
+            get: function (key, callback) {
+                var data = this.data;
+                setImmediate(function () {
+                    callback(null, data.hasOwnProperty(key) ? data[key] : null);
+                });
+            },
+            set: function (key, value, callback) {
+                this.data[key] = value;
+                setImmediate(callback, null);
+            },
+            del: function (keys, callback) {
+                [].concat(keys).forEach(function (key) {
+                    delete this.data[key];
+                }, this);
+                setImmediate(callback, null);
+            },
+            setnx: function (key, value, callback) {
+                var added = !this.data.hasOwnProperty(key);
+
+                if (added) {
+                    this.data[key] = value;
+                }
+                setImmediate(callback, null, added ? 1 : 0);
+            },
+            expire: function (key, seconds, callback) {
+                this.ttl[key] = seconds;
+                setImmediate(callback, null);
+            },
+            keys: function (pattern, callback) {
+                var prefix = pattern.replace(/\*$/, '');
+                var keys = Object.keys(this.data).filter(function (key) {
+                    return key.indexOf(prefix) === 0;
+                });
+                setImmediate(callback, null, keys);
+            }
+        };
+    }
+
+    beforeEach(function () {
+        client = createFakeClient();
+        cache = new KeyValueCache({
+            client: client,
+            prefix: 'test:',
+            cachedTime: 30
+        });
+    });
+
+    describe('Creation', function () {
+        it('should throw error on incorrect config', function () {
+            assert['throws'](function () {
+                return new KeyValueCache();
+            }, /Config should be an object/);
+        });
+
+        it('should throw error if client has not required methods', function () {
+            assert['throws'](function () {
+                return new KeyValueCache({
+                    client: {
+                        get: function () {}
+                    }
+                });
+            }, /Property "client" in config should have "get", "set" and "del" methods/);
+        });
+
+        it('should use default prefix and TTL', function () {
+            cache = new KeyValueCache({client: client});
+            assert.equal(cache.prefix, 'inno-helper:');
+            assert.equal(cache.cachedTime, 60);
+        });
+    });
+
+    describe('Get/Set methods', function () {
+        it('should store value as JSON with prefixed key', function (done) {
+            cache.set('a', {b: 1}, function (error) {
+                assert.ifError(error);
+                assert.deepEqual(JSON.parse(client.data['test:a']).value, {b: 1});
+                assert.equal(client.ttl['test:a'], 30);
+
+                cache.get('a', function (error, value) {
+                    assert.ifError(error);
+                    assert.deepEqual(value, {b: 1});
+                    done();
+                });
+            });
+        });
+
+        it('should use ttl of record', function (done) {
+            cache.set('a', 1, 5, function (error) {
+                assert.ifError(error);
+                assert.equal(client.ttl['test:a'], 5);
+                done();
+            });
+        });
+
+        it('should work with client without "expire" method', function (done) {
+            delete client.expire;
+            cache.set('a', 1, function (error) {
+                assert.ifError(error);
+                cache.get('a', function (error, value) {
+                    assert.equal(value, 1);
+                    done();
+                });
+            });
+        });
+
+        it('should add record only if key is absent', function (done) {
+            cache.add('a', 1, function (error, added) {
+                assert.ifError(error);
+                assert.strictEqual(added, true);
+                assert.equal(client.ttl['test:a'], 30);
+
+                cache.add('a', 2, 10, function (error, added) {
+                    assert.ifError(error);
+                    assert.strictEqual(added, false);
+                    cache.get('a', function (error, value) {
+                        assert.equal(value, 1);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should remove added record if TTL can not be set', function (done) {
+            client.expire = function (key, seconds, callback) {
+                callback(new Error('connection lost'));
+            };
+
+            cache.add('a', 1, function (error, added) {
+                assert.equal(error.message, 'connection lost');
+                assert.strictEqual(added, false);
+                assert(!client.data.hasOwnProperty('test:a'));
+                done();
+            });
+        });
+
+        it('should return error on add if client has not "setnx" method', function (done) {
+            delete client.setnx;
+            cache.add('a', 1, function (error) {
+                assert.equal(error.message, 'Client of storage should have "setnx" and "expire" methods to add records');
+                done();
+            });
+        });
+
+        it('should tell if client can add records', function () {
+            assert.strictEqual(cache.canAdd(), true);
+            delete client.expire;
+            assert.strictEqual(cache.canAdd(), false);
+        });
+
+        it('should return undefined for missed and expired records', function (done) {
+            client.data['test:b'] = JSON.stringify({
+                expired: Date.now() - 1,
+                value: 1
+            });
+
+            cache.get('a', function (error, value) {
+                assert.ifError(error);
+                assert.strictEqual(value, undefined);
+
+                cache.get('b', function (error, value) {
+                    assert.ifError(error);
+                    assert.strictEqual(value, undefined);
+                    assert(!client.data.hasOwnProperty('test:b'));
+                    done();
+                });
+            });
+        });
+
+        it('should return error of client', function (done) {
+            client.get = function (key, callback) {
+                callback(new Error('connection lost'));
+            };
+
+            cache.get('a', function (error) {
+                assert.equal(error.message, 'connection lost');
+                done();
+            });
+        });
+
+        it('should remove record', function (done) {
+            cache.set('a', 1, function () {
+                cache.del('a', function (error) {
+                    assert.ifError(error);
+                    assert.deepEqual(client.data, {});
+                    done();
+                });
+            });
+        });
+
+        it('should remove only records with prefix on clear', function (done) {
+            client.data.other = 'value';
+            cache.set('a', 1, function () {
+                cache.set('b', 2, function () {
+                    cache.clear(function (error) {
+                        assert.ifError(error);
+                        assert.deepEqual(client.data, {other: 'value'});
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('should return error on clear if client has not "keys" method', function (done) {
+            delete client.keys;
+            cache.clear(function (error) {
+                assert.equal(error.message, 'Client of storage should have "keys" method to clear cache');
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,106 @@
+var LruCache = require('../..').LruCache,
+    Cache = require('../..').Cache,
+    assert = require('assert');
+
+describe('LruCache', function () {
+    describe('Creation', function () {
+        it('should be a Cache', function () {
+            var cache = new LruCache();
+            assert(cache instanceof Cache);
+            assert.equal(cache.maxEntries, 1000);
+            assert.equal(cache.cachedTime, 60);
+        });
+
+        it('should throw error on incorrect maxEntries', function () {
+            assert['throws'](function () {
+                return new LruCache({maxEntries: 0});
+            }, /Property "maxEntries" in config should be a positive number/);
+        });
+
+        it('should not share storage between instances', function () {
+            var cache1 = new LruCache(),
+                cache2 = new LruCache();
+
+            cache1.set('a', 1);
+            assert.strictEqual(cache2.get('a'), undefined);
+        });
+    });
+
+    describe('Get/Set methods', function () {
+        it('should get value after set', function () {
+            var cache = new LruCache();
+            cache.set('a', 123);
+            cache.set('b', {a: 123});
+
+            assert.strictEqual(cache.get('a'), 123);
+            assert.deepEqual(cache.get('b'), {a: 123});
+            assert.equal(cache.getSize(), 2);
+
+            cache.expire('a');
+            assert.strictEqual(cache.get('a'), undefined);
+            assert.equal(cache.getSize(), 1);
+
+            cache.cache.b.expired = Date.now() - 1;
+            assert.strictEqual(cache.get('b'), undefined);
+            assert.equal(cache.getSize(), 0);
+        });
+
+        it('should support callbacks', function (done) {
+            var cache = new LruCache();
+            cache.set('a', 1, function (error) {
+                assert.ifError(error);
+                cache.get('a', function (error, value) {
+                    assert.ifError(error);
+                    assert.equal(value, 1);
+                    cache.del('a', function () {
+                        cache.get('a', function (error, value) {
+                            assert.strictEqual(value, undefined);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+
+        it('should use ttl of record', function () {
+            var cache = new LruCache({cachedTime: 10}),
+                now = Date.now();
+
+            cache.set('a', 1, 100);
+            assert(cache.cache.a.expired >= now + 100 * 1000);
+        });
+
+        it('should evict least recently used records', function () {
+            var cache = new LruCache({maxEntries: 2});
+
+            cache.set('a', 1);
+            cache.set('b', 2);
+            cache.get('a');
+            cache.set('c', 3);
+
+            assert.equal(cache.getSize(), 2);
+            assert.strictEqual(cache.get('b'), undefined);
+            assert.equal(cache.get('a'), 1);
+            assert.equal(cache.get('c'), 3);
+
+            cache.set('a', 10);
+            cache.set('d', 4);
+            assert.strictEqual(cache.get('c'), undefined);
+            assert.equal(cache.get('a'), 10);
+        });
+
+        it('should clear all records', function (done) {
+            var cache = new LruCache();
+            cache.set('a', 1);
+            cache.set('b', 2);
+            cache.clear(function (error) {
+                assert.ifError(error);
+                assert.equal(cache.getSize(), 0);
+                assert.strictEqual(cache.get('a'), undefined);
+                cache.set('c', 3);
+                assert.equal(cache.get('c'), 3);
+                done();
+            });
+        });
+    });
+});
@@ -51,4 +51,126 @@ describe('Cache', function () {
             assert.strictEqual(cache.get('c'), undefined);
         });
     });
+
+    describe('Storage', function () {
+        it('should not share records between instances', function () {
+            var cache1 = new Cache(),
+                cache2 = new Cache();
+
+            cache1.set('a', 1);
+            assert.strictEqual(cache2.get('a'), undefined);
+
+            cache2.clearCache();
+            assert.strictEqual(cache1.get('a'), 1);
+        });
+
+        it('should throw error on incorrect maxEntries', function () {
+            assert['throws'](function () {
+                return new Cache({maxEntries: -1});
+            }, /Property "maxEntries" in config should be a non-negative number/);
+        });
+
+        it('should not limit number of records by default', function () {
+            var cache = new Cache();
+            for (var i = 0; i < 1500; i++) {
+                cache.set('key' + i, i);
+            }
+            assert.equal(cache.getSize(), 1500);
+        });
+
+        it('should evict least recently used records', function () {
+            var cache = new Cache({maxEntries: 2});
+
+            cache.set('a', 1);
+            cache.set('b', 2);
+            cache.get('a');
+            cache.set('c', 3);
+
+            assert.equal(cache.getSize(), 2);
+            assert.strictEqual(cache.get('b'), undefined);
+            assert.equal(cache.get('a'), 1);
+            assert.equal(cache.get('c'), 3);
+        });
+
+        it('should remove records', function () {
+            var cache = new Cache();
+
+            cache.set('a', 1);
+            cache.del('a');
+            assert.strictEqual(cache.get('a'), undefined);
+            assert.equal(cache.getSize(), 0);
+        });
+
+        it('should add record only if it is absent or expired', function () {
+            var cache = new Cache();
+            var added = [];
+
+            assert.strictEqual(cache.add('a', 1), true);
+            assert.strictEqual(cache.add('a', 2, function (error, result) {
+                added.push(result);
+            }), false);
+            assert.deepEqual(added, [false]);
+            assert.equal(cache.get('a'), 1);
+
+            cache.expire('a');
+            assert.strictEqual(cache.add('a', 3), true);
+            assert.equal(cache.get('a'), 3);
+        });
+
+        it('should sweep expired records', function () {
+            var cache = new Cache();
+
+            cache.set('a', 1);
+            cache.set('b', 2);
+            cache.set('c', 3);
+            cache.expire('a');
+            cache.expire('c');
+
+            assert.equal(cache.sweep(), 2);
+            assert.equal(cache.getSize(), 1);
+            assert.deepEqual(Object.keys(cache.cache), ['b']);
+        });
+
+        it('should sweep expired records periodically', function (done) {
+            var cache = new Cache({sweepInterval: 0.01});
+
+            cache.set('a', 1);
+            cache.expire('a');
+
+            setTimeout(function () {
+                cache.stopSweeping();
+                assert.equal(cache.getSize(), 0);
+                assert.equal(cache.getStats().expirations, 1);
+                done();
+            }, 50);
+        });
+    });
+
+    describe('Stats', function () {
+        it('should count hits, misses and evictions', function () {
+            var cache = new Cache({maxEntries: 1});
+
+            cache.set('a', 1);
+            cache.get('a');
+            cache.get('b');
+            cache.set('b', 2);
+
+            assert.deepEqual(cache.getStats(), {
+                hits: 1,
+                misses: 1,
+                evictions: 1,
+                expirations: 0,
+                size: 1
+            });
+
+            cache.resetStats();
+            assert.deepEqual(cache.getStats(), {
+                hits: 0,
+                misses: 0,
+                evictions: 0,
+                expirations: 0,
+                size: 1
+            });
+        });
+    });
 });
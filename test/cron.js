@@ -0,0 +1,77 @@
+var CronExpression = require('../').CronExpression,
+    assert = require('assert');
+
+describe('CronExpression', function () {
+    function nextRun (expression, from) {
+        return new Date(new CronExpression(expression).next(from)).toISOString();
+    }
+
+    // Friday
+    var from = Date.UTC(2016, 0, 1, 10, 15, 30);
+
+    it('should find the next minute', function () {
+        assert.equal(nextRun('* * * * *', from), '2016-01-01T10:16:00.000Z');
+    });
+
+    it('should not return passed time', function () {
+        assert.equal(nextRun('15 10 * * *', Date.UTC(2016, 0, 1, 10, 15)), '2016-01-02T10:15:00.000Z');
+    });
+
+    it('should support lists, ranges and steps', function () {
+        assert.equal(nextRun('0,45 * * * *', from), '2016-01-01T10:45:00.000Z');
+        assert.equal(nextRun('0 12-14 * * *', from), '2016-01-01T12:00:00.000Z');
+        assert.equal(nextRun('*/20 * * * *', from), '2016-01-01T10:20:00.000Z');
+        assert.equal(nextRun('5/20 * * * *', from), '2016-01-01T10:25:00.000Z');
+        assert.equal(nextRun('0 0-12/6 * * *', from), '2016-01-01T12:00:00.000Z');
+    });
+
+    it('should support names of months and days', function () {
+        assert.equal(nextRun('30 6 * * mon-fri', Date.UTC(2016, 0, 2)), '2016-01-04T06:30:00.000Z');
+        assert.equal(nextRun('0 0 1 MAR *', from), '2016-03-01T00:00:00.000Z');
+    });
+
+    it('should support aliases', function () {
+        assert.equal(nextRun('@hourly', from), '2016-01-01T11:00:00.000Z');
+        assert.equal(nextRun('@daily', from), '2016-01-02T00:00:00.000Z');
+        assert.equal(nextRun('@weekly', from), '2016-01-03T00:00:00.000Z');
+        assert.equal(nextRun('@monthly', from), '2016-02-01T00:00:00.000Z');
+        assert.equal(nextRun('@yearly', from), '2017-01-01T00:00:00.000Z');
+    });
+
+    it('should treat 7 as Sunday', function () {
+        assert.equal(nextRun('0 0 * * 7', from), '2016-01-03T00:00:00.000Z');
+    });
+
+    it('should match day of month or day of week if both are restricted', function () {
+        assert.equal(nextRun('0 0 13 * 1', from), '2016-01-04T00:00:00.000Z');
+        assert.equal(nextRun('0 0 13 * 1', Date.UTC(2016, 0, 12)), '2016-01-13T00:00:00.000Z');
+    });
+
+    it('should find leap day', function () {
+        assert.equal(nextRun('0 0 29 2 *', from), '2016-02-29T00:00:00.000Z');
+        assert.equal(nextRun('0 0 29 2 *', Date.UTC(2016, 2, 1)), '2020-02-29T00:00:00.000Z');
+    });
+
+    it('should throw error if expression does not match any date', function () {
+        assert['throws'](function () {
+            new CronExpression('0 0 30 2 *').next(from);
+        }, /Cron expression "0 0 30 2 \*" does not match any date/);
+    });
+
+    [
+        ['', /Cron expression should be a non-empty string/],
+        ['* * * *', /should have 5 fields/],
+        ['60 * * * *', /has wrong minute "60"/],
+        ['* 5-1 * * *', /has wrong hour "5-1"/],
+        ['* * 0 * *', /has wrong dayOfMonth "0"/],
+        ['* * * foo *', /has wrong month "foo"/],
+        ['*/0 * * * *', /has wrong minute "\*\/0"/],
+        ['* * * * 1-2-3', /has wrong dayOfWeek "1-2-3"/]
+    ].forEach(function (test) {
+        it('should throw error for ' + JSON.stringify(test[0]), function () {
+            assert['throws'](function () {
+                return new CronExpression(test[0]);
+            }, test[1]);
+        });
+    });
+});
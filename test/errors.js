@@ -0,0 +1,107 @@
+var inno = require('../'),
+    assert = require('assert');
+
+describe('Errors', function () {
+    var details = {
+        statusCode: 500,
+        method: 'POST',
+        url: 'host/scheduler/id?token=secret&a=b',
+        body: {message: 'failed'},
+        requestId: 'rid'
+    };
+
+    it('should create API error with details', function () {
+        var error = new inno.InnoApiError('failed', details);
+
+        assert(error instanceof Error);
+        assert(error instanceof inno.InnoApiError);
+        assert.equal(error.name, 'InnoApiError');
+        assert.equal(error.message, 'failed');
+        assert.equal(error.statusCode, 500);
+        assert.equal(error.method, 'POST');
+        assert.equal(error.url, 'host/scheduler/id?token=[REDACTED]&a=b');
+        assert.deepEqual(error.body, {message: 'failed'});
+        assert.equal(error.requestId, 'rid');
+        assert(error.stack);
+    });
+
+    it('should create API error without details', function () {
+        var error = new inno.InnoApiError('failed');
+
+        assert.strictEqual(error.statusCode, null);
+        assert.strictEqual(error.method, null);
+        assert.strictEqual(error.url, null);
+        assert.strictEqual(error.body, null);
+        assert.strictEqual(error.requestId, null);
+    });
+
+    [{
+        statusCode: 400,
+        ErrorClass: inno.ValidationError,
+        name: 'ValidationError'
+    }, {
+        statusCode: 401,
+        ErrorClass: inno.AuthError,
+        name: 'AuthError'
+    }, {
+        statusCode: 403,
+        ErrorClass: inno.AuthError,
+        name: 'AuthError'
+    }, {
+        statusCode: 404,
+        ErrorClass: inno.NotFoundError,
+        name: 'NotFoundError'
+    }, {
+        statusCode: 422,
+        ErrorClass: inno.ValidationError,
+        name: 'ValidationError'
+    }, {
+        statusCode: 429,
+        ErrorClass: inno.RateLimitError,
+        name: 'RateLimitError'
+    }, {
+        statusCode: 502,
+        ErrorClass: inno.InnoApiError,
+        name: 'InnoApiError'
+    }].forEach(function (test) {
+        it('should create ' + test.name + ' for status code ' + test.statusCode, function () {
+            var error = inno.InnoApiError.fromResponse({
+                statusCode: test.statusCode,
+                body: {}
+            }, {
+                method: 'GET',
+                url: 'url?app_key=key'
+            });
+
+            assert(error instanceof test.ErrorClass);
+            assert(error instanceof inno.InnoApiError);
+            assert.equal(error.name, test.name);
+            assert.equal(error.statusCode, test.statusCode);
+            assert.equal(error.url, 'url?app_key=[REDACTED]');
+        });
+    });
+
+    it('should keep Retry-After header in RateLimitError', function () {
+        var error = inno.InnoApiError.fromResponse({
+            statusCode: 429,
+            headers: {'retry-after': '10'},
+            body: {message: 'slow down'}
+        });
+
+        assert.equal(error.message, 'slow down');
+        assert.equal(error.retryAfter, '10');
+    });
+
+    it('should keep original error in NetworkError', function () {
+        var cause = new Error('connect ECONNREFUSED'),
+            error;
+
+        cause.code = 'ECONNREFUSED';
+        error = new inno.NetworkError(cause.message, {cause: cause});
+
+        assert(error instanceof inno.InnoApiError);
+        assert.equal(error.name, 'NetworkError');
+        assert.strictEqual(error.cause, cause);
+        assert.equal(error.code, 'ECONNREFUSED');
+    });
+});
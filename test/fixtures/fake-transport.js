@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * Create fake transport of InnoHelper which remembers sent requests.
+ * By default responses are taken from "responses" queue of transport
+ * @param {Function} [respond] Called in context of transport with params and number of request,
+ * returns response or Error which is passed to callback as transport error
+ * @param {Object} [options]
+ * @param {Number} [options.delay] Delay (in ms) of response, response is sent synchronously if it's not set
+ * @returns {Object}
+ */
+module.exports = function (respond, options) {
+    var transport;
+
+    options = options || {};
+    respond = respond || function () {
+        return transport.responses.shift();
+    };
+
+    transport = {
+        requests: [],
+        responses: [],
+        running: 0,
+        maxRunning: 0,
+        send: function (params, callback) {
+            var self = this,
+                count = this.requests.push(params);
+
+            function reply () {
+                var response = respond.call(self, params, count);
+
+                self.running--;
+                if (response instanceof Error) {
+                    return callback(response);
+                }
+                return callback(null, response);
+            }
+
+            this.running++;
+            this.maxRunning = Math.max(this.maxRunning, this.running);
+
+            if (options.delay === undefined) {
+                return reply();
+            }
+            setTimeout(reply, options.delay);
+        }
+    };
+
+    return transport;
+};
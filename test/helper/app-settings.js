@@ -118,6 +118,56 @@ describe('Inno Helper/AppSettings', function () {
         });
     });
 
+    describe('Promise API', function () {
+        it('should resolve settings if callback is not passed', function () {
+            var values = ['settings', 'here'];
+            sinon.stub(request, 'get', function (opts, callback) {
+                callback(null, {
+                    statusCode: 200,
+                    body: {
+                        custom: values
+                    }
+                });
+            });
+
+            helper.setCacheAllowed(false);
+            var promise = helper.getAppSettings();
+            request.get.restore();
+
+            assert(promise instanceof Promise);
+            return promise.then(function (settings) {
+                assert.deepEqual(settings, values);
+            });
+        });
+
+        it('should reject if no settings passed', function () {
+            return helper.setAppSettings(null).then(function () {
+                throw new Error('Promise should be rejected');
+            }, function (error) {
+                assert.equal(error.message, 'Settings not found');
+            });
+        });
+
+        it('should resolve updated settings', function () {
+            var values = {test: 'qwe'};
+            sinon.stub(request, 'put', function (opts, callback) {
+                callback(null, {
+                    statusCode: 200,
+                    body: {
+                        custom: values
+                    }
+                });
+            });
+
+            var promise = helper.setAppSettings(values);
+            request.put.restore();
+
+            return promise.then(function (settings) {
+                assert.deepEqual(settings, values);
+            });
+        });
+    });
+
     describe('Set methods', function () {
         it('should throw error if no settings passed', function (done) {
             helper.setAppSettings(null, function (error) {
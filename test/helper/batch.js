@@ -0,0 +1,170 @@
+var InnoHelper = require('../..').InnoHelper,
+    NotFoundError = require('../..').NotFoundError,
+    assert = require('assert'),
+    createFakeTransport = require('../fixtures/fake-transport');
+
+describe('Inno Helper/Batch', function () {
+    var config = {
+            bucketName: 'bucketName',
+            appName: 'appName',
+            appKey: 'appKey',
+            apiUrl: 'apiUrl',
+            groupId: 4
+        },
+        transport,
+        helper;
+
+    // asynchronous transport which tracks number of parallel requests
+    function respond (params) {
+        var profileId = params.url.split('/profiles/')[1].split('?')[0];
+
+        if (this.missing.indexOf(profileId) !== -1) {
+            return {
+                statusCode: 404,
+                body: {message: 'Profile not found'}
+            };
+        }
+        return {
+            statusCode: params.method === 'POST' ? 201 : 200,
+            body: {profile: {id: profileId}}
+        };
+    }
+
+    beforeEach(function () {
+        transport = createFakeTransport(respond, {delay: 1});
+        transport.missing = [];
+        config.transport = transport;
+        helper = new InnoHelper(config);
+    });
+
+    describe('Load', function () {
+        it('should return error if ids are not an array', function () {
+            return helper.loadProfiles('pid').then(function () {
+                throw new Error('Promise should be rejected');
+            }, function (error) {
+                assert.equal(error.message, 'Argument "profileIds" should be an array');
+            });
+        });
+
+        it('should return empty list for empty ids', function (done) {
+            helper.loadProfiles([], function (error, results) {
+                assert.ifError(error);
+                assert.deepEqual(results, []);
+                done();
+            });
+        });
+
+        it('should load profiles with limited concurrency', function () {
+            var ids = ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7'];
+
+            return helper.loadProfiles(ids, {concurrency: 3}).then(function (results) {
+                assert.equal(transport.requests.length, 7);
+                assert.equal(transport.maxRunning, 3);
+                assert.deepEqual(results.map(function (result) {
+                    return result.id;
+                }), ids);
+                results.forEach(function (result) {
+                    assert.strictEqual(result.error, null);
+                    assert.equal(result.profile.getId(), result.id);
+                });
+            });
+        });
+
+        it('should return error for every failed id and continue', function () {
+            transport.missing.push('p2');
+
+            return helper.loadProfiles(['p1', 'p2', 'p3']).then(function (results) {
+                assert.equal(results.length, 3);
+                assert.strictEqual(results[0].error, null);
+                assert(results[1].error instanceof NotFoundError);
+                assert.strictEqual(results[1].profile, null);
+                assert.strictEqual(results[2].error, null);
+            });
+        });
+
+        it('should report progress', function () {
+            var progress = [];
+
+            return helper.loadProfiles(['p1', 'p2'], {
+                onProgress: function (info) {
+                    progress.push(info);
+                }
+            }).then(function (results) {
+                assert.equal(progress.length, 2);
+                assert.equal(progress[0].completed, 1);
+                assert.equal(progress[1].completed, 2);
+                assert.equal(progress[1].total, 2);
+                assert(results.indexOf(progress[0].result) !== -1);
+            });
+        });
+    });
+
+    describe('Save', function () {
+        function createChangedProfile (id) {
+            var profile = helper.createProfile(id);
+            profile.setAttribute({
+                collectApp: 'app',
+                section: 'sec',
+                name: 'name',
+                value: id
+            });
+            return profile;
+        }
+
+        it('should return error if profiles are not an array', function (done) {
+            helper.saveProfiles(null, function (error) {
+                assert.equal(error.message, 'Argument "profiles" should be an array');
+                done();
+            });
+        });
+
+        it('should save changed profiles and skip unchanged ones', function () {
+            var unchanged = helper.createProfile('p2');
+
+            return helper.saveProfiles([
+                createChangedProfile('p1'),
+                unchanged,
+                createChangedProfile('p3')
+            ], {concurrency: 1}).then(function (results) {
+                assert.equal(transport.requests.length, 2);
+                assert.equal(transport.maxRunning, 1);
+                assert.equal(results[0].id, 'p1');
+                assert.equal(results[0].skipped, false);
+                assert.equal(results[0].profile.getId(), 'p1');
+                assert.equal(results[1].id, 'p2');
+                assert.equal(results[1].skipped, true);
+                assert.strictEqual(results[1].profile, unchanged);
+                assert.equal(results[2].id, 'p3');
+                assert.strictEqual(results[2].error, null);
+            });
+        });
+
+        it('should return error for every failed profile and continue', function () {
+            transport.missing.push('p1');
+
+            return helper.saveProfiles([
+                createChangedProfile('p1'),
+                {id: 'fake'},
+                createChangedProfile('p3')
+            ]).then(function (results) {
+                assert.equal(results[0].error.statusCode, 404);
+                assert.strictEqual(results[1].id, null);
+                assert.equal(results[1].error.message, 'Argument "profile" should be a Profile instance');
+                assert.strictEqual(results[2].error, null);
+                assert.equal(results[2].profile.getId(), 'p3');
+            });
+        });
+
+        it('should report progress for skipped profiles too', function () {
+            var completed = [];
+
+            return helper.saveProfiles([helper.createProfile('p1'), createChangedProfile('p2')], {
+                onProgress: function (info) {
+                    completed.push(info.completed + '/' + info.total);
+                }
+            }).then(function () {
+                assert.deepEqual(completed, ['1/2', '2/2']);
+            });
+        });
+    });
+});
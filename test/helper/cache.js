@@ -0,0 +1,131 @@
+var InnoHelper = require('../..').InnoHelper,
+    KeyValueCache = require('../..').KeyValueCache,
+    assert = require('assert'),
+    createFakeTransport = require('../fixtures/fake-transport');
+
+describe('Inno Helper/Cache', function () {
+    var config = {
+            bucketName: 'bucketName',
+            appName: 'appName',
+            appKey: 'appKey',
+            apiUrl: 'apiUrl',
+            groupId: 4
+        },
+        transport;
+
+    function respond () {
+        return {
+            statusCode: 200,
+            body: {
+                custom: {
+                    some: 'settings'
+                }
+            }
+        };
+    }
+
+    // asynchronous in-memory key-value client
+    function createFakeClient () {
+        return {
+            data: {},
+            get: function (key, callback) {
+                var data = this.data;
+                setImmediate(function () {
+                    callback(null, data.hasOwnProperty(key) ? data[key] : null);
+                });
+            },
+            set: function (key, value, callback) {
+                this.data[key] = value;
+                setImmediate(callback, null);
+            },
+            del: function (key, callback) {
+                delete this.data[key];
+                setImmediate(callback, null);
+            }
+        };
+    }
+
+    function createHelper (cache) {
+        var conf = {};
+        Object.keys(config).forEach(function (key) {
+            conf[key] = config[key];
+        });
+        conf.transport = transport;
+        conf.cache = cache;
+        return new InnoHelper(conf);
+    }
+
+    beforeEach(function () {
+        transport = createFakeTransport(respond);
+    });
+
+    it('should throw error if cache has not required methods', function () {
+        assert['throws'](function () {
+            createHelper({
+                get: function () {}
+            });
+        }, /Property "cache" in config should have "get", "set", "del" and "clear" methods/);
+    });
+
+    it('should limit size of default cache without sweeping timer', function () {
+        var helper = createHelper();
+
+        assert.equal(helper.cache.maxEntries, 1000);
+        assert.strictEqual(helper.cache.sweepTimer, null);
+    });
+
+    it('should store app settings in passed cache', function () {
+        var client = createFakeClient(),
+            helper = createHelper(new KeyValueCache({client: client})),
+            helper2 = createHelper(new KeyValueCache({client: client}));
+
+        return helper.getAppSettings().then(function (settings) {
+            assert.deepEqual(settings, {some: 'settings'});
+            assert.equal(Object.keys(client.data).length, 1);
+            return helper2.getAppSettings();
+        }).then(function (settings) {
+            assert.deepEqual(settings, {some: 'settings'});
+            assert.equal(transport.requests.length, 1);
+        });
+    });
+
+    it('should support cache which returns promises', function () {
+        var data = {},
+            helper = createHelper({
+                get: function (key) {
+                    return Promise.resolve(data[key]);
+                },
+                set: function (key, value) {
+                    data[key] = value;
+                    return Promise.resolve();
+                },
+                del: function () {},
+                clear: function () {}
+            });
+
+        return helper.getAppSettings().then(function () {
+            return helper.getAppSettings();
+        }).then(function (settings) {
+            assert.deepEqual(settings, {some: 'settings'});
+            assert.equal(transport.requests.length, 1);
+        });
+    });
+
+    it('should load settings if cache failed', function () {
+        var helper = createHelper({
+            get: function (key, callback) {
+                callback(new Error('cache is down'));
+            },
+            set: function (key, value, callback) {
+                callback(new Error('cache is down'));
+            },
+            del: function () {},
+            clear: function () {}
+        });
+
+        return helper.getAppSettings().then(function (settings) {
+            assert.deepEqual(settings, {some: 'settings'});
+            assert.equal(transport.requests.length, 1);
+        });
+    });
+});
@@ -0,0 +1,274 @@
+var InnoHelper = require('../..').InnoHelper,
+    Profile = require('../..').Profile,
+    assert = require('assert'),
+    createFakeTransport = require('../fixtures/fake-transport');
+
+describe('Inno Helper/Coalescing', function () {
+    var config = {
+            bucketName: 'bucketName',
+            appName: 'appName',
+            appKey: 'appKey',
+            apiUrl: 'apiUrl',
+            groupId: 4
+        },
+        transport,
+        helper;
+
+    // asynchronous transport which counts requests
+    function respond (params, count) {
+        if (this.fail) {
+            return new Error('connection lost');
+        }
+
+        if (params.url.indexOf('/custom') !== -1) {
+            return {
+                statusCode: 200,
+                body: {
+                    custom: {
+                        version: count
+                    }
+                }
+            };
+        }
+
+        if (params.url.indexOf('/segments') !== -1) {
+            return {
+                statusCode: 200,
+                body: [{
+                    segment: {
+                        id: 'sid',
+                        iql: 'my-iql'
+                    }
+                }]
+            };
+        }
+
+        return {
+            statusCode: 200,
+            body: {
+                profile: {
+                    id: 'pid'
+                }
+            }
+        };
+    }
+
+    function createHelper (conf) {
+        var result = {};
+        [config, conf || {}].forEach(function (source) {
+            Object.keys(source).forEach(function (key) {
+                result[key] = source[key];
+            });
+        });
+        result.transport = transport;
+        return new InnoHelper(result);
+    }
+
+    function times (count, fn) {
+        var results = [];
+        for (var i = 0; i < count; i++) {
+            results.push(fn());
+        }
+        return Promise.all(results);
+    }
+
+    beforeEach(function () {
+        transport = createFakeTransport(respond, {delay: 1});
+        helper = createHelper();
+    });
+
+    it('should send one request for concurrent getAppSettings calls', function () {
+        return times(10, function () {
+            return helper.getAppSettings();
+        }).then(function (results) {
+            assert.equal(transport.requests.length, 1);
+            assert.notStrictEqual(results[0], results[1]);
+            results.forEach(function (settings) {
+                assert.deepEqual(settings, {version: 1});
+            });
+        });
+    });
+
+    it('should send one request for concurrent getSegments calls', function () {
+        return times(3, function () {
+            return helper.getSegments();
+        }).then(function (results) {
+            assert.equal(transport.requests.length, 1);
+            assert.notStrictEqual(results[0][0], results[1][0]);
+            results.forEach(function (segments) {
+                assert.equal(segments[0].getId(), 'sid');
+            });
+        });
+    });
+
+    it('should return separate profiles for concurrent loadProfile calls', function () {
+        return times(3, function () {
+            return helper.loadProfile('pid');
+        }).then(function (profiles) {
+            assert.equal(transport.requests.length, 1);
+            assert.notStrictEqual(profiles[0], profiles[1]);
+            profiles.forEach(function (profile) {
+                assert.equal(profile.getId(), 'pid');
+            });
+        });
+    });
+
+    it('should not join requests for different profiles', function () {
+        return Promise.all([
+            helper.loadProfile('pid1'),
+            helper.loadProfile('pid2')
+        ]).then(function () {
+            assert.equal(transport.requests.length, 2);
+        });
+    });
+
+    it('should not join request which was sent before profile was saved', function () {
+        var send = transport.send,
+            profile = new Profile({id: 'pid'}),
+            first,
+            release;
+
+        // response to the first request is delayed until profile is saved
+        transport.send = function (params, callback) {
+            transport.send = send;
+            send.call(transport, params, function (error, response) {
+                release = function () {
+                    callback(error, response);
+                };
+            });
+        };
+
+        profile.setAttribute({
+            collectApp: 'web',
+            section: 'sec',
+            name: 'name',
+            value: 'changed'
+        });
+
+        first = helper.loadProfile('pid');
+        return helper.saveProfile(profile).then(function () {
+            var second = helper.loadProfile('pid');
+
+            release();
+            return Promise.all([first, second]);
+        }).then(function () {
+            assert.equal(transport.requests.length, 3);
+            assert.equal(transport.requests[2].method, 'GET');
+        });
+    });
+
+    it('should send new request after previous one completed', function () {
+        return helper.loadProfile('pid').then(function () {
+            return helper.loadProfile('pid');
+        }).then(function () {
+            assert.equal(transport.requests.length, 2);
+        });
+    });
+
+    it('should not join requests with AbortSignal', function () {
+        var signal = {
+            aborted: false,
+            addEventListener: function () {},
+            removeEventListener: function () {}
+        };
+
+        return Promise.all([
+            helper.loadProfile('pid', {signal: signal}),
+            helper.loadProfile('pid', {signal: signal})
+        ]).then(function () {
+            assert.equal(transport.requests.length, 2);
+        });
+    });
+
+    it('should not join requests with own timeout or retry policy', function () {
+        return Promise.all([
+            helper.loadProfile('pid'),
+            helper.loadProfile('pid', {timeout: 100}),
+            helper.loadProfile('pid', {retry: false})
+        ]).then(function () {
+            assert.equal(transport.requests.length, 3);
+        });
+    });
+
+    it('should not join requests if coalescing is disabled', function () {
+        helper = createHelper({coalesceRequests: false});
+
+        return times(2, function () {
+            return helper.loadProfile('pid');
+        }).then(function () {
+            assert.equal(transport.requests.length, 2);
+        });
+    });
+
+    it('should pass error to every waiter', function () {
+        transport.fail = true;
+
+        return times(2, function () {
+            return helper.loadProfile('pid').then(function () {
+                throw new Error('Promise should be rejected');
+            }, function (error) {
+                return error;
+            });
+        }).then(function (errors) {
+            assert.equal(transport.requests.length, 1);
+            errors.forEach(function (error) {
+                assert.equal(error.message, 'connection lost');
+            });
+        });
+    });
+
+    describe('Stale while revalidate', function () {
+        it('should throw error on incorrect value', function () {
+            assert['throws'](function () {
+                createHelper({staleWhileRevalidate: -1});
+            }, /Property "staleWhileRevalidate" in config should be a non-negative number/);
+        });
+
+        it('should return expired settings and refresh them in background', function () {
+            var freshnessKey;
+
+            helper = createHelper({staleWhileRevalidate: 60});
+            freshnessKey = helper.getCacheKey('settings') + ':fresh';
+
+            return helper.getAppSettings().then(function (settings) {
+                assert.deepEqual(settings, {version: 1});
+                helper.cache.expire(freshnessKey);
+                return helper.getAppSettings();
+            }).then(function (settings) {
+                assert.deepEqual(settings, {version: 1});
+                assert.equal(transport.requests.length, 2);
+                return new Promise(function (resolve) {
+                    setTimeout(resolve, 10);
+                });
+            }).then(function () {
+                return helper.getAppSettings();
+            }).then(function (settings) {
+                assert.deepEqual(settings, {version: 2});
+                assert.equal(transport.requests.length, 2);
+            });
+        });
+
+        it('should not refresh fresh settings', function () {
+            helper = createHelper({staleWhileRevalidate: 60});
+
+            return helper.getAppSettings().then(function () {
+                return helper.getAppSettings();
+            }).then(function (settings) {
+                assert.deepEqual(settings, {version: 1});
+                assert.equal(transport.requests.length, 1);
+            });
+        });
+
+        it('should keep value in cache longer than its TTL', function () {
+            helper = createHelper({staleWhileRevalidate: 60});
+
+            return helper.getAppSettings().then(function () {
+                var key = helper.getCacheKey('settings'),
+                    now = Date.now();
+
+                assert(helper.cache.cache[key].expired >= now + 650 * 1000);
+                assert(helper.cache.cache[key + ':fresh'].expired <= now + 600 * 1000);
+            });
+        });
+    });
+});
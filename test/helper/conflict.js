@@ -0,0 +1,246 @@
+var InnoHelper = require('../..').InnoHelper,
+    Profile = require('../..').Profile,
+    ConflictError = require('../..').ConflictError,
+    util = require('util'),
+    assert = require('assert'),
+    createFakeTransport = require('../fixtures/fake-transport');
+
+describe('Inno Helper/Conflicts', function () {
+    var config = {
+            bucketName: 'bucketName',
+            appName: 'appName',
+            appKey: 'appKey',
+            apiUrl: 'apiUrl',
+            groupId: 4
+        },
+        transport,
+        helper;
+
+    // transport which answers with prepared responses in order
+    function createProfile (version) {
+        var profile = new Profile({
+            id: 'pid',
+            version: version
+        });
+        profile.resetDirty();
+        profile.setAttribute({
+            collectApp: 'web',
+            section: 'sec',
+            name: 'name',
+            value: 'local'
+        });
+        return profile;
+    }
+
+    function profileResponse (statusCode, rawProfile, headers) {
+        return {
+            statusCode: statusCode,
+            headers: headers || {},
+            body: {
+                profile: rawProfile
+            }
+        };
+    }
+
+    beforeEach(function () {
+        transport = createFakeTransport();
+        config.transport = transport;
+        helper = new InnoHelper(config);
+    });
+
+    it('should not check conflicts by default', function () {
+        transport.responses.push(profileResponse(200, {id: 'pid'}));
+
+        return helper.saveProfile(createProfile('1')).then(function () {
+            assert.equal(transport.requests.length, 1);
+            assert.equal(transport.requests[0].method, 'POST');
+            assert.strictEqual(transport.requests[0].headers, undefined);
+        });
+    });
+
+    it('should send ETag of loaded profile as precondition', function () {
+        transport.responses.push(profileResponse(200, {id: 'pid'}, {etag: '"v1"'}));
+        transport.responses.push(profileResponse(200, {id: 'pid'}, {etag: '"v2"'}));
+
+        return helper.loadProfile('pid').then(function (profile) {
+            profile.setAttribute({
+                collectApp: 'web',
+                section: 'sec',
+                name: 'name',
+                value: 'local'
+            });
+            assert.equal(profile.getEtag(), '"v1"');
+            return helper.saveProfile(profile, {conflictCheck: true});
+        }).then(function (savedProfile) {
+            assert.equal(transport.requests.length, 2);
+            assert.deepEqual(transport.requests[1].headers, {'If-Match': '"v1"'});
+            assert.equal(savedProfile.getEtag(), '"v2"');
+        });
+    });
+
+    it('should send ETag of certain instance of profile', function () {
+        var first, second;
+
+        transport.responses.push(profileResponse(200, {id: 'pid'}, {etag: '"v1"'}));
+        transport.responses.push(profileResponse(200, {id: 'pid'}, {etag: '"v2"'}));
+
+        return helper.loadProfile('pid').then(function (profile) {
+            first = profile;
+            return helper.loadProfile('pid');
+        }).then(function (profile) {
+            second = profile;
+            transport.responses.push(profileResponse(200, {id: 'pid'}));
+            return helper.saveProfile(first, {conflictCheck: true});
+        }).then(function () {
+            assert.deepEqual(transport.requests[2].headers, {'If-Match': '"v1"'});
+            assert.equal(second.getEtag(), '"v2"');
+        });
+    });
+
+    it('should return ConflictError if precondition failed', function () {
+        helper = new InnoHelper(util._extend({conflictCheck: true}, config));
+        transport.responses.push({
+            statusCode: 412,
+            headers: {},
+            body: {message: 'Precondition failed'}
+        });
+
+        return helper.saveProfile(createProfile().setEtag('"v1"')).then(function () {
+            throw new Error('Promise should be rejected');
+        }, function (error) {
+            assert(error instanceof ConflictError);
+            assert.equal(error.statusCode, 412);
+            assert.equal(error.expected, '"v1"');
+            assert.strictEqual(error.actual, null);
+        });
+    });
+
+    it('should return actual ETag of profile if precondition failed', function () {
+        helper = new InnoHelper(util._extend({conflictCheck: true}, config));
+        transport.responses.push({
+            statusCode: 412,
+            headers: {etag: '"v2"'},
+            body: {message: 'Precondition failed'}
+        });
+        transport.responses.push(profileResponse(412, {
+            id: 'pid',
+            version: '3'
+        }));
+
+        return helper.saveProfile(createProfile().setEtag('"v1"')).then(function () {
+            throw new Error('Promise should be rejected');
+        }, function (error) {
+            assert.equal(error.expected, '"v1"');
+            assert.equal(error.actual, '"v2"');
+            return helper.saveProfile(createProfile().setEtag('"v1"'));
+        }).then(function () {
+            throw new Error('Promise should be rejected');
+        }, function (error) {
+            assert.equal(error.actual, '3');
+        });
+    });
+
+    it('should compare version with fresh profile if ETag is unknown', function () {
+        transport.responses.push(profileResponse(200, {
+            id: 'pid',
+            version: '2'
+        }));
+
+        return helper.saveProfile(createProfile('1'), {conflictCheck: true}).then(function () {
+            throw new Error('Promise should be rejected');
+        }, function (error) {
+            assert(error instanceof ConflictError);
+            assert.equal(transport.requests.length, 1);
+            assert.equal(transport.requests[0].method, 'GET');
+            assert.equal(error.expected, '1');
+            assert.equal(error.actual, '2');
+            assert.equal(error.remoteProfile.getVersion(), '2');
+        });
+    });
+
+    it('should save profile if versions are equal', function () {
+        transport.responses.push(profileResponse(200, {
+            id: 'pid',
+            version: '1'
+        }));
+        transport.responses.push(profileResponse(201, {id: 'pid'}));
+
+        return helper.saveProfile(createProfile('1'), {conflictCheck: true}).then(function () {
+            assert.equal(transport.requests.length, 2);
+            assert.equal(transport.requests[1].method, 'POST');
+        });
+    });
+
+    it('should save profile if it does not exist remotely', function () {
+        transport.responses.push({
+            statusCode: 404,
+            headers: {},
+            body: {message: 'Profile not found'}
+        });
+        transport.responses.push(profileResponse(201, {id: 'pid'}));
+
+        return helper.saveProfile(createProfile('1'), {conflictCheck: true}).then(function () {
+            assert.equal(transport.requests.length, 2);
+            assert.equal(transport.requests[1].method, 'POST');
+        });
+    });
+
+    describe('Resolving', function () {
+        it('should apply local changes to fresh profile and save it again', function () {
+            var remote = {
+                id: 'pid',
+                version: '2',
+                attributes: [{
+                    collectApp: 'web',
+                    section: 'sec',
+                    data: {
+                        name: 'remote',
+                        other: 'remote'
+                    }
+                }]
+            };
+
+            // version check, fresh profile for rebase, version check, save
+            transport.responses.push(profileResponse(200, remote));
+            transport.responses.push(profileResponse(200, remote));
+            transport.responses.push(profileResponse(200, remote));
+            transport.responses.push(profileResponse(201, {id: 'pid'}));
+
+            return helper.saveProfileResolvingConflicts(createProfile('1')).then(function () {
+                var body = transport.requests[3].body;
+
+                assert.equal(transport.requests.length, 4);
+                assert.equal(transport.requests[3].method, 'POST');
+                assert.deepEqual(body.attributes, [{
+                    collectApp: 'web',
+                    section: 'sec',
+                    data: {
+                        name: 'local'
+                    }
+                }]);
+            });
+        });
+
+        it('should stop after max number of attempts', function () {
+            var remote = {
+                id: 'pid',
+                version: '2'
+            };
+
+            transport.responses.push(profileResponse(200, remote));
+            transport.responses.push(profileResponse(200, remote));
+            transport.responses.push(profileResponse(200, {
+                id: 'pid',
+                version: '3'
+            }));
+
+            return helper.saveProfileResolvingConflicts(createProfile('1'), {maxConflictAttempts: 2}).then(function () {
+                throw new Error('Promise should be rejected');
+            }, function (error) {
+                assert(error instanceof ConflictError);
+                assert.equal(error.actual, '3');
+                assert.equal(transport.requests.length, 3);
+            });
+        });
+    });
+});
@@ -1,4 +1,6 @@
 var InnoHelper = require('../..').InnoHelper,
+    InnoApiError = require('../..').InnoApiError,
+    NotFoundError = require('../..').NotFoundError,
     util = require('util'),
     assert = require('assert');
 
@@ -144,6 +146,15 @@ describe('Inno Helper/Common', function () {
                 assert.equal(helper.getSegmentsUrl(), 'apiUrl/v1/companies/4/buckets/bucketName/segments?app_key=appKey');
             });
 
+            it('should return cache key unique for company, bucket and app', function () {
+                var otherHelper = createHelper(util._extend(util._extend({}, config), {
+                    bucketName: 'otherBucket'
+                }));
+
+                assert.equal(helper.getCacheKey('settings'), 'settings-4-bucketName-appName');
+                assert.notEqual(otherHelper.getCacheKey('settings'), helper.getCacheKey('settings'));
+            });
+
             it('should return SegmentEvaluationUrl', function () {
                 assert.equal(helper.getSegmentEvaluationUrl({
                     param1: 'value1',
@@ -238,8 +249,40 @@ describe('Inno Helper/Common', function () {
                         statusCode: 418
                     }, code);
                     assert.equal(error.message, 'error message');
-                    assert.equal(error.name, 'Server failed with status code 418');
+                    assert.equal(error.name, 'InnoApiError');
+                    assert.equal(error.statusCode, 418);
+                });
+            });
+
+            it('should return typed error with request details', function () {
+                var error = helper.checkErrors(null, {
+                    body: {
+                        message: 'not found'
+                    },
+                    headers: {
+                        'x-request-id': 'request-id'
+                    },
+                    statusCode: 404
+                }, 200, {
+                    method: 'GET',
+                    url: 'apiUrl/v1/companies/4/buckets/bucketName/profiles/pid?app_key=appKey'
+                });
+
+                assert(error instanceof NotFoundError);
+                assert(error instanceof InnoApiError);
+                assert.equal(error.name, 'NotFoundError');
+                assert.equal(error.method, 'GET');
+                assert.equal(error.url, 'apiUrl/v1/companies/4/buckets/bucketName/profiles/pid?app_key=[REDACTED]');
+                assert.deepEqual(error.body, {message: 'not found'});
+                assert.equal(error.requestId, 'request-id');
+            });
+
+            it('should use status code in message if response has not message', function () {
+                var error = helper.checkErrors(null, {
+                    statusCode: 503
                 });
+                assert(error instanceof InnoApiError);
+                assert.equal(error.message, 'Server failed with status code 503');
             });
 
             it('should return null if no error found', function () {
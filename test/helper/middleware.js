@@ -0,0 +1,291 @@
+var InnoHelper = require('../..').InnoHelper,
+    assert = require('assert'),
+    http = require('http'),
+    util = require('util');
+
+describe('Inno Helper/Middleware', function () {
+    var config = {
+        bucketName: 'bucketName',
+        appName: 'appName',
+        appKey: 'appKey',
+        apiUrl: 'apiUrl',
+        groupId: 4
+    };
+    var streamBody = {
+        profile: {
+            id: 'pid',
+            attributes: [],
+            sessions: []
+        },
+        meta: {
+            companyId: 4
+        }
+    };
+    var transport,
+        helper;
+
+    function createResponse (onEnd) {
+        return {
+            headersSent: false,
+            listeners: {},
+            writeHead: function (statusCode, headers) {
+                this.statusCode = statusCode;
+                this.headers = headers;
+                this.headersSent = true;
+            },
+            end: function (body) {
+                this.body = body === undefined ? null : JSON.parse(body);
+                if (this.listeners.finish) {
+                    this.listeners.finish();
+                }
+                if (onEnd) {
+                    onEnd(this);
+                }
+            },
+            on: function (event, listener) {
+                this.listeners[event] = listener;
+            }
+        };
+    }
+
+    function changeProfile (profile) {
+        profile.setAttribute({
+            collectApp: 'web',
+            section: 'sec',
+            name: 'visited',
+            value: true
+        });
+    }
+
+    beforeEach(function () {
+        transport = {
+            requests: [],
+            send: function (params, callback) {
+                this.requests.push(params);
+                return callback(null, {
+                    statusCode: 200,
+                    body: {
+                        profile: params.body
+                    }
+                });
+            }
+        };
+        helper = new InnoHelper(util._extend({transport: transport}, config));
+    });
+
+    it('should put profile, meta and helper to request', function (done) {
+        var req = {
+            body: streamBody
+        };
+
+        helper.createMiddleware(function (req, res, callback) {
+            assert.equal(req.inno.profile.getId(), 'pid');
+            assert.deepEqual(req.inno.meta, {companyId: 4});
+            assert.strictEqual(req.inno.helper, helper);
+            callback();
+        })(req, createResponse(function (res) {
+            assert.equal(res.statusCode, 200);
+            assert.equal(transport.requests.length, 0);
+            done();
+        }));
+    });
+
+    it('should set meta to null if request has no meta', function (done) {
+        helper.createMiddleware(function (req, res, callback) {
+            assert.strictEqual(req.inno.meta, null);
+            callback();
+        })({
+            body: {
+                profile: {
+                    id: 'pid'
+                }
+            }
+        }, createResponse(function () {
+            done();
+        }));
+    });
+
+    [
+        ['some non json data', 'Wrong stream data'],
+        [{noprofile: true}, 'Profile not found']
+    ].forEach(function (test) {
+        it('should respond with status 400: ' + test[1], function (done) {
+            var called = false;
+
+            helper.createMiddleware(function () {
+                called = true;
+            })({
+                body: test[0]
+            }, createResponse(function (res) {
+                assert.equal(res.statusCode, 400);
+                assert.deepEqual(res.body, {error: test[1]});
+                assert.strictEqual(called, false);
+                done();
+            }));
+        });
+    });
+
+    it('should save changed profile after handler', function (done) {
+        var req = {
+            body: streamBody
+        };
+
+        helper.createMiddleware(function (req, res, callback) {
+            changeProfile(req.inno.profile);
+            setTimeout(callback, 1);
+        })(req, createResponse(function (res) {
+            assert.equal(res.statusCode, 200);
+            assert.equal(transport.requests.length, 1);
+            assert.equal(transport.requests[0].method, 'POST');
+            assert.strictEqual(req.inno.profile.hasChanges(), false);
+            done();
+        }));
+    });
+
+    it('should not save profile if auto saving is disabled', function (done) {
+        helper.createMiddleware(function (req) {
+            changeProfile(req.inno.profile);
+            return Promise.resolve();
+        }, {
+            autoSave: false
+        })({
+            body: streamBody
+        }, createResponse(function () {
+            assert.equal(transport.requests.length, 0);
+            done();
+        }));
+    });
+
+    it('should keep response of handler', function (done) {
+        helper.createMiddleware(function (req, res, callback) {
+            res.writeHead(202, {});
+            res.end(JSON.stringify({accepted: true}));
+            callback();
+        })({
+            body: streamBody
+        }, createResponse(function (res) {
+            assert.equal(res.statusCode, 202);
+            assert.deepEqual(res.body, {accepted: true});
+            done();
+        }));
+    });
+
+    it('should wait for callback of handler which does not return a Promise', function (done) {
+        var finished = false;
+
+        helper.createMiddleware(function (req) {
+            var callback = arguments[2];
+
+            setTimeout(function () {
+                changeProfile(req.inno.profile);
+                finished = true;
+                callback();
+            }, 1);
+        })({
+            body: streamBody
+        }, createResponse(function (res) {
+            assert.strictEqual(finished, true);
+            assert.equal(res.statusCode, 200);
+            assert.equal(transport.requests.length, 1);
+            done();
+        }));
+    });
+
+    it('should pass error of handler to next', function (done) {
+        helper.createMiddleware(function () {
+            throw new Error('Handler error');
+        })({
+            body: streamBody
+        }, createResponse(), function (error) {
+            assert.equal(error.message, 'Handler error');
+            done();
+        });
+    });
+
+    it('should respond with status 500 if there is no next', function (done) {
+        helper.createMiddleware(function () {
+            return Promise.reject(new Error('Handler error'));
+        })({
+            body: streamBody
+        }, createResponse(function (res) {
+            assert.equal(res.statusCode, 500);
+            assert.deepEqual(res.body, {error: 'Handler error'});
+            done();
+        }));
+    });
+
+    it('should call next and save profile when response is finished', function (done) {
+        var req = {
+            body: streamBody
+        };
+        var res = createResponse();
+
+        helper.createMiddleware({
+            onError: done
+        })(req, res, function () {
+            changeProfile(req.inno.profile);
+            assert.equal(transport.requests.length, 0);
+            res.end();
+            assert.equal(transport.requests.length, 1);
+            done();
+        });
+    });
+
+    it('should require "onError" if there is no handler', function () {
+        assert['throws'](function () {
+            helper.createMiddleware();
+        }, /Option "onError" should be a function if middleware has no handler/);
+
+        assert.equal(typeof helper.createMiddleware({autoSave: false}), 'function');
+    });
+
+    it('should pass error of saving after response to "onError"', function (done) {
+        var req = {
+            body: streamBody
+        };
+        var res = createResponse();
+
+        transport.send = function (params, callback) {
+            return callback(new Error('Connection lost'));
+        };
+
+        helper.createMiddleware({
+            onError: function (error) {
+                assert.equal(error.message, 'Connection lost');
+                done();
+            }
+        })(req, res, function () {
+            changeProfile(req.inno.profile);
+            res.end();
+        });
+    });
+
+    it('should work with http server', function (done) {
+        var server = http.createServer(helper.createMiddleware(function (req, res, callback) {
+            changeProfile(req.inno.profile);
+            callback();
+        }));
+
+        server.listen(0, '127.0.0.1', function () {
+            var req = http.request({
+                host: '127.0.0.1',
+                port: server.address().port,
+                method: 'POST',
+                path: '/',
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            }, function (res) {
+                res.resume();
+                res.on('end', function () {
+                    server.close();
+                    assert.equal(res.statusCode, 200);
+                    assert.equal(transport.requests.length, 1);
+                    assert.equal(transport.requests[0].body.id, 'pid');
+                    done();
+                });
+            });
+            req.end(JSON.stringify(streamBody));
+        });
+    });
+});
@@ -0,0 +1,219 @@
+var InnoHelper = require('../..').InnoHelper,
+    Profile = require('../..').Profile,
+    assert = require('assert'),
+    createFakeTransport = require('../fixtures/fake-transport');
+
+describe('Inno Helper/Profile cache', function () {
+    var config = {
+            bucketName: 'bucketName',
+            appName: 'appName',
+            appKey: 'appKey',
+            apiUrl: 'apiUrl',
+            groupId: 4,
+            profileCacheTime: 60
+        },
+        transport,
+        helper;
+
+    function respond (params, count) {
+        var profileId = params.url.split('/profiles/')[1].split('?')[0];
+
+        if (params.method === 'DELETE') {
+            return {
+                statusCode: 204,
+                body: {}
+            };
+        }
+
+        return {
+            statusCode: params.method === 'POST' ? 201 : 200,
+            body: {
+                profile: {
+                    id: profileId,
+                    attributes: [{
+                        collectApp: 'web',
+                        section: 'sec',
+                        data: {
+                            name: 'value' + count
+                        }
+                    }]
+                }
+            }
+        };
+    }
+
+    function createHelper (conf) {
+        var result = {};
+        [config, conf || {}].forEach(function (source) {
+            Object.keys(source).forEach(function (key) {
+                if (source[key] === undefined) {
+                    delete result[key];
+                } else {
+                    result[key] = source[key];
+                }
+            });
+        });
+        result.transport = transport;
+        return new InnoHelper(result);
+    }
+
+    function getName (profile) {
+        return profile.getAttribute('name', 'web', 'sec').getValue();
+    }
+
+    beforeEach(function () {
+        transport = createFakeTransport(respond);
+        helper = createHelper();
+    });
+
+    it('should throw error on incorrect profileCacheTime', function () {
+        assert['throws'](function () {
+            createHelper({profileCacheTime: -1});
+        }, /Property "profileCacheTime" in config should be a non-negative number/);
+    });
+
+    it('should not cache profiles by default', function () {
+        helper = createHelper({profileCacheTime: undefined});
+
+        return helper.loadProfile('pid').then(function () {
+            return helper.loadProfile('pid');
+        }).then(function () {
+            assert.equal(transport.requests.length, 2);
+        });
+    });
+
+    it('should not cache profiles if cache is not allowed', function () {
+        helper = createHelper({noCache: true});
+
+        return helper.loadProfile('pid').then(function () {
+            return helper.loadProfile('pid');
+        }).then(function () {
+            assert.equal(transport.requests.length, 2);
+        });
+    });
+
+    it('should return cached profile', function () {
+        return helper.loadProfile('pid').then(function (profile) {
+            assert.equal(getName(profile), 'value1');
+            return helper.loadProfile('pid');
+        }).then(function (profile) {
+            assert.equal(transport.requests.length, 1);
+            assert.equal(getName(profile), 'value1');
+            assert(!profile.hasChanges());
+        });
+    });
+
+    it('should return clones of cached profile', function () {
+        return helper.loadProfile('pid').then(function (profile) {
+            profile.setAttribute({
+                collectApp: 'web',
+                section: 'sec',
+                name: 'name',
+                value: 'changed'
+            });
+            return helper.loadProfile('pid');
+        }).then(function (profile) {
+            assert.equal(getName(profile), 'value1');
+        });
+    });
+
+    it('should load profile from server if forceRefresh is passed', function () {
+        return helper.loadProfile('pid').then(function () {
+            return helper.loadProfile('pid', {forceRefresh: true});
+        }).then(function (profile) {
+            assert.equal(getName(profile), 'value2');
+            return helper.loadProfile('pid');
+        }).then(function (profile) {
+            assert.equal(transport.requests.length, 2);
+            assert.equal(getName(profile), 'value2');
+        });
+    });
+
+    it('should invalidate cache after profile was saved', function () {
+        return helper.loadProfile('pid').then(function (profile) {
+            profile.setAttribute({
+                collectApp: 'web',
+                section: 'sec',
+                name: 'name',
+                value: 'changed'
+            });
+            return helper.saveProfile(profile);
+        }).then(function () {
+            return helper.loadProfile('pid');
+        }).then(function (profile) {
+            assert.equal(transport.requests.length, 3);
+            assert.equal(getName(profile), 'value3');
+        });
+    });
+
+    it('should not cache profile which was loaded while profile was saved', function () {
+        var send = transport.send,
+            profile = new Profile({id: 'pid'}),
+            loading,
+            release;
+
+        // response to the first request is delayed until profile is saved
+        transport.send = function (params, callback) {
+            transport.send = send;
+            send.call(transport, params, function (error, response) {
+                release = function () {
+                    callback(error, response);
+                };
+            });
+        };
+
+        profile.setAttribute({
+            collectApp: 'web',
+            section: 'sec',
+            name: 'name',
+            value: 'changed'
+        });
+
+        loading = helper.loadProfile('pid');
+        return helper.saveProfile(profile).then(function () {
+            release();
+            return loading;
+        }).then(function (loaded) {
+            assert.equal(getName(loaded), 'value1');
+            return helper.loadProfile('pid');
+        }).then(function (loaded) {
+            assert.equal(transport.requests.length, 3);
+            assert.equal(getName(loaded), 'value3');
+        });
+    });
+
+    it('should not use cached profile to refresh local one', function () {
+        return helper.loadProfile('pid').then(function (profile) {
+            return helper.refreshLocalProfile(profile);
+        }).then(function (profile) {
+            assert.equal(transport.requests.length, 2);
+            assert.equal(getName(profile), 'value2');
+        });
+    });
+
+    it('should invalidate cache after profile was deleted', function () {
+        return helper.loadProfile('pid').then(function () {
+            return helper.deleteProfile('pid');
+        }).then(function () {
+            return helper.loadProfile('pid');
+        }).then(function () {
+            assert.equal(transport.requests.length, 3);
+        });
+    });
+
+    it('should invalidate cache of both profiles after merge', function () {
+        return Promise.all([
+            helper.loadProfile('pid1'),
+            helper.loadProfile('pid2')
+        ]).then(function () {
+            return helper.mergeProfiles(new Profile({id: 'pid1'}), new Profile({id: 'pid2'}));
+        }).then(function () {
+            return Promise.all([
+                helper.loadProfile('pid1'),
+                helper.loadProfile('pid2')
+            ]);
+        }).then(function () {
+            assert.equal(transport.requests.length, 5);
+        });
+    });
+});
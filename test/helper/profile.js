@@ -1,7 +1,8 @@
-var InnoHelper = require('../..').InnoHelper,
+var inno = require('../..'),
     assert = require('assert'),
     sinon = require('sinon'),
     request = require('request');
+var InnoHelper = inno.InnoHelper;
 
 describe('Inno Helper/Profile', function () {
     var config = {
@@ -176,6 +177,27 @@ describe('Inno Helper/Profile', function () {
             profile.serialize.restore();
         });
 
+        it('should send not saved merged profiles with changes of profile', function () {
+            var profile = helper.createProfile('pid');
+
+            profile.resetDirty();
+            profile.addMergedProfile('pid2');
+            sinon.stub(request, 'post');
+
+            helper.saveProfile(profile, function () {});
+            assert(request.post.calledWith({
+                url: 'apiUrl/v1/companies/4/buckets/bucketName/profiles/pid?app_key=appKey',
+                body: {
+                    id: 'pid',
+                    attributes: [],
+                    sessions: [],
+                    mergedProfiles: ['pid2']
+                },
+                json: true
+            }));
+            request.post.restore();
+        });
+
         it('should return error if occurred while request', function (done) {
             var profile = helper.createProfile('pid');
 
@@ -265,6 +287,16 @@ describe('Inno Helper/Profile', function () {
             });
         });
 
+        it('should not merge profile to itself', function () {
+            var profile = helper.createProfile('pid1');
+
+            return helper.mergeProfiles(profile, helper.createProfile('pid1')).then(function () {
+                throw new Error('Profiles should not be merged');
+            }, function (error) {
+                assert.equal(error.message, 'Profile can not be merged to itself');
+            });
+        });
+
         it('should make properly request to merge profiles', function (done) {
             var profile1 = helper.createProfile('pid1'),
                 profile2 = helper.createProfile('pid2');
@@ -366,7 +398,7 @@ describe('Inno Helper/Profile', function () {
 
         it('should return error from loadProfile if occurred', function (done) {
             var profile = helper.createProfile('pid');
-            sinon.stub(helper, 'loadProfile', function (profileId, callback) {
+            sinon.stub(helper, 'loadProfile', function (profileId, options, callback) {
                 callback(new Error('load-error'));
             });
             helper.refreshLocalProfile(profile, function (error) {
@@ -383,7 +415,8 @@ describe('Inno Helper/Profile', function () {
 
             sinon.spy(profile, 'merge');
 
-            sinon.stub(helper, 'loadProfile', function (profileId, callback) {
+            sinon.stub(helper, 'loadProfile', function (profileId, options, callback) {
+                assert.strictEqual(options.forceRefresh, true);
                 callback(null, loadedProfile);
             });
             helper.refreshLocalProfile(profile, function (error, profile) {
@@ -396,6 +429,120 @@ describe('Inno Helper/Profile', function () {
         });
     });
 
+    describe('Promise API', function () {
+        it('should resolve loaded profile if callback is not passed', function () {
+            sinon.stub(request, 'get', function (opts, callback) {
+                callback(null, {
+                    statusCode: 200,
+                    body: {profile: {id: 'pid'}}
+                });
+            });
+
+            var promise = helper.loadProfile('pid');
+            request.get.restore();
+
+            assert(promise instanceof Promise);
+            return promise.then(function (profile) {
+                assert.equal(profile.getId(), 'pid');
+                assert.equal(profile.hasChanges(), false);
+            });
+        });
+
+        it('should reject if error occurred while loading profile', function () {
+            sinon.stub(request, 'get', function (opts, callback) {
+                callback(new Error('request error'));
+            });
+
+            var promise = helper.loadProfile('pid');
+            request.get.restore();
+
+            return promise.then(function () {
+                throw new Error('Promise should be rejected');
+            }, function (error) {
+                assert.equal(error.message, 'request error');
+            });
+        });
+
+        it('should reject saving of non-Profile instance', function () {
+            return helper.saveProfile({id: 1}).then(function () {
+                throw new Error('Promise should be rejected');
+            }, function (error) {
+                assert.equal(error.message, 'Argument "profile" should be a Profile instance');
+            });
+        });
+
+        it('should resolve saved profile', function () {
+            var profile = helper.createProfile('pid');
+
+            sinon.stub(request, 'post', function (opts, callback) {
+                callback(null, {
+                    statusCode: 201,
+                    body: {profile: {id: 'pid'}}
+                });
+            });
+
+            var promise = helper.saveProfile(profile);
+            request.post.restore();
+
+            return promise.then(function (savedProfile) {
+                assert.equal(savedProfile.getId(), 'pid');
+            });
+        });
+
+        it('should resolve after profile was deleted', function () {
+            sinon.stub(request, 'del', function (opts, callback) {
+                callback(null, {
+                    statusCode: 204,
+                    body: {}
+                });
+            });
+
+            var promise = helper.deleteProfile('pid');
+            request.del.restore();
+
+            return promise;
+        });
+
+        it('should reject merging of non-Profile instances', function () {
+            return helper.mergeProfiles(helper.createProfile('pid1'), {id: 2}).then(function () {
+                throw new Error('Promise should be rejected');
+            }, function (error) {
+                assert.equal(error.message, 'Argument "profile2" should be a Profile instance');
+            });
+        });
+
+        it('should resolve merged profile', function () {
+            sinon.stub(request, 'post', function (opts, callback) {
+                callback(null, {
+                    statusCode: 200,
+                    body: {profile: {id: 'pid1'}}
+                });
+            });
+
+            var promise = helper.mergeProfiles(helper.createProfile('pid1'), helper.createProfile('pid2'));
+            request.post.restore();
+
+            return promise.then(function (profile) {
+                assert.equal(profile.getId(), 'pid1');
+            });
+        });
+
+        it('should resolve refreshed local profile', function () {
+            var profile = helper.createProfile('pid');
+
+            sinon.stub(helper, 'loadProfile', function (profileId, options, callback) {
+                callback(null, helper.createProfile('pid'));
+            });
+
+            var promise = helper.refreshLocalProfile(profile);
+            helper.loadProfile.restore();
+
+            return promise.then(function (refreshedProfile) {
+                assert.strictEqual(refreshedProfile, profile);
+            });
+        });
+    });
+
     describe('Profile Stream', function () {
         it('should throw error on wrong data', function () {
             var rawBody = 'some non json data';
@@ -451,6 +598,27 @@ describe('Inno Helper/Profile', function () {
                 assert.deepEqual(helper.getMetaFromRequest(jsonBody), meta);
                 assert.deepEqual(helper.getMetaFromRequest(JSON.stringify(jsonBody)), meta);
             });
+
+            it('should create typed meta from request', function () {
+                var meta = {
+                        companyId: 4,
+                        bucketName: 'bucket',
+                        collectApp: 'web',
+                        section: 'shop'
+                    },
+                    instance = helper.createMetaFromRequest(JSON.stringify({meta: meta}));
+
+                assert.ok(instance instanceof inno.Meta);
+                assert.strictEqual(instance.getCompany(), 4);
+                assert.strictEqual(instance.getCollectApp(), 'web');
+                assert.deepEqual(instance.serialize(), meta);
+            });
+
+            it('should throw error if meta is not valid', function () {
+                assert['throws'](function () {
+                    helper.createMetaFromRequest({meta: {some: 'data'}});
+                }, /Meta is not valid/);
+            });
         });
     });
 });
@@ -0,0 +1,218 @@
+var InnoHelper = require('../..').InnoHelper,
+    assert = require('assert'),
+    createFakeTransport = require('../fixtures/fake-transport');
+
+describe('Inno Helper/Retry', function () {
+    var config = {
+            bucketName: 'bucketName',
+            appName: 'appName',
+            appKey: 'appKey',
+            apiUrl: 'apiUrl',
+            groupId: 4,
+            noCache: true
+        },
+        transport;
+
+    function createHelper (retry) {
+        var conf = {},
+            key;
+
+        for (key in config) {
+            if (config.hasOwnProperty(key)) {
+                conf[key] = config[key];
+            }
+        }
+        conf.transport = transport;
+        if (retry !== undefined) {
+            conf.retry = retry;
+        }
+        return new InnoHelper(conf);
+    }
+
+    function failure (statusCode, headers) {
+        return {
+            statusCode: statusCode,
+            headers: headers || {},
+            body: {message: 'failed with ' + statusCode}
+        };
+    }
+
+    function success (body, statusCode) {
+        return {
+            statusCode: statusCode || 200,
+            headers: {},
+            body: body
+        };
+    }
+
+    beforeEach(function () {
+        transport = createFakeTransport();
+    });
+
+    it('should throw error if retry policy is not an object', function () {
+        assert['throws'](function () {
+            createHelper(true);
+        }, /Property "retry" in config should be an object/);
+    });
+
+    it('should not repeat request if retry policy is not set', function () {
+        var helper = createHelper();
+        transport.responses.push(failure(503), success({profile: {id: 'pid'}}));
+
+        return helper.loadProfile('pid').then(function () {
+            throw new Error('Promise should be rejected');
+        }, function (error) {
+            assert.equal(error.message, 'failed with 503');
+            assert.equal(transport.requests.length, 1);
+        });
+    });
+
+    it('should repeat GET request until it succeeds', function () {
+        var attempts = [],
+            helper = createHelper({
+                baseDelay: 1,
+                onRetry: function (info) {
+                    attempts.push(info);
+                }
+            });
+
+        transport.responses.push(new Error('socket hang up'), failure(503), success({profile: {id: 'pid'}}));
+
+        return helper.loadProfile('pid').then(function (profile) {
+            assert.equal(profile.getId(), 'pid');
+            assert.equal(transport.requests.length, 3);
+            assert.equal(attempts.length, 2);
+            assert.equal(attempts[0].attempt, 1);
+            assert.equal(attempts[0].maxAttempts, 3);
+            assert.equal(attempts[0].method, 'GET');
+            assert.equal(attempts[0].error.message, 'socket hang up');
+            assert.equal(attempts[1].attempt, 2);
+            assert.equal(attempts[1].error.message, 'failed with 503');
+        });
+    });
+
+    it('should return last error if all attempts failed', function () {
+        var helper = createHelper({
+            maxAttempts: 2,
+            baseDelay: 1
+        });
+
+        transport.responses.push(failure(500), failure(502));
+
+        return helper.getSegments().then(function () {
+            throw new Error('Promise should be rejected');
+        }, function (error) {
+            assert.equal(error.message, 'failed with 502');
+            assert.equal(transport.requests.length, 2);
+        });
+    });
+
+    it('should not repeat request if status code is not retryable', function () {
+        var helper = createHelper({
+            baseDelay: 1
+        });
+
+        transport.responses.push(failure(404), success({profile: {id: 'pid'}}));
+
+        return helper.loadProfile('pid').then(function () {
+            throw new Error('Promise should be rejected');
+        }, function () {
+            assert.equal(transport.requests.length, 1);
+        });
+    });
+
+    it('should not repeat POST request by default', function () {
+        var helper = createHelper({
+            baseDelay: 1
+        });
+
+        transport.responses.push(failure(503), success({}));
+
+        return helper.saveProfile(helper.createProfile('pid')).then(function () {
+            throw new Error('Promise should be rejected');
+        }, function () {
+            assert.equal(transport.requests.length, 1);
+        });
+    });
+
+    it('should repeat POST request if it is allowed for call', function () {
+        var helper = createHelper({
+            baseDelay: 1
+        });
+
+        transport.responses.push(failure(503), success({}));
+
+        return helper.saveProfile(helper.createProfile('pid'), {retry: true}).then(function (profile) {
+            assert.equal(profile.getId(), 'pid');
+            assert.equal(transport.requests.length, 2);
+        });
+    });
+
+    it('should use policy passed for call', function () {
+        var helper = createHelper();
+
+        transport.responses.push(failure(503), failure(503), failure(503), success({}, 201));
+
+        return helper.addTask({delay: 1}, {
+            retry: {
+                maxAttempts: 4,
+                baseDelay: 1,
+                statusCodes: [503]
+            }
+        }).then(function () {
+            assert.equal(transport.requests.length, 4);
+        });
+    });
+
+    it('should not repeat request if retry is disabled for call', function () {
+        var helper = createHelper({
+            baseDelay: 1
+        });
+
+        transport.responses.push(failure(503), success({custom: {}}));
+
+        return helper.getAppSettings({retry: false}).then(function () {
+            throw new Error('Promise should be rejected');
+        }, function () {
+            assert.equal(transport.requests.length, 1);
+        });
+    });
+
+    describe('Delay', function () {
+        var helper;
+
+        beforeEach(function () {
+            helper = createHelper({
+                baseDelay: 100,
+                maxDelay: 1000,
+                jitter: 0
+            });
+        });
+
+        it('should grow exponentially', function () {
+            assert.equal(helper.getRetryDelay(helper.retry, 1), 100);
+            assert.equal(helper.getRetryDelay(helper.retry, 2), 200);
+            assert.equal(helper.getRetryDelay(helper.retry, 3), 400);
+            assert.equal(helper.getRetryDelay(helper.retry, 5), 1000);
+        });
+
+        it('should add jitter', function () {
+            var delay;
+            helper.retry.jitter = 0.5;
+            delay = helper.getRetryDelay(helper.retry, 2);
+            assert(delay >= 200 && delay <= 300);
+        });
+
+        it('should respect "Retry-After" header in seconds', function () {
+            assert.equal(helper.getRetryDelay(helper.retry, 1, failure(429, {'retry-after': '3'})), 3000);
+        });
+
+        it('should respect "Retry-After" header with date', function () {
+            var date = new Date(Date.now() + 5000).toUTCString(),
+                delay = helper.getRetryDelay(helper.retry, 1, failure(503, {'retry-after': date}));
+
+            assert(delay > 3000 && delay <= 5000);
+            assert.equal(helper.getRetryDelay(helper.retry, 1, failure(503, {'retry-after': new Date(0).toUTCString()})), 0);
+        });
+    });
+});
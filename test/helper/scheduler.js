@@ -1,7 +1,9 @@
 var InnoHelper = require('../..').InnoHelper,
+    Task = require('../..').Task,
     assert = require('assert'),
     sinon = require('sinon'),
-    request = require('request');
+    request = require('request'),
+    util = require('util');
 
 describe('Inno Helper/Profile', function () {
     var config = {
@@ -117,6 +119,44 @@ describe('Inno Helper/Profile', function () {
                 });
             });
 
+            it('should add Task instance', function (done) {
+                var task = new Task({
+                    id: 'tid',
+                    endpoint: 'http://app.example.com/tasks',
+                    method: 'POST',
+                    payload: {
+                        a: 1
+                    },
+                    delay: 1000
+                });
+
+                sinon.stub(request, 'post', function (params, callback) {
+                    callback(null, {
+                        statusCode: 201
+                    });
+                });
+                helper.addTask(task, function (error) {
+                    var body = request.post.firstCall.args[0].body;
+
+                    request.post.restore();
+                    assert.ifError(error);
+                    assert.equal(body.headers['X-Inno-Task-Run'].length, 16);
+                    delete body.headers['X-Inno-Task-Run'];
+                    assert.deepEqual(body, {
+                        id: 'tid',
+                        endpoint: 'http://app.example.com/tasks',
+                        method: 'POST',
+                        headers: {
+                            'X-Inno-Task-Id': 'tid',
+                            'Content-Type': 'application/json'
+                        },
+                        payload: '{"a":1}',
+                        delay: 1000
+                    });
+                    done();
+                });
+            });
+
             it('should return error from request to add task', function (done) {
                 var params = {delay: 1};
                 sinon.stub(request, 'post', function (params, callback) {
@@ -174,5 +214,383 @@ describe('Inno Helper/Profile', function () {
                 });
             });
         });
+
+        describe('Promise API', function () {
+            it('should resolve tasks if callback is not passed', function () {
+                var resBody = [{id: 'task'}];
+                sinon.stub(request, 'get', function (params, callback) {
+                    callback(null, {
+                        body: resBody,
+                        statusCode: 200
+                    });
+                });
+
+                var promise = helper.getListTasks();
+                request.get.restore();
+
+                assert(promise instanceof Promise);
+                return promise.then(function (body) {
+                    assert.deepEqual(body, resBody);
+                });
+            });
+
+            it('should reject adding of task without timestamp and delay', function () {
+                return helper.addTask({}).then(function () {
+                    throw new Error('Promise should be rejected');
+                }, function (error) {
+                    assert.equal(error.message, 'Either use timestamp or delay');
+                });
+            });
+
+            it('should reject adding of task without data', function () {
+                return helper.addTask(null).then(function () {
+                    throw new Error('Promise should be rejected');
+                }, function (error) {
+                    assert.equal(error.message, 'Task data should be an object');
+                });
+            });
+
+            it('should not return anything if Promise is not available', function () {
+                var NativePromise = global.Promise;
+                var result;
+
+                global.Promise = undefined;
+                try {
+                    result = helper.addTask({});
+                } finally {
+                    global.Promise = NativePromise;
+                }
+
+                assert.strictEqual(result, undefined);
+            });
+
+            it('should resolve after task was added', function () {
+                sinon.stub(request, 'post', function (params, callback) {
+                    callback(null, {
+                        statusCode: 201
+                    });
+                });
+
+                var promise = helper.addTask({delay: 1});
+                request.post.restore();
+
+                return promise;
+            });
+
+            it('should reject deleting of task without taskId', function () {
+                return helper.deleteTask({}).then(function () {
+                    throw new Error('Promise should be rejected');
+                }, function (error) {
+                    assert.equal(error.message, 'Parameter "taskId" required');
+                });
+            });
+        });
+    });
+});
+
+describe('Inno Helper/Scheduler client', function () {
+    var config = {
+        bucketName: 'bucketName',
+        appName: 'appName',
+        appKey: 'appKey',
+        apiUrl: 'apiUrl',
+        groupId: 4,
+        schedulerApiHost: 'http://schedulerApiHost'
+    };
+    var baseUrl = 'http://schedulerApiHost/scheduler/4-bucketName-appName';
+    var tasksData = [{
+        id: 't1',
+        endpoint: 'http://app.example.com/a',
+        method: 'POST',
+        headers: {},
+        payload: null,
+        timestamp: 1000
+    }, {
+        id: 't2',
+        endpoint: 'http://app.example.com/b',
+        method: 'GET',
+        timestamp: 2000,
+        delay: 500
+    }, {
+        id: 't3',
+        endpoint: 'http://app.example.com/a',
+        method: 'POST',
+        timestamp: 3000
+    }, {
+        id: 't4',
+        endpoint: 'http://app.example.com/c',
+        method: 'POST',
+        delay: 100
+    }, {
+        id: 'broken'
+    }];
+    var transport,
+        helper;
+
+    beforeEach(function () {
+        transport = {
+            requests: [],
+            responses: [],
+            send: function (params, callback) {
+                var response = this.responses.shift() || {
+                    statusCode: 200,
+                    body: tasksData
+                };
+                this.requests.push(params);
+                return callback(null, response);
+            }
+        };
+        helper = new InnoHelper(util._extend({transport: transport}, config));
+    });
+
+    it('should build urls of scheduler', function () {
+        assert.equal(helper.getSchedulerApiUrl({taskId: 'a b/c'}), baseUrl + '/a%20b%2Fc?token=appKey');
+        assert.equal(helper.getSchedulerApiUrl({
+            getTasksAsString: true,
+            query: {
+                limit: 10
+            }
+        }), baseUrl + '/tasks?token=appKey&limit=10');
+    });
+
+    it('should get task', function () {
+        transport.responses.push({
+            statusCode: 200,
+            body: tasksData[0]
+        });
+
+        return helper.getTask('t1').then(function (task) {
+            assert(task instanceof Task);
+            assert.equal(task.getId(), 't1');
+            assert.strictEqual(task.getPayload(), null);
+            assert.equal(transport.requests[0].method, 'GET');
+            assert.equal(transport.requests[0].url, baseUrl + '/t1?token=appKey');
+        });
+    });
+
+    it('should not keep secret and service headers in task', function () {
+        transport.responses.push({
+            statusCode: 200,
+            body: {
+                id: 't1',
+                endpoint: 'http://app.example.com/a',
+                method: 'POST',
+                headers: {
+                    'X-Token': 'token',
+                    'X-Inno-Task-Id': 't1',
+                    'X-Inno-Task-Type': 'report',
+                    'X-Inno-Task-Timestamp': '1000',
+                    'X-Inno-Task-Secret': 'secret'
+                },
+                timestamp: 1000
+            }
+        });
+
+        return helper.getTask('t1').then(function (task) {
+            assert.deepEqual(task.getHeaders(), {
+                'X-Token': 'token',
+                'X-Inno-Task-Type': 'report'
+            });
+            assert.equal(task.getType(), 'report');
+        });
+    });
+
+    it('should return error if task data is wrong', function (done) {
+        transport.responses.push({
+            statusCode: 200,
+            body: {
+                id: 't1'
+            }
+        });
+
+        helper.getTask('t1', function (error, task) {
+            assert.equal(error.message, 'Property "endpoint" in config should be defined');
+            assert.strictEqual(task, null);
+            done();
+        });
+    });
+
+    it('should find all tasks', function () {
+        return helper.findTasks().then(function (result) {
+            assert.deepEqual(result.tasks.map(function (task) {
+                return task.getId();
+            }), ['t1', 't2', 't3', 't4']);
+            assert.equal(result.total, 4);
+            assert.equal(result.tasks[1].getTimestamp(), 2000);
+            assert.strictEqual(result.tasks[1].getDelay(), null);
+            assert.equal(result.invalid.length, 1);
+            assert.deepEqual(result.invalid[0].data, {id: 'broken'});
+            assert.equal(result.invalid[0].error.message, 'Property "endpoint" in config should be defined');
+            assert.equal(transport.requests[0].url, baseUrl + '/tasks?token=appKey');
+        });
+    });
+
+    it('should filter tasks by endpoint', function () {
+        return helper.findTasks({endpoint: 'http://app.example.com/a'}).then(function (result) {
+            assert.equal(result.total, 2);
+            return helper.findTasks({endpoint: /\/[bc]$/});
+        }).then(function (result) {
+            assert.equal(result.total, 2);
+            assert.equal(result.tasks[0].getId(), 't2');
+        });
+    });
+
+    it('should filter tasks by time range', function (done) {
+        helper.findTasks({
+            from: 1500,
+            to: new Date(3000)
+        }, function (error, result) {
+            assert.ifError(error);
+            assert.deepEqual(result.tasks.map(function (task) {
+                return task.getId();
+            }), ['t2', 't3']);
+            done();
+        });
+    });
+
+    it('should paginate tasks', function () {
+        return helper.findTasks({
+            offset: 1,
+            limit: 2
+        }).then(function (result) {
+            assert.deepEqual(result.tasks.map(function (task) {
+                return task.getId();
+            }), ['t2', 't3']);
+            assert.equal(result.total, 4);
+            assert.equal(result.offset, 1);
+            assert.equal(result.limit, 2);
+        });
+    });
+
+    it('should update task', function () {
+        var task = new Task(tasksData[2]);
+
+        transport.responses.push({
+            statusCode: 204
+        });
+
+        return helper.updateTask(task).then(function (updated) {
+            assert.strictEqual(updated, task);
+            assert.equal(transport.requests[0].method, 'PUT');
+            assert.equal(transport.requests[0].url, baseUrl + '/t3?token=appKey');
+            assert.deepEqual(transport.requests[0].body, task.serialize());
+        });
+    });
+
+    it('should return updated task from response', function () {
+        transport.responses.push({
+            statusCode: 200,
+            body: util._extend(util._extend({}, tasksData[0]), {
+                timestamp: 5000
+            })
+        });
+
+        return helper.updateTask(new Task(tasksData[0])).then(function (updated) {
+            assert(updated instanceof Task);
+            assert.equal(updated.getTimestamp(), 5000);
+        });
+    });
+
+    it('should add secret of tasks to headers', function () {
+        var task = new Task(tasksData[2]);
+
+        helper = new InnoHelper(util._extend({
+            transport: transport,
+            taskSecret: 'secret'
+        }, config));
+        transport.responses.push({
+            statusCode: 201
+        }, {
+            statusCode: 204
+        });
+
+        return helper.addTask(task).then(function () {
+            return helper.updateTask(task);
+        }).then(function () {
+            transport.requests.forEach(function (params) {
+                assert.equal(params.body.headers['X-Inno-Task-Secret'], 'secret');
+            });
+            assert.strictEqual(task.getHeader('X-Inno-Task-Secret'), null);
+        });
+    });
+
+    it('should not update object which is not a Task', function () {
+        return helper.updateTask(tasksData[0]).then(function () {
+            throw new Error('Promise should be rejected');
+        }, function (error) {
+            assert.equal(error.message, 'Argument "task" should be a Task instance');
+        });
+    });
+
+    it('should reschedule task by id', function () {
+        transport.responses.push({
+            statusCode: 200,
+            body: tasksData[0]
+        }, {
+            statusCode: 204
+        });
+
+        return helper.rescheduleTask('t1', {delay: 60000}).then(function (task) {
+            assert.strictEqual(task.getDelay(), 60000);
+            assert.strictEqual(task.getTimestamp(), null);
+            assert.equal(transport.requests[1].method, 'PUT');
+            assert.strictEqual(transport.requests[1].body.delay, 60000);
+        });
+    });
+
+    it('should reschedule Task instance', function () {
+        var task = new Task(tasksData[0]);
+
+        transport.responses.push({
+            statusCode: 204
+        });
+
+        return helper.rescheduleTask(task, {timestamp: new Date(9000)}).then(function (updated) {
+            assert.strictEqual(updated.getTimestamp(), 9000);
+            assert.equal(transport.requests.length, 1);
+        });
+    });
+
+    it('should return error if time of task is wrong', function (done) {
+        helper.rescheduleTask('t1', {}, function (error) {
+            assert.equal(error.message, 'Either use timestamp or delay');
+            helper.rescheduleTask('t1', {
+                timestamp: 1,
+                delay: 1
+            }, function (error) {
+                assert.equal(error.message, 'You should use only one field: timestamp or delay');
+                assert.equal(transport.requests.length, 0);
+                done();
+            });
+        });
+    });
+
+    it('should delete several tasks', function () {
+        transport.responses.push({
+            statusCode: 204
+        }, {
+            statusCode: 404,
+            body: {
+                message: 'Task not found'
+            }
+        });
+
+        return helper.deleteTasks(['t1', 't/2'], {concurrency: 1}).then(function (results) {
+            assert.equal(results[0].id, 't1');
+            assert.strictEqual(results[0].error, null);
+            assert.equal(results[1].error.name, 'NotFoundError');
+            assert.equal(transport.requests[1].url, baseUrl + '/t%2F2?token=appKey');
+        });
+    });
+
+    it('should delete all tasks', function () {
+        transport.responses.push({
+            statusCode: 204
+        });
+
+        return helper.deleteAllTasks().then(function () {
+            assert.equal(transport.requests[0].method, 'DELETE');
+            assert.equal(transport.requests[0].url, baseUrl + '?token=appKey');
+        });
     });
 });
@@ -2,7 +2,9 @@ var InnoHelper = require('../..').InnoHelper,
     Profile = require('../..').Profile,
     assert = require('assert'),
     sinon = require('sinon'),
-    request = require('request');
+    util = require('util'),
+    request = require('request'),
+    querystring = require('querystring');
 
 var config = {
         bucketName: 'bucketName',
@@ -96,6 +98,88 @@ describe('Inno Helper/Segments', function () {
     });
 });
 
+describe('Inno Helper/Segments Promise API', function () {
+    beforeEach(function () {
+        helper = createHelper(config);
+    });
+
+    it('should resolve array of segments if callback is not passed', function () {
+        sinon.stub(request, 'get', function (opts, callback) {
+            callback(null, {
+                statusCode: 200,
+                body: [{
+                    segment: {
+                        id: '1',
+                        iql: 'test1'
+                    }
+                }]
+            });
+        });
+
+        var promise = helper.getSegments();
+        request.get.restore();
+
+        assert(promise instanceof Promise);
+        return promise.then(function (segments) {
+            assert.equal(segments.length, 1);
+            assert.equal(segments[0].getId(), '1');
+        });
+    });
+
+    it('should keep segments with metadata of unexpected format', function () {
+        sinon.stub(request, 'get', function (opts, callback) {
+            callback(null, {
+                statusCode: 200,
+                body: [{
+                    segment: {
+                        id: '1',
+                        iql: 'test1',
+                        createdAt: '2015-12-10T10:09:45.000Z',
+                        enabled: 'yes'
+                    }
+                }]
+            });
+        });
+
+        var promise = helper.getSegments();
+        request.get.restore();
+
+        return promise.then(function (segments) {
+            assert.equal(segments.length, 1);
+            assert.strictEqual(segments[0].getCreatedAt(), 1449742185000);
+            assert.strictEqual(segments[0].isEnabled(), true);
+        });
+    });
+
+    it('should reject evaluation if segment is not an instance of Segment', function () {
+        return helper.evaluateProfileBySegment(helper.createProfile('pid'), {id: 1}).then(function () {
+            throw new Error('Promise should be rejected');
+        }, function (error) {
+            assert.equal(error.message, 'Argument "segment" should be a Segment instance');
+        });
+    });
+
+    it('should resolve Profile evaluation result', function () {
+        sinon.stub(request, 'get', function (opts, callback) {
+            callback(null, {
+                statusCode: 200,
+                body: {
+                    segmentEvaluation: {
+                        results: [true]
+                    }
+                }
+            });
+        });
+
+        var promise = helper.evaluateProfileByIql(helper.createProfile('pid'), 'my-iql');
+        request.get.restore();
+
+        return promise.then(function (result) {
+            assert.strictEqual(result, true);
+        });
+    });
+});
+
 describe('Inno Helper/Segment evaluation', function () {
     beforeEach(function () {
         helper = createHelper(config);
@@ -238,3 +322,471 @@ describe('Inno Helper/Segment evaluation', function () {
         });
     });
 });
+
+describe('Inno Helper/Local segment evaluation', function () {
+    var Segment = Profile.Segment,
+        profile;
+
+    var transport;
+
+    beforeEach(function () {
+        transport = {
+            requests: [],
+            send: function (params, callback) {
+                this.requests.push(params);
+                return callback(null, {
+                    statusCode: 200,
+                    body: {
+                        segmentEvaluation: {
+                            results: ['remote']
+                        }
+                    }
+                });
+            }
+        };
+        helper = createHelper(util._extend({transport: transport}, config));
+        profile = new Profile({
+            id: 'pid',
+            attributes: [{
+                collectApp: 'web',
+                section: 'sec',
+                data: {
+                    age: 30
+                }
+            }]
+        });
+    });
+
+    it('should evaluate iql locally', function () {
+        return helper.evaluateProfileByIql(profile, 'attribute("age").gt(18)', {local: true}).then(function (result) {
+            assert.strictEqual(result, true);
+            assert.equal(transport.requests.length, 0);
+        });
+    });
+
+    it('should evaluate list of iql locally', function (done) {
+        helper.evaluateProfileByIql(profile, ['attribute("age").gt(18)', 'attribute("age").gt(40)'], {local: true}, function (error, results) {
+            assert.ifError(error);
+            assert.deepEqual(results, [true, false]);
+            done();
+        });
+    });
+
+    it('should evaluate segment locally', function () {
+        var segment = new Segment({
+            id: 'sid',
+            iql: 'collectApp("web").attribute("age").lt(18)'
+        });
+
+        return helper.evaluateProfileBySegment(profile, segment, {local: true}).then(function (result) {
+            assert.strictEqual(result, false);
+            assert.equal(transport.requests.length, 0);
+        });
+    });
+
+    it('should use remote evaluation if iql is not supported locally', function () {
+        return helper.evaluateProfileByIql(profile, 'attribute("age").between(18, 40)', {local: true}).then(function (result) {
+            assert.equal(result, 'remote');
+            assert.equal(transport.requests.length, 1);
+        });
+    });
+
+    it('should use remote evaluation if local is not requested', function () {
+        return helper.evaluateProfileByIql(profile, 'attribute("age").gt(18)').then(function (result) {
+            assert.equal(result, 'remote');
+        });
+    });
+
+    it('should use remote evaluation if iql can not be parsed locally', function () {
+        return helper.evaluateProfileByIql(profile, 'attribute("x") > 1', {local: true}).then(function (result) {
+            assert.equal(result, 'remote');
+            assert.equal(transport.requests.length, 1);
+        });
+    });
+});
+
+describe('Inno Helper/Segments CRUD', function () {
+    var Segment = Profile.Segment,
+        transport;
+
+    var segmentData = {
+        id: 'sid',
+        iql: 'attribute("a").eq(1)',
+        name: 'Segment',
+        createdAt: 1449742185000,
+        enabled: true
+    };
+
+    function createTransport (responses) {
+        return {
+            requests: [],
+            send: function (params, callback) {
+                var response = responses[params.method];
+                this.requests.push(params);
+                return callback(null, typeof response === 'function' ? response(params) : response);
+            }
+        };
+    }
+
+    beforeEach(function () {
+        transport = createTransport({
+            GET: function (params) {
+                if (params.url.indexOf('/segments?') !== -1) {
+                    return {
+                        statusCode: 200,
+                        body: [{
+                            segment: segmentData
+                        }]
+                    };
+                }
+                return {
+                    statusCode: 200,
+                    body: {
+                        segment: segmentData
+                    }
+                };
+            },
+            POST: {
+                statusCode: 201,
+                body: {
+                    segment: segmentData
+                }
+            },
+            PUT: {
+                statusCode: 200,
+                body: {
+                    segment: segmentData
+                }
+            },
+            DELETE: {
+                statusCode: 204
+            }
+        });
+        helper = createHelper(util._extend({transport: transport}, config));
+    });
+
+    it('should build url of certain segment', function () {
+        assert.equal(helper.getSegmentsUrl('a/b'), 'apiUrl/v1/companies/4/buckets/bucketName/segments/a%2Fb?app_key=appKey');
+    });
+
+    it('should keep metadata of listed segments', function () {
+        return helper.getSegments().then(function (segments) {
+            assert.equal(segments.length, 1);
+            assert.equal(segments[0].getName(), 'Segment');
+            assert.equal(segments[0].getCreatedAt(), 1449742185000);
+            assert.strictEqual(segments[0].isEnabled(), true);
+        });
+    });
+
+    it('should return segments: 1st time from server, 2nd time from cache', function () {
+        return helper.getSegments().then(function () {
+            return helper.getSegments();
+        }).then(function (segments) {
+            assert.equal(segments.length, 1);
+            assert.equal(transport.requests.length, 1);
+            return helper.getSegments({forceRefresh: true});
+        }).then(function () {
+            assert.equal(transport.requests.length, 2);
+        });
+    });
+
+    it('should not cache segments if cache is not allowed', function () {
+        helper = createHelper(util._extend({
+            transport: transport,
+            noCache: true
+        }, config));
+        return helper.getSegments().then(function () {
+            return helper.getSegments();
+        }).then(function () {
+            assert.equal(transport.requests.length, 2);
+        });
+    });
+
+    it('should get segment by id', function () {
+        return helper.getSegment('sid').then(function (segment) {
+            assert(segment instanceof Segment);
+            assert.equal(segment.getId(), 'sid');
+            assert.equal(segment.getName(), 'Segment');
+            assert.equal(transport.requests[0].method, 'GET');
+            assert.equal(transport.requests[0].url, 'apiUrl/v1/companies/4/buckets/bucketName/segments/sid?app_key=appKey');
+        });
+    });
+
+    it('should return error if segment id is wrong', function (done) {
+        helper.getSegment('', function (error, segment) {
+            assert.equal(error.message, 'Parameter "segmentId" should be a non-empty string');
+            assert.strictEqual(segment, null);
+            assert.equal(transport.requests.length, 0);
+            done();
+        });
+    });
+
+    it('should return error if response has no segment', function (done) {
+        helper = createHelper(util._extend({
+            transport: createTransport({
+                GET: {
+                    statusCode: 200,
+                    body: {}
+                }
+            })
+        }, config));
+
+        helper.getSegment('sid', function (error) {
+            assert.equal(error.message, 'SEGMENT not found');
+            done();
+        });
+    });
+
+    it('should create segment from data', function () {
+        return helper.createSegment({
+            iql: 'attribute("a").eq(1)',
+            name: 'Segment'
+        }).then(function (segment) {
+            assert.equal(segment.getId(), 'sid');
+            assert.equal(transport.requests[0].method, 'POST');
+            assert.equal(transport.requests[0].url, 'apiUrl/v1/companies/4/buckets/bucketName/segments?app_key=appKey');
+            assert.deepEqual(transport.requests[0].body, {
+                iql: 'attribute("a").eq(1)',
+                name: 'Segment'
+            });
+        });
+    });
+
+    it('should create segment from Segment instance', function () {
+        return helper.createSegment(new Segment(segmentData)).then(function () {
+            assert.deepEqual(transport.requests[0].body, segmentData);
+        });
+    });
+
+    it('should not create segment with malformed iql if validation is requested', function () {
+        return helper.createSegment({iql: 'attribute("a"'}, {validateIql: true}).then(function () {
+            throw new Error('Promise should be rejected');
+        }, function (error) {
+            assert.equal(error.name, 'IqlSyntaxError');
+            assert.equal(transport.requests.length, 0);
+        });
+    });
+
+    it('should leave check of iql to server by default', function () {
+        return helper.createSegment({iql: 'attribute("a") > 1'}).then(function () {
+            assert.equal(transport.requests.length, 1);
+            assert.deepEqual(transport.requests[0].body, {
+                iql: 'attribute("a") > 1'
+            });
+        });
+    });
+
+    it('should update segment', function () {
+        var segment = new Segment(segmentData);
+
+        return helper.updateSegment(segment).then(function (updated) {
+            assert.notStrictEqual(updated, segment);
+            assert.equal(updated.getId(), 'sid');
+            assert.equal(transport.requests[0].method, 'PUT');
+            assert.equal(transport.requests[0].url, 'apiUrl/v1/companies/4/buckets/bucketName/segments/sid?app_key=appKey');
+            assert.deepEqual(transport.requests[0].body, segmentData);
+        });
+    });
+
+    it('should not update object which is not a Segment', function (done) {
+        helper.updateSegment(segmentData, function (error) {
+            assert.equal(error.message, 'Argument "segment" should be a Segment instance');
+            done();
+        });
+    });
+
+    it('should delete segment by instance or id', function () {
+        return helper.deleteSegment(new Segment(segmentData)).then(function () {
+            return helper.deleteSegment('other');
+        }).then(function () {
+            assert.equal(transport.requests[0].method, 'DELETE');
+            assert.equal(transport.requests[0].url, 'apiUrl/v1/companies/4/buckets/bucketName/segments/sid?app_key=appKey');
+            assert.equal(transport.requests[1].url, 'apiUrl/v1/companies/4/buckets/bucketName/segments/other?app_key=appKey');
+        });
+    });
+
+    ['createSegment', 'updateSegment', 'deleteSegment'].forEach(function (method) {
+        it('should expire cached segments after ' + method, function () {
+            return helper.getSegments().then(function () {
+                return helper[method](new Segment(segmentData));
+            }).then(function () {
+                return helper.getSegments();
+            }).then(function () {
+                assert.deepEqual(transport.requests.map(function (request) {
+                    return request.method;
+                }), ['GET', transport.requests[1].method, 'GET']);
+            });
+        });
+    });
+});
+
+describe('Inno Helper/Bulk segment evaluation', function () {
+    var Segment = Profile.Segment,
+        transport,
+        profiles,
+        segments;
+
+    beforeEach(function () {
+        transport = {
+            requests: [],
+            running: 0,
+            maxRunning: 0,
+            send: function (params, callback) {
+                var query = querystring.parse(params.url.split('?')[1]);
+                var self = this;
+
+                this.requests.push(query);
+                this.running++;
+                this.maxRunning = Math.max(this.maxRunning, this.running);
+
+                setTimeout(function () {
+                    self.running--;
+                    if (query.profile_id === 'broken') {
+                        return callback(null, {
+                            statusCode: 500,
+                            body: {
+                                message: 'Server error'
+                            }
+                        });
+                    }
+                    return callback(null, {
+                        statusCode: 200,
+                        body: {
+                            segmentEvaluation: {
+                                results: [].concat(query.segment_id).map(function (segmentId) {
+                                    return query.profile_id === 'p1' && segmentId !== 's3';
+                                })
+                            }
+                        }
+                    });
+                }, 1);
+            }
+        };
+        helper = createHelper(util._extend({transport: transport}, config));
+        profiles = [new Profile({id: 'p1'}), new Profile({id: 'p2'})];
+        segments = [new Segment({
+            id: 's1',
+            iql: 'attribute("a")'
+        }), 's2'];
+    });
+
+    it('should return matrix of results', function () {
+        return helper.evaluateProfilesBySegments(profiles, segments).then(function (matrix) {
+            assert.deepEqual(matrix, {
+                p1: {
+                    s1: {
+                        result: true,
+                        error: null
+                    },
+                    s2: {
+                        result: true,
+                        error: null
+                    }
+                },
+                p2: {
+                    s1: {
+                        result: false,
+                        error: null
+                    },
+                    s2: {
+                        result: false,
+                        error: null
+                    }
+                }
+            });
+            assert.equal(transport.requests.length, 2);
+            assert.deepEqual(transport.requests[0].segment_id, ['s1', 's2']);
+        });
+    });
+
+    it('should split results of one request between segments', function () {
+        return helper.evaluateProfilesBySegments(profiles[0], ['s1', 's3', 's2']).then(function (matrix) {
+            assert.equal(transport.requests.length, 1);
+            assert.strictEqual(matrix.p1.s1.result, true);
+            assert.strictEqual(matrix.p1.s3.result, false);
+            assert.strictEqual(matrix.p1.s2.result, true);
+        });
+    });
+
+    it('should return matrix for single profile and segment', function (done) {
+        helper.evaluateProfilesBySegments(profiles[0], 's1', function (error, matrix) {
+            assert.ifError(error);
+            assert.deepEqual(matrix, {
+                p1: {
+                    s1: {
+                        result: true,
+                        error: null
+                    }
+                }
+            });
+            done();
+        });
+    });
+
+    it('should return empty matrix if nothing is passed', function () {
+        return helper.evaluateProfilesBySegments([], segments).then(function (matrix) {
+            assert.deepEqual(matrix, {});
+        });
+    });
+
+    it('should keep errors of certain profiles', function () {
+        return helper.evaluateProfilesBySegments([profiles[0], new Profile({id: 'broken'})], ['s1', 's2']).then(function (matrix) {
+            assert.strictEqual(matrix.p1.s1.result, true);
+            assert.strictEqual(matrix.p1.s1.error, null);
+            assert.strictEqual(matrix.broken.s1.result, null);
+            assert.equal(matrix.broken.s1.error.name, 'InnoApiError');
+            assert.equal(matrix.broken.s2.error.name, 'InnoApiError');
+        });
+    });
+
+    it('should limit number of parallel evaluations', function () {
+        var progress = [];
+
+        return helper.evaluateProfilesBySegments(profiles, ['s1', 's2', 's3'], {
+            concurrency: 1,
+            onProgress: function (info) {
+                progress.push(info.completed + '/' + info.total);
+            }
+        }).then(function () {
+            assert.equal(transport.maxRunning, 1);
+            assert.deepEqual(progress, ['1/6', '2/6', '3/6', '4/6', '5/6', '6/6']);
+        });
+    });
+
+    it('should evaluate duplicated pairs once', function () {
+        return helper.evaluateProfilesBySegments([profiles[0], profiles[0]], ['s1', 's1']).then(function (matrix) {
+            assert.deepEqual(Object.keys(matrix.p1), ['s1']);
+            assert.equal(transport.requests.length, 1);
+        });
+    });
+
+    it('should evaluate segments locally', function () {
+        return helper.evaluateProfilesBySegments(profiles, segments[0], {local: true}).then(function (matrix) {
+            assert.strictEqual(matrix.p1.s1.result, false);
+            assert.equal(transport.requests.length, 0);
+        });
+    });
+
+    it('should evaluate remotely only segments which can not be evaluated locally', function () {
+        return helper.evaluateProfilesBySegments(profiles[0], segments.concat('s3'), {local: true}).then(function (matrix) {
+            assert.strictEqual(matrix.p1.s1.result, false);
+            assert.strictEqual(matrix.p1.s2.result, true);
+            assert.strictEqual(matrix.p1.s3.result, false);
+            assert.equal(transport.requests.length, 1);
+            assert.deepEqual(transport.requests[0].segment_id, ['s2', 's3']);
+        });
+    });
+
+    it('should return error if arguments are wrong', function () {
+        return helper.evaluateProfilesBySegments([{id: 'p1'}], segments).then(function () {
+            throw new Error('Promise should be rejected');
+        }, function (error) {
+            assert.equal(error.message, 'Argument "profiles" should contain only Profile instances');
+            return helper.evaluateProfilesBySegments(profiles, [1]);
+        }).then(function () {
+            throw new Error('Promise should be rejected');
+        }, function (error) {
+            assert.equal(error.message, 'Argument "segments" should contain only Segment instances or segment ids');
+        });
+    });
+});
@@ -0,0 +1,221 @@
+var inno = require('../..'),
+    assert = require('assert');
+var InnoHelper = inno.InnoHelper;
+
+describe('Inno Helper/Timeout and cancellation', function () {
+    var config = {
+            bucketName: 'bucketName',
+            appName: 'appName',
+            appKey: 'appKey',
+            apiUrl: 'apiUrl',
+            groupId: 4,
+            noCache: true
+        },
+        transport;
+
+    function createHelper (extra) {
+        var conf = {},
+            key;
+
+        for (key in config) {
+            if (config.hasOwnProperty(key)) {
+                conf[key] = config[key];
+            }
+        }
+        for (key in extra) {
+            if (extra.hasOwnProperty(key)) {
+                conf[key] = extra[key];
+            }
+        }
+        conf.transport = transport;
+        return new InnoHelper(conf);
+    }
+
+    // transport which never responds until "respond" is called
+    function createHangingTransport () {
+        return {
+            requests: [],
+            aborted: 0,
+            send: function (params, callback) {
+                var self = this;
+                this.requests.push(params);
+                this.respond = callback;
+                return {
+                    abort: function () {
+                        self.aborted++;
+                    }
+                };
+            }
+        };
+    }
+
+    function createSignal () {
+        var listeners = [];
+        return {
+            aborted: false,
+            addEventListener: function (type, listener) {
+                listeners.push(listener);
+            },
+            removeEventListener: function (type, listener) {
+                listeners = listeners.filter(function (item) {
+                    return item !== listener;
+                });
+            },
+            abort: function () {
+                this.aborted = true;
+                listeners.slice(0).forEach(function (listener) {
+                    listener();
+                });
+            },
+            getListenersCount: function () {
+                return listeners.length;
+            }
+        };
+    }
+
+    function expectRejection (promise, check) {
+        return promise.then(function () {
+            throw new Error('Promise should be rejected');
+        }, check);
+    }
+
+    beforeEach(function () {
+        transport = createHangingTransport();
+    });
+
+    [true, -1, '100'].forEach(function (value) {
+        it('should throw error if timeout in config is invalid', function () {
+            assert['throws'](function () {
+                createHelper({timeout: value});
+            }, /Property "timeout" in config should be a non-negative number/);
+        });
+    });
+
+    it('should fail with TimeoutError if response is not received in time', function () {
+        var helper = createHelper({timeout: 5});
+
+        return expectRejection(helper.loadProfile('pid'), function (error) {
+            assert(error instanceof inno.TimeoutError);
+            assert(error instanceof inno.NetworkError);
+            assert.equal(error.message, 'Response was not received in 5ms');
+            assert.equal(error.method, 'GET');
+            assert.equal(transport.aborted, 1);
+        });
+    });
+
+    it('should not put body of request to TimeoutError and AbortError', function () {
+        var helper = createHelper({timeout: 5}),
+            signal = createSignal(),
+            profile = new inno.Profile({id: 'pid'}),
+            timeoutPromise = helper.saveProfile(profile),
+            abortPromise = helper.saveProfile(profile, {
+                signal: signal,
+                timeout: 0
+            });
+
+        signal.abort();
+
+        return Promise.all([
+            expectRejection(timeoutPromise, function (error) {
+                assert(error instanceof inno.TimeoutError);
+                assert.strictEqual(error.body, null);
+                assert.equal(error.method, 'POST');
+                assert.equal(error.url, 'apiUrl/v1/companies/4/buckets/bucketName/profiles/pid?app_key=[REDACTED]');
+            }),
+            expectRejection(abortPromise, function (error) {
+                assert(error instanceof inno.AbortError);
+                assert.strictEqual(error.body, null);
+            })
+        ]);
+    });
+
+    it('should use timeout passed for call', function () {
+        var helper = createHelper({timeout: 10000});
+
+        return expectRejection(helper.getAppSettings({timeout: 5}), function (error) {
+            assert(error instanceof inno.TimeoutError);
+            assert.equal(transport.aborted, 1);
+        });
+    });
+
+    it('should ignore response received after timeout', function () {
+        var helper = createHelper({timeout: 5}),
+            calls = 0;
+
+        return new Promise(function (resolve) {
+            helper.getSegments(function (error) {
+                calls++;
+                assert(error instanceof inno.TimeoutError);
+                transport.respond(null, {
+                    statusCode: 200,
+                    body: []
+                });
+                setTimeout(function () {
+                    assert.equal(calls, 1);
+                    resolve();
+                }, 10);
+            });
+        });
+    });
+
+    it('should repeat request after timeout if retry is allowed', function () {
+        var helper = createHelper({
+            timeout: 5,
+            retry: {
+                maxAttempts: 2,
+                baseDelay: 1
+            }
+        });
+
+        return expectRejection(helper.loadProfile('pid'), function (error) {
+            assert(error instanceof inno.TimeoutError);
+            assert.equal(transport.requests.length, 2);
+            assert.equal(transport.aborted, 2);
+        });
+    });
+
+    it('should fail with AbortError if request is aborted', function () {
+        var helper = createHelper(),
+            signal = createSignal(),
+            promise = helper.loadProfile('pid', {signal: signal});
+
+        assert.equal(signal.getListenersCount(), 1);
+        signal.abort();
+
+        return expectRejection(promise, function (error) {
+            assert(error instanceof inno.AbortError);
+            assert.equal(error.message, 'Request was aborted');
+            assert.equal(transport.aborted, 1);
+            assert.equal(signal.getListenersCount(), 0);
+        });
+    });
+
+    it('should not send request if signal is already aborted', function () {
+        var helper = createHelper(),
+            signal = createSignal();
+
+        signal.aborted = true;
+
+        return expectRejection(helper.deleteProfile('pid', {signal: signal}), function (error) {
+            assert(error instanceof inno.AbortError);
+            assert.equal(transport.requests.length, 0);
+        });
+    });
+
+    it('should remove abort listener after response', function () {
+        var helper = createHelper(),
+            signal = createSignal(),
+            promise = helper.getAppSettings({signal: signal});
+
+        transport.respond(null, {
+            statusCode: 200,
+            body: {custom: {}}
+        });
+
+        return promise.then(function () {
+            assert.equal(signal.getListenersCount(), 0);
+            signal.abort();
+            assert.equal(transport.aborted, 0);
+        });
+    });
+});
@@ -0,0 +1,209 @@
+var InnoHelper = require('../..').InnoHelper,
+    RequestTransport = require('../..').RequestTransport,
+    errors = require('../..'),
+    assert = require('assert'),
+    createFakeTransport = require('../fixtures/fake-transport');
+
+describe('Inno Helper/Transport', function () {
+    var config = {
+            bucketName: 'bucketName',
+            appName: 'appName',
+            appKey: 'appKey',
+            apiUrl: 'apiUrl',
+            evaluationApiUrl: 'evaluationApiUrl',
+            schedulerApiHost: 'schedulerApiHost',
+            groupId: 4
+        },
+        transport,
+        helper;
+
+    function createHelper (conf) {
+        return new InnoHelper(conf);
+    }
+
+    function respond () {
+        return this.responses.shift() || {
+            statusCode: 200,
+            headers: {},
+            body: {}
+        };
+    }
+
+    function withTransport (conf) {
+        var result = {},
+            key;
+
+        for (key in conf) {
+            if (conf.hasOwnProperty(key)) {
+                result[key] = conf[key];
+            }
+        }
+        result.transport = transport;
+        result.noCache = true;
+        return result;
+    }
+
+    beforeEach(function () {
+        transport = createFakeTransport(respond);
+        helper = createHelper(withTransport(config));
+    });
+
+    it('should use RequestTransport by default', function () {
+        assert(createHelper(config).transport instanceof RequestTransport);
+    });
+
+    it('should use transport from config', function () {
+        assert.strictEqual(helper.transport, transport);
+    });
+
+    [null, true, {}].forEach(function (value) {
+        it('should throw error if transport has not "send" method', function () {
+            assert['throws'](function () {
+                var conf = withTransport(config);
+                conf.transport = value;
+                createHelper(conf);
+            }, /Property "transport" in config should have "send" method/);
+        });
+    });
+
+    it('should send request to load profile', function () {
+        transport.responses.push({
+            statusCode: 200,
+            body: {profile: {id: 'pid'}}
+        });
+
+        return helper.loadProfile('pid').then(function (profile) {
+            assert.equal(profile.getId(), 'pid');
+            assert.deepEqual(transport.requests, [{
+                method: 'GET',
+                url: 'apiUrl/v1/companies/4/buckets/bucketName/profiles/pid?app_key=appKey'
+            }]);
+        });
+    });
+
+    it('should send request to save profile', function () {
+        transport.responses.push({
+            statusCode: 201,
+            body: {}
+        });
+
+        return helper.saveProfile(helper.createProfile('pid')).then(function () {
+            assert.deepEqual(transport.requests, [{
+                method: 'POST',
+                url: 'apiUrl/v1/companies/4/buckets/bucketName/profiles/pid?app_key=appKey',
+                body: {
+                    id: 'pid',
+                    attributes: [],
+                    sessions: []
+                }
+            }]);
+        });
+    });
+
+    it('should send request to delete profile', function () {
+        transport.responses.push({
+            statusCode: 204,
+            body: {}
+        });
+
+        return helper.deleteProfile('pid').then(function () {
+            assert.deepEqual(transport.requests, [{
+                method: 'DELETE',
+                url: 'apiUrl/v1/companies/4/buckets/bucketName/profiles/pid?app_key=appKey'
+            }]);
+        });
+    });
+
+    it('should send request to update application settings', function () {
+        transport.responses.push({
+            statusCode: 200,
+            body: {custom: {a: 1}}
+        });
+
+        return helper.setAppSettings({a: 1}).then(function (settings) {
+            assert.deepEqual(settings, {a: 1});
+            assert.deepEqual(transport.requests, [{
+                method: 'PUT',
+                url: 'apiUrl/v1/companies/4/buckets/bucketName/apps/appName/custom?app_key=appKey',
+                body: {a: 1}
+            }]);
+        });
+    });
+
+    it('should send request to add task', function () {
+        transport.responses.push({
+            statusCode: 201
+        });
+
+        return helper.addTask({delay: 1}).then(function () {
+            assert.deepEqual(transport.requests, [{
+                method: 'POST',
+                url: 'schedulerApiHost/scheduler/4-bucketName-appName?token=appKey',
+                body: {delay: 1}
+            }]);
+        });
+    });
+
+    it('should return error if response has unexpected status code', function () {
+        transport.responses.push({
+            statusCode: 500,
+            body: {message: 'server error'}
+        });
+
+        return helper.getSegments().then(function () {
+            throw new Error('Promise should be rejected');
+        }, function (error) {
+            assert.equal(error.message, 'server error');
+        });
+    });
+
+    it('should return error from transport as NetworkError', function () {
+        var transportError = new Error('transport error');
+
+        transport.send = function (params, callback) {
+            callback(transportError);
+        };
+
+        return helper.getTasks().then(function () {
+            throw new Error('Promise should be rejected');
+        }, function (error) {
+            assert(error instanceof errors.NetworkError);
+            assert.equal(error.message, 'transport error');
+            assert.equal(error.method, 'GET');
+            assert.equal(error.url, 'schedulerApiHost/scheduler/4-bucketName-appName?token=[REDACTED]');
+            assert.strictEqual(error.cause, transportError);
+        });
+    });
+
+    it('should return NotFoundError if profile does not exist', function () {
+        transport.responses.push({
+            statusCode: 404,
+            headers: {'x-request-id': 'rid'},
+            body: {message: 'Profile not found'}
+        });
+
+        return helper.loadProfile('pid').then(function () {
+            throw new Error('Promise should be rejected');
+        }, function (error) {
+            assert(error instanceof errors.NotFoundError);
+            assert.equal(error.statusCode, 404);
+            assert.equal(error.method, 'GET');
+            assert.equal(error.url, 'apiUrl/v1/companies/4/buckets/bucketName/profiles/pid?app_key=[REDACTED]');
+            assert.equal(error.requestId, 'rid');
+        });
+    });
+
+    it('should return AuthError if application key is wrong', function () {
+        transport.responses.push({
+            statusCode: 401,
+            body: {}
+        });
+
+        return helper.getAppSettings().then(function () {
+            throw new Error('Promise should be rejected');
+        }, function (error) {
+            assert(error instanceof errors.AuthError);
+            assert.equal(error.message, 'Server failed with status code 401');
+        });
+    });
+});
@@ -0,0 +1,121 @@
+var iql = require('../..').iql,
+    assert = require('assert');
+
+describe('IQL/Builder', function () {
+    var where = iql.where;
+
+    it('should build condition', function () {
+        assert.strictEqual(
+            where().collectApp('web').section('shop').event('purchase').data('amount').within('30d').gte(100).toString(),
+            'collectApp("web").section("shop").event("purchase").data("amount").within("30d").gte(100)'
+        );
+    });
+
+    it('should build condition with the same tree as parser', function () {
+        var expression = 'collectApp("web").attribute("country").in("NL", "BE")';
+        assert.deepEqual(where().collectApp('web').attribute('country')['in']('NL', 'BE').toTree(), iql.parse(expression));
+    });
+
+    it('should quote and escape values', function () {
+        var builder = where().attribute('say "hi"').eq('back\\slash\nline');
+
+        assert.strictEqual(builder.toString(), 'attribute("say \\"hi\\"").eq("back\\\\slash\\nline")');
+        assert.strictEqual(iql.parse(builder.toString()).name, 'say "hi"');
+        assert.strictEqual(iql.parse(builder.toString()).values[0], 'back\\slash\nline');
+    });
+
+    it('should print literals', function () {
+        assert.strictEqual(where().attribute('a')['in'](1.5, true, null, 'x').toString(), 'attribute("a").in(1.5, true, null, "x")');
+    });
+
+    it('should throw error at once if call can not be used', function () {
+        assert['throws'](function () {
+            where().attribute('a').within('1d');
+        }, /Function "within" can not be used with attributes/);
+
+        assert['throws'](function () {
+            where().attribute('a').eq(1).section('s');
+        }, /Function "section" can not be used here/);
+
+        assert['throws'](function () {
+            where().data('a');
+        }, /Function "data" can be used only after "event"/);
+
+        assert['throws'](function () {
+            where().event('e').within('soon');
+        }, iql.IqlSyntaxError);
+    });
+
+    it('should keep valid calls after error', function () {
+        var builder = where().attribute('a');
+
+        assert['throws'](function () {
+            builder.within('1d');
+        });
+        assert.strictEqual(builder.eq(1).toString(), 'attribute("a").eq(1)');
+    });
+
+    it('should throw error if argument has wrong type', function () {
+        assert['throws'](function () {
+            where().attribute({});
+        }, /Arguments of "attribute" should be strings, finite numbers, booleans or null/);
+
+        assert['throws'](function () {
+            where().attribute('a').eq(NaN);
+        }, iql.IqlSyntaxError);
+    });
+
+    it('should throw error if condition is empty', function () {
+        assert['throws'](function () {
+            where().toString();
+        }, /Condition is empty/);
+    });
+
+    it('should combine expressions', function () {
+        var builder = where().event('purchase').within('30d')
+            .and(where().attribute('country')['in']('NL', 'BE').not())
+            .or('attribute("vip").eq(true)');
+
+        assert.strictEqual(
+            builder.toString(),
+            'event("purchase").within("30d") and not attribute("country").in("NL", "BE") or attribute("vip").eq(true)'
+        );
+        assert.deepEqual(iql.parse(builder.toString()), builder.toTree());
+    });
+
+    it('should add parentheses if they are needed', function () {
+        var builder = iql.and(
+            iql.or('attribute("a").exists()', 'attribute("b").exists()'),
+            iql.not(iql.and('attribute("c").exists()', 'attribute("d").exists()'))
+        );
+
+        assert.strictEqual(
+            builder.toString(),
+            '(attribute("a") or attribute("b")) and not (attribute("c") and attribute("d"))'
+        );
+        assert.deepEqual(iql.parse(builder.toString()), builder.toTree());
+    });
+
+    it('should accept syntax trees', function () {
+        var tree = iql.parse('attribute("a").eq(1)');
+        assert.strictEqual(iql.or(tree, where().attribute('b').eq(2)).toString(), 'attribute("a").eq(1) or attribute("b").eq(2)');
+    });
+
+    it('should throw error if expression is wrong', function () {
+        assert['throws'](function () {
+            iql.and();
+        }, /At least one expression should be passed to "and"/);
+
+        assert['throws'](function () {
+            iql.and('attribute(');
+        }, iql.IqlSyntaxError);
+
+        assert['throws'](function () {
+            iql.or(42);
+        }, /Expression should be an IqlBuilder, IQL string or syntax tree/);
+
+        assert['throws'](function () {
+            iql.and('attribute("a")', 'attribute("b")').eq(1);
+        }, /Function "eq" can not be added to logical group/);
+    });
+});
@@ -0,0 +1,126 @@
+var iql = require('../..').iql,
+    Profile = require('../..').Profile,
+    assert = require('assert');
+
+describe('IQL/Evaluator', function () {
+    var now = 10 * 24 * 60 * 60 * 1000,
+        day = 24 * 60 * 60 * 1000,
+        profile;
+
+    function evaluate (expression) {
+        return iql.evaluate(expression, profile, {now: now});
+    }
+
+    beforeEach(function () {
+        profile = new Profile({
+            id: 'pid',
+            attributes: [{
+                collectApp: 'web',
+                section: 'sec',
+                data: {
+                    age: 30,
+                    name: 'John Smith',
+                    tags: ['a', 'b']
+                }
+            }, {
+                collectApp: 'mobile',
+                section: 'sec',
+                data: {
+                    age: 15
+                }
+            }],
+            sessions: [{
+                id: 'sid1',
+                collectApp: 'web',
+                section: 'shop',
+                createdAt: now - 8 * day,
+                data: {
+                    browser: 'firefox'
+                },
+                events: [{
+                    id: 'ev1',
+                    definitionId: 'purchase',
+                    createdAt: now - 8 * day,
+                    data: {
+                        total: 100
+                    }
+                }]
+            }, {
+                id: 'sid2',
+                collectApp: 'web',
+                section: 'shop',
+                createdAt: now - day,
+                data: {
+                    browser: 'chrome'
+                },
+                events: [{
+                    id: 'ev2',
+                    definitionId: 'view',
+                    createdAt: now - day,
+                    data: {}
+                }]
+            }]
+        });
+    });
+
+    it('should check sessions', function () {
+        assert.strictEqual(evaluate('collectApp("web").section("shop")'), true);
+        assert.strictEqual(evaluate('collectApp("web").section("blog")'), false);
+        assert.strictEqual(evaluate('collectApp("web").within("2d")'), true);
+        assert.strictEqual(evaluate('collectApp("web").section("shop").within("12h")'), false);
+    });
+
+    it('should compare attributes', function () {
+        assert.strictEqual(evaluate('collectApp("web").section("sec").attribute("age").eq(30)'), true);
+        assert.strictEqual(evaluate('collectApp("web").attribute("age").gt(40)'), false);
+        assert.strictEqual(evaluate('attribute("age").lt(18)'), true);
+        assert.strictEqual(evaluate('collectApp("mobile").attribute("age").gte(18)'), false);
+        assert.strictEqual(evaluate('attribute("age").lte("30")'), false);
+        assert.strictEqual(evaluate('attribute("name").contains("Smith")'), true);
+        assert.strictEqual(evaluate('attribute("tags").contains("b")'), true);
+        assert.strictEqual(evaluate('attribute("name").in("Bob", "John Smith")'), true);
+        assert.strictEqual(evaluate('attribute("name")'), true);
+        assert.strictEqual(evaluate('attribute("missing").exists()'), false);
+    });
+
+    it('should treat "ne" as "none of values is equal"', function () {
+        assert.strictEqual(evaluate('attribute("age").ne(30)'), false);
+        assert.strictEqual(evaluate('attribute("age").ne(20)'), true);
+        assert.strictEqual(evaluate('attribute("missing").ne(1)'), true);
+    });
+
+    it('should check session data', function () {
+        assert.strictEqual(evaluate('sessionData("browser").eq("firefox")'), true);
+        assert.strictEqual(evaluate('sessionData("browser").within("2d").eq("firefox")'), false);
+        assert.strictEqual(evaluate('sessionData("browser").within("2d").eq("chrome")'), true);
+    });
+
+    it('should check events in time window', function () {
+        assert.strictEqual(evaluate('event("purchase")'), true);
+        assert.strictEqual(evaluate('event("purchase").within("7d")'), false);
+        assert.strictEqual(evaluate('event("purchase").within("1w").exists()'), false);
+        assert.strictEqual(evaluate('event("purchase").within("9d")'), true);
+        assert.strictEqual(evaluate('collectApp("mobile").event("purchase")'), false);
+        assert.strictEqual(evaluate('event("purchase").data("total").gte(100)'), true);
+        assert.strictEqual(evaluate('event("view").data("total").exists()'), false);
+    });
+
+    it('should combine conditions', function () {
+        assert.strictEqual(evaluate('event("purchase") and attribute("age").gt(18)'), true);
+        assert.strictEqual(evaluate('event("purchase") and not attribute("age").gt(18)'), false);
+        assert.strictEqual(evaluate('event("refund") or (event("view") && !event("purchase"))'), false);
+        assert.strictEqual(evaluate('event("refund") || event("view")'), true);
+    });
+
+    it('should evaluate parsed tree', function () {
+        var tree = iql.parse('event("view")');
+        assert.strictEqual(iql.evaluate(tree, profile, {now: now}), true);
+    });
+
+    it('should use current time by default', function () {
+        profile.getSession('sid2').addEvent({
+            definitionId: 'login'
+        });
+        assert.strictEqual(iql.evaluate('event("login").within("1m")', profile), true);
+    });
+});
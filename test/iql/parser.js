@@ -0,0 +1,157 @@
+var iql = require('../..').iql,
+    assert = require('assert');
+
+describe('IQL/Parser', function () {
+    function condition (props) {
+        var result = {
+            type: 'condition',
+            collectApp: null,
+            section: null,
+            target: 'session',
+            name: null,
+            field: null,
+            within: null,
+            operator: 'exists',
+            values: []
+        };
+        Object.keys(props || {}).forEach(function (key) {
+            result[key] = props[key];
+        });
+        return result;
+    }
+
+    it('should parse session condition', function () {
+        assert.deepEqual(iql.parse('collectApp("web").section("9")'), condition({
+            collectApp: 'web',
+            section: '9'
+        }));
+    });
+
+    it('should parse attribute comparison', function () {
+        assert.deepEqual(iql.parse('collectApp("web").section("sec").attribute("age").gte(18)'), condition({
+            collectApp: 'web',
+            section: 'sec',
+            target: 'attribute',
+            name: 'age',
+            operator: 'gte',
+            values: [18]
+        }));
+    });
+
+    it('should parse event data in time window', function () {
+        assert.deepEqual(iql.parse('event(\'purchase\').data("total").within("2h").gt(-1.5)'), condition({
+            target: 'event',
+            name: 'purchase',
+            field: 'total',
+            within: 2 * 60 * 60 * 1000,
+            operator: 'gt',
+            values: [-1.5]
+        }));
+    });
+
+    it('should parse literals and escape sequences', function () {
+        var tree = iql.parse('sessionData("a").in("x\\"y", \'it\\\'s\', "\\u0041\\n", true, false, null, 10)');
+        assert.deepEqual(tree.values, ['x"y', 'it\'s', 'A\n', true, false, null, 10]);
+    });
+
+    it('should parse logical operators with precedence', function () {
+        var tree = iql.parse('event("a") or event("b") and not (event("c") || !event("d")) && event("e")');
+
+        assert.equal(tree.type, 'or');
+        assert.equal(tree.conditions[0].name, 'a');
+        assert.equal(tree.conditions[1].type, 'and');
+        assert.equal(tree.conditions[1].conditions.length, 3);
+        assert.equal(tree.conditions[1].conditions[1].type, 'not');
+        assert.equal(tree.conditions[1].conditions[1].condition.type, 'or');
+        assert.equal(tree.conditions[1].conditions[1].condition.conditions[1].type, 'not');
+    });
+
+    it('should accept keywords in upper case', function () {
+        assert.equal(iql.parse('event("a") AND NOT event("b")').type, 'and');
+    });
+
+    [{
+        iql: '',
+        error: /IQL expression should be a non-empty string/
+    }, {
+        iql: 'event("a"',
+        error: /Unexpected end of expression, expected "\)" at position 9/
+    }, {
+        iql: 'event("a")) ',
+        error: /Unexpected "\)" at position 10/
+    }, {
+        iql: 'event("a") and',
+        error: /Unexpected end of expression at position 14/
+    }, {
+        iql: 'event("a) ',
+        error: /Unterminated string at position 6/
+    }, {
+        iql: 'event("a") = 1',
+        error: /Unexpected character "=" at position 11/
+    }, {
+        iql: 'event(a)',
+        error: /Unexpected "a" at position 6/
+    }, {
+        iql: 'section("s").collectApp("web")',
+        error: /Function "collectApp" can not be used here at position 13/
+    }, {
+        iql: 'attribute("a").event("b")',
+        error: /Function "event" can not be used here/
+    }, {
+        iql: 'attribute(1)',
+        error: /Function "attribute" expects one non-empty string argument/
+    }, {
+        iql: 'attribute("a").data("b")',
+        error: /Function "data" can be used only after "event"/
+    }, {
+        iql: 'attribute("a").within("1d")',
+        error: /Function "within" can not be used with attributes/
+    }, {
+        iql: 'event("a").within("soon")',
+        error: /Function "within" expects duration/
+    }, {
+        iql: 'event("a").eq(1)',
+        error: /Function "eq" can be used only with value/
+    }, {
+        iql: 'attribute("a").eq(1, 2)',
+        error: /Function "eq" has wrong number of arguments/
+    }, {
+        iql: 'attribute("a").in()',
+        error: /Function "in" has wrong number of arguments/
+    }].forEach(function (test) {
+        it('should throw syntax error for ' + JSON.stringify(test.iql), function () {
+            assert['throws'](function () {
+                iql.parse(test.iql);
+            }, function (error) {
+                return error instanceof iql.IqlSyntaxError && test.error.test(error.message);
+            });
+        });
+    });
+
+    it('should throw unsupported error for unknown functions', function () {
+        assert['throws'](function () {
+            iql.parse('collectApp("web").attribute("a").matches("^x")');
+        }, function (error) {
+            return error instanceof iql.IqlUnsupportedError &&
+                error.construct === 'matches' &&
+                error.message === 'Function "matches" is not supported';
+        });
+    });
+
+    describe('Validation', function () {
+        it('should return null for valid expression', function () {
+            assert.strictEqual(iql.validate('attribute("a").eq(1) and event("b").within("1d")'), null);
+        });
+
+        it('should not treat unknown functions as errors', function () {
+            assert.strictEqual(iql.validate('attribute("a").matches("^x")'), null);
+        });
+
+        it('should return syntax error for malformed expression', function () {
+            var error = iql.validate('attribute("a").eq(1) and');
+
+            assert(error instanceof iql.IqlSyntaxError);
+            assert.strictEqual(error.message, 'Unexpected end of expression at position 24');
+        });
+    });
+});
@@ -0,0 +1,70 @@
+var iql = require('../..').iql,
+    assert = require('assert');
+
+describe('IQL/Printer', function () {
+    function print (expression, options) {
+        return new iql.IqlPrinter(options).print(iql.parse(expression));
+    }
+
+    it('should print condition', function () {
+        assert.strictEqual(
+            print('collectApp( "web" ) .section("9").sessionData( "page" ).contains( "/cart" )'),
+            'collectApp("web").section("9").sessionData("page").contains("/cart")'
+        );
+    });
+
+    it('should omit "exists" if condition has other calls', function () {
+        assert.strictEqual(print('attribute("a").exists()'), 'attribute("a")');
+        assert.strictEqual(print('exists()'), 'exists()');
+    });
+
+    it('should print durations with the biggest unit', function () {
+        assert.strictEqual(print('event("e").within("168h")'), 'event("e").within("1w")');
+        assert.strictEqual(print('event("e").within("90m")'), 'event("e").within("90m")');
+        assert.strictEqual(print('event("e").within("1500ms")'), 'event("e").within("1500ms")');
+    });
+
+    it('should print logical operators', function () {
+        assert.strictEqual(
+            print('(attribute("a") or attribute("b")) and not (attribute("c"))'),
+            '(attribute("a") or attribute("b")) and not attribute("c")'
+        );
+        assert.strictEqual(
+            print('attribute("a") or (attribute("b") and attribute("c"))'),
+            'attribute("a") or attribute("b") and attribute("c")'
+        );
+    });
+
+    it('should print expression in pretty mode', function () {
+        assert.strictEqual(
+            print('attribute("a") and (attribute("b") or attribute("c").eq(1)) and event("e")', {
+                pretty: true,
+                indent: '  '
+            }),
+            [
+                'attribute("a")',
+                'and (',
+                '  attribute("b")',
+                '  or attribute("c").eq(1)',
+                ')',
+                'and event("e")'
+            ].join('\n')
+        );
+    });
+
+    it('should print expression which can be parsed to the same tree', function () {
+        [
+            'collectApp("web").section("9").event("buy").data("sum").within("30m").gt(1e3)',
+            'not (attribute("a").eq("x\\"y") or sessionData("s").in(1, -2.5, true, null)) and attribute("b").ne(false)',
+            'attribute("a").lte(1) or attribute("b").lt(2) and not not attribute("c").gte(3)'
+        ].forEach(function (expression) {
+            var tree = iql.parse(expression);
+            assert.deepEqual(iql.parse(iql.format(tree)), tree);
+            assert.deepEqual(iql.parse(iql.format(tree, {pretty: true})), tree);
+        });
+    });
+
+    it('should format expression with unsupported functions', function () {
+        assert.strictEqual(iql.format('attribute( "a" ).matches( "x.*" )'), 'attribute("a").matches("x.*")');
+    });
+});
@@ -0,0 +1,188 @@
+var inno = require('../'),
+    assert = require('assert');
+var Meta = inno.Meta;
+var Profile = inno.Profile;
+
+describe('Meta', function () {
+    function createMeta (conf) {
+        return new Meta(conf);
+    }
+
+    var config = {
+        companyId: 4,
+        bucketName: 'bucket',
+        collectApp: 'web',
+        section: 'shop'
+    };
+
+    function createProfile () {
+        return new Profile({
+            id: 'pid',
+            attributes: [],
+            sessions: [
+                {
+                    id: 'sid1',
+                    collectApp: 'web',
+                    section: 'shop',
+                    createdAt: 100,
+                    data: {},
+                    events: [
+                        {
+                            id: 'eid1',
+                            definitionId: 'purchase',
+                            createdAt: 110,
+                            data: {}
+                        },
+                        {
+                            id: 'eid2',
+                            definitionId: 'view',
+                            createdAt: 120,
+                            data: {}
+                        }
+                    ]
+                },
+                {
+                    id: 'sid2',
+                    collectApp: 'web',
+                    section: 'shop',
+                    createdAt: 200,
+                    data: {},
+                    events: [
+                        {
+                            id: 'eid3',
+                            definitionId: 'view',
+                            createdAt: 210,
+                            data: {}
+                        }
+                    ]
+                },
+                {
+                    id: 'sid3',
+                    collectApp: 'mobile',
+                    section: 'shop',
+                    createdAt: 300,
+                    data: {},
+                    events: [
+                        {
+                            id: 'eid4',
+                            definitionId: 'purchase',
+                            createdAt: 310,
+                            data: {}
+                        }
+                    ]
+                }
+            ]
+        });
+    }
+
+    function extend (data) {
+        var result = {};
+        [config, data].forEach(function (source) {
+            Object.keys(source).forEach(function (key) {
+                result[key] = source[key];
+            });
+        });
+        return result;
+    }
+
+    describe('Creation', function () {
+        it('should throw error on empty config', function () {
+            assert['throws'](function () {
+                createMeta();
+            }, /Config should be defined/);
+
+            assert['throws'](function () {
+                createMeta('meta');
+            }, /Config should be an object/);
+        });
+
+        it('should throw error if meta is not valid', function () {
+            assert['throws'](function () {
+                createMeta({companyId: 4});
+            }, /Meta is not valid/);
+
+            assert['throws'](function () {
+                createMeta(extend({timestamp: 'now'}));
+            }, /Meta is not valid/);
+        });
+
+        it('should keep unknown fields', function () {
+            var meta = createMeta(extend({requestId: 'rid'}));
+            assert.strictEqual(meta.serialize().requestId, 'rid');
+        });
+    });
+
+    describe('Accessors', function () {
+        it('should return fields of meta', function () {
+            var meta = createMeta(extend({
+                eventDefinitionId: 'purchase',
+                createdAt: 110,
+                timestamp: 120
+            }));
+
+            assert.strictEqual(meta.getCompany(), 4);
+            assert.strictEqual(meta.getBucket(), 'bucket');
+            assert.strictEqual(meta.getCollectApp(), 'web');
+            assert.strictEqual(meta.getSection(), 'shop');
+            assert.strictEqual(meta.getEventDefinitionId(), 'purchase');
+            assert.strictEqual(meta.getCreatedAt(), 110);
+            assert.strictEqual(meta.getTimestamp(), 120);
+        });
+
+        it('should return null for missing optional fields', function () {
+            var meta = createMeta(config);
+
+            assert.strictEqual(meta.getEventDefinitionId(), null);
+            assert.strictEqual(meta.getSessionId(), null);
+            assert.strictEqual(meta.getEventId(), null);
+            assert.strictEqual(meta.getCreatedAt(), null);
+            assert.strictEqual(meta.getTimestamp(), null);
+        });
+    });
+
+    describe('Resolving', function () {
+        it('should find session and event by ids', function () {
+            var profile = createProfile();
+            var meta = createMeta(extend({
+                sessionId: 'sid1',
+                eventId: 'eid2'
+            }));
+
+            assert.strictEqual(meta.getSession(profile).getId(), 'sid1');
+            assert.strictEqual(meta.getEvent(profile).getId(), 'eid2');
+        });
+
+        it('should find session by event id', function () {
+            var profile = createProfile();
+            var meta = createMeta(extend({eventId: 'eid1'}));
+
+            assert.strictEqual(meta.getSession(profile).getId(), 'sid1');
+            assert.strictEqual(meta.getEvent(profile).getId(), 'eid1');
+        });
+
+        it('should find the last event of definition in application and section', function () {
+            var profile = createProfile();
+            var meta = createMeta(extend({eventDefinitionId: 'purchase'}));
+
+            assert.strictEqual(meta.getSession(profile).getId(), 'sid1');
+            assert.strictEqual(meta.getEvent(profile).getId(), 'eid1');
+
+            meta = createMeta(extend({eventDefinitionId: 'view'}));
+            assert.strictEqual(meta.getSession(profile).getId(), 'sid2');
+            assert.strictEqual(meta.getEvent(profile).getId(), 'eid3');
+        });
+
+        it('should return null if session or event is not found', function () {
+            var profile = createProfile();
+
+            assert.strictEqual(createMeta(extend({sessionId: 'unknown'})).getSession(profile), null);
+            assert.strictEqual(createMeta(extend({sessionId: 'unknown'})).getEvent(profile), null);
+            assert.strictEqual(createMeta(extend({eventId: 'eid4'})).getEvent(profile), null);
+            assert.strictEqual(createMeta(extend({eventDefinitionId: 'unknown'})).getSession(profile), null);
+            assert.strictEqual(createMeta(extend({
+                sessionId: 'sid2',
+                eventDefinitionId: 'purchase'
+            })).getEvent(profile), null);
+        });
+    });
+});
@@ -0,0 +1,389 @@
+var inno = require('../'),
+    assert = require('assert'),
+    http = require('http');
+var MockServer = inno.MockServer,
+    InnoHelper = inno.InnoHelper,
+    Profile = inno.Profile,
+    Task = inno.Task;
+
+describe('MockServer', function () {
+    var server,
+        helper;
+
+    function createProfile (id, attributes, sessions) {
+        return new Profile({
+            id: id,
+            attributes: attributes || [],
+            sessions: sessions || []
+        });
+    }
+
+    function createSession (id, events) {
+        return {
+            id: id,
+            collectApp: 'web',
+            section: 'shop',
+            createdAt: 100,
+            data: {},
+            events: events || []
+        };
+    }
+
+    // server of previous test is closed before the next one is started
+    beforeEach(function (done) {
+        var previous = server;
+
+        server = new MockServer({appKey: 'appKey'});
+        (previous || server).close(function () {
+            server.listen(function (error) {
+                helper = new InnoHelper(server.getHelperConfig({
+                    groupId: 4,
+                    bucketName: 'bucket',
+                    appName: 'app',
+                    noCache: true,
+                    retry: {
+                        maxAttempts: 1
+                    }
+                }));
+                done(error);
+            });
+        });
+    });
+
+    it('should throw error if config is wrong', function () {
+        assert['throws'](function () {
+            return new MockServer({appKey: ''});
+        }, /Property "appKey" in config should be a non-empty string/);
+
+        assert['throws'](function () {
+            return new MockServer({latency: -1});
+        }, /Property "latency" in config should be a non-negative number/);
+    });
+
+    it('should give config of helper', function () {
+        var config = server.getHelperConfig({appName: 'other'});
+
+        assert.equal(config.apiUrl, server.getUrl());
+        assert.equal(config.evaluationApiUrl, server.getUrl());
+        assert.equal(config.schedulerApiHost, server.getUrl());
+        assert.equal(config.appName, 'other');
+        assert.equal(config.appKey, 'appKey');
+    });
+
+    describe('Profiles', function () {
+        it('should respond with 404 if profile does not exist', function (done) {
+            helper.loadProfile('pid', function (error, profile) {
+                assert.ok(error instanceof inno.NotFoundError);
+                assert.strictEqual(profile, null);
+                done();
+            });
+        });
+
+        it('should persist saved profile', function () {
+            var profile = createProfile('pid');
+
+            profile.setAttributes(profile.createAttributes('web', 'shop', {
+                name: 'John'
+            }));
+
+            return helper.saveProfile(profile).then(function (saved) {
+                assert.equal(saved.getAttribute('name', 'web', 'shop').getValue(), 'John');
+                assert.equal(saved.getVersion(), '1');
+                assert.equal(server.getProfile('pid').getAttribute('name', 'web', 'shop').getValue(), 'John');
+                return helper.loadProfile('pid');
+            }).then(function (loaded) {
+                assert.equal(loaded.getAttribute('name', 'web', 'shop').getValue(), 'John');
+            });
+        });
+
+        it('should merge saved changes with stored profile', function () {
+            server.setProfile({
+                id: 'pid',
+                attributes: [
+                    {
+                        collectApp: 'web',
+                        section: 'shop',
+                        data: {
+                            name: 'John'
+                        }
+                    }
+                ],
+                sessions: [createSession('sid1')]
+            });
+
+            return helper.loadProfile('pid').then(function (profile) {
+                profile.setAttributes(profile.createAttributes('web', 'shop', {
+                    age: 30
+                }));
+                return helper.saveProfile(profile);
+            }).then(function () {
+                var stored = server.getProfile('pid');
+
+                assert.equal(stored.getAttribute('name', 'web', 'shop').getValue(), 'John');
+                assert.equal(stored.getAttribute('age', 'web', 'shop').getValue(), 30);
+                assert.equal(stored.getSessions().length, 1);
+                assert.equal(stored.getVersion(), '2');
+            });
+        });
+
+        it('should delete profile', function () {
+            server.setProfile(createProfile('pid'));
+
+            return helper.deleteProfile('pid').then(function () {
+                assert.strictEqual(server.getProfile('pid'), null);
+            });
+        });
+
+        it('should move data of merged profile to recipient', function () {
+            server.setProfile(createProfile('pid1', [], [createSession('sid1')]));
+            server.setProfile(createProfile('pid2', [], [createSession('sid2')]));
+
+            return helper.mergeProfiles(createProfile('pid1'), createProfile('pid2')).then(function (profile) {
+                assert.deepEqual(profile.getSessions().map(function (session) {
+                    return session.getId();
+                }).sort(), ['sid1', 'sid2']);
+                assert.deepEqual(server.getMergedProfiles('pid1'), ['pid2']);
+                assert.strictEqual(server.getProfile('pid2'), null);
+            });
+        });
+
+        it('should merge profiles which were added to saved profile', function () {
+            var profile = createProfile('pid1');
+
+            server.setProfile(createProfile('pid2', [], [createSession('sid2')]));
+            profile.addMergedProfile('pid2');
+
+            return helper.saveProfile(profile).then(function (saved) {
+                assert.deepEqual(saved.getMergedProfiles(), ['pid2']);
+                assert.ok(saved.getSession('sid2'));
+                assert.equal(saved.hasChanges(), false);
+                assert.strictEqual(server.getProfile('pid2'), null);
+            });
+        });
+
+        it('should reject save of profile which was changed since it was loaded', function () {
+            server.setProfile(createProfile('pid'));
+
+            return helper.loadProfile('pid').then(function (profile) {
+                server.setProfile(createProfile('pid', [], [createSession('sid1')]));
+                profile.setAttributes(profile.createAttributes('web', 'shop', {
+                    name: 'John'
+                }));
+                return helper.saveProfile(profile, {conflictCheck: true});
+            }).then(function () {
+                throw new Error('Profile should not be saved');
+            }, function (error) {
+                assert.ok(error instanceof inno.ConflictError);
+                assert.equal(error.statusCode, 412);
+            });
+        });
+
+        it('should reject save of stale profile which was loaded by other worker', function () {
+            var first, second;
+
+            server.setProfile(createProfile('pid'));
+
+            return helper.loadProfile('pid').then(function (profile) {
+                first = profile;
+                return helper.loadProfile('pid');
+            }).then(function (profile) {
+                second = profile;
+                first.setAttributes(first.createAttributes('web', 'shop', {
+                    x: 1
+                }));
+                return helper.saveProfile(first, {conflictCheck: true});
+            }).then(function () {
+                second.setAttributes(second.createAttributes('web', 'shop', {
+                    x: 2
+                }));
+                return helper.saveProfile(second, {conflictCheck: true});
+            }).then(function () {
+                throw new Error('Profile should not be saved');
+            }, function (error) {
+                assert.ok(error instanceof inno.ConflictError);
+                assert.equal(server.getProfile('pid').getAttribute('x', 'web', 'shop').getValue(), 1);
+            });
+        });
+    });
+
+    describe('Application settings', function () {
+        it('should store settings of application', function () {
+            return helper.setAppSettings({
+                color: 'red'
+            }).then(function (settings) {
+                assert.deepEqual(settings, {color: 'red'});
+                assert.deepEqual(server.getAppSettings('app'), {color: 'red'});
+                return helper.getAppSettings();
+            }).then(function (settings) {
+                assert.deepEqual(settings, {color: 'red'});
+            });
+        });
+    });
+
+    describe('Segments', function () {
+        it('should create, update and delete segments', function () {
+            return helper.createSegment({
+                id: 'sgm1',
+                iql: 'collectApp("web")'
+            }).then(function (segment) {
+                assert.equal(segment.getId(), 'sgm1');
+                return helper.updateSegment(new Profile.Segment({
+                    id: 'sgm1',
+                    iql: 'collectApp("mobile")'
+                }));
+            }).then(function () {
+                return helper.getSegments();
+            }).then(function (segments) {
+                assert.equal(segments.length, 1);
+                assert.equal(segments[0].getIql(), 'collectApp("mobile")');
+                return helper.deleteSegment('sgm1');
+            }).then(function () {
+                assert.deepEqual(server.getSegments(), []);
+            });
+        });
+
+        it('should evaluate stored profile by segments and IQL', function () {
+            server.setProfile(createProfile('pid', [], [createSession('sid1')]));
+            server.setSegment({
+                id: 'sgm1',
+                iql: 'collectApp("web")'
+            });
+            server.setSegment({
+                id: 'sgm2',
+                iql: 'collectApp("mobile")'
+            });
+
+            return helper.evaluateProfileBySegmentId(createProfile('pid'), ['sgm1', 'sgm2']).then(function (results) {
+                assert.deepEqual(results, [true, false]);
+                return helper.evaluateProfileByIql(createProfile('pid'), 'section("shop")');
+            }).then(function (result) {
+                assert.strictEqual(result, true);
+            });
+        });
+    });
+
+    describe('Scheduler', function () {
+        it('should add, list and delete tasks', function () {
+            var task = new Task({
+                id: 'tid',
+                endpoint: 'http://app.example.com/tasks',
+                method: 'POST',
+                timestamp: 1449742185000
+            });
+
+            return helper.addTask(task).then(function () {
+                assert.equal(server.getTasks().length, 1);
+                return helper.getTask('tid');
+            }).then(function (loaded) {
+                assert.equal(loaded.getEndpoint(), 'http://app.example.com/tasks');
+                return helper.findTasks();
+            }).then(function (result) {
+                assert.equal(result.total, 1);
+                return helper.deleteTask({taskId: 'tid'});
+            }).then(function () {
+                assert.deepEqual(server.getTasks(), []);
+            });
+        });
+    });
+
+    describe('Faults', function () {
+        it('should reject requests with wrong application key', function (done) {
+            var other = new InnoHelper(server.getHelperConfig({
+                appKey: 'wrongKey',
+                noCache: true
+            }));
+
+            other.getAppSettings(function (error) {
+                assert.ok(error instanceof inno.AuthError);
+                done();
+            });
+        });
+
+        it('should respond with injected status code', function (done) {
+            server.addFault({
+                method: 'GET',
+                path: /\/custom$/,
+                statusCode: 503,
+                times: 1
+            });
+
+            helper.getAppSettings(function (error) {
+                assert.equal(error.statusCode, 503);
+
+                helper.getAppSettings(function (error, settings) {
+                    assert.strictEqual(error, null);
+                    assert.deepEqual(settings, {});
+                    done();
+                });
+            });
+        });
+
+        it('should not change data on injected error', function (done) {
+            server.addFault({
+                statusCode: 500
+            });
+
+            helper.saveProfile(createProfile('pid'), function (error) {
+                assert.equal(error.statusCode, 500);
+                assert.strictEqual(server.getProfile('pid'), null);
+                server.clearFaults();
+                done();
+            });
+        });
+
+        it('should respond with malformed body', function (done) {
+            server.setProfile(createProfile('pid'));
+            server.addFault({
+                path: '/v1/',
+                body: '{malformed'
+            });
+
+            helper.loadProfile('pid', function (error, profile) {
+                assert.strictEqual(error, null);
+                assert.strictEqual(profile, null);
+                done();
+            });
+        });
+
+        it('should delay response', function (done) {
+            server.addFault({
+                latency: 200
+            });
+
+            helper.getAppSettings({timeout: 50}, function (error) {
+                assert.ok(error instanceof inno.TimeoutError);
+                done();
+            });
+        });
+
+        it('should throw error if fault is wrong', function () {
+            assert['throws'](function () {
+                server.addFault({statusCode: 42});
+            }, /Property "statusCode" of fault should be a HTTP status code/);
+        });
+    });
+
+    it('should remember received requests', function (done) {
+        var req = http.request({
+            method: 'PUT',
+            host: '127.0.0.1',
+            port: server.getUrl().split(':')[2],
+            path: '/v1/companies/4/buckets/bucket/apps/app/custom?app_key=appKey',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        }, function (res) {
+            var requests = server.getRequests();
+
+            res.resume();
+            assert.equal(res.statusCode, 200);
+            assert.equal(requests.length, 1);
+            assert.equal(requests[0].method, 'PUT');
+            assert.deepEqual(requests[0].query, {app_key: 'appKey'});
+            assert.deepEqual(requests[0].body, {color: 'red'});
+            done();
+        });
+
+        req.end(JSON.stringify({color: 'red'}));
+    });
+});
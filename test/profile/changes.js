@@ -0,0 +1,315 @@
+var inno = require('../../'),
+    assert = require('assert');
+var Profile = inno.Profile,
+    ProfileChanges = inno.ProfileChanges;
+
+describe('Profile/Changes', function () {
+    function createProfile (conf) {
+        return new Profile(conf);
+    }
+
+    function createData () {
+        return {
+            id: 'pid',
+            attributes: [{
+                collectApp: 'web',
+                section: 'shop',
+                data: {
+                    name: 'John',
+                    email: 'john@example.com'
+                }
+            }],
+            sessions: [{
+                id: 'sid1',
+                collectApp: 'web',
+                section: 'shop',
+                createdAt: 10,
+                data: {
+                    page: 'main'
+                },
+                events: [{
+                    id: 'ev1',
+                    definitionId: 'view',
+                    createdAt: 11,
+                    data: {}
+                }]
+            }]
+        };
+    }
+
+    // minimal implementation of JSON Patch operations which are produced by changes
+    function applyPatch (document, patch) {
+        patch.forEach(function (operation) {
+            var tokens = operation.path.split('/').slice(1).map(function (token) {
+                return token.replace(/~1/g, '/').replace(/~0/g, '~');
+            });
+            var last = tokens.pop();
+            var target = tokens.reduce(function (node, token) {
+                return node[token];
+            }, document);
+
+            if (operation.op === 'remove') {
+                delete target[last];
+            } else if (last === '-') {
+                target.push(operation.value);
+            } else {
+                target[last] = operation.value;
+            }
+        });
+
+        return document;
+    }
+
+    function changeProfile (profile) {
+        profile.setAttributes(profile.createAttributes('web', 'shop', {
+            name: 'Jack',
+            age: 30
+        }));
+        profile.setAttributes(profile.createAttributes('mobile', 'app', {
+            'os/version': '10'
+        }));
+        profile.getSession('sid1').setData({
+            page: 'cart'
+        });
+        profile.getSession('sid1').addEvent({
+            id: 'ev2',
+            definitionId: 'purchase',
+            createdAt: 12,
+            data: {}
+        });
+        profile.setSession({
+            id: 'sid2',
+            collectApp: 'web',
+            section: 'shop',
+            createdAt: 20
+        });
+        return profile;
+    }
+
+    it('should throw error if profile is wrong', function () {
+        assert['throws'](function () {
+            createProfile().diff({});
+        }, /Argument "profile" should be a Profile instance/);
+    });
+
+    it('should be empty for the same profiles', function () {
+        var changes = createProfile(createData()).diff(createProfile(createData()));
+
+        assert.ok(changes instanceof ProfileChanges);
+        assert.ok(changes.isEmpty());
+        assert.deepEqual(changes.toJsonPatch(), []);
+    });
+
+    it('should list changes of attributes', function () {
+        var profile = createProfile(createData());
+        var other = changeProfile(createProfile(createData()));
+        var changes;
+
+        other.attributes = other.attributes.filter(function (attribute) {
+            return attribute.getName() !== 'email';
+        });
+        changes = profile.diff(other);
+
+        assert.deepEqual(changes.attributes, {
+            added: [{
+                collectApp: 'web',
+                section: 'shop',
+                name: 'age',
+                value: 30
+            }, {
+                collectApp: 'mobile',
+                section: 'app',
+                name: 'os/version',
+                value: '10'
+            }],
+            changed: [{
+                collectApp: 'web',
+                section: 'shop',
+                name: 'name',
+                oldValue: 'John',
+                value: 'Jack'
+            }],
+            removed: [{
+                collectApp: 'web',
+                section: 'shop',
+                name: 'email',
+                oldValue: 'john@example.com'
+            }]
+        });
+    });
+
+    it('should list changes of sessions and events', function () {
+        var changes = createProfile(createData()).diff(changeProfile(createProfile(createData())));
+
+        assert.deepEqual(changes.sessions.added.map(function (session) {
+            return session.id;
+        }), ['sid2']);
+        assert.deepEqual(changes.sessions.changed, [{
+            id: 'sid1',
+            oldData: {
+                page: 'main'
+            },
+            data: {
+                page: 'cart'
+            }
+        }]);
+        assert.deepEqual(changes.events.added, [{
+            sessionId: 'sid1',
+            event: {
+                id: 'ev2',
+                definitionId: 'purchase',
+                createdAt: 12,
+                data: {}
+            }
+        }]);
+        assert.ok(!changes.isEmpty());
+    });
+
+    it('should list changes of values which are changed in place', function () {
+        var data = createData();
+        var profile;
+        var changes;
+        var patch;
+
+        data.attributes[0].data.list = [1];
+        profile = createProfile(data);
+        profile.resetDirty();
+
+        profile.getAttribute('list', 'web', 'shop').getValue().push(2);
+        profile.getSession('sid1').getEvent('ev1').setDataValue('price', 10);
+        changes = profile.getChanges();
+
+        assert.ok(profile.hasChanges());
+        assert.ok(!changes.isEmpty());
+        assert.deepEqual(changes.attributes.changed, [{
+            collectApp: 'web',
+            section: 'shop',
+            name: 'list',
+            oldValue: [1],
+            value: [1, 2]
+        }]);
+        assert.deepEqual(changes.events.changed, [{
+            sessionId: 'sid1',
+            id: 'ev1',
+            oldData: {},
+            data: {
+                price: 10
+            }
+        }]);
+
+        patch = changes.toJsonPatch();
+        assert.deepEqual(patch[patch.length - 1], {
+            op: 'replace',
+            path: '/sessions/0/events/0/data',
+            value: {
+                price: 10
+            }
+        });
+        assert.deepEqual(applyPatch(createData(), patch).sessions, profile.serialize().sessions);
+    });
+
+    it('should not mix attributes of groups with similar names', function () {
+        var from = {
+            id: 'pid',
+            attributes: [{
+                collectApp: 'a/b',
+                section: 'c',
+                data: {
+                    name: 'John'
+                }
+            }],
+            sessions: []
+        };
+        var to = {
+            id: 'pid',
+            attributes: [{
+                collectApp: 'a/b',
+                section: 'c',
+                data: {
+                    name: 'John'
+                }
+            }, {
+                collectApp: 'a',
+                section: 'b/c',
+                data: {
+                    name: 'Jack'
+                }
+            }],
+            sessions: []
+        };
+        var changes = new ProfileChanges(from, to);
+
+        assert.deepEqual(changes.attributes, {
+            added: [{
+                collectApp: 'a',
+                section: 'b/c',
+                name: 'name',
+                value: 'Jack'
+            }],
+            changed: [],
+            removed: []
+        });
+        assert.deepEqual(applyPatch(JSON.parse(JSON.stringify(from)), changes.toJsonPatch()), to);
+    });
+
+    it('should export changes as JSON Patch', function () {
+        var profile = createProfile(createData());
+        var other = changeProfile(createProfile(createData()));
+        var patch = profile.diff(other).toJsonPatch();
+
+        assert.deepEqual(patch.slice(0, 3), [{
+            op: 'add',
+            path: '/attributes/0/data/age',
+            value: 30
+        }, {
+            op: 'add',
+            path: '/attributes/-',
+            value: {
+                collectApp: 'mobile',
+                section: 'app',
+                data: {
+                    'os/version': '10'
+                }
+            }
+        }, {
+            op: 'replace',
+            path: '/attributes/0/data/name',
+            value: 'Jack'
+        }]);
+        assert.deepEqual(applyPatch(JSON.parse(JSON.stringify(profile.serialize())), patch), other.serialize());
+    });
+
+    it('should escape paths of JSON Patch', function () {
+        var profile = createProfile({
+            id: 'pid',
+            attributes: [{
+                collectApp: 'web',
+                section: 'shop',
+                data: {
+                    'a/b~c': 1
+                }
+            }]
+        });
+        var other = createProfile(profile.serialize());
+
+        other.getAttribute('a/b~c', 'web', 'shop').setValue(2);
+        assert.deepEqual(profile.diff(other).toJsonPatch(), [{
+            op: 'replace',
+            path: '/attributes/0/data/a~1b~0c',
+            value: 2
+        }]);
+    });
+
+    it('should get changes since profile was loaded', function () {
+        var profile = createProfile(createData());
+
+        assert.equal(profile.getChanges().attributes.added.length, 2);
+        assert.equal(profile.getChanges().sessions.added.length, 1);
+
+        profile.resetDirty();
+        assert.ok(profile.getChanges().isEmpty());
+
+        changeProfile(profile);
+        assert.deepEqual(profile.getChanges().serialize(), createProfile(createData()).diff(profile).serialize());
+    });
+});
@@ -252,6 +252,201 @@ describe('Profile/Common', function () {
         });
     });
 
+    describe('Merge preview', function () {
+        function createRecipient () {
+            return createProfile({
+                id: 'pid1',
+                attributes: [{
+                    collectApp: 'web',
+                    section: 'shop',
+                    data: {
+                        name: 'John',
+                        email: 'john@example.com'
+                    }
+                }],
+                sessions: [{
+                    id: 'sid1',
+                    collectApp: 'web',
+                    section: 'shop',
+                    createdAt: 10,
+                    data: {},
+                    events: [{
+                        id: 'ev1',
+                        definitionId: 'view',
+                        createdAt: 11,
+                        data: {}
+                    }]
+                }]
+            });
+        }
+
+        function createDonor () {
+            return createProfile({
+                id: 'pid2',
+                mergedProfiles: ['pid3'],
+                attributes: [{
+                    collectApp: 'web',
+                    section: 'shop',
+                    data: {
+                        name: 'John',
+                        email: 'j@example.com',
+                        age: 30
+                    }
+                }],
+                sessions: [{
+                    id: 'sid1',
+                    collectApp: 'web',
+                    section: 'shop',
+                    createdAt: 10,
+                    data: {},
+                    events: [{
+                        id: 'ev1',
+                        definitionId: 'view',
+                        createdAt: 11,
+                        data: {}
+                    }, {
+                        id: 'ev2',
+                        definitionId: 'purchase',
+                        createdAt: 12,
+                        data: {}
+                    }]
+                }, {
+                    id: 'sid2',
+                    collectApp: 'web',
+                    section: 'shop',
+                    createdAt: 20,
+                    data: {},
+                    events: []
+                }]
+            });
+        }
+
+        it('should throw error if donor is wrong', function () {
+            var profile = createRecipient();
+
+            assert['throws'](function () {
+                profile.previewMerge({});
+            }, /Argument "donor" should be a Profile instance/);
+
+            assert['throws'](function () {
+                profile.previewMerge(createRecipient());
+            }, /Profile can not be merged to itself/);
+        });
+
+        it('should keep attributes of recipient and report conflicts', function () {
+            var result = createRecipient().previewMerge(createDonor());
+            var profile = result.profile;
+
+            assert.equal(profile.getId(), 'pid1');
+            assert.equal(profile.getAttribute('name', 'web', 'shop').getValue(), 'John');
+            assert.equal(profile.getAttribute('email', 'web', 'shop').getValue(), 'john@example.com');
+            assert.equal(profile.getAttribute('age', 'web', 'shop').getValue(), 30);
+            assert.deepEqual(result.conflicts, [{
+                collectApp: 'web',
+                section: 'shop',
+                name: 'email',
+                value: 'john@example.com',
+                donorValue: 'j@example.com'
+            }]);
+        });
+
+        it('should unite sessions and deduplicate events', function () {
+            var profile = createRecipient().previewMerge(createDonor()).profile;
+
+            assert.deepEqual(profile.getSessions().map(function (session) {
+                return session.getId();
+            }), ['sid1', 'sid2']);
+            assert.deepEqual(profile.getSession('sid1').getEvents().map(function (event) {
+                return event.getId();
+            }), ['ev1', 'ev2']);
+        });
+
+        it('should not report conflict of equal objects with different order of keys', function () {
+            var recipient = createRecipient();
+            var donor = createDonor();
+
+            recipient.setAttribute({
+                collectApp: 'web',
+                section: 'shop',
+                name: 'address',
+                value: {
+                    city: 'A',
+                    zip: '1'
+                }
+            });
+            donor.setAttribute({
+                collectApp: 'web',
+                section: 'shop',
+                name: 'address',
+                value: {
+                    zip: '1',
+                    city: 'A'
+                }
+            });
+
+            assert.deepEqual(recipient.previewMerge(donor).conflicts.map(function (conflict) {
+                return conflict.name;
+            }), ['email']);
+        });
+
+        it('should keep data of sessions and events of recipient', function () {
+            var recipient = createRecipient();
+            var donor = createDonor();
+            var session;
+
+            recipient.getSession('sid1').setData({channel: 'ads'});
+            recipient.getSession('sid1').getEvent('ev1').setData({page: 'home'});
+            donor.getSession('sid1').setData({
+                channel: 'mail',
+                device: 'phone'
+            });
+            donor.getSession('sid1').getEvent('ev1').setData({
+                page: 'cart',
+                ref: 'mail'
+            });
+
+            session = recipient.previewMerge(donor).profile.getSession('sid1');
+            assert.deepEqual(session.getData(), {
+                channel: 'ads',
+                device: 'phone'
+            });
+            assert.deepEqual(session.getEvent('ev1').getData(), {
+                page: 'home',
+                ref: 'mail'
+            });
+            assert.equal(donor.getSession('sid1').getDataValue('channel'), 'mail');
+        });
+
+        it('should not change merged profiles', function () {
+            var recipient = createRecipient();
+            var donor = createDonor();
+            var recipientData = recipient.serialize();
+            var donorData = donor.serialize();
+
+            recipient.previewMerge(donor);
+            assert.deepEqual(recipient.serialize(), recipientData);
+            assert.deepEqual(donor.serialize(), donorData);
+        });
+
+        it('should mark only data of donor as changed', function () {
+            var profile = createRecipient().previewMerge(createDonor()).profile;
+            var changes = profile.serialize(true);
+
+            assert.deepEqual(profile.getMergedProfiles(), ['pid2', 'pid3']);
+            assert.deepEqual(changes.mergedProfiles, ['pid2', 'pid3']);
+            assert.deepEqual(changes.attributes, [{
+                collectApp: 'web',
+                section: 'shop',
+                data: {
+                    age: 30
+                }
+            }]);
+            assert.deepEqual(changes.sessions.map(function (session) {
+                return session.id;
+            }), ['sid1', 'sid2']);
+        });
+    });
+
     describe('Dirty flag', function () {
         it('should be changed if has changed attribute', function () {
             var profile = createProfile();
@@ -291,5 +486,101 @@ describe('Profile/Common', function () {
             profile.resetDirty();
             assert.equal(profile.hasChanges(), false);
         });
+
+        it('should be changed if has not saved merged profile', function () {
+            var profile = createProfile({
+                id: 'pid'
+            });
+
+            profile.addMergedProfile('pid2');
+            assert(profile.hasChanges());
+
+            profile.resetDirty();
+            assert.equal(profile.hasChanges(), false);
+        });
+    });
+
+    describe('Merged profiles', function () {
+        it('should be inited with merged profiles', function () {
+            var profile = createProfile({
+                id: 'pid',
+                mergedProfiles: ['pid2', 'pid3']
+            });
+
+            assert.deepEqual(profile.getMergedProfiles(), ['pid2', 'pid3']);
+            assert.deepEqual(createProfile().getMergedProfiles(), []);
+        });
+
+        it('should add merged profile only once', function () {
+            var profile = createProfile({
+                id: 'pid'
+            });
+
+            profile.addMergedProfile('pid2').addMergedProfile('pid2');
+            assert.deepEqual(profile.getMergedProfiles(), ['pid2']);
+        });
+
+        it('should throw error if merged profile is wrong', function () {
+            var profile = createProfile({
+                id: 'pid'
+            });
+
+            assert['throws'](function () {
+                profile.addMergedProfile('');
+            }, /Id of merged profile should be a non-empty string/);
+
+            assert['throws'](function () {
+                profile.addMergedProfile('pid');
+            }, /Profile can not be merged to itself/);
+        });
+
+        it('should skip wrong merged profiles of initial data', function () {
+            var profile = createProfile({
+                id: 'pid',
+                mergedProfiles: [42, '', 'pid', null, 'pid2']
+            });
+
+            assert.deepEqual(profile.getMergedProfiles(), ['pid2']);
+        });
+
+        it('should serialize merged profiles only if there are any', function () {
+            var profile = createProfile({
+                id: 'pid',
+                mergedProfiles: ['pid2']
+            });
+
+            assert.deepEqual(profile.serialize().mergedProfiles, ['pid2']);
+
+            profile.resetDirty();
+            profile.addMergedProfile('pid3');
+            assert.deepEqual(profile.serialize().mergedProfiles, ['pid2', 'pid3']);
+            assert.deepEqual(profile.serialize(true), {
+                id: 'pid',
+                attributes: [],
+                sessions: [],
+                mergedProfiles: ['pid3']
+            });
+
+            profile.resetDirty();
+            assert.ok(!profile.serialize(true).hasOwnProperty('mergedProfiles'));
+            assert.ok(!createProfile().serialize().hasOwnProperty('mergedProfiles'));
+        });
+
+        it('should keep not saved merged profiles on merge', function () {
+            var profile = createProfile({
+                id: 'pid',
+                mergedProfiles: ['pid2']
+            });
+            var changes = createProfile({
+                id: 'pid',
+                mergedProfiles: ['pid3']
+            });
+
+            profile.resetDirty();
+            profile.merge(changes);
+
+            assert.deepEqual(profile.getMergedProfiles(), ['pid2', 'pid3']);
+            assert.deepEqual(profile.serialize(true).mergedProfiles, ['pid3']);
+        });
     });
 });
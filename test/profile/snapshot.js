@@ -0,0 +1,199 @@
+var inno = require('../../'),
+    assert = require('assert');
+var Profile = inno.Profile;
+
+describe('Profile/Snapshot', function () {
+    function createProfile () {
+        var profile = new Profile({
+            id: 'pid',
+            attributes: [{
+                collectApp: 'web',
+                section: 'shop',
+                data: {
+                    name: 'John',
+                    tags: ['a']
+                }
+            }],
+            sessions: [{
+                id: 'sid1',
+                collectApp: 'web',
+                section: 'shop',
+                createdAt: 10,
+                data: {
+                    page: 'main'
+                },
+                events: [{
+                    id: 'ev1',
+                    definitionId: 'view',
+                    createdAt: 11,
+                    data: {}
+                }]
+            }]
+        });
+
+        profile.resetDirty();
+        return profile;
+    }
+
+    // values of attributes are returned by reference, so state is copied
+    function serialize (profile, onlyChanges) {
+        return JSON.parse(JSON.stringify(profile.serialize(onlyChanges)));
+    }
+
+    function changeProfile (profile) {
+        profile.getAttribute('name', 'web', 'shop').setValue('Jack');
+        profile.getAttribute('tags', 'web', 'shop').getValue().push('b');
+        profile.setAttribute({
+            collectApp: 'web',
+            section: 'shop',
+            name: 'age',
+            value: 30
+        });
+        profile.getSession('sid1').setData({
+            page: 'cart'
+        });
+        profile.getSession('sid1').addEvent({
+            id: 'ev2',
+            definitionId: 'purchase',
+            createdAt: 12,
+            data: {}
+        });
+        profile.setSession({
+            id: 'sid2',
+            collectApp: 'web',
+            section: 'shop',
+            createdAt: 20
+        });
+        profile.addMergedProfile('pid2');
+    }
+
+    it('should restore attributes, sessions and events', function () {
+        var profile = createProfile();
+        var data = serialize(profile);
+        var token = profile.snapshot();
+
+        changeProfile(profile);
+        assert.notDeepEqual(profile.serialize(), data);
+
+        profile.rollback(token);
+        assert.deepEqual(profile.serialize(), data);
+        assert.equal(profile.hasChanges(), false);
+        assert.ok(profile.getChanges().isEmpty());
+    });
+
+    it('should restore "dirty" flags', function () {
+        var profile = createProfile();
+        var token;
+        var changes;
+
+        profile.getAttribute('name', 'web', 'shop').setValue('Jack');
+        profile.getSession('sid1').addEvent({
+            id: 'ev3',
+            definitionId: 'purchase',
+            createdAt: 12,
+            data: {}
+        });
+        changes = serialize(profile, true);
+        token = profile.snapshot();
+
+        changeProfile(profile);
+        profile.rollback(token);
+
+        assert.ok(profile.hasChanges());
+        assert.deepEqual(profile.serialize(true), changes);
+    });
+
+    it('should allow to restore the same snapshot several times', function () {
+        var profile = createProfile();
+        var data = serialize(profile);
+        var token = profile.snapshot();
+
+        changeProfile(profile);
+        profile.rollback(token);
+        changeProfile(profile);
+        profile.rollback(token);
+
+        assert.deepEqual(profile.serialize(), data);
+    });
+
+    it('should release snapshots which were made after restored one', function () {
+        var profile = createProfile();
+        var first = profile.snapshot();
+        var second;
+
+        changeProfile(profile);
+        second = profile.snapshot();
+        profile.rollback(first);
+
+        assert['throws'](function () {
+            profile.rollback(second);
+        }, /Snapshot "2" not found/);
+
+        profile.releaseSnapshot(first);
+        assert['throws'](function () {
+            profile.rollback(first);
+        }, /Snapshot "1" not found/);
+    });
+
+    describe('Transaction', function () {
+        it('should keep changes if function succeeds', function () {
+            var profile = createProfile();
+            var result = profile.transaction(function (changed) {
+                changeProfile(changed);
+                return 42;
+            });
+
+            assert.equal(result, 42);
+            assert.equal(profile.getAttribute('name', 'web', 'shop').getValue(), 'Jack');
+            assert.deepEqual(profile.snapshots, []);
+        });
+
+        it('should roll back changes if function throws', function () {
+            var profile = createProfile();
+            var data = serialize(profile);
+
+            assert['throws'](function () {
+                profile.transaction(function (changed) {
+                    changeProfile(changed);
+                    throw new Error('Rule failed');
+                });
+            }, /Rule failed/);
+
+            assert.deepEqual(profile.serialize(), data);
+            assert.equal(profile.hasChanges(), false);
+            assert.deepEqual(profile.snapshots, []);
+        });
+
+        it('should roll back changes if Promise is rejected', function () {
+            var profile = createProfile();
+            var data = serialize(profile);
+
+            return profile.transaction(function (changed) {
+                changeProfile(changed);
+                return Promise.reject(new Error('Rule failed'));
+            }).then(function () {
+                throw new Error('Transaction should fail');
+            }, function (error) {
+                assert.equal(error.message, 'Rule failed');
+                assert.deepEqual(profile.serialize(), data);
+            });
+        });
+
+        it('should roll back only changes of failed nested transaction', function () {
+            var profile = createProfile();
+
+            profile.transaction(function () {
+                profile.getAttribute('name', 'web', 'shop').setValue('Jack');
+
+                assert['throws'](function () {
+                    profile.transaction(function () {
+                        profile.getAttribute('name', 'web', 'shop').setValue('Joe');
+                        throw new Error('Rule failed');
+                    });
+                });
+            });
+
+            assert.equal(profile.getAttribute('name', 'web', 'shop').getValue(), 'Jack');
+        });
+    });
+});
@@ -0,0 +1,89 @@
+var inno = require('../'),
+    assert = require('assert'),
+    util = require('util');
+var RecurringTask = inno.RecurringTask;
+
+describe('RecurringTask', function () {
+    var config = {
+        id: 'daily',
+        cron: '0 6 * * *',
+        endpoint: 'http://app.example.com/tasks/daily',
+        method: 'POST'
+    };
+
+    function createTask (conf) {
+        return new RecurringTask(util._extend(util._extend({}, config), conf));
+    }
+
+    it('should be a Task', function () {
+        assert(createTask() instanceof inno.Task);
+    });
+
+    it('should be scheduled to the next run', function () {
+        var task = createTask();
+
+        assert.equal(task.getCron(), '0 6 * * *');
+        assert(task.getTimestamp() > Date.now());
+        assert.equal(new Date(task.getTimestamp()).getUTCHours(), 6);
+        assert.equal(task.serialize().timestamp, task.getTimestamp());
+    });
+
+    it('should keep passed timestamp', function () {
+        assert.equal(createTask({timestamp: 1000}).getTimestamp(), 1000);
+    });
+
+    it('should throw error if cron expression is wrong', function () {
+        assert['throws'](function () {
+            createTask({cron: undefined});
+        }, /Cron expression should be a non-empty string/);
+
+        assert['throws'](function () {
+            createTask({cron: '0 25 * * *'});
+        }, /has wrong hour "25"/);
+    });
+
+    it('should not use delay', function () {
+        assert['throws'](function () {
+            createTask({delay: 1000});
+        }, /Property "delay" in config can not be used with cron expression/);
+
+        assert['throws'](function () {
+            createTask().setDelay(1000);
+        }, /Delay can not be used with cron expression/);
+    });
+
+    it('should calculate the next run', function () {
+        var task = createTask();
+
+        assert.equal(task.getNextRun(Date.UTC(2016, 0, 1, 7)), Date.UTC(2016, 0, 2, 6));
+        assert.strictEqual(task.scheduleNext(Date.UTC(2016, 0, 1)), task);
+        assert.equal(task.getTimestamp(), Date.UTC(2016, 0, 1, 6));
+    });
+
+    it('should reschedule itself', function (done) {
+        var added = [];
+        var helper = {
+            addTask: function (params, options, callback) {
+                added.push(params.serialize());
+                callback(null);
+            }
+        };
+        var task = createTask();
+
+        task.reschedule(helper, {from: Date.UTC(2016, 0, 1, 6)}, function (error) {
+            assert.ifError(error);
+            assert.deepEqual(added, [{
+                id: 'daily',
+                endpoint: 'http://app.example.com/tasks/daily',
+                method: 'POST',
+                headers: {
+                    'X-Inno-Task-Id': 'daily',
+                    'X-Inno-Task-Timestamp': String(Date.UTC(2016, 0, 2, 6)),
+                    'X-Inno-Task-Cron': '0 6 * * *'
+                },
+                timestamp: Date.UTC(2016, 0, 2, 6)
+            }]);
+            done();
+        });
+    });
+});
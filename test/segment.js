@@ -1,6 +1,7 @@
 var inno = require('../'),
     assert = require('assert');
 var Profile = inno.Profile;
+var IqlSyntaxError = inno.IqlSyntaxError;
 
 describe('Segment', function () {
     function createSegment (conf) {
@@ -83,6 +84,103 @@ describe('Segment', function () {
             );
             assert(segment.isValid());
         });
+
+        it('should ignore metadata of wrong type', function () {
+            var segment = createSegment({
+                id: '1',
+                iql: 'attribute("a")',
+                name: 1,
+                description: {},
+                createdAt: 'yesterday',
+                enabled: 'yes'
+            });
+
+            assert.strictEqual(segment.getName(), null);
+            assert.strictEqual(segment.getDescription(), null);
+            assert.strictEqual(segment.getCreatedAt(), null);
+            assert.strictEqual(segment.isEnabled(), true);
+            assert.strictEqual(createSegment({
+                id: '1',
+                iql: 'attribute("a")',
+                enabled: 'false'
+            }).isEnabled(), false);
+        });
+
+        it('should convert time of creation to ms', function () {
+            [
+                ['2015-12-10T10:09:45.000Z', 1449742185000],
+                ['1449742185000', 1449742185000],
+                [new Date(1449742185000), 1449742185000]
+            ].forEach(function (test) {
+                assert.strictEqual(createSegment({
+                    id: '1',
+                    iql: 'attribute("a")',
+                    createdAt: test[0]
+                }).getCreatedAt(), test[1]);
+            });
+        });
+
+        it('should keep metadata', function () {
+            var segment = createSegment({
+                id: '1',
+                iql: 'attribute("a")',
+                name: 'Segment',
+                description: 'Some segment',
+                createdAt: 1449742185000,
+                enabled: false
+            });
+
+            assert.equal(segment.getName(), 'Segment');
+            assert.equal(segment.getDescription(), 'Some segment');
+            assert.equal(segment.getCreatedAt(), 1449742185000);
+            assert.strictEqual(segment.isEnabled(), false);
+            assert.deepEqual(segment.serialize(), {
+                id: '1',
+                iql: 'attribute("a")',
+                name: 'Segment',
+                description: 'Some segment',
+                createdAt: 1449742185000,
+                enabled: false
+            });
+        });
+
+        it('should use default metadata', function () {
+            var segment = createSegment({
+                id: '1',
+                iql: 'attribute("a")'
+            });
+
+            assert.strictEqual(segment.getName(), null);
+            assert.strictEqual(segment.isEnabled(), true);
+            assert.deepEqual(segment.serialize(), {
+                id: '1',
+                iql: 'attribute("a")',
+                enabled: true
+            });
+        });
+
+        it('should be valid if IQL is not known by local parser', function () {
+            ['some-iql', 'test1', 'attribute("a") > 3'].forEach(function (expression) {
+                assert.strictEqual(createSegment({
+                    id: '1',
+                    iql: expression
+                }).isValid(), true);
+            });
+        });
+
+        it('should return error of malformed IQL', function () {
+            var segment = createSegment({
+                id: '1',
+                iql: 'collectApp("web").section(9'
+            });
+
+            assert.strictEqual(segment.isValid(), true);
+            assert(segment.getIqlError() instanceof IqlSyntaxError);
+            assert.strictEqual(createSegment({
+                id: '1',
+                iql: 'attribute("a")'
+            }).getIqlError(), null);
+        });
     });
 
     describe('Get/Set methods', function () {
@@ -105,4 +203,43 @@ describe('Segment', function () {
             assert.equal(segment.getIql(), iql);
         });
     });
+
+    describe('Local evaluation', function () {
+        var profile;
+
+        beforeEach(function () {
+            profile = new Profile({
+                id: 'pid',
+                sessions: [{
+                    id: 'sid',
+                    collectApp: 'web',
+                    section: '9',
+                    createdAt: 1,
+                    data: {},
+                    events: []
+                }]
+            });
+        });
+
+        it('should evaluate profile by iql', function () {
+            assert.strictEqual(createSegment({
+                id: '1',
+                iql: 'collectApp("web").section("9")'
+            }).evaluate(profile), true);
+
+            assert.strictEqual(createSegment({
+                id: '1',
+                iql: 'collectApp("web").section("10")'
+            }).evaluate(profile), false);
+        });
+
+        it('should throw error if iql is malformed', function () {
+            assert['throws'](function () {
+                createSegment({
+                    id: '1',
+                    iql: 'some-iql'
+                }).evaluate(profile);
+            }, IqlSyntaxError);
+        });
+    });
 });
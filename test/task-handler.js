@@ -0,0 +1,630 @@
+var inno = require('../'),
+    assert = require('assert'),
+    http = require('http');
+var Task = inno.Task,
+    RecurringTask = inno.RecurringTask,
+    TaskHandler = inno.TaskHandler;
+
+describe('TaskHandler', function () {
+    var task = new Task({
+        id: 'tid',
+        type: 'report',
+        endpoint: 'http://app.example.com/tasks',
+        method: 'POST',
+        payload: {
+            reportId: 42
+        },
+        timestamp: 1449742185000
+    });
+
+    // request which is made by scheduler for task, body is parsed like by body parser
+    function createRequest (scheduledTask, body) {
+        var data = scheduledTask.serialize();
+        var headers = {
+            host: 'app.example.com'
+        };
+
+        Object.keys(data.headers).forEach(function (name) {
+            headers[name.toLowerCase()] = data.headers[name];
+        });
+
+        return {
+            method: data.method,
+            url: '/tasks',
+            headers: headers,
+            body: body === undefined ? data.payload : body
+        };
+    }
+
+    it('should throw error if config is wrong', function () {
+        assert['throws'](function () {
+            return new TaskHandler({store: {}});
+        }, /Property "store" in config should have "add" and "del" methods/);
+
+        assert['throws'](function () {
+            return new TaskHandler({storeTime: 0});
+        }, /Property "storeTime" in config should be a positive number/);
+
+        assert['throws'](function () {
+            return new TaskHandler({helper: {}});
+        }, /Property "helper" in config should have "addTask" method/);
+
+        assert['throws'](function () {
+            return new TaskHandler({secret: ''});
+        }, /Property "secret" in config should be a non-empty string/);
+
+        assert['throws'](function () {
+            return new TaskHandler({
+                handlers: {
+                    report: true
+                }
+            });
+        }, /Handler of task type "report" should be a function/);
+    });
+
+    it('should dispatch task by type with typed payload', function (done) {
+        var handler = new TaskHandler().register('report', function (received, callback) {
+            assert(received instanceof Task);
+            assert.equal(received.getId(), 'tid');
+            assert.equal(received.getType(), 'report');
+            assert.equal(received.getEndpoint(), 'http://app.example.com/tasks');
+            assert.equal(received.getTimestamp(), 1449742185000);
+            assert.deepEqual(received.getPayload(), {reportId: 42});
+            callback(null, 'sent');
+        });
+
+        handler.handle(createRequest(task), function (error, info) {
+            assert.ifError(error);
+            assert.strictEqual(info.duplicate, false);
+            assert.equal(info.result, 'sent');
+            done();
+        });
+    });
+
+    it('should accept payload parsed by body parser', function (done) {
+        var handler = new TaskHandler({
+            handlers: {
+                report: function (received) {
+                    assert.deepEqual(received.getPayload(), {reportId: 42});
+                    return Promise.resolve('sent');
+                }
+            }
+        });
+
+        handler.handle(createRequest(task, {reportId: 42}), function (error, info) {
+            assert.ifError(error);
+            assert.equal(info.result, 'sent');
+            done();
+        });
+    });
+
+    it('should use default handler for tasks without type', function (done) {
+        var plain = new Task({
+            endpoint: 'http://app.example.com/tasks',
+            method: 'POST',
+            payload: 'text',
+            delay: 10
+        });
+        var handler = new TaskHandler().register('default', function (received, callback) {
+            callback(null, received.getPayload());
+        });
+
+        handler.handle(createRequest(plain), function (error, info) {
+            assert.ifError(error);
+            assert.equal(info.result, 'text');
+            done();
+        });
+    });
+
+    it('should wait for callback of handler which does not return a Promise', function (done) {
+        var handler = new TaskHandler().register('report', function () {
+            var callback = arguments[1];
+
+            setTimeout(function () {
+                callback(null, 'sent');
+            }, 1);
+        });
+
+        handler.handle(createRequest(task), function (error, info) {
+            assert.ifError(error);
+            assert.equal(info.result, 'sent');
+            done();
+        });
+    });
+
+    it('should skip duplicated calls', function (done) {
+        var calls = 0;
+        var handler = new TaskHandler().register('report', function (received, callback) {
+            calls++;
+            callback();
+        });
+
+        handler.handle(createRequest(task), function (error) {
+            assert.ifError(error);
+            handler.handle(createRequest(task), function (error, info) {
+                assert.ifError(error);
+                assert.strictEqual(info.duplicate, true);
+                assert.equal(calls, 1);
+                done();
+            });
+        });
+    });
+
+    it('should process the next run of the same task', function (done) {
+        var calls = 0;
+        var handler = new TaskHandler().register('report', function (received, callback) {
+            calls++;
+            callback();
+        });
+        var nextRun = new Task(task.serialize()).setTimestamp(1449742186000);
+
+        handler.handle(createRequest(task), function () {
+            handler.handle(createRequest(nextRun), function (error, info) {
+                assert.ifError(error);
+                assert.strictEqual(info.duplicate, false);
+                assert.equal(calls, 2);
+                done();
+            });
+        });
+    });
+
+    it('should process parallel calls of the same run once', function (done) {
+        var calls = 0;
+        var data = {};
+        var handler = new TaskHandler({
+            store: {
+                add: function (key, value, ttl, callback) {
+                    var added = !data.hasOwnProperty(key);
+
+                    if (added) {
+                        data[key] = value;
+                    }
+                    setImmediate(callback, null, added);
+                },
+                del: function (key, callback) {
+                    delete data[key];
+                    setImmediate(callback, null);
+                }
+            }
+        }).register('report', function (received, callback) {
+            calls++;
+            setImmediate(callback);
+        });
+        var results = [];
+
+        function check (error, info) {
+            assert.ifError(error);
+            results.push(info.duplicate);
+            if (results.length === 2) {
+                assert.equal(calls, 1);
+                assert.deepEqual(results.sort(), [false, true]);
+                done();
+            }
+        }
+
+        handler.handle(createRequest(task), check);
+        handler.handle(createRequest(task), check);
+    });
+
+    it('should tell apart runs of delayed task with the same id', function (done) {
+        var calls = 0;
+        var handler = new TaskHandler().register('report', function (received, callback) {
+            calls++;
+            callback();
+        });
+        var delayed = new Task({
+            id: 'tid',
+            type: 'report',
+            endpoint: 'http://app.example.com/tasks',
+            method: 'POST',
+            delay: 1000
+        });
+        var request = createRequest(delayed);
+
+        handler.handle(request, function (error) {
+            assert.ifError(error);
+            handler.handle(request, function (error, info) {
+                assert.ifError(error);
+                assert.strictEqual(info.duplicate, true);
+
+                // new run id is generated when delay is set again
+                delayed.setDelay(1000);
+                handler.handle(createRequest(delayed), function (error, info) {
+                    assert.ifError(error);
+                    assert.strictEqual(info.duplicate, false);
+                    assert.equal(calls, 2);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should not skip calls which can not be identified', function (done) {
+        var calls = 0;
+        var handler = new TaskHandler().register('default', function (received, callback) {
+            calls++;
+            callback();
+        });
+        var request = {
+            method: 'POST',
+            url: '/tasks',
+            headers: {
+                'x-inno-task-id': 'tid'
+            }
+        };
+
+        handler.handle(request, function (error) {
+            assert.ifError(error);
+            handler.handle(request, function (error, info) {
+                assert.ifError(error);
+                assert.strictEqual(info.duplicate, false);
+                assert.equal(calls, 2);
+                done();
+            });
+        });
+    });
+
+    describe('Secret', function () {
+        function createSecretRequest (secret) {
+            var request = createRequest(task);
+
+            if (secret !== undefined) {
+                request.headers['x-inno-task-secret'] = secret;
+            }
+            return request;
+        }
+
+        it('should reject calls with wrong secret', function (done) {
+            var handler = new TaskHandler({
+                secret: 'secret'
+            }).register('report', function () {
+                throw new Error('Handler should not be called');
+            });
+
+            handler.handle(createSecretRequest(), function (error) {
+                assert.equal(error.message, 'Secret of task is wrong');
+                assert.equal(error.statusCode, 403);
+
+                handler.handle(createSecretRequest('secreT'), function (error) {
+                    assert.equal(error.statusCode, 403);
+                    done();
+                });
+            });
+        });
+
+        it('should accept calls with secret and hide it from handler', function (done) {
+            var handler = new TaskHandler({
+                secret: 'secret'
+            }).register('report', function (received, callback) {
+                assert.strictEqual(received.getHeader('X-Inno-Task-Secret'), null);
+                callback();
+            });
+
+            handler.handle(createSecretRequest('secret'), function (error, info) {
+                assert.ifError(error);
+                assert.strictEqual(info.duplicate, false);
+                done();
+            });
+        });
+    });
+
+    it('should allow to repeat failed call', function (done) {
+        var calls = 0;
+        var handler = new TaskHandler().register('report', function (received, callback) {
+            calls++;
+            if (calls === 1) {
+                throw new Error('Failed');
+            }
+            callback();
+        });
+
+        handler.handle(createRequest(task), function (error) {
+            assert.equal(error.message, 'Failed');
+            handler.handle(createRequest(task), function (error, info) {
+                assert.ifError(error);
+                assert.strictEqual(info.duplicate, false);
+                assert.equal(calls, 2);
+                done();
+            });
+        });
+    });
+
+    it('should use async idempotency store', function (done) {
+        var data = {};
+        var store = {
+            add: function (key, value) {
+                var added = !data.hasOwnProperty(key);
+
+                if (added) {
+                    data[key] = value;
+                }
+                return Promise.resolve(added);
+            },
+            del: function (key) {
+                delete data[key];
+                return Promise.resolve();
+            }
+        };
+        var handler = new TaskHandler({
+            store: store,
+            keyPrefix: 'app:'
+        }).register('report', function (received, callback) {
+            callback();
+        });
+
+        handler.handle(createRequest(task), function (error) {
+            assert.ifError(error);
+            assert.deepEqual(Object.keys(data), ['app:tid:1449742185000']);
+            done();
+        });
+    });
+
+    describe('Recurring task', function () {
+        var recurringTask = new RecurringTask({
+            id: 'daily',
+            type: 'report',
+            cron: '0 6 * * *',
+            endpoint: 'http://app.example.com/tasks',
+            method: 'POST',
+            headers: {
+                'X-Custom': 'value'
+            },
+            payload: {
+                reportId: 42
+            },
+            timestamp: Date.UTC(2016, 0, 1, 6)
+        });
+
+        function createHelper (error) {
+            return {
+                added: [],
+                addTask: function (params, options, callback) {
+                    this.added.push(params.serialize());
+                    callback(error || null);
+                }
+            };
+        }
+
+        it('should restore recurring task and re-schedule it', function (done) {
+            var helper = createHelper();
+            var handler = new TaskHandler({
+                helper: helper
+            }).register('report', function (received, callback) {
+                assert(received instanceof RecurringTask);
+                assert.equal(received.getCron(), '0 6 * * *');
+                callback(null);
+            });
+
+            handler.handle(createRequest(recurringTask), function (error, info) {
+                assert.ifError(error);
+                assert.equal(info.task.getTimestamp(), Date.UTC(2016, 0, 1, 6));
+                assert.equal(helper.added.length, 1);
+                assert.equal(helper.added[0].id, 'daily');
+                assert(helper.added[0].timestamp > Date.now());
+                assert.equal(new Date(helper.added[0].timestamp).getUTCHours(), 6);
+                assert.deepEqual(JSON.parse(helper.added[0].payload), {reportId: 42});
+                assert.equal(helper.added[0].headers['x-custom'], 'value');
+                assert.equal(helper.added[0].headers['X-Inno-Task-Type'], 'report');
+                assert.equal(helper.added[0].headers['X-Inno-Task-Cron'], '0 6 * * *');
+                assert.equal(helper.added[0].headers.host, undefined);
+                done();
+            });
+        });
+
+        it('should re-schedule recurring task when call is repeated', function (done) {
+            var helper = createHelper();
+            var handler = new TaskHandler({
+                helper: helper
+            }).register('report', function (received, callback) {
+                callback();
+            });
+
+            handler.handle(createRequest(recurringTask), function (error) {
+                assert.ifError(error);
+                handler.handle(createRequest(recurringTask), function (error, info) {
+                    assert.ifError(error);
+                    assert.strictEqual(info.duplicate, true);
+                    assert.equal(helper.added.length, 2);
+                    done();
+                });
+            });
+        });
+
+        it('should return error of re-scheduling and keep processed run', function (done) {
+            var calls = 0;
+            var handler = new TaskHandler({
+                helper: createHelper(new Error('Scheduler is not available'))
+            }).register('report', function (received, callback) {
+                calls++;
+                callback();
+            });
+
+            handler.handle(createRequest(recurringTask), function (error) {
+                assert.equal(error.message, 'Scheduler is not available');
+                handler.handle(createRequest(recurringTask), function (error) {
+                    assert.equal(error.message, 'Scheduler is not available');
+                    assert.equal(calls, 1);
+                    done();
+                });
+            });
+        });
+
+        it('should not re-schedule recurring task without helper', function (done) {
+            var handler = new TaskHandler().register('report', function (received, callback) {
+                callback();
+            });
+
+            handler.handle(createRequest(recurringTask), function (error, info) {
+                assert.ifError(error);
+                assert(info.task instanceof RecurringTask);
+                done();
+            });
+        });
+
+        it('should not re-schedule failed run', function (done) {
+            var helper = createHelper();
+            var handler = new TaskHandler({
+                helper: helper
+            }).register('report', function (received, callback) {
+                callback(new Error('Report failed'));
+            });
+
+            handler.handle(createRequest(recurringTask), function (error) {
+                assert.equal(error.message, 'Report failed');
+                assert.deepEqual(helper.added, []);
+                done();
+            });
+        });
+    });
+
+    [
+        [{}, 'Task id not found in request', 400],
+        [{
+            'x-inno-task-id': 'tid',
+            'x-inno-task-type': 'unknown'
+        }, 'Handler of task type "unknown" is not registered', 404],
+        [{
+            'x-inno-task-id': 'tid',
+            'x-inno-task-type': 'report',
+            'content-type': 'application/json'
+        }, 'Payload of task is not a valid JSON', 400]
+    ].forEach(function (test) {
+        it('should return error: ' + test[1], function (done) {
+            var handler = new TaskHandler().register('report', function (received, callback) {
+                callback();
+            });
+
+            handler.handle({
+                method: 'POST',
+                url: '/tasks',
+                headers: test[0],
+                body: '{wrong'
+            }, function (error) {
+                assert.equal(error.message, test[1]);
+                assert.equal(error.statusCode, test[2]);
+                done();
+            });
+        });
+    });
+
+    it('should work as listener of http server', function (done) {
+        var received = null;
+        var handler = new TaskHandler().register('report', function (receivedTask, callback) {
+            received = receivedTask;
+            callback();
+        });
+        var server = http.createServer(handler.middleware());
+        var data = task.serialize();
+
+        server.listen(0, '127.0.0.1', function () {
+            var req = http.request({
+                host: '127.0.0.1',
+                port: server.address().port,
+                method: data.method,
+                path: '/tasks',
+                headers: data.headers
+            }, function (res) {
+                var body = '';
+                res.setEncoding('utf8');
+                res.on('data', function (chunk) {
+                    body += chunk;
+                });
+                res.on('end', function () {
+                    server.close();
+                    assert.equal(res.statusCode, 200);
+                    assert.deepEqual(JSON.parse(body), {
+                        id: 'tid',
+                        duplicate: false
+                    });
+                    assert.deepEqual(received.getPayload(), {reportId: 42});
+                    done();
+                });
+            });
+            req.end(data.payload);
+        });
+    });
+
+    it('should respond with status of error', function (done) {
+        var res = {
+            writeHead: function (statusCode, headers) {
+                this.statusCode = statusCode;
+                this.headers = headers;
+            },
+            end: function (body) {
+                assert.equal(this.statusCode, 400);
+                assert.equal(this.headers['Content-Type'], 'application/json');
+                assert.deepEqual(JSON.parse(body), {error: 'Task id not found in request'});
+                done();
+            }
+        };
+
+        new TaskHandler().middleware()({
+            headers: {}
+        }, res);
+    });
+
+    it('should be created by InnoHelper with its cache as store', function () {
+        var helper = new inno.InnoHelper({
+            bucketName: 'bucketName',
+            appName: 'appName',
+            appKey: 'appKey',
+            apiUrl: 'apiUrl',
+            groupId: 4
+        });
+        var handler = helper.createTaskHandler();
+
+        assert(handler instanceof TaskHandler);
+        assert.strictEqual(handler.store, helper.cache);
+        assert.strictEqual(handler.helper, helper);
+        assert.equal(handler.keyPrefix, 'task-4-bucketName-appName:');
+        assert.strictEqual(handler.secret, null);
+    });
+
+    it('should be created by InnoHelper with secret of tasks', function () {
+        var helper = new inno.InnoHelper({
+            bucketName: 'bucketName',
+            appName: 'appName',
+            appKey: 'appKey',
+            apiUrl: 'apiUrl',
+            groupId: 4,
+            taskSecret: 'secret',
+            cache: {
+                get: function () {},
+                set: function () {},
+                del: function () {},
+                clear: function () {}
+            }
+        });
+        var handler = helper.createTaskHandler();
+
+        assert.equal(handler.secret, 'secret');
+        // cache which can not add records atomically is not used as idempotency store
+        assert.notStrictEqual(handler.store, helper.cache);
+    });
+
+    it('should not be created by InnoHelper if its cache can not add records', function () {
+        var client = {
+            get: function () {},
+            set: function () {},
+            del: function () {}
+        };
+        var helper = new inno.InnoHelper({
+            bucketName: 'bucketName',
+            appName: 'appName',
+            appKey: 'appKey',
+            apiUrl: 'apiUrl',
+            groupId: 4,
+            cache: new inno.KeyValueCache({client: client})
+        });
+
+        assert['throws'](function () {
+            helper.createTaskHandler();
+        }, /Cache of helper can not add records atomically/);
+
+        assert(helper.createTaskHandler({store: new inno.Cache()}) instanceof TaskHandler);
+
+        client.setnx = function () {};
+        client.expire = function () {};
+        assert.strictEqual(helper.createTaskHandler().store, helper.cache);
+    });
+});
@@ -0,0 +1,230 @@
+var inno = require('../'),
+    assert = require('assert'),
+    util = require('util');
+var Task = inno.Task;
+
+describe('Task', function () {
+    function createTask (conf) {
+        return new Task(conf);
+    }
+
+    var config = {
+        endpoint: 'http://app.example.com/tasks',
+        method: 'post'
+    };
+
+    describe('Creation', function () {
+        it('should throw error on empty config', function () {
+            assert['throws'](function () {
+                createTask();
+            }, /Config should be defined/);
+        });
+
+        it('should throw error if required props are wrong', function () {
+            assert['throws'](function () {
+                createTask({method: 'GET'});
+            }, /Property "endpoint" in config should be defined/);
+
+            assert['throws'](function () {
+                createTask({
+                    endpoint: 'http://app.example.com',
+                    method: 1
+                });
+            }, /Property "method" in config should be a string/);
+
+            assert['throws'](function () {
+                createTask({
+                    endpoint: '/tasks',
+                    method: 'GET'
+                });
+            }, /Property "endpoint" in config should be an absolute http\(s\) url/);
+
+            assert['throws'](function () {
+                createTask({
+                    endpoint: 'http://app.example.com',
+                    method: 'OPTIONS'
+                });
+            }, /Property "method" in config should be one of GET, POST, PUT, PATCH, DELETE/);
+        });
+
+        it('should throw error if optional props are wrong', function () {
+            [
+                [{id: ''}, /Property "id" in config should be a non-empty string/],
+                [{headers: []}, /Property "headers" in config should be an object/],
+                [{headers: {'X-Count': 1}}, /Header "X-Count" in config should be a string/],
+                [{payload: 1}, /Property "payload" in config should be a string or an object/],
+                [{timestamp: -1}, /Property "timestamp" in config should be a non-negative number/],
+                [{delay: '1'}, /Property "delay" in config should be a non-negative number/],
+                [{
+                    timestamp: 1,
+                    delay: 1
+                }, /You should use only one field: timestamp or delay/]
+            ].forEach(function (test) {
+                assert['throws'](function () {
+                    createTask(util._extend(util._extend({}, config), test[0]));
+                }, test[1]);
+            });
+        });
+
+        it('should not allow payload with GET method', function () {
+            assert['throws'](function () {
+                createTask({
+                    endpoint: 'http://app.example.com',
+                    method: 'GET',
+                    payload: 'data'
+                });
+            }, /Property "payload" in config can not be used with GET method/);
+        });
+
+        it('should generate id', function () {
+            var task1 = createTask(config),
+                task2 = createTask(config);
+
+            assert.equal(typeof task1.getId(), 'string');
+            assert.equal(task1.getId().length, 32);
+            assert.notEqual(task1.getId(), task2.getId());
+        });
+    });
+
+    describe('Get/Set methods', function () {
+        it('should return props', function () {
+            var task = createTask({
+                id: 'tid',
+                endpoint: 'https://app.example.com/tasks',
+                method: 'put',
+                headers: {
+                    'X-Token': 'token'
+                },
+                payload: {
+                    a: 1
+                },
+                delay: 1000
+            });
+
+            assert.equal(task.getId(), 'tid');
+            assert.equal(task.getEndpoint(), 'https://app.example.com/tasks');
+            assert.equal(task.getMethod(), 'PUT');
+            assert.deepEqual(task.getHeaders(), {'X-Token': 'token'});
+            assert.deepEqual(task.getPayload(), {a: 1});
+            assert.strictEqual(task.getTimestamp(), null);
+            assert.strictEqual(task.getDelay(), 1000);
+        });
+
+        it('should reset delay if timestamp is set and vice versa', function () {
+            var task = createTask(config);
+
+            task.setDelay(100);
+            task.setTimestamp(new Date(5000));
+            assert.strictEqual(task.getTimestamp(), 5000);
+            assert.strictEqual(task.getDelay(), null);
+
+            task.setDelay(100);
+            assert.strictEqual(task.getTimestamp(), null);
+            assert.strictEqual(task.getDelay(), 100);
+        });
+
+        it('should throw error if time is wrong', function () {
+            var task = createTask(config);
+
+            assert['throws'](function () {
+                task.setTimestamp('tomorrow');
+            }, /Timestamp should be a non-negative number/);
+
+            assert['throws'](function () {
+                task.setDelay(-1);
+            }, /Delay should be a non-negative number/);
+        });
+    });
+
+    describe('Serialization', function () {
+        it('should add type of task to headers and restore it', function () {
+            var task = createTask({
+                id: 'tid',
+                type: 'report',
+                endpoint: 'http://app.example.com/tasks',
+                method: 'POST',
+                headers: {
+                    'x-inno-task-id': 'old',
+                    'Content-Type': 'text/plain'
+                },
+                payload: {
+                    a: 1
+                }
+            });
+            var data = task.serialize();
+
+            assert.equal(task.getType(), 'report');
+            assert.deepEqual(data.headers, {
+                'Content-Type': 'text/plain',
+                'X-Inno-Task-Id': 'tid',
+                'X-Inno-Task-Type': 'report'
+            });
+            assert.equal(createTask(data).getType(), 'report');
+        });
+
+        it('should throw error if type is wrong', function () {
+            assert['throws'](function () {
+                createTask(util._extend({type: ''}, config));
+            }, /Property "type" in config should be a non-empty string/);
+        });
+
+        it('should serialize task to scheduler format', function () {
+            var task = createTask({
+                id: 'tid',
+                endpoint: 'http://app.example.com/tasks',
+                method: 'POST',
+                payload: {
+                    a: 1
+                },
+                timestamp: 1449742185000
+            });
+
+            assert.deepEqual(task.serialize(), {
+                id: 'tid',
+                endpoint: 'http://app.example.com/tasks',
+                method: 'POST',
+                headers: {
+                    'X-Inno-Task-Id': 'tid',
+                    'X-Inno-Task-Timestamp': '1449742185000',
+                    'Content-Type': 'application/json'
+                },
+                payload: '{"a":1}',
+                timestamp: 1449742185000
+            });
+        });
+
+        it('should keep run id of delayed task until time is changed', function () {
+            var task = createTask(util._extend({delay: 100}, config));
+            var runId = task.serialize().headers['X-Inno-Task-Run'];
+
+            assert.equal(runId.length, 16);
+            assert.equal(task.getRunId(), runId);
+            assert.equal(task.serialize().headers['X-Inno-Task-Run'], runId);
+            assert.equal(createTask(task.serialize()).getRunId(), runId);
+
+            task.setDelay(200);
+            assert.notEqual(task.serialize().headers['X-Inno-Task-Run'], runId);
+
+            task.setTimestamp(5000);
+            assert.strictEqual(task.getRunId(), null);
+            assert.strictEqual(task.serialize().headers['X-Inno-Task-Run'], undefined);
+        });
+
+        it('should omit empty payload and time', function () {
+            var task = createTask({
+                id: 'tid',
+                endpoint: 'http://app.example.com/tasks',
+                method: 'DELETE'
+            });
+
+            assert.deepEqual(task.serialize(), {
+                id: 'tid',
+                endpoint: 'http://app.example.com/tasks',
+                method: 'DELETE',
+                headers: {
+                    'X-Inno-Task-Id': 'tid'
+                }
+            });
+        });
+    });
+});
@@ -0,0 +1,105 @@
+var RequestTransport = require('../').RequestTransport,
+    assert = require('assert'),
+    sinon = require('sinon'),
+    request = require('request');
+
+describe('RequestTransport', function () {
+    var transport;
+
+    beforeEach(function () {
+        transport = new RequestTransport();
+    });
+
+    [{
+        method: 'GET',
+        fn: 'get'
+    }, {
+        method: 'POST',
+        fn: 'post'
+    }, {
+        method: 'PUT',
+        fn: 'put'
+    }, {
+        method: 'DELETE',
+        fn: 'del'
+    }].forEach(function (test) {
+        it('should use request.' + test.fn + ' for ' + test.method + ' method', function (done) {
+            sinon.stub(request, test.fn, function (opts, callback) {
+                callback(null, {
+                    statusCode: 200,
+                    headers: {'x-request-id': 'rid'},
+                    body: {ok: true}
+                });
+            });
+
+            transport.send({
+                method: test.method,
+                url: 'some-url',
+                body: {some: 'body'}
+            }, function (error, response) {
+                assert.ifError(error);
+                assert(request[test.fn].calledWith({
+                    url: 'some-url',
+                    body: {some: 'body'},
+                    json: true
+                }));
+                assert.deepEqual(response, {
+                    statusCode: 200,
+                    headers: {'x-request-id': 'rid'},
+                    body: {ok: true}
+                });
+                request[test.fn].restore();
+                done();
+            });
+        });
+    });
+
+    it('should not send body if it is not passed', function (done) {
+        sinon.stub(request, 'get', function (opts, callback) {
+            callback(null, {
+                statusCode: 200,
+                body: {}
+            });
+        });
+
+        transport.send({
+            method: 'GET',
+            url: 'some-url'
+        }, function (error, response) {
+            assert.ifError(error);
+            assert(request.get.calledWith({
+                url: 'some-url',
+                json: true
+            }));
+            assert.deepEqual(response.headers, {});
+            request.get.restore();
+            done();
+        });
+    });
+
+    it('should return error if request failed', function (done) {
+        sinon.stub(request, 'get', function (opts, callback) {
+            callback(new Error('request error'));
+        });
+
+        transport.send({
+            method: 'GET',
+            url: 'some-url'
+        }, function (error, response) {
+            assert.equal(error.message, 'request error');
+            assert.strictEqual(response, undefined);
+            request.get.restore();
+            done();
+        });
+    });
+
+    it('should return error for unsupported method', function (done) {
+        transport.send({
+            method: 'PATCH',
+            url: 'some-url'
+        }, function (error) {
+            assert.equal(error.message, 'Method "PATCH" is not supported');
+            done();
+        });
+    });
+});
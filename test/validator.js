@@ -48,4 +48,24 @@ describe('Schema validator', function () {
     it('should be valid session', function () {
         assert.ok(validator.sessionIsValid(session));
     });
+
+    it('should be valid meta', function () {
+        var meta = {
+            companyId: 4,
+            bucketName: 'bucket',
+            collectApp: 'app-123',
+            section: 'section-123',
+            eventDefinitionId: 'event-123',
+            timestamp: 1234567890
+        };
+
+        assert.ok(validator.metaIsValid(meta));
+        assert.ok(!validator.metaIsValid({companyId: 4}));
+        assert.ok(!validator.metaIsValid({
+            companyId: '4',
+            bucketName: 'bucket',
+            collectApp: 'app-123',
+            section: 'section-123'
+        }));
+    });
 });